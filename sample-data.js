@@ -13,8 +13,10 @@ const mongoose = require('mongoose');
 // Import models
 const Assets = require('./src/models/Assets');
 const Income = require('./src/models/Income');
+const Expense = require('./src/models/Expense');
 const Liability = require('./src/models/Liability');
 const CreditCard = require('./src/models/CreditCard');
+const User = require('./src/models/User');
 
 // Connect to database
 const connectDB = async () => {
@@ -112,6 +114,65 @@ const sampleIncome = [
   }
 ];
 
+// One-time expenses are dated relative to today so they count towards monthly spending
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const sampleExpenses = [
+  {
+    amount: 2100,
+    category: 'housing',
+    merchant: 'Mortgage Payment',
+    frequency: 'monthly',
+    paymentMethod: 'bank-transfer',
+    date: new Date('2024-01-01')
+  },
+  {
+    amount: 180,
+    category: 'utilities',
+    merchant: 'City Power & Light',
+    frequency: 'monthly',
+    paymentMethod: 'bank-transfer',
+    date: new Date('2024-01-05')
+  },
+  {
+    amount: 15.99,
+    category: 'subscriptions',
+    merchant: 'Netflix',
+    frequency: 'monthly',
+    paymentMethod: 'credit-card',
+    date: new Date('2024-01-10')
+  },
+  {
+    amount: 1200,
+    category: 'insurance',
+    merchant: 'Auto Insurance',
+    frequency: 'yearly',
+    paymentMethod: 'bank-transfer',
+    date: new Date('2024-01-15')
+  },
+  {
+    amount: 164.32,
+    category: 'groceries',
+    merchant: 'Whole Foods',
+    paymentMethod: 'credit-card',
+    date: daysAgo(3)
+  },
+  {
+    amount: 58.4,
+    category: 'dining',
+    merchant: 'Local Bistro',
+    paymentMethod: 'credit-card',
+    date: daysAgo(9)
+  },
+  {
+    amount: 62,
+    category: 'transportation',
+    merchant: 'Shell',
+    paymentMethod: 'debit-card',
+    date: daysAgo(12)
+  }
+];
+
 const sampleLiabilities = [
   {
     liabilityName: 'Home Mortgage',
@@ -178,36 +239,66 @@ const sampleCreditCards = [
   }
 ];
 
+// Sample user that owns the generated records
+const sampleUser = {
+  name: 'Sample User',
+  email: process.env.SAMPLE_USER_EMAIL || 'sample@example.com',
+  password: process.env.SAMPLE_USER_PASSWORD || 'password123'
+};
+
+// Find the sample user or create it if it does not exist yet
+const getSampleUser = async () => {
+  const existing = await User.findOne({ email: sampleUser.email });
+  if (existing) {
+    return existing;
+  }
+
+  const user = await User.create(sampleUser);
+  console.log(`👤 Created sample user ${sampleUser.email} (password: ${sampleUser.password})`);
+  return user;
+};
+
 // Create sample data
 const createSampleData = async () => {
   try {
     console.log('📊 Creating sample financial data...');
+
+    const user = await getSampleUser();
+    const owned = (records) => records.map(record => ({ ...record, createdBy: user._id }));
     
-    // Clear existing data
+    // Clear the sample user's existing data
     await Promise.all([
-      Assets.deleteMany({}),
-      Income.deleteMany({}),
-      Liability.deleteMany({}),
-      CreditCard.deleteMany({})
+      Assets.deleteMany({ createdBy: user._id }),
+      Income.deleteMany({ createdBy: user._id }),
+      Expense.deleteMany({ createdBy: user._id }),
+      Liability.deleteMany({ createdBy: user._id }),
+      CreditCard.deleteMany({ createdBy: user._id })
     ]);
     
     console.log('🗑️ Cleared existing data');
     
     // Create sample assets
-    const createdAssets = await Assets.insertMany(sampleAssets);
+    const createdAssets = await Assets.insertMany(owned(sampleAssets));
     console.log(`✅ Created ${createdAssets.length} assets`);
     
     // Create sample income
-    const createdIncome = await Income.insertMany(sampleIncome);
+    const createdIncome = await Income.insertMany(owned(sampleIncome));
     console.log(`✅ Created ${createdIncome.length} income records`);
     
     // Create sample liabilities
-    const createdLiabilities = await Liability.insertMany(sampleLiabilities);
+    const createdLiabilities = await Liability.insertMany(owned(sampleLiabilities));
     console.log(`✅ Created ${createdLiabilities.length} liabilities`);
     
     // Create sample credit cards
-    const createdCreditCards = await CreditCard.insertMany(sampleCreditCards);
+    const createdCreditCards = await CreditCard.insertMany(owned(sampleCreditCards));
     console.log(`✅ Created ${createdCreditCards.length} credit cards`);
+
+    // Create sample expenses (card payments are linked to the first card)
+    const createdExpenses = await Expense.insertMany(owned(sampleExpenses).map(expense => ({
+      ...expense,
+      creditCard: expense.paymentMethod === 'credit-card' ? createdCreditCards[0]._id : null
+    })));
+    console.log(`✅ Created ${createdExpenses.length} expenses`);
     
     // Calculate totals
     const totalAssets = sampleAssets.reduce((sum, asset) => sum + asset.currentValue, 0);
@@ -232,9 +323,9 @@ const createSampleData = async () => {
     console.log(`📊 Net Worth: $${netWorth.toLocaleString()}`);
     
     console.log('\n🎉 Sample data created successfully!');
-    console.log('💡 You can now test the recommendation system with:');
-    console.log('   curl http://localhost:3000/api/recommendations/general');
-    console.log('   curl http://localhost:3000/api/recommendations/all');
+    console.log('💡 Log in as the sample user and test the API with the returned token:');
+    console.log(`   curl -X POST http://localhost:3000/api/auth/login -H "Content-Type: application/json" -d '{"email":"${sampleUser.email}","password":"${sampleUser.password}"}'`);
+    console.log('   curl -H "Authorization: Bearer <token>" http://localhost:3000/api/income');
     
   } catch (error) {
     console.error('❌ Error creating sample data:', error.message);
@@ -270,6 +361,7 @@ if (require.main === module) {
 module.exports = {
   sampleAssets,
   sampleIncome,
+  sampleExpenses,
   sampleLiabilities,
   sampleCreditCards,
   createSampleData
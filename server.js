@@ -9,6 +9,10 @@ const corsOptions = require('./src/config/cors');
 const { apiLimiter } = require('./src/config/rateLimiter');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
 const logger = require('./src/utils/logger');
+const snapshotService = require('./src/services/snapshotService');
+const creditCardService = require('./src/services/creditCardService');
+const notificationService = require('./src/services/notificationService');
+const webhookService = require('./src/services/webhookService');
 
 // Initialize Express app
 const app = express();
@@ -36,19 +40,60 @@ app.use('/api/', apiLimiter);
 
 // Import routes
 const apiRoutes = require('./src/routes/api.routes');
+// Authentication routes
+const authRoutes = require('./src/routes/auth.routes');
+const apiKeyRoutes = require('./src/routes/apiKey.routes');
+const householdRoutes = require('./src/routes/household.routes');
+const advisorGrantRoutes = require('./src/routes/advisorGrant.routes');
+const advisorRoutes = require('./src/routes/advisor.routes');
 // Financial Management routes
 const incomeRoutes = require('./src/routes/income.routes');
+const expenseRoutes = require('./src/routes/expense.routes');
+const budgetRoutes = require('./src/routes/budget.routes');
+const goalRoutes = require('./src/routes/goal.routes');
 const assetsRoutes = require('./src/routes/assets.routes');
 const liabilityRoutes = require('./src/routes/liability.routes');
 const creditCardRoutes = require('./src/routes/creditCard.routes');
+const debtRoutes = require('./src/routes/debt.routes');
+const exchangeRateRoutes = require('./src/routes/exchangeRate.routes');
+const forecastRoutes = require('./src/routes/forecast.routes');
+const calendarRoutes = require('./src/routes/calendar.routes');
+const notificationRoutes = require('./src/routes/notification.routes');
+const webhookRoutes = require('./src/routes/webhook.routes');
+const importRoutes = require('./src/routes/import.routes');
+const exportRoutes = require('./src/routes/export.routes');
+const backupRoutes = require('./src/routes/backup.routes');
+// Net worth history routes
+const summaryRoutes = require('./src/routes/summary.routes');
 // AI Recommendation routes
 const recommendationRoutes = require('./src/routes/recommendation.routes');
 
+// Mount authentication routes
+app.use('/api/auth', authRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/advisor-grants', advisorGrantRoutes);
+app.use('/api/advisor', advisorRoutes);
 // Mount financial management routes
 app.use('/api/income', incomeRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/goals', goalRoutes);
 app.use('/api/assets', assetsRoutes);
 app.use('/api/liabilities', liabilityRoutes);
 app.use('/api/credit-cards', creditCardRoutes);
+app.use('/api/debt', debtRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+// Mount backup routes (GET /api/backup, POST /api/restore)
+app.use('/api', backupRoutes);
+// Mount net worth history routes
+app.use('/api/summary', summaryRoutes);
 // Mount AI recommendation routes
 app.use('/api/recommendations', recommendationRoutes);
 app.use('/api', apiRoutes);
@@ -63,10 +108,25 @@ app.get('/', (req, res) => {
     documentation: '/api',
     endpoints: {
       api: '/api',
+      auth: '/api/auth',
+      apiKeys: '/api/api-keys',
+      households: '/api/households',
+      advisorGrants: '/api/advisor-grants',
+      advisor: '/api/advisor',
       income: '/api/income',
+      expenses: '/api/expenses',
+      budgets: '/api/budgets',
+      goals: '/api/goals',
       assets: '/api/assets',
       liabilities: '/api/liabilities',
       creditCards: '/api/credit-cards',
+      debt: '/api/debt',
+      exchangeRates: '/api/exchange-rates',
+      forecast: '/api/forecast',
+      calendar: '/api/calendar',
+      notifications: '/api/notifications',
+      webhooks: '/api/webhooks',
+      summary: '/api/summary',
       recommendations: '/api/recommendations',
       health: '/api/health',
     },
@@ -99,6 +159,12 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Server is running in ${NODE_ENV} mode on port ${PORT}`);
   logger.info(`📍 Local: http://localhost:${PORT}`);
   logger.info(`📚 API Documentation: http://localhost:${PORT}/api`);
+
+  // Capture net worth snapshots, close credit card statements, check notification rules and retry webhooks on a schedule
+  snapshotService.startScheduler();
+  creditCardService.startScheduler();
+  notificationService.startScheduler();
+  webhookService.startScheduler();
 });
 
 // Handle unhandled promise rejections
@@ -1,65 +1,76 @@
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate JWT authentication token
- * 
- * Creates a signed JSON Web Token containing the user's ID in the payload.
- * Token is signed with JWT_SECRET from environment variables and includes
- * an expiration time (default 7 days). Used after successful login/registration.
- * 
+ * Refresh token lifetime in milliseconds
+ *
+ * Refresh tokens are opaque random strings stored (hashed) in the database,
+ * not JWTs, so their lifetime is tracked here rather than by jsonwebtoken.
+ *
+ * @constant {number} REFRESH_TOKEN_TTL_MS
+ * @requires JWT_REFRESH_EXPIRE_DAYS environment variable (optional, defaults to 30)
+ */
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Generate JWT access token
+ *
+ * Creates a short-lived signed JSON Web Token containing the user's ID and
+ * token version in the payload. Token is signed with JWT_SECRET from environment
+ * variables and expires after JWT_EXPIRE (default 15 minutes). Bumping the user's
+ * token version invalidates every access token issued before it.
+ *
  * @function generateToken
  * @param {string} userId - MongoDB ObjectId of the user as a string
+ * @param {number} [tokenVersion=0] - Current token version of the user
  * @returns {string} Signed JWT token string
- * 
+ *
  * @example
- * const token = generateToken('64abc123def456');
+ * const token = generateToken('64abc123def456', user.tokenVersion);
  * // Returns: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
- * 
+ *
  * @requires JWT_SECRET environment variable
- * @requires JWT_EXPIRE environment variable (optional, defaults to '7d')
+ * @requires JWT_EXPIRE environment variable (optional, defaults to '15m')
  */
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+const generateToken = (userId, tokenVersion = 0) => {
+  return jwt.sign({ id: userId, tv: tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
 /**
  * Verify and decode JWT token
- * 
+ *
  * Verifies the signature of a JWT token using the secret key from environment
- * variables. Decodes the token payload if valid. Catches any JWT errors
- * (invalid signature, expired token, malformed token) and returns null.
- * 
+ * variables and decodes the payload. Errors are not swallowed: jsonwebtoken's
+ * `TokenExpiredError` and `JsonWebTokenError` are thrown so callers (and the
+ * central error handler) can tell an expired token from an invalid one.
+ *
  * @function verifyToken
  * @param {string} token - JWT token string to verify
- * @returns {Object|null} Decoded token payload with user ID and timestamps if valid, null if invalid
+ * @returns {Object} Decoded token payload
  * @returns {string} returns.id - User ID from token payload
+ * @returns {number} returns.tv - Token version from token payload
  * @returns {number} returns.iat - Token issued at timestamp
  * @returns {number} returns.exp - Token expiration timestamp
- * 
+ * @throws {TokenExpiredError} If the token has expired
+ * @throws {JsonWebTokenError} If the token is malformed or the signature is invalid
+ *
  * @example
- * const decoded = verifyToken('eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...');
- * if (decoded) {
+ * try {
+ *   const decoded = verifyToken('eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...');
  *   console.log(decoded.id); // '64abc123def456'
- *   console.log(decoded.exp); // 1234567890
- * } else {
- *   console.log('Invalid or expired token');
+ * } catch (error) {
+ *   console.log(error.name); // 'TokenExpiredError' or 'JsonWebTokenError'
  * }
- * 
+ *
  * @requires JWT_SECRET environment variable
  */
 const verifyToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_SECRET);
-  } catch (error) {
-    return null;
-  }
+  return jwt.verify(token, process.env.JWT_SECRET);
 };
 
 module.exports = {
   generateToken,
   verifyToken,
+  REFRESH_TOKEN_TTL_MS,
 };
-
-
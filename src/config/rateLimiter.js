@@ -1,10 +1,17 @@
-const rateLimit = require('express-rate-limit');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+
+// Kept in a variable so requests authenticated by API key can be refunded (see refundApiLimit)
+const apiLimiterStore = new MemoryStore();
 
 /**
  * General API Rate Limiter
  * 
  * Implements rate limiting for all general API endpoints to prevent abuse and DDoS attacks.
  * Limits requests per IP address within a time window. Returns 429 status when limit exceeded.
+ * Runs before authentication, so it never trusts the X-API-Key header: a made-up key on
+ * every request must not buy a fresh limit. Requests whose API key `protect` verifies are
+ * refunded (refundApiLimit) and only count against apiKeyLimiter, so several keys behind
+ * one NAT do not share an IP budget.
  * Configurable via environment variables with sensible defaults.
  * 
  * @constant {Function} apiLimiter - Express middleware for general API rate limiting
@@ -25,6 +32,8 @@ const rateLimit = require('express-rate-limit');
 const apiLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  store: apiLimiterStore,
+  requestPropertyName: 'ipRateLimit',
   message: {
     success: false,
     error: 'Too Many Requests',
@@ -34,6 +43,54 @@ const apiLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Take a request back out of the per-IP count of apiLimiter
+ *
+ * Called once the request's API key is verified, as the key has its own limit.
+ * Does nothing for requests apiLimiter did not count.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ *
+ * @example
+ * // In middleware/auth.js, once the API key is verified
+ * await refundApiLimit(req);
+ */
+const refundApiLimit = async (req) => {
+  if (req.ipRateLimit) {
+    await apiLimiterStore.decrement(req.ipRateLimit.key);
+    req.ipRateLimit = undefined;
+  }
+};
+
+/**
+ * API Key Rate Limiter
+ * 
+ * Limits requests per authenticated API key, so an integration behind a shared IP
+ * cannot starve other clients and a key cannot escape its limit by switching networks.
+ * Keyed on the ID of the API key `protect` verified (never on the raw header) and
+ * skipped for requests without one. Uses the same window and maximum as apiLimiter.
+ * 
+ * @constant {Function} apiKeyLimiter - Express middleware for per-API-key rate limiting
+ * 
+ * @example
+ * // In middleware/auth.js, once the API key is verified
+ * apiKeyLimiter(req, res, next);
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each API key to 100 requests per windowMs
+  keyGenerator: (req) => `apikey:${req.apiKey._id}`,
+  skip: (req) => !req.apiKey,
+  message: {
+    success: false,
+    error: 'Too Many Requests',
+    message: 'Too many requests with this API key, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Strict Authentication Rate Limiter
  * 
@@ -69,7 +126,9 @@ const authLimiter = rateLimit({
 
 module.exports = {
   apiLimiter,
+  apiKeyLimiter,
   authLimiter,
+  refundApiLimit,
 };
 
 
@@ -0,0 +1,297 @@
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Assets = require('../models/Assets');
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const AdvisorGrant = require('../models/AdvisorGrant');
+const AdvisorNote = require('../models/AdvisorNote');
+const AdvisorAuditLog = require('../models/AdvisorAuditLog');
+
+// Model and API scope resource of each record type a note can be attached to
+const NOTE_TARGETS = {
+  Income: { Model: Income, resource: 'income' },
+  Expense: { Model: Expense, resource: 'expenses' },
+  Assets: { Model: Assets, resource: 'assets' },
+  Liability: { Model: Liability, resource: 'liabilities' },
+  CreditCard: { Model: CreditCard, resource: 'creditCards' },
+};
+
+/**
+ * Find the active grant a client has given to the current advisor
+ * @param {Object} req - Express request object
+ * @param {string} clientId - Client user ID
+ * @returns {Promise<Object|null>} Active grant or null
+ */
+const findActiveGrant = (req, clientId) => AdvisorGrant.findOne({
+  advisor: req.user._id,
+  client: clientId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Record a note change in the advisor audit log
+ * @param {Object} req - Express request object
+ * @param {Object} note - Advisor note document
+ * @param {number} statusCode - Response status
+ */
+const auditNote = (req, note, statusCode) => {
+  AdvisorAuditLog.record({
+    advisor: req.user._id,
+    client: note.client,
+    action: 'note',
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+    ip: req.ip,
+  });
+};
+
+/**
+ * @desc    Get the clients that currently grant you access
+ * @route   GET /api/advisor/clients
+ * @access  Private (advisors)
+ */
+exports.getClients = async (req, res) => {
+  try {
+    const grants = await AdvisorGrant.find({
+      advisor: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('client', 'name email')
+      .sort('expiresAt');
+
+    res.status(200).json({
+      success: true,
+      count: grants.length,
+      data: grants,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get your own advisor audit trail
+ * @route   GET /api/advisor/audit
+ * @access  Private (advisors)
+ */
+exports.getAuditTrail = async (req, res) => {
+  try {
+    const { client, page = 1, limit = 50 } = req.query;
+    const query = { advisor: req.user._id };
+
+    if (client) {
+      query.client = client;
+    }
+
+    const entries = await AdvisorAuditLog.find(query)
+      .populate('client', 'name email')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await AdvisorAuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get your notes, optionally filtered by client and record
+ * @route   GET /api/advisor/notes
+ * @access  Private (advisors)
+ */
+exports.getNotes = async (req, res) => {
+  try {
+    const { client, recordType, recordId } = req.query;
+    const query = { advisor: req.user._id };
+
+    if (client) {
+      query.client = client;
+    }
+    if (recordType) {
+      query.recordType = recordType;
+    }
+    if (recordId) {
+      query.recordId = recordId;
+    }
+
+    const notes = await AdvisorNote.find(query).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Attach a note to one of a client's records
+ * @route   POST /api/advisor/notes
+ * @access  Private (advisors with an active grant that can read the record type)
+ */
+exports.createNote = async (req, res) => {
+  try {
+    const { client, recordType, recordId, body } = req.body;
+
+    const { Model, resource } = NOTE_TARGETS[recordType];
+    const grant = await findActiveGrant(req, client);
+
+    if (!grant || !grant.hasScope(`${resource}:read`)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        code: 'ADVISOR_NO_ACCESS',
+        message: 'No active access to this client\'s records.',
+      });
+    }
+
+    const record = await Model.exists({ _id: recordId, createdBy: client });
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `${recordType} record not found`,
+      });
+    }
+
+    const note = await AdvisorNote.create({
+      advisor: req.user._id,
+      client,
+      recordType,
+      recordId,
+      body,
+    });
+
+    auditNote(req, note, 201);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note created successfully',
+      data: note,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update one of your notes
+ * @route   PUT /api/advisor/notes/:id
+ * @access  Private (advisors)
+ */
+exports.updateNote = async (req, res) => {
+  try {
+    const note = await AdvisorNote.findOneAndUpdate(
+      { _id: req.params.id, advisor: req.user._id },
+      { body: req.body.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Note not found',
+      });
+    }
+
+    auditNote(req, note, 200);
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated successfully',
+      data: note,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete one of your notes
+ * @route   DELETE /api/advisor/notes/:id
+ * @access  Private (advisors)
+ */
+exports.deleteNote = async (req, res) => {
+  try {
+    const note = await AdvisorNote.findOneAndDelete({ _id: req.params.id, advisor: req.user._id });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Note not found',
+      });
+    }
+
+    auditNote(req, note, 200);
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
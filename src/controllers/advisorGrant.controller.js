@@ -0,0 +1,167 @@
+const User = require('../models/User');
+const AdvisorGrant = require('../models/AdvisorGrant');
+const AdvisorAuditLog = require('../models/AdvisorAuditLog');
+
+/**
+ * @desc    Grant an advisor access to your data (requires explicit consent)
+ * @route   POST /api/advisor-grants
+ * @access  Private (session only)
+ */
+exports.createGrant = async (req, res) => {
+  try {
+    const { advisorEmail, scopes, expiresAt } = req.body;
+
+    const advisor = await User.findOne({ email: advisorEmail, role: 'advisor', isActive: true });
+
+    if (!advisor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'No active advisor found with this email',
+      });
+    }
+
+    if (advisor._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'You cannot grant access to yourself',
+      });
+    }
+
+    // A new grant replaces any active grant to the same advisor
+    await AdvisorGrant.updateMany(
+      { client: req.user._id, advisor: advisor._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const grant = await AdvisorGrant.create({
+      client: req.user._id,
+      advisor: advisor._id,
+      scopes,
+      expiresAt,
+      consentedAt: new Date(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Advisor access granted successfully',
+      data: grant,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all advisor grants you have given
+ * @route   GET /api/advisor-grants
+ * @access  Private (session only)
+ */
+exports.getGrants = async (req, res) => {
+  try {
+    const grants = await AdvisorGrant.find({ client: req.user._id })
+      .populate('advisor', 'name email')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: grants.length,
+      data: grants,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke an advisor grant
+ * @route   DELETE /api/advisor-grants/:id
+ * @access  Private (session only)
+ */
+exports.revokeGrant = async (req, res) => {
+  try {
+    const grant = await AdvisorGrant.findOneAndUpdate(
+      { _id: req.params.id, client: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Advisor grant not found or already revoked',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Advisor access revoked successfully',
+      data: grant,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the audit trail of everything advisors viewed or generated on your data
+ * @route   GET /api/advisor-grants/audit
+ * @access  Private (session only)
+ */
+exports.getAuditTrail = async (req, res) => {
+  try {
+    const { advisor, page = 1, limit = 50 } = req.query;
+    const query = { client: req.user._id };
+
+    if (advisor) {
+      query.advisor = advisor;
+    }
+
+    const entries = await AdvisorAuditLog.find(query)
+      .populate('advisor', 'name email')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await AdvisorAuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,111 @@
+const ApiKey = require('../models/ApiKey');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+
+// Prefix identifying keys issued by this API (helps secret scanners and users)
+const KEY_PREFIX = 'fmk_';
+
+/**
+ * @desc    Create a named API key (the key is only returned in this response)
+ * @route   POST /api/api-keys
+ * @access  Private (session only)
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const key = `${KEY_PREFIX}${generateSecureToken(24)}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      scopes,
+      expiresAt,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store it now, it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        keyHash: undefined,
+        key,
+      },
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all API keys of the current user (without the secret)
+ * @route   GET /api/api-keys
+ * @access  Private (session only)
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ createdBy: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (session only)
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, createdBy: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'API key not found or already revoked',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
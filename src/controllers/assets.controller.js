@@ -1,4 +1,25 @@
 const Assets = require('../models/Assets');
+const AssetValuation = require('../models/AssetValuation');
+const valuationService = require('../services/valuationService');
+const webhookService = require('../services/webhookService');
+const { recordScope, ownershipFields, eventRecipients } = require('../utils/scope.util');
+
+/**
+ * Take the valuation details (valuedAt, valuationSource, valuationNotes) out of an asset body
+ * @param {Object} body - Request body
+ * @returns {Object} { valuedAt, source, notes }
+ */
+const extractValuationDetails = (body) => {
+  const details = {
+    valuedAt: body.valuedAt,
+    source: body.valuationSource,
+    notes: body.valuationNotes,
+  };
+  delete body.valuedAt;
+  delete body.valuationSource;
+  delete body.valuationNotes;
+  return details;
+};
 
 /**
  * @desc    Get all assets with filtering, sorting, and pagination
@@ -17,10 +38,8 @@ exports.getAllAssets = async (req, res) => {
       query.assetsType = assetsType;
     }
 
-    // Add user filter if user is authenticated
-    if (req.user) {
-      query.createdBy = req.user._id;
-    }
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
 
     // Execute query with pagination
     const assets = await Assets.find(query)
@@ -56,7 +75,7 @@ exports.getAllAssets = async (req, res) => {
  */
 exports.getAssetsById = async (req, res) => {
   try {
-    const asset = await Assets.findById(req.params.id);
+    const asset = await Assets.findOne({ _id: req.params.id, ...recordScope(req) });
 
     if (!asset) {
       return res.status(404).json({
@@ -86,12 +105,19 @@ exports.getAssetsById = async (req, res) => {
  */
 exports.createAssets = async (req, res) => {
   try {
-    // Add user reference if authenticated
-    if (req.user) {
-      req.body.createdBy = req.user._id;
-    }
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+    // Amounts are in the user's base currency unless another currency is given
+    req.body.currency = req.body.currency || req.user.baseCurrency;
+    const details = extractValuationDetails(req.body);
+
+    // Validate the first valuation before anything is saved
+    const valuation = new AssetValuation({ ...details, value: req.body.currentValue, createdBy: req.user._id });
+    await valuation.validate(['valuedAt', 'source', 'notes']);
 
     const asset = await Assets.create(req.body);
+    await valuationService.recordInitialValuation(asset, details, req.user._id);
+    await webhookService.emit('asset.created', eventRecipients(req), asset);
 
     res.status(201).json({
       success: true,
@@ -124,10 +150,30 @@ exports.createAssets = async (req, res) => {
  */
 exports.updateAssets = async (req, res) => {
   try {
-    const asset = await Assets.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    // A new value is recorded as a valuation instead of overwriting currentValue
+    const details = extractValuationDetails(req.body);
+    const hasValue = req.body.currentValue !== undefined;
+    const valuation = hasValue
+      ? new AssetValuation({ ...details, asset: req.params.id, value: req.body.currentValue, createdBy: req.user._id })
+      : null;
+    delete req.body.currentValue;
+
+    if (valuation) {
+      await valuation.validate();
+    }
+
+    const asset = await Assets.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
 
     if (!asset) {
       return res.status(404).json({
@@ -137,6 +183,13 @@ exports.updateAssets = async (req, res) => {
       });
     }
 
+    // Unchanged values are only recorded when explicitly dated
+    if (valuation && (valuation.value !== asset.currentValue || details.valuedAt)) {
+      await valuationService.recordValuation(asset, valuation);
+    }
+
+    await webhookService.emit('asset.updated', eventRecipients(req), asset);
+
     res.status(200).json({
       success: true,
       message: 'Asset updated successfully',
@@ -168,7 +221,7 @@ exports.updateAssets = async (req, res) => {
  */
 exports.deleteAssets = async (req, res) => {
   try {
-    const asset = await Assets.findByIdAndDelete(req.params.id);
+    const asset = await Assets.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
 
     if (!asset) {
       return res.status(404).json({
@@ -178,6 +231,9 @@ exports.deleteAssets = async (req, res) => {
       });
     }
 
+    await valuationService.deleteForAssets([asset._id]);
+    await webhookService.emit('asset.deleted', eventRecipients(req), asset);
+
     res.status(200).json({
       success: true,
       message: 'Asset deleted successfully',
@@ -199,7 +255,11 @@ exports.deleteAssets = async (req, res) => {
  */
 exports.deleteAllAssets = async (req, res) => {
   try {
-    const result = await Assets.deleteMany({});
+    const assets = await Assets.find(recordScope(req));
+    const assetIds = assets.map(asset => asset._id);
+    const result = await Assets.deleteMany({ _id: { $in: assetIds } });
+    await valuationService.deleteForAssets(assetIds);
+    await webhookService.emit('asset.deleted', eventRecipients(req), assets);
 
     res.status(200).json({
       success: true,
@@ -216,3 +276,147 @@ exports.deleteAllAssets = async (req, res) => {
 };
 
 
+
+/**
+ * @desc    Get the valuation history of an asset with gain/loss and annualized growth
+ * @route   GET /api/assets/:id/valuations
+ * @access  Private
+ */
+exports.getAssetValuations = async (req, res) => {
+  try {
+    const asset = await Assets.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Asset not found',
+      });
+    }
+
+    const valuations = await valuationService.getValuations(asset);
+
+    res.status(200).json({
+      success: true,
+      count: valuations.length,
+      performance: valuationService.getPerformance(asset, valuations),
+      data: valuations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Record a valuation of an asset (may be back-dated)
+ * @route   POST /api/assets/:id/valuations
+ * @access  Private
+ */
+exports.createAssetValuation = async (req, res) => {
+  try {
+    const asset = await Assets.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Asset not found',
+      });
+    }
+
+    const { value, valuedAt, source, notes } = req.body;
+    const valuation = await valuationService.recordValuation(
+      asset,
+      { value, valuedAt, source, notes },
+      req.user._id
+    );
+
+    // The valuation may have changed the current value
+    await webhookService.emit('asset.updated', eventRecipients(req), asset);
+
+    res.status(201).json({
+      success: true,
+      message: 'Valuation recorded successfully',
+      data: {
+        valuation,
+        currentValue: asset.currentValue,
+      },
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a valuation of an asset (the current value follows the latest remaining one)
+ * @route   DELETE /api/assets/:id/valuations/:valuationId
+ * @access  Private
+ */
+exports.deleteAssetValuation = async (req, res) => {
+  try {
+    const asset = await Assets.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Asset not found',
+      });
+    }
+
+    const valuation = await AssetValuation.findOne({ _id: req.params.valuationId, asset: asset._id });
+
+    if (!valuation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Valuation not found',
+      });
+    }
+
+    if ((await AssetValuation.countDocuments({ asset: asset._id })) === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'An asset must keep at least one valuation',
+      });
+    }
+
+    await valuation.deleteOne();
+    await valuationService.syncCurrentValue(asset);
+
+    await webhookService.emit('asset.updated', eventRecipients(req), asset);
+
+    res.status(200).json({
+      success: true,
+      message: 'Valuation deleted successfully',
+      data: {
+        currentValue: asset.currentValue,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,259 @@
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+
+/**
+ * Shape the public part of a user for auth responses
+ * @param {Object} user - User document
+ * @returns {Object} User fields safe to send to the client
+ */
+const toAuthUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  baseCurrency: user.baseCurrency,
+});
+
+/**
+ * Request details stored alongside a refresh token
+ * @param {Object} req - Express request object
+ * @returns {Object} Client IP and user agent
+ */
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+/**
+ * Shape an issued token pair for auth responses
+ * @param {Object} tokens - Result of tokenService.issueTokens
+ * @returns {Object} Access token, refresh token and refresh expiry
+ */
+const toAuthTokens = (tokens) => ({
+  token: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+});
+
+/**
+ * @desc    Register a new user
+ * @route   POST /api/auth/register
+ * @access  Public
+ */
+exports.register = async (req, res) => {
+  try {
+    const { name, email, password, role, baseCurrency } = req.body;
+
+    // Check if user already exists
+    const userExists = await User.findOne({ email });
+
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'User already exists with this email',
+      });
+    }
+
+    // Password is hashed by the model's pre-save hook
+    // Only "user" and "advisor" can be self-selected (enforced by registerValidation)
+    const user = await User.create({ name, email, password, role, baseCurrency });
+
+    const tokens = await tokenService.issueTokens(user, requestContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: toAuthUser(user),
+        ...toAuthTokens(tokens),
+      },
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Log in with email and password
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Password is excluded by default, so select it explicitly
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Invalid credentials',
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Your account has been deactivated',
+      });
+    }
+
+    const tokens = await tokenService.issueTokens(user, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: toAuthUser(user),
+        ...toAuthTokens(tokens),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires a valid refresh token)
+ */
+exports.refresh = async (req, res) => {
+  try {
+    const result = await tokenService.rotateRefreshToken(req.body.refreshToken, requestContext(req));
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        code: result.code,
+        message: result.message,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user: toAuthUser(result.user),
+        ...toAuthTokens(result.tokens),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Log out by revoking the refresh token and its whole family
+ * @route   POST /api/auth/logout
+ * @access  Public (requires the refresh token to revoke)
+ */
+exports.logout = async (req, res) => {
+  try {
+    await tokenService.revokeByToken(req.body.refreshToken);
+
+    // Always succeed so the endpoint cannot be used to probe tokens
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the currently authenticated user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+exports.getMe = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update the profile of the currently authenticated user
+ * @route   PUT /api/auth/me
+ * @access  Private
+ */
+exports.updateMe = async (req, res) => {
+  try {
+    // Only profile fields; email, password and role have their own flows
+    const updates = {};
+    ['name', 'baseCurrency'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: user,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
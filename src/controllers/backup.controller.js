@@ -0,0 +1,126 @@
+const backupService = require('../services/backupService');
+const { RESTORE_MODES } = require('../services/backupService');
+const { parseMultipart, getBoundary } = require('../utils/multipart.util');
+
+/**
+ * Read the archive and options of a restore request
+ *
+ * Accepts the backup file as the raw body (gzip or JSON), a
+ * multipart/form-data upload (a "file" part plus an optional "mode" field) or
+ * a parsed JSON body. The mode query parameter takes precedence.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} - { archive, mode } or { error }
+ */
+const readRestore = (req) => {
+  let file = req.body;
+  let options = {};
+
+  if (Buffer.isBuffer(req.body) && getBoundary(req.headers['content-type'])) {
+    try {
+      const form = parseMultipart(req.body, req.headers['content-type']);
+      const part = form.files.find(upload => upload.name === 'file') || form.files[0];
+      file = part && part.content;
+      options = form.fields;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  const mode = req.query.mode ?? options.mode ?? 'merge';
+  if (!RESTORE_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${RESTORE_MODES.join(', ')}` };
+  }
+
+  if (file && typeof file === 'object' && !Buffer.isBuffer(file)) {
+    return { archive: file, mode };
+  }
+  if (!file || file.length === 0) {
+    return { error: 'Send the backup file as the request body or as a multipart/form-data upload with a "file" part' };
+  }
+
+  try {
+    return { archive: backupService.decodeArchive(file), mode };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * @desc    Download a backup archive of every record the user created
+ * @route   GET /api/backup
+ * @access  Private (session only)
+ */
+exports.getBackup = async (req, res) => {
+  try {
+    const archive = await backupService.createBackup(req.user);
+    const file = backupService.encodeArchive(archive);
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="financial-backup-${archive.createdAt.slice(0, 10)}.json.gz"`,
+      'Cache-Control': 'no-store',
+    });
+    res.end(file);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Restore a backup archive into the user's account (?mode=merge|replace)
+ * @route   POST /api/restore
+ * @access  Private (session only)
+ */
+exports.restoreBackup = async (req, res) => {
+  try {
+    const upload = readRestore(req);
+    if (upload.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: upload.error,
+      });
+    }
+
+    const result = await backupService.restore(upload.archive, { user: req.user, mode: upload.mode });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: result.errors.join(', '),
+      });
+    }
+
+    const restored = Object.values(result.collections).reduce((sum, counts) => sum + counts.restored, 0);
+
+    res.status(200).json({
+      success: true,
+      message: `${restored} records restored successfully`,
+      mode: upload.mode,
+      data: result.collections,
+    });
+  } catch (error) {
+    // Validation error (records are validated before insert, so this is unexpected)
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,273 @@
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const budgetService = require('../services/budgetService');
+const currencyService = require('../services/currencyService');
+const { recordScope, ownershipFields } = require('../utils/scope.util');
+
+/**
+ * @desc    Get all budgets with filtering, sorting, and pagination
+ * @route   GET /api/budgets
+ * @access  Private
+ */
+exports.getAllBudgets = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, category, period, isActive, sort = 'category' } = req.query;
+
+    // Build query
+    const query = {};
+
+    // Filter by category, period or active flag if provided
+    if (category) {
+      query.category = category;
+    }
+    if (period) {
+      query.period = period;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
+
+    // Execute query with pagination
+    const budgets = await Budget.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    // Get total count for pagination
+    const count = await Budget.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: budgets.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: budgets,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get single budget by ID
+ * @route   GET /api/budgets/:id
+ * @access  Private
+ */
+exports.getBudgetById = async (req, res) => {
+  try {
+    const budget = await Budget.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Budget not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: budget,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create new budget
+ * @route   POST /api/budgets
+ * @access  Private
+ */
+exports.createBudget = async (req, res) => {
+  try {
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+
+    const budget = await Budget.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: budget,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update budget
+ * @route   PUT /api/budgets/:id
+ * @access  Private
+ */
+exports.updateBudget = async (req, res) => {
+  try {
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    const budget = await Budget.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Budget not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: budget,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete budget
+ * @route   DELETE /api/budgets/:id
+ * @access  Private
+ */
+exports.deleteBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Budget not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete all budgets
+ * @route   DELETE /api/budgets
+ * @access  Private
+ */
+exports.deleteAllBudgets = async (req, res) => {
+  try {
+    const result = await Budget.deleteMany(recordScope(req));
+
+    res.status(200).json({
+      success: true,
+      message: `${result.deletedCount} budgets deleted successfully`,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get spending status of a budget for the current period
+ * @route   GET /api/budgets/:id/status
+ * @access  Private
+ */
+exports.getBudgetStatus = async (req, res) => {
+  try {
+    const budget = await Budget.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Budget not found',
+      });
+    }
+
+    // Household budgets track the whole household's spending
+    const expenseScope = budget.household ? { household: budget.household } : { createdBy: budget.createdBy };
+    const [expenses, converter] = await Promise.all([
+      Expense.find({ ...expenseScope, category: budget.category }).lean(),
+      currencyService.getConverter(req.user._id),
+    ]);
+
+    // Budgets are in the base currency; expenses without an exchange rate are left out
+    const converted = currencyService.convertFinancialData({ expenses }, converter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...budgetService.getStatus(budget, converted.expenses),
+        currencyConversion: converted.currencyConversion,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
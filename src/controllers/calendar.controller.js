@@ -0,0 +1,162 @@
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const User = require('../models/User');
+const calendarService = require('../services/calendarService');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const { recordScope } = require('../utils/scope.util');
+
+// Days listed by GET /api/calendar when no end date is given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest range GET /api/calendar accepts
+const MAX_RANGE_DAYS = 366;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    List bill payments (liabilities and credit cards) between two dates
+ * @route   GET /api/calendar?from=&to=
+ * @access  Private
+ */
+exports.getCalendar = async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + DEFAULT_RANGE_DAYS * MS_PER_DAY);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    if (to < from || to - from > MAX_RANGE_DAYS * MS_PER_DAY) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `to must be on or after from and at most ${MAX_RANGE_DAYS} days later`,
+      });
+    }
+
+    const scope = recordScope(req);
+    const [liabilities, creditCards] = await Promise.all([
+      Liability.find(scope).lean(),
+      CreditCard.find(scope).lean(),
+    ]);
+
+    const payments = calendarService.getPayments(
+      calendarService.collectBills(liabilities, creditCards),
+      { from, to, now }
+    );
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      summary: calendarService.summarize(payments),
+      data: payments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create (or rotate) the secret iCalendar feed URL of the current user (returned once)
+ * @route   POST /api/calendar/feed
+ * @access  Private (session only)
+ */
+exports.createCalendarFeed = async (req, res) => {
+  try {
+    const token = generateSecureToken(24);
+
+    // Replaces any previous token, so an old URL stops working
+    await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: hashToken(token) });
+
+    const url = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created successfully. Store the URL now, it will not be shown again.',
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Disable the iCalendar feed of the current user
+ * @route   DELETE /api/calendar/feed
+ * @access  Private (session only)
+ */
+exports.deleteCalendarFeed = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: null });
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    iCalendar feed of the user's card and loan due dates (built from the current records on every request)
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (secret token in the URL)
+ */
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedTokenHash: hashToken(req.params.token),
+      isActive: true,
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Calendar feed not found',
+      });
+    }
+
+    // The feed covers the user's own records, like the personal scope
+    const [liabilities, creditCards] = await Promise.all([
+      Liability.find({ createdBy: user._id }).lean(),
+      CreditCard.find({ createdBy: user._id }).lean(),
+    ]);
+
+    const payments = calendarService.getFeedPayments(liabilities, creditCards);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.status(200).send(calendarService.buildIcs(payments, { name: `${user.name} - Bills` }));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
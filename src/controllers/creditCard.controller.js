@@ -1,4 +1,9 @@
 const CreditCard = require('../models/CreditCard');
+const CreditCardStatement = require('../models/CreditCardStatement');
+const CreditCardPayment = require('../models/CreditCardPayment');
+const creditCardService = require('../services/creditCardService');
+const webhookService = require('../services/webhookService');
+const { recordScope, ownershipFields, eventRecipients } = require('../utils/scope.util');
 
 /**
  * @desc    Get all credit cards with filtering, sorting, and pagination
@@ -17,10 +22,8 @@ exports.getAllCreditCards = async (req, res) => {
       query.bankName = new RegExp(bankName, 'i'); // Case-insensitive search
     }
 
-    // Add user filter if user is authenticated
-    if (req.user) {
-      query.createdBy = req.user._id;
-    }
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
 
     // Execute query with pagination
     const creditCards = await CreditCard.find(query)
@@ -56,7 +59,7 @@ exports.getAllCreditCards = async (req, res) => {
  */
 exports.getCreditCardById = async (req, res) => {
   try {
-    const creditCard = await CreditCard.findById(req.params.id);
+    const creditCard = await CreditCard.findOne({ _id: req.params.id, ...recordScope(req) });
 
     if (!creditCard) {
       return res.status(404).json({
@@ -86,12 +89,13 @@ exports.getCreditCardById = async (req, res) => {
  */
 exports.createCreditCard = async (req, res) => {
   try {
-    // Add user reference if authenticated
-    if (req.user) {
-      req.body.createdBy = req.user._id;
-    }
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+    // Amounts are in the user's base currency unless another currency is given
+    req.body.currency = req.body.currency || req.user.baseCurrency;
 
     const creditCard = await CreditCard.create(req.body);
+    await webhookService.emit('creditCard.created', eventRecipients(req), creditCard);
 
     res.status(201).json({
       success: true,
@@ -124,10 +128,18 @@ exports.createCreditCard = async (req, res) => {
  */
 exports.updateCreditCard = async (req, res) => {
   try {
-    const creditCard = await CreditCard.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    const creditCard = await CreditCard.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
 
     if (!creditCard) {
       return res.status(404).json({
@@ -137,6 +149,8 @@ exports.updateCreditCard = async (req, res) => {
       });
     }
 
+    await webhookService.emit('creditCard.updated', eventRecipients(req), creditCard);
+
     res.status(200).json({
       success: true,
       message: 'Credit card updated successfully',
@@ -168,7 +182,7 @@ exports.updateCreditCard = async (req, res) => {
  */
 exports.deleteCreditCard = async (req, res) => {
   try {
-    const creditCard = await CreditCard.findByIdAndDelete(req.params.id);
+    const creditCard = await CreditCard.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
 
     if (!creditCard) {
       return res.status(404).json({
@@ -178,6 +192,9 @@ exports.deleteCreditCard = async (req, res) => {
       });
     }
 
+    await creditCardService.deleteForCards([creditCard._id]);
+    await webhookService.emit('creditCard.deleted', eventRecipients(req), creditCard);
+
     res.status(200).json({
       success: true,
       message: 'Credit card deleted successfully',
@@ -199,7 +216,11 @@ exports.deleteCreditCard = async (req, res) => {
  */
 exports.deleteAllCreditCards = async (req, res) => {
   try {
-    const result = await CreditCard.deleteMany({});
+    const creditCards = await CreditCard.find(recordScope(req));
+    const cardIds = creditCards.map(card => card._id);
+    const result = await CreditCard.deleteMany({ _id: { $in: cardIds } });
+    await creditCardService.deleteForCards(cardIds);
+    await webhookService.emit('creditCard.deleted', eventRecipients(req), creditCards);
 
     res.status(200).json({
       success: true,
@@ -215,4 +236,254 @@ exports.deleteAllCreditCards = async (req, res) => {
   }
 };
 
+/**
+ * Find a credit card in the request scope or send 404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Credit card, or null when a response was sent
+ */
+const findScopedCard = async (req, res) => {
+  const creditCard = await CreditCard.findOne({ _id: req.params.id, ...recordScope(req) });
+
+  if (!creditCard) {
+    res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'Credit card not found',
+    });
+    return null;
+  }
+  return creditCard;
+};
+
+/**
+ * @desc    Get the statements of a credit card with their payment status
+ * @route   GET /api/credit-cards/:id/statements
+ * @access  Private
+ */
+exports.getCreditCardStatements = async (req, res) => {
+  try {
+    const creditCard = await findScopedCard(req, res);
+    if (!creditCard) return;
+
+    const [statements, payments] = await Promise.all([
+      CreditCardStatement.find({ card: creditCard._id }).sort('-statementDate').lean(),
+      CreditCardPayment.find({ card: creditCard._id }).lean(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: statements.length,
+      paymentHistory: creditCardService.getPaymentHistory(creditCard, statements, payments),
+      data: statements.map(statement => ({ ...statement, ...creditCardService.getStatementStatus(statement, payments) })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Close a statement (defaults: today, the current balance, the calculated minimum
+ *          and the grace period); the card's due date rolls forward to the statement's
+ * @route   POST /api/credit-cards/:id/statements
+ * @access  Private
+ */
+exports.createCreditCardStatement = async (req, res) => {
+  try {
+    const creditCard = await findScopedCard(req, res);
+    if (!creditCard) return;
+
+    const { statementDate, statementBalance, minimumPayment, dueDate } = req.body;
+    const statement = await creditCardService.closeStatement(
+      creditCard,
+      { statementDate, statementBalance, minimumPayment, dueDate },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Statement recorded successfully',
+      data: {
+        statement,
+        dueDate: creditCard.dueDate,
+      },
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a statement of a credit card
+ * @route   DELETE /api/credit-cards/:id/statements/:statementId
+ * @access  Private
+ */
+exports.deleteCreditCardStatement = async (req, res) => {
+  try {
+    const creditCard = await findScopedCard(req, res);
+    if (!creditCard) return;
+
+    const statement = await CreditCardStatement.findOneAndDelete({ _id: req.params.statementId, card: creditCard._id });
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Statement not found',
+      });
+    }
 
+    res.status(200).json({
+      success: true,
+      message: 'Statement deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the payments made to a credit card, newest first
+ * @route   GET /api/credit-cards/:id/payments
+ * @access  Private
+ */
+exports.getCreditCardPayments = async (req, res) => {
+  try {
+    const creditCard = await findScopedCard(req, res);
+    if (!creditCard) return;
+
+    const { page = 1, limit = 10 } = req.query;
+    const query = { card: creditCard._id };
+
+    const payments = await CreditCardPayment.find(query)
+      .sort('-paidAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await CreditCardPayment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: payments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Record a payment to a credit card (lowers the outstanding balance)
+ * @route   POST /api/credit-cards/:id/payments
+ * @access  Private
+ */
+exports.createCreditCardPayment = async (req, res) => {
+  try {
+    const creditCard = await findScopedCard(req, res);
+    if (!creditCard) return;
+
+    const { amount, paidAt, notes } = req.body;
+    const payment = await creditCardService.recordPayment(
+      creditCard,
+      new CreditCardPayment({ card: creditCard._id, amount, paidAt, notes, createdBy: req.user._id })
+    );
+
+    // The payment lowered the outstanding balance
+    await webhookService.emit('creditCard.updated', eventRecipients(req), creditCard);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment,
+        outstandingBalance: creditCard.outstandingBalance,
+      },
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a payment (its amount is added back to the outstanding balance)
+ * @route   DELETE /api/credit-cards/:id/payments/:paymentId
+ * @access  Private
+ */
+exports.deleteCreditCardPayment = async (req, res) => {
+  try {
+    const creditCard = await findScopedCard(req, res);
+    if (!creditCard) return;
+
+    const payment = await CreditCardPayment.findOne({ _id: req.params.paymentId, card: creditCard._id });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Payment not found',
+      });
+    }
+
+    await creditCardService.deletePayment(creditCard, payment);
+    await webhookService.emit('creditCard.updated', eventRecipients(req), creditCard);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment deleted successfully',
+      data: {
+        outstandingBalance: creditCard.outstandingBalance,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,137 @@
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const debtPayoffService = require('../services/debtPayoffService');
+const refinanceService = require('../services/refinanceService');
+const currencyService = require('../services/currencyService');
+const { readScope } = require('../utils/scope.util');
+
+/**
+ * @desc    Build a month-by-month payoff plan for all liabilities and credit cards
+ * @route   POST /api/debt/payoff-plan
+ * @access  Private
+ */
+exports.createPayoffPlan = async (req, res) => {
+  try {
+    const { strategy = 'avalanche', order = [] } = req.body;
+    const monthlyBudget = Number(req.body.monthlyBudget);
+
+    // A calculation: same records as a GET, including the user's household-shared debts
+    const [liabilities, creditCards, converter] = await Promise.all([
+      Liability.find(readScope(req)).lean(),
+      CreditCard.find(readScope(req)).lean(),
+      currencyService.getConverter(req.user._id),
+    ]);
+
+    // The plan is in the user's base currency; debts without an exchange rate are left out
+    const converted = currencyService.convertFinancialData({ liabilities, creditCards }, converter);
+    const debts = debtPayoffService.collectDebts(converted.liabilities, converted.creditCards);
+
+    if (debts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'No liabilities or credit cards with an outstanding balance',
+      });
+    }
+
+    const requestError = debtPayoffService.validatePlanRequest(debts, { monthlyBudget, strategy, order });
+    if (requestError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: requestError,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...debtPayoffService.createPlan(debts, { monthlyBudget, strategy, order, currency: converter.baseCurrency }),
+        currencyConversion: converted.currencyConversion,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Compare keeping a credit card or liability with a balance transfer or refinance offer
+ * @route   POST /api/debt/refinance-analysis
+ * @access  Private
+ */
+exports.analyzeRefinance = async (req, res) => {
+  try {
+    const { debtType, debtId } = req.body;
+
+    if (!['creditCard', 'liability'].includes(debtType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'debtType must be one of: creditCard, liability',
+      });
+    }
+
+    const { offer, error: offerError } = refinanceService.parseOffer(req.body.offer);
+    if (offerError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: offerError,
+      });
+    }
+
+    const Model = debtType === 'creditCard' ? CreditCard : Liability;
+    // Any debt the caller can see, including their household-shared debts
+    const record = await Model.findOne({ _id: debtId, ...readScope(req) }).lean();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: debtType === 'creditCard' ? 'Credit card not found' : 'Liability not found',
+      });
+    }
+
+    const debt = refinanceService.describeDebt(record, debtType);
+    if (!(debt.balance > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'The debt has no outstanding balance',
+      });
+    }
+
+    // The current payment defaults to the card minimum or the loan payment
+    const monthlyPayment = req.body.monthlyPayment !== undefined ? Number(req.body.monthlyPayment) : debt.monthlyPayment;
+    if (monthlyPayment === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'monthlyPayment is required for liabilities without scheduledPayment or termMonths',
+      });
+    }
+    if (!Number.isFinite(monthlyPayment) || monthlyPayment <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'monthlyPayment must be a positive number',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: refinanceService.analyze(debt, offer, monthlyPayment),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,213 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const currencyService = require('../services/currencyService');
+
+/**
+ * @desc    Get all exchange rates of the user with filtering and pagination
+ * @route   GET /api/exchange-rates
+ * @access  Private
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, from, to, sort = '-effectiveDate' } = req.query;
+
+    // Exchange rates are personal, even inside a household
+    const query = { createdBy: req.user._id };
+
+    if (from) {
+      query.from = String(from).toUpperCase();
+    }
+    if (to) {
+      query.to = String(to).toUpperCase();
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await ExchangeRate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      baseCurrency: req.user.baseCurrency,
+      data: rates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create an exchange rate
+ * @route   POST /api/exchange-rates
+ * @access  Private
+ */
+exports.createExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.create({
+      from: req.body.from,
+      to: req.body.to,
+      rate: req.body.rate,
+      effectiveDate: req.body.effectiveDate,
+      source: 'manual',
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: rate,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Import exchange rates from CSV (from,to,rate[,effectiveDate]) or a JSON list
+ * @route   POST /api/exchange-rates/import
+ * @access  Private
+ */
+exports.importExchangeRates = async (req, res) => {
+  try {
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = currencyService.parseRatesCsv(req.body);
+    } else if (typeof req.body?.csv === 'string') {
+      rows = currencyService.parseRatesCsv(req.body.csv);
+    } else if (Array.isArray(req.body?.rates)) {
+      rows = req.body.rates;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Send a text/csv body, or JSON with a csv string or a rates array',
+      });
+    }
+
+    // Nothing is imported when any row is invalid
+    const result = await currencyService.importRates(req.user._id, rows);
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: result.errors.join(', '),
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${result.rates.length} exchange rates imported successfully`,
+      count: result.rates.length,
+      data: result.rates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update an exchange rate
+ * @route   PUT /api/exchange-rates/:id
+ * @access  Private
+ */
+exports.updateExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOne({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Exchange rate not found',
+      });
+    }
+
+    ['from', 'to', 'rate', 'effectiveDate'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        rate[field] = req.body[field];
+      }
+    });
+    await rate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: rate,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete an exchange rate
+ * @route   DELETE /api/exchange-rates/:id
+ * @access  Private
+ */
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Exchange rate not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,302 @@
+const Expense = require('../models/Expense');
+const CreditCard = require('../models/CreditCard');
+const { recordScope, ownershipFields } = require('../utils/scope.util');
+
+/**
+ * Keep the payment method and linked credit card of an expense consistent
+ *
+ * Linking a card implies a credit-card payment; any other payment method unlinks
+ * the card. The card must be accessible in the request's scope.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Error message, or null when the body is valid
+ */
+const resolveCreditCard = async (req) => {
+  const { creditCard, paymentMethod } = req.body;
+
+  if (paymentMethod && paymentMethod !== 'credit-card') {
+    req.body.creditCard = null;
+    return null;
+  }
+
+  if (!creditCard) {
+    return null;
+  }
+
+  const cardScope = req.household ? { household: req.household._id } : { createdBy: req.user._id };
+  const card = await CreditCard.exists({ _id: creditCard, ...cardScope });
+
+  if (!card) {
+    return 'Credit card not found';
+  }
+
+  req.body.paymentMethod = 'credit-card';
+  return null;
+};
+
+/**
+ * @desc    Get all expenses with filtering, sorting, and pagination
+ * @route   GET /api/expenses
+ * @access  Private
+ */
+exports.getAllExpenses = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      category,
+      frequency,
+      paymentMethod,
+      creditCard,
+      from,
+      to,
+      sort = '-date',
+    } = req.query;
+
+    // Build query
+    const query = {};
+
+    // Filter by category, frequency, payment method or card if provided
+    if (category) {
+      query.category = category;
+    }
+    if (frequency) {
+      query.frequency = frequency;
+    }
+    if (paymentMethod) {
+      query.paymentMethod = paymentMethod;
+    }
+    if (creditCard) {
+      query.creditCard = creditCard;
+    }
+
+    // Filter by date range if provided
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
+
+    // Execute query with pagination
+    const expenses = await Expense.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    // Get total count for pagination
+    const count = await Expense.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: expenses,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get single expense by ID
+ * @route   GET /api/expenses/:id
+ * @access  Private
+ */
+exports.getExpenseById = async (req, res) => {
+  try {
+    const expense = await Expense.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Expense not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: expense,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create new expense
+ * @route   POST /api/expenses
+ * @access  Private
+ */
+exports.createExpense = async (req, res) => {
+  try {
+    const cardError = await resolveCreditCard(req);
+    if (cardError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: cardError,
+      });
+    }
+
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+    // Amounts are in the user's base currency unless another currency is given
+    req.body.currency = req.body.currency || req.user.baseCurrency;
+
+    const expense = await Expense.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense created successfully',
+      data: expense,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update expense
+ * @route   PUT /api/expenses/:id
+ * @access  Private
+ */
+exports.updateExpense = async (req, res) => {
+  try {
+    const cardError = await resolveCreditCard(req);
+    if (cardError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: cardError,
+      });
+    }
+
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Expense not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense updated successfully',
+      data: expense,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete expense
+ * @route   DELETE /api/expenses/:id
+ * @access  Private
+ */
+exports.deleteExpense = async (req, res) => {
+  try {
+    const expense = await Expense.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Expense not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete all expenses
+ * @route   DELETE /api/expenses
+ * @access  Private
+ */
+exports.deleteAllExpenses = async (req, res) => {
+  try {
+    const result = await Expense.deleteMany(recordScope(req));
+
+    res.status(200).json({
+      success: true,
+      message: `${result.deletedCount} expenses deleted successfully`,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+
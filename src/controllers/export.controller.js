@@ -0,0 +1,216 @@
+const exportService = require('../services/exportService');
+const { SUMMARY } = require('../services/exportService');
+const { formatCsvRow } = require('../utils/csv.util');
+const { createXlsx } = require('../utils/xlsx.util');
+const { createZip } = require('../utils/zip.util');
+const { recordScope, financialScope } = require('../utils/scope.util');
+
+// Download formats
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  zip: 'application/zip',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @param {boolean} [endOfDay=false] - Move plain dates (YYYY-MM-DD) to the end of that day
+ * @returns {Date|null|undefined} Date, undefined when absent, null when invalid
+ */
+const parseDate = (value, endOfDay = false) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Write a chunk to the response, waiting for the client when its buffer is full
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Data
+ * @returns {Promise<void>}
+ */
+const write = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => res.once('drain', resolve));
+};
+
+/**
+ * Start an attachment download
+ * @param {Object} res - Express response object
+ * @param {string} extension - File extension (a key of EXPORT_FORMATS)
+ * @param {Date} exportedAt - Export time (used in the file name)
+ */
+const startDownload = (res, extension, exportedAt) => {
+  const filename = `financial-export-${exportedAt.toISOString().slice(0, 10)}.${extension}`;
+  res.status(200);
+  res.set({
+    'Content-Type': EXPORT_FORMATS[extension],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  });
+};
+
+/**
+ * Table of a resource (all its records) for CSV/XLSX
+ * @param {string} name - Resource name
+ * @param {Object} req - Express request object
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>} - { columns, rows }
+ */
+const readTable = async (name, req, range) => {
+  if (name === SUMMARY) {
+    return exportService.getSummaryTable(await exportService.getSummary(financialScope(req), range));
+  }
+
+  const columns = exportService.getColumns(name);
+  const rows = [];
+  for await (const doc of exportService.getCursor(name, recordScope(req), range)) {
+    rows.push(exportService.toRow(name, doc.toJSON(), columns));
+  }
+  return { columns, rows };
+};
+
+/**
+ * Stream a JSON export: { success, exportedAt, from, to, data: { <resource>: [...], summary: {...} } }
+ * @param {Object} res - Express response object
+ * @param {Object} req - Express request object
+ * @param {Object} options - { resources, range, exportedAt }
+ */
+const streamJson = async (res, req, { resources, range, exportedAt }) => {
+  startDownload(res, 'json', exportedAt);
+  const header = JSON.stringify({ success: true, exportedAt, from: range.from || null, to: range.to || null });
+  await write(res, `${header.slice(0, -1)},"data":{`);
+
+  for (const [index, name] of resources.entries()) {
+    await write(res, `${index > 0 ? ',' : ''}${JSON.stringify(name)}:`);
+
+    if (name === SUMMARY) {
+      await write(res, JSON.stringify(await exportService.getSummary(financialScope(req), range)));
+      continue;
+    }
+
+    let count = 0;
+    await write(res, '[');
+    for await (const doc of exportService.getCursor(name, recordScope(req), range)) {
+      await write(res, `${count > 0 ? ',' : ''}${JSON.stringify(doc)}`);
+      count++;
+    }
+    await write(res, ']');
+  }
+
+  res.end('}}');
+};
+
+/**
+ * Stream the records of one resource as a CSV file
+ * @param {Object} res - Express response object
+ * @param {Object} req - Express request object
+ * @param {Object} options - { name, range, exportedAt }
+ */
+const streamCsv = async (res, req, { name, range, exportedAt }) => {
+  if (name === SUMMARY) {
+    const { columns, rows } = await readTable(name, req, range);
+    startDownload(res, 'csv', exportedAt);
+    return res.end([columns, ...rows].map(formatCsvRow).join(''));
+  }
+
+  const columns = exportService.getColumns(name);
+  const cursor = exportService.getCursor(name, recordScope(req), range);
+  startDownload(res, 'csv', exportedAt);
+  await write(res, formatCsvRow(columns));
+  for await (const doc of cursor) {
+    await write(res, formatCsvRow(exportService.toRow(name, doc.toJSON(), columns)));
+  }
+  res.end();
+};
+
+/**
+ * @desc    Export records and the financial summary as CSV (a ZIP of CSV files for several resources), XLSX or JSON
+ * @route   GET /api/export?resources=&format=csv|xlsx|json&from=&to=
+ * @access  Private
+ */
+exports.exportData = async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to, true);
+    const { resources } = req.exportResources;
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'from must be before to',
+      });
+    }
+
+    if (!['csv', 'xlsx', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'format must be one of: csv, xlsx, json',
+      });
+    }
+
+    const range = { from, to };
+    const exportedAt = new Date();
+
+    if (format === 'json') {
+      return await streamJson(res, req, { resources, range, exportedAt });
+    }
+
+    if (format === 'csv' && resources.length === 1) {
+      return await streamCsv(res, req, { name: resources[0], range, exportedAt });
+    }
+
+    // XLSX workbooks and ZIP archives are built in memory (one sheet or CSV file per resource)
+    const tables = [];
+    for (const name of resources) {
+      tables.push({ name, ...(await readTable(name, req, range)) });
+    }
+
+    if (format === 'xlsx') {
+      const file = createXlsx(tables);
+      startDownload(res, 'xlsx', exportedAt);
+      return res.end(file);
+    }
+
+    const file = createZip(tables.map(table => ({
+      name: `${table.name}.csv`,
+      content: [table.columns, ...table.rows].map(formatCsvRow).join(''),
+    })), exportedAt);
+    startDownload(res, 'zip', exportedAt);
+    res.end(file);
+  } catch (error) {
+    // Streaming already started: cut the download short so it is not mistaken for a complete file
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,57 @@
+const dataAggregationService = require('../services/dataAggregationService');
+const forecastService = require('../services/forecastService');
+const { MAX_FORECAST_MONTHS } = require('../services/forecastService');
+const { financialScope } = require('../utils/scope.util');
+
+/**
+ * @desc    Forecast monthly cash flow and the running balance of liquid assets
+ * @route   GET /api/forecast/cashflow?months=12&startingBalance=
+ * @access  Private
+ */
+exports.getCashFlowForecast = async (req, res) => {
+  try {
+    const months = req.query.months !== undefined ? Number(req.query.months) : 12;
+    const startingBalance = req.query.startingBalance !== undefined ? Number(req.query.startingBalance) : undefined;
+
+    if (!Number.isInteger(months) || months < 1 || months > MAX_FORECAST_MONTHS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `months must be a whole number between 1 and ${MAX_FORECAST_MONTHS}`,
+      });
+    }
+
+    if (startingBalance !== undefined && !Number.isFinite(startingBalance)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'startingBalance must be a number',
+      });
+    }
+
+    // Records come converted to the user's base currency
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
+    if (!dataResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: dataResult.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: dataResult.data.baseCurrency,
+        ...forecastService.buildForecast(dataResult.data, { months, startingBalance }),
+        currencyConversion: dataResult.data.currencyConversion,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
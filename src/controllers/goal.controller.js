@@ -0,0 +1,359 @@
+const Goal = require('../models/Goal');
+const Assets = require('../models/Assets');
+const goalService = require('../services/goalService');
+const currencyService = require('../services/currencyService');
+const { recordScope, ownershipFields } = require('../utils/scope.util');
+
+/**
+ * Check that the assets linked to a goal are accessible in the request's scope
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Error message, or null when the body is valid
+ */
+const validateLinkedAssets = async (req) => {
+  const { linkedAssets } = req.body;
+
+  if (linkedAssets === undefined) {
+    return null;
+  }
+  if (!Array.isArray(linkedAssets)) {
+    return 'Linked assets must be an array of asset IDs';
+  }
+
+  const ids = [...new Set(linkedAssets.map(String))];
+  const assetScope = req.household ? { household: req.household._id } : { createdBy: req.user._id };
+  const count = await Assets.countDocuments({ _id: { $in: ids }, ...assetScope });
+
+  if (count !== ids.length) {
+    return 'One or more linked assets were not found';
+  }
+
+  req.body.linkedAssets = ids;
+  return null;
+};
+
+/**
+ * Load the assets that can count toward goals in the same scope as the goals,
+ * converted to the base currency of the goal targets
+ * @param {Object} goal - Goal record (household goals use the household's assets)
+ * @param {Object} converter - Converter from currencyService.getConverter()
+ * @returns {Promise<Object>} { assets, currencyConversion } (assets without an exchange rate are left out)
+ */
+const findGoalAssets = async (goal, converter) => {
+  const assetScope = goal.household ? { household: goal.household } : { createdBy: goal.createdBy };
+  const assets = await Assets.find({ _id: { $in: goal.linkedAssets }, ...assetScope }).lean();
+  return currencyService.convertFinancialData({ assets }, converter);
+};
+
+/**
+ * Progress of a goal in the base currency
+ * @param {Object} goal - Goal record
+ * @param {Object} converter - Converter from currencyService.getConverter()
+ * @returns {Promise<Object>} Progress from goalService.getProgress() with its currencyConversion
+ */
+const getProgressInBaseCurrency = async (goal, converter) => {
+  const converted = await findGoalAssets(goal, converter);
+  return {
+    ...goalService.getProgress(goal, converted.assets),
+    currencyConversion: converted.currencyConversion,
+  };
+};
+
+/**
+ * @desc    Get all goals with filtering, sorting, and pagination
+ * @route   GET /api/goals
+ * @access  Private
+ */
+exports.getAllGoals = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, goalType, isActive, sort = 'targetDate' } = req.query;
+
+    // Build query
+    const query = {};
+
+    // Filter by goal type or active flag if provided
+    if (goalType) {
+      query.goalType = goalType;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
+
+    // Execute query with pagination
+    const goals = await Goal.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    // Get total count for pagination
+    const count = await Goal.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: goals.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: goals,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get progress of all active goals
+ * @route   GET /api/goals/progress
+ * @access  Private
+ */
+exports.getAllGoalsProgress = async (req, res) => {
+  try {
+    const [goals, converter] = await Promise.all([
+      Goal.find({ ...recordScope(req), isActive: true }).sort('targetDate'),
+      currencyService.getConverter(req.user._id),
+    ]);
+    const progress = await Promise.all(goals.map(goal => getProgressInBaseCurrency(goal, converter)));
+
+    res.status(200).json({
+      success: true,
+      count: progress.length,
+      data: progress,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get single goal by ID
+ * @route   GET /api/goals/:id
+ * @access  Private
+ */
+exports.getGoalById = async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, ...recordScope(req) })
+      .populate('linkedAssets', 'assetsName assetsType currentValue interestRate');
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Goal not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: goal,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get progress of a goal: percent complete, required monthly contribution and on-track status
+ * @route   GET /api/goals/:id/progress
+ * @access  Private
+ */
+exports.getGoalProgress = async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Goal not found',
+      });
+    }
+
+    const converter = await currencyService.getConverter(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: await getProgressInBaseCurrency(goal, converter),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create new goal
+ * @route   POST /api/goals
+ * @access  Private
+ */
+exports.createGoal = async (req, res) => {
+  try {
+    const assetsError = await validateLinkedAssets(req);
+    if (assetsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: assetsError,
+      });
+    }
+
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+
+    const goal = await Goal.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      data: goal,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update goal
+ * @route   PUT /api/goals/:id
+ * @access  Private
+ */
+exports.updateGoal = async (req, res) => {
+  try {
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    const assetsError = await validateLinkedAssets(req);
+    if (assetsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: assetsError,
+      });
+    }
+
+    const goal = await Goal.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Goal not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Goal updated successfully',
+      data: goal,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete goal
+ * @route   DELETE /api/goals/:id
+ * @access  Private
+ */
+exports.deleteGoal = async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Goal not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Goal deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete all goals
+ * @route   DELETE /api/goals
+ * @access  Private
+ */
+exports.deleteAllGoals = async (req, res) => {
+  try {
+    const result = await Goal.deleteMany(recordScope(req));
+
+    res.status(200).json({
+      success: true,
+      message: `${result.deletedCount} goals deleted successfully`,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,368 @@
+const Household = require('../models/Household');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Goal = require('../models/Goal');
+const Assets = require('../models/Assets');
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+
+/**
+ * Find a household the current user belongs to, optionally requiring the owner role
+ *
+ * Sends the 404/403 response itself and returns null when access is denied.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} [ownerOnly=false] - Require the owner role
+ * @returns {Promise<Object|null>} Household document
+ */
+const findMemberHousehold = async (req, res, ownerOnly = false) => {
+  const household = await Household.findOne({ _id: req.params.id, 'members.user': req.user._id });
+
+  if (!household) {
+    res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'Household not found',
+    });
+    return null;
+  }
+
+  if (ownerOnly && household.getMemberRole(req.user._id) !== 'owner') {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Only household owners can perform this action',
+    });
+    return null;
+  }
+
+  return household;
+};
+
+/**
+ * Handle errors raised while saving a household
+ * @param {Error} error - Error thrown by Mongoose
+ * @param {Object} res - Express response object
+ */
+const sendError = (error, res) => {
+  // Validation error (e.g. removing the last owner)
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: messages.join(', '),
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: error.message,
+  });
+};
+
+/**
+ * @desc    Create a household (the creator becomes its owner)
+ * @route   POST /api/households
+ * @access  Private
+ */
+exports.createHousehold = async (req, res) => {
+  try {
+    const household = await Household.create({
+      name: req.body.name,
+      members: [{ user: req.user._id, role: 'owner' }],
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Household created successfully',
+      data: household,
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Get all households of the current user with their role
+ * @route   GET /api/households
+ * @access  Private
+ */
+exports.getHouseholds = async (req, res) => {
+  try {
+    const households = await Household.find({ 'members.user': req.user._id }).sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: households.length,
+      data: households.map(household => ({
+        ...household.toJSON(),
+        role: household.getMemberRole(req.user._id),
+      })),
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Get a household with its members
+ * @route   GET /api/households/:id
+ * @access  Private (members)
+ */
+exports.getHouseholdById = async (req, res) => {
+  try {
+    const household = await findMemberHousehold(req, res);
+    if (!household) return;
+
+    await household.populate('members.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...household.toJSON(),
+        role: household.getMemberRole(req.user._id),
+      },
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Rename a household
+ * @route   PUT /api/households/:id
+ * @access  Private (owners)
+ */
+exports.updateHousehold = async (req, res) => {
+  try {
+    const household = await findMemberHousehold(req, res, true);
+    if (!household) return;
+
+    household.name = req.body.name;
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Household updated successfully',
+      data: household,
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Delete a household (its records return to the members who created them)
+ * @route   DELETE /api/households/:id
+ * @access  Private (owners)
+ */
+exports.deleteHousehold = async (req, res) => {
+  try {
+    const household = await findMemberHousehold(req, res, true);
+    if (!household) return;
+
+    await Promise.all(
+      [Income, Expense, Budget, Goal, Assets, Liability, CreditCard].map(Model =>
+        Model.updateMany({ household: household._id }, { household: null })
+      )
+    );
+    await NetWorthSnapshot.deleteMany({ household: household._id });
+    await household.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Household deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Invite a user by email
+ * @route   POST /api/households/:id/invitations
+ * @access  Private (owners)
+ */
+exports.inviteMember = async (req, res) => {
+  try {
+    const household = await findMemberHousehold(req, res, true);
+    if (!household) return;
+
+    const { email, role } = req.body;
+
+    await household.populate('members.user', 'email');
+    if (household.members.some(member => member.user.email === email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'User is already a member of this household',
+      });
+    }
+
+    // Re-inviting an email replaces the pending invitation
+    household.invitations = household.invitations.filter(invitation => invitation.email !== email);
+    household.invitations.push({ email, role, invitedBy: req.user._id });
+    await household.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: household.invitations.find(invitation => invitation.email === email),
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Get pending household invitations for the current user's email
+ * @route   GET /api/households/invitations
+ * @access  Private
+ */
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const households = await Household.find({ 'invitations.email': req.user.email })
+      .populate('invitations.invitedBy', 'name email');
+
+    const invitations = households.map(household => {
+      const invitation = household.invitations.find(inv => inv.email === req.user.email);
+      return {
+        household: { _id: household._id, name: household.name },
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+        invitedAt: invitation.invitedAt,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Accept or decline an invitation to a household
+ * @route   POST /api/households/:id/invitations/accept
+ * @route   POST /api/households/:id/invitations/decline
+ * @access  Private (invited user)
+ */
+const respondToInvitation = (accept) => async (req, res) => {
+  try {
+    const household = await Household.findOne({ _id: req.params.id, 'invitations.email': req.user.email });
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Invitation not found',
+      });
+    }
+
+    const invitation = household.invitations.find(inv => inv.email === req.user.email);
+    household.invitations = household.invitations.filter(inv => inv.email !== req.user.email);
+
+    if (accept && !household.getMemberRole(req.user._id)) {
+      household.members.push({ user: req.user._id, role: invitation.role });
+    }
+
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      message: accept ? 'Invitation accepted' : 'Invitation declined',
+      data: accept ? household : {},
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+exports.acceptInvitation = respondToInvitation(true);
+exports.declineInvitation = respondToInvitation(false);
+
+/**
+ * @desc    Change the role of a member
+ * @route   PUT /api/households/:id/members/:userId
+ * @access  Private (owners)
+ */
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const household = await findMemberHousehold(req, res, true);
+    if (!household) return;
+
+    const member = household.members.find(m => m.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Household member not found',
+      });
+    }
+
+    // The schema validator rejects changes that leave the household without an owner
+    member.role = req.body.role;
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: household,
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
+
+/**
+ * @desc    Remove a member (owners) or leave a household (any member removing themselves)
+ * @route   DELETE /api/households/:id/members/:userId
+ * @access  Private (owners, or the member themselves)
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const household = await findMemberHousehold(req, res);
+    if (!household) return;
+
+    const isSelf = req.params.userId === req.user._id.toString();
+
+    if (!isSelf && household.getMemberRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only household owners can remove other members',
+      });
+    }
+
+    if (!household.getMemberRole(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Household member not found',
+      });
+    }
+
+    // Records the member shared stay with the household
+    household.members = household.members.filter(m => m.user.toString() !== req.params.userId);
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? 'You left the household' : 'Member removed successfully',
+      data: {},
+    });
+  } catch (error) {
+    sendError(error, res);
+  }
+};
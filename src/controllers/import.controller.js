@@ -0,0 +1,300 @@
+const importService = require('../services/importService');
+const webhookService = require('../services/webhookService');
+const { MAX_IMPORT_ROWS } = require('../services/importService');
+const ofxImportService = require('../services/ofxImportService');
+const { parseOfx } = require('../utils/ofx.util');
+const { parseMultipart, getBoundary } = require('../utils/multipart.util');
+const { recordScope, ownershipFields, eventRecipients } = require('../utils/scope.util');
+
+/**
+ * Read a boolean option ("true"/"false" in query strings and form fields)
+ * @param {*} value - Option value
+ * @param {boolean} fallback - Value when the option is not given
+ * @returns {boolean}
+ */
+const parseFlag = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return value === true || String(value).toLowerCase() === 'true';
+};
+
+/**
+ * Read an uploaded file and the options sent with it
+ *
+ * Accepts a raw body (text, or a Buffer for binary-safe types), a
+ * multipart/form-data upload (a "file" part plus option fields) or JSON with
+ * the file content in `field`.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} field - JSON / form field holding the file content
+ * @returns {Object} - { file, options } or { error }
+ */
+const readFile = (req, field) => {
+  if (Buffer.isBuffer(req.body)) {
+    if (!getBoundary(req.headers['content-type'])) {
+      return { file: req.body, options: {} };
+    }
+
+    let form;
+    try {
+      form = parseMultipart(req.body, req.headers['content-type']);
+    } catch (error) {
+      return { error: error.message };
+    }
+    const file = form.files.find(part => part.name === 'file') || form.files[0];
+    return { file: file ? file.content : form.fields[field], options: form.fields };
+  }
+
+  if (typeof req.body === 'string') {
+    return { file: req.body, options: {} };
+  }
+  if (req.body && typeof req.body === 'object') {
+    return { file: req.body[field], options: req.body };
+  }
+  return { options: {} };
+};
+
+/**
+ * Read a JSON object option (sent as an object in JSON bodies or as a JSON string)
+ * @param {*} value - Option value
+ * @returns {Object|null} - Object, or null when the value is not a JSON object
+ */
+const parseObject = (value) => {
+  let result = value ?? {};
+  if (typeof result === 'string') {
+    try {
+      result = JSON.parse(result);
+    } catch (error) {
+      return null;
+    }
+  }
+  return result && typeof result === 'object' && !Array.isArray(result) ? result : null;
+};
+
+/**
+ * Read the CSV text and options of an import request
+ *
+ * Accepts a text/csv body, a multipart/form-data upload (a "file" part plus
+ * optional "mapping", "dryRun" and "skipDuplicates" fields) or JSON with a csv
+ * string. Query parameters take precedence over options sent in the body.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} - { csv, mapping, dryRun, skipDuplicates } or { error }
+ */
+const readUpload = (req) => {
+  const { file, options, error } = readFile(req, 'csv');
+  if (error) {
+    return { error };
+  }
+
+  const csv = Buffer.isBuffer(file) ? file.toString('utf8') : file;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return { error: 'Send a text/csv body, a multipart/form-data upload with a "file" part, or JSON with a csv string' };
+  }
+
+  const mapping = parseObject(req.query.mapping ?? options.mapping);
+  if (!mapping) {
+    return { error: 'mapping must be a JSON object of { "field": "CSV column" }' };
+  }
+
+  return {
+    csv,
+    mapping,
+    dryRun: parseFlag(req.query.dryRun ?? options.dryRun, false),
+    skipDuplicates: parseFlag(req.query.skipDuplicates ?? options.skipDuplicates, true),
+  };
+};
+
+/**
+ * @desc    Get the fields a CSV file can be mapped to for a resource
+ * @route   GET /api/import/:resource
+ * @access  Private
+ */
+exports.getImportFields = async (req, res) => {
+  try {
+    const fields = importService.getFields(req.importResource);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resource: req.params.resource,
+        maxRows: MAX_IMPORT_ROWS,
+        duplicateKey: req.importResource.duplicateKey,
+        fields,
+        template: fields.map(({ field }) => field).join(','),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Import records from a CSV file (all or nothing), or check it with ?dryRun=true
+ * @route   POST /api/import/:resource?dryRun=&skipDuplicates=&mapping=
+ * @access  Private
+ */
+exports.importRecords = async (req, res) => {
+  try {
+    const upload = readUpload(req);
+    if (upload.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: upload.error,
+      });
+    }
+
+    const result = await importService.importCsv(req.importResource, upload.csv, {
+      mapping: upload.mapping,
+      ownership: ownershipFields(req),
+      currency: req.user.baseCurrency,
+      dryRun: upload.dryRun,
+      skipDuplicates: upload.skipDuplicates,
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: result.errors.join(', '),
+      });
+    }
+
+    const { summary } = result;
+
+    if (upload.dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        message: summary.invalid > 0
+          ? `${summary.invalid} of ${summary.total} rows are invalid; fix them before importing`
+          : `${summary.valid} of ${summary.total} rows can be imported`,
+        columns: result.columns,
+        mapping: result.mapping,
+        unmappedColumns: result.unmappedColumns,
+        summary,
+        rows: result.rows,
+      });
+    }
+
+    // Nothing is imported when any row is invalid
+    if (summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `${summary.invalid} of ${summary.total} rows are invalid; nothing was imported`,
+        summary,
+        rows: result.rows.filter(row => row.status === 'invalid'),
+      });
+    }
+
+    await webhookService.emit(`${req.importResource.event}.created`, eventRecipients(req), result.imported);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.imported.length} records imported successfully`
+        + (summary.skipped > 0 ? `, ${summary.skipped} duplicates skipped` : ''),
+      mapping: result.mapping,
+      summary,
+      count: result.imported.length,
+      data: result.imported,
+    });
+  } catch (error) {
+    // Validation error (records are validated before insert, so this is unexpected)
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Import an OFX/QFX statement file (balances and deposits), or check it with ?dryRun=true
+ * @route   POST /api/import/ofx?dryRun=&accounts=
+ * @access  Private
+ */
+exports.importOfx = async (req, res) => {
+  try {
+    const { file, options, error } = readFile(req, 'ofx');
+    if (error || !(typeof file === 'string' || Buffer.isBuffer(file)) || file.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error || 'Send the OFX/QFX file as the request body, a multipart/form-data upload with a "file" part, or JSON with an ofx string',
+      });
+    }
+
+    const links = parseObject(req.query.accounts ?? options.accounts);
+    if (!links) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'accounts must be a JSON object of { "account number": "record ID" }',
+      });
+    }
+
+    let statements;
+    try {
+      statements = parseOfx(file);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: parseError.message,
+      });
+    }
+
+    const dryRun = parseFlag(req.query.dryRun ?? options.dryRun, false);
+    const result = await ofxImportService.importStatements(statements.accounts, {
+      scope: recordScope(req),
+      ownership: ownershipFields(req),
+      currency: req.user.baseCurrency,
+      links,
+      dryRun,
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: result.errors.join(', '),
+      });
+    }
+
+    for (const { event, records } of result.events) {
+      await webhookService.emit(event, eventRecipients(req), records);
+    }
+
+    const imported = result.accounts.reduce((sum, account) => sum + account.transactions.imported, 0);
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      message: `${result.accounts.length} accounts ${dryRun ? 'checked' : 'imported'}, `
+        + `${imported} deposits ${dryRun ? 'to import' : 'imported as income'}`,
+      data: result.accounts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
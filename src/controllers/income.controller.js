@@ -1,4 +1,6 @@
 const Income = require('../models/Income');
+const webhookService = require('../services/webhookService');
+const { recordScope, ownershipFields, eventRecipients } = require('../utils/scope.util');
 
 /**
  * @desc    Get all income records with filtering, sorting, and pagination
@@ -17,10 +19,8 @@ exports.getAllIncome = async (req, res) => {
       query.frequency = frequency;
     }
 
-    // Add user filter if user is authenticated (optional based on your auth setup)
-    if (req.user) {
-      query.createdBy = req.user._id;
-    }
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
 
     // Execute query with pagination
     const income = await Income.find(query)
@@ -56,7 +56,7 @@ exports.getAllIncome = async (req, res) => {
  */
 exports.getIncomeById = async (req, res) => {
   try {
-    const income = await Income.findById(req.params.id);
+    const income = await Income.findOne({ _id: req.params.id, ...recordScope(req) });
 
     if (!income) {
       return res.status(404).json({
@@ -86,12 +86,13 @@ exports.getIncomeById = async (req, res) => {
  */
 exports.createIncome = async (req, res) => {
   try {
-    // Add user reference if authenticated
-    if (req.user) {
-      req.body.createdBy = req.user._id;
-    }
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+    // Amounts are in the user's base currency unless another currency is given
+    req.body.currency = req.body.currency || req.user.baseCurrency;
 
     const income = await Income.create(req.body);
+    await webhookService.emit('income.created', eventRecipients(req), income);
 
     res.status(201).json({
       success: true,
@@ -124,10 +125,18 @@ exports.createIncome = async (req, res) => {
  */
 exports.updateIncome = async (req, res) => {
   try {
-    const income = await Income.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    const income = await Income.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
 
     if (!income) {
       return res.status(404).json({
@@ -137,6 +146,8 @@ exports.updateIncome = async (req, res) => {
       });
     }
 
+    await webhookService.emit('income.updated', eventRecipients(req), income);
+
     res.status(200).json({
       success: true,
       message: 'Income record updated successfully',
@@ -168,7 +179,7 @@ exports.updateIncome = async (req, res) => {
  */
 exports.deleteIncome = async (req, res) => {
   try {
-    const income = await Income.findByIdAndDelete(req.params.id);
+    const income = await Income.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
 
     if (!income) {
       return res.status(404).json({
@@ -178,6 +189,8 @@ exports.deleteIncome = async (req, res) => {
       });
     }
 
+    await webhookService.emit('income.deleted', eventRecipients(req), income);
+
     res.status(200).json({
       success: true,
       message: 'Income record deleted successfully',
@@ -199,7 +212,9 @@ exports.deleteIncome = async (req, res) => {
  */
 exports.deleteAllIncome = async (req, res) => {
   try {
-    const result = await Income.deleteMany({});
+    const incomes = await Income.find(recordScope(req));
+    const result = await Income.deleteMany({ _id: { $in: incomes.map(income => income._id) } });
+    await webhookService.emit('income.deleted', eventRecipients(req), incomes);
 
     res.status(200).json({
       success: true,
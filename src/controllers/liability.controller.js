@@ -1,4 +1,7 @@
 const Liability = require('../models/Liability');
+const amortizationService = require('../services/amortizationService');
+const webhookService = require('../services/webhookService');
+const { recordScope, ownershipFields, eventRecipients } = require('../utils/scope.util');
 
 /**
  * @desc    Get all liabilities with filtering, sorting, and pagination
@@ -17,10 +20,8 @@ exports.getAllLiabilities = async (req, res) => {
       query.type = type;
     }
 
-    // Add user filter if user is authenticated
-    if (req.user) {
-      query.createdBy = req.user._id;
-    }
+    // Only return records the user may access (personal or household scope)
+    Object.assign(query, recordScope(req));
 
     // Execute query with pagination
     const liabilities = await Liability.find(query)
@@ -56,7 +57,7 @@ exports.getAllLiabilities = async (req, res) => {
  */
 exports.getLiabilityById = async (req, res) => {
   try {
-    const liability = await Liability.findById(req.params.id);
+    const liability = await Liability.findOne({ _id: req.params.id, ...recordScope(req) });
 
     if (!liability) {
       return res.status(404).json({
@@ -86,12 +87,13 @@ exports.getLiabilityById = async (req, res) => {
  */
 exports.createLiability = async (req, res) => {
   try {
-    // Add user reference if authenticated
-    if (req.user) {
-      req.body.createdBy = req.user._id;
-    }
+    // Records always belong to the authenticated user (and the household in context)
+    Object.assign(req.body, ownershipFields(req));
+    // Amounts are in the user's base currency unless another currency is given
+    req.body.currency = req.body.currency || req.user.baseCurrency;
 
     const liability = await Liability.create(req.body);
+    await webhookService.emit('liability.created', eventRecipients(req), liability);
 
     res.status(201).json({
       success: true,
@@ -124,10 +126,18 @@ exports.createLiability = async (req, res) => {
  */
 exports.updateLiability = async (req, res) => {
   try {
-    const liability = await Liability.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    // Ownership cannot be transferred through an update
+    delete req.body.createdBy;
+    delete req.body.household;
+
+    const liability = await Liability.findOneAndUpdate(
+      { _id: req.params.id, ...recordScope(req) },
+      req.body,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
 
     if (!liability) {
       return res.status(404).json({
@@ -137,6 +147,8 @@ exports.updateLiability = async (req, res) => {
       });
     }
 
+    await webhookService.emit('liability.updated', eventRecipients(req), liability);
+
     res.status(200).json({
       success: true,
       message: 'Liability updated successfully',
@@ -168,7 +180,7 @@ exports.updateLiability = async (req, res) => {
  */
 exports.deleteLiability = async (req, res) => {
   try {
-    const liability = await Liability.findByIdAndDelete(req.params.id);
+    const liability = await Liability.findOneAndDelete({ _id: req.params.id, ...recordScope(req) });
 
     if (!liability) {
       return res.status(404).json({
@@ -178,6 +190,8 @@ exports.deleteLiability = async (req, res) => {
       });
     }
 
+    await webhookService.emit('liability.deleted', eventRecipients(req), liability);
+
     res.status(200).json({
       success: true,
       message: 'Liability deleted successfully',
@@ -199,7 +213,9 @@ exports.deleteLiability = async (req, res) => {
  */
 exports.deleteAllLiabilities = async (req, res) => {
   try {
-    const result = await Liability.deleteMany({});
+    const liabilities = await Liability.find(recordScope(req));
+    const result = await Liability.deleteMany({ _id: { $in: liabilities.map(liability => liability._id) } });
+    await webhookService.emit('liability.deleted', eventRecipients(req), liabilities);
 
     res.status(200).json({
       success: true,
@@ -216,3 +232,64 @@ exports.deleteAllLiabilities = async (req, res) => {
 };
 
 
+
+/**
+ * @desc    Get the amortization schedule of a liability (?extraPayment= adds the impact of an extra monthly payment)
+ * @route   GET /api/liabilities/:id/schedule
+ * @access  Private
+ */
+exports.getLiabilitySchedule = async (req, res) => {
+  try {
+    const { extraPayment } = req.query;
+    const extraMonthlyPayment = extraPayment !== undefined ? Number(extraPayment) : 0;
+
+    if (!Number.isFinite(extraMonthlyPayment) || extraMonthlyPayment < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'extraPayment must be a non-negative number',
+      });
+    }
+
+    const liability = await Liability.findOne({ _id: req.params.id, ...recordScope(req) });
+
+    if (!liability) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Liability not found',
+      });
+    }
+
+    const termsError = amortizationService.validateTerms(liability);
+    if (termsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: termsError,
+      });
+    }
+
+    const schedule = amortizationService.buildSchedule(liability);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        liabilityId: liability._id,
+        liabilityName: liability.liabilityName,
+        outstandingAmount: liability.outstandingAmount,
+        interestRate: liability.interestRate,
+        ...schedule,
+        withExtraPayment: extraMonthlyPayment > 0
+          ? amortizationService.getExtraPaymentImpact(liability, extraMonthlyPayment)
+          : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,180 @@
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+/**
+ * @desc    Get the in-app notifications (inbox) of the user
+ * @route   GET /api/notifications?unread=true
+ * @access  Private
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread, type } = req.query;
+
+    const query = { createdBy: req.user._id, channel: 'in_app' };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const notifications = await Notification.find(query)
+      .select('-recipient -attempts -nextAttemptAt -lastError')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const [count, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      Notification.countDocuments({ createdBy: req.user._id, channel: 'in_app', readAt: null }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total: count,
+      unreadCount,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: notifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Mark an in-app notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, createdBy: req.user._id, channel: 'in_app' });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Notification not found',
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Mark every in-app notification of the user as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { createdBy: req.user._id, channel: 'in_app', readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} notifications marked as read`,
+      count: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the outbox (notifications on every channel with their delivery status)
+ * @route   GET /api/notifications/outbox?status=&channel=
+ * @access  Private
+ */
+exports.getOutbox = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, channel } = req.query;
+
+    const query = { createdBy: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+    if (channel) {
+      query.channel = channel;
+    }
+
+    const notifications = await Notification.find(query)
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: notifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Check the user's rules now and deliver what is due
+ * @route   POST /api/notifications/check
+ * @access  Private
+ */
+exports.checkNotifications = async (req, res) => {
+  try {
+    const result = await notificationService.checkUser(req.user._id);
+    const delivery = await notificationService.processOutbox();
+
+    res.status(200).json({
+      success: true,
+      message: `${result.created} notifications created`,
+      data: {
+        ...result,
+        delivery,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
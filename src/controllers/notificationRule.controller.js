@@ -0,0 +1,154 @@
+const NotificationRule = require('../models/NotificationRule');
+
+// Fields a client may set on a rule
+const RULE_FIELDS = ['type', 'threshold', 'channels', 'email', 'webhookUrl', 'isActive'];
+
+/**
+ * @desc    Get all notification rules of the user
+ * @route   GET /api/notifications/rules
+ * @access  Private
+ */
+exports.getNotificationRules = async (req, res) => {
+  try {
+    const rules = await NotificationRule.find({ createdBy: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a notification rule
+ * @route   POST /api/notifications/rules
+ * @access  Private
+ */
+exports.createNotificationRule = async (req, res) => {
+  try {
+    const fields = {};
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    });
+
+    const rule = await NotificationRule.create({ ...fields, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification rule created successfully',
+      data: rule,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a notification rule
+ * @route   PUT /api/notifications/rules/:id
+ * @access  Private
+ */
+exports.updateNotificationRule = async (req, res) => {
+  try {
+    const rule = await NotificationRule.findOne({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Notification rule not found',
+      });
+    }
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+
+    // A changed condition starts over, so it notifies again when it holds
+    if (rule.isModified('type') || rule.isModified('threshold')) {
+      rule.conditionActive = false;
+      if (req.body.threshold === undefined) {
+        rule.threshold = undefined;
+      }
+    }
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification rule updated successfully',
+      data: rule,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a notification rule (its notifications are kept)
+ * @route   DELETE /api/notifications/rules/:id
+ * @access  Private
+ */
+exports.deleteNotificationRule = async (req, res) => {
+  try {
+    const rule = await NotificationRule.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Notification rule not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification rule deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -1,15 +1,42 @@
 const bedrockService = require('../services/bedrockService');
 const dataAggregationService = require('../services/dataAggregationService');
 const cacheService = require('../services/cacheService');
+const debtPayoffService = require('../services/debtPayoffService');
+const snapshotService = require('../services/snapshotService');
+const webhookService = require('../services/webhookService');
 const logger = require('../utils/logger');
+const { financialScope, cachePartition, eventRecipients } = require('../utils/scope.util');
 
 /**
  * Recommendation Controller
  * 
  * Handles all recommendation-related API endpoints
  * Integrates data aggregation with AI-powered recommendations
+ * All endpoints run on the authenticated user's records only (req.user set by protect),
+ * or on a household / household member when householdContext resolved one
  */
 
+/**
+ * Send the recommendation.generated webhook event for freshly generated (not cached) recommendations
+ * @param {Object} req - Express request object
+ * @param {string} type - Recommendation type (general, budget, investment, debt, credit)
+ * @param {Object} recommendations - Result of the Bedrock service { success, content, model, fromCache }
+ * @returns {Promise<number>} - Deliveries created
+ */
+const emitGenerated = async (req, type, recommendations) => {
+  if (!recommendations.success || recommendations.fromCache) {
+    return 0;
+  }
+
+  return webhookService.emit('recommendation.generated', eventRecipients(req), {
+    type,
+    recommendations: recommendations.content,
+    model: recommendations.model,
+    scope: financialScope(req),
+    generatedAt: new Date().toISOString()
+  });
+};
+
 /**
  * Get general financial recommendations
  * @param {Object} req - Express request object
@@ -20,7 +47,7 @@ const getGeneralRecommendations = async (req, res) => {
     logger.info('Generating general financial recommendations');
 
     // Get aggregated financial data
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -30,9 +57,13 @@ const getGeneralRecommendations = async (req, res) => {
       });
     }
 
+    // Include the recent net worth trend from snapshots
+    dataResult.data.netWorthTrend = await snapshotService.getRecentTrend(financialScope(req));
+
     // Generate recommendations using Claude with caching
     const recommendations = await cacheService.getRecommendation(
       'general',
+      cachePartition(req),
       dataResult.data,
       () => bedrockService.getGeneralRecommendations(dataResult.data)
     );
@@ -45,6 +76,8 @@ const getGeneralRecommendations = async (req, res) => {
       });
     }
 
+    await emitGenerated(req, 'general', recommendations);
+
     res.json({
       success: true,
       data: {
@@ -54,9 +87,12 @@ const getGeneralRecommendations = async (req, res) => {
           totalAssets: dataResult.data.totalAssets,
           totalLiabilities: dataResult.data.totalLiabilities,
           monthlyIncome: dataResult.data.monthlyIncome,
-          creditUtilization: dataResult.data.creditUtilization
+          creditUtilization: dataResult.data.creditUtilization,
+          goals: dataResult.data.goalProgress,
+          netWorthTrend: dataResult.data.netWorthTrend
         },
         insights: dataResult.data.insights,
+        baseCurrency: dataResult.data.baseCurrency,
         generatedAt: new Date().toISOString(),
         model: recommendations.model,
         fromCache: recommendations.fromCache
@@ -86,7 +122,7 @@ const getBudgetAnalysis = async (req, res) => {
   try {
     logger.info('Generating budget analysis recommendations');
 
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -98,6 +134,7 @@ const getBudgetAnalysis = async (req, res) => {
 
     const recommendations = await cacheService.getRecommendation(
       'budget',
+      cachePartition(req),
       dataResult.data,
       () => bedrockService.getBudgetAnalysis(dataResult.data)
     );
@@ -110,17 +147,24 @@ const getBudgetAnalysis = async (req, res) => {
       });
     }
 
+    await emitGenerated(req, 'budget', recommendations);
+
     res.json({
       success: true,
       data: {
         recommendations: recommendations.content,
         budgetMetrics: {
           monthlyIncome: dataResult.data.monthlyIncome,
+          monthlyExpenses: dataResult.data.monthlyExpenses,
+          monthlySavings: dataResult.data.monthlySavings,
+          savingsRate: dataResult.data.savingsRate,
+          budgets: dataResult.data.budgetStatus,
           totalAssets: dataResult.data.totalAssets,
           totalLiabilities: dataResult.data.totalLiabilities,
           creditCardDebt: dataResult.data.totalCreditCardDebt,
           debtToIncomeRatio: dataResult.data.debtToIncomeRatio
         },
+        baseCurrency: dataResult.data.baseCurrency,
         generatedAt: new Date().toISOString(),
         model: recommendations.model,
         fromCache: recommendations.fromCache
@@ -150,7 +194,7 @@ const getInvestmentRecommendations = async (req, res) => {
   try {
     logger.info('Generating investment recommendations');
 
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -162,6 +206,7 @@ const getInvestmentRecommendations = async (req, res) => {
 
     const recommendations = await cacheService.getRecommendation(
       'investment',
+      cachePartition(req),
       dataResult.data,
       () => bedrockService.getInvestmentRecommendations(dataResult.data)
     );
@@ -174,6 +219,8 @@ const getInvestmentRecommendations = async (req, res) => {
       });
     }
 
+    await emitGenerated(req, 'investment', recommendations);
+
     res.json({
       success: true,
       data: {
@@ -182,8 +229,10 @@ const getInvestmentRecommendations = async (req, res) => {
           totalAssets: dataResult.data.totalAssets,
           assetBreakdown: dataResult.data.assetBreakdown,
           netWorth: dataResult.data.netWorth,
-          monthlyIncome: dataResult.data.monthlyIncome
+          monthlyIncome: dataResult.data.monthlyIncome,
+          goals: dataResult.data.goalProgress
         },
+        baseCurrency: dataResult.data.baseCurrency,
         generatedAt: new Date().toISOString(),
         model: recommendations.model,
         fromCache: recommendations.fromCache
@@ -213,7 +262,7 @@ const getDebtManagementRecommendations = async (req, res) => {
   try {
     logger.info('Generating debt management recommendations');
 
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -223,8 +272,37 @@ const getDebtManagementRecommendations = async (req, res) => {
       });
     }
 
+    // Embed a computed payoff plan so the model explains real numbers
+    // (?monthlyBudget= defaults to the minimum payments, ?strategy= to avalanche, ?order= takes comma-separated debt IDs)
+    const debts = debtPayoffService.collectDebts(dataResult.data.liabilities, dataResult.data.creditCards);
+    if (debts.length > 0) {
+      const strategy = req.query.strategy || 'avalanche';
+      const order = req.query.order ? req.query.order.split(',') : [];
+      const monthlyBudget = req.query.monthlyBudget !== undefined
+        ? Number(req.query.monthlyBudget)
+        : debtPayoffService.totalMinimumPayments(debts);
+
+      const planError = debtPayoffService.validatePlanRequest(debts, { monthlyBudget, strategy, order });
+      if (planError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: planError
+        });
+      }
+
+      const { schedule, ...payoffPlan } = debtPayoffService.createPlan(debts, {
+        monthlyBudget,
+        strategy,
+        order,
+        currency: dataResult.data.baseCurrency
+      });
+      dataResult.data.payoffPlan = payoffPlan;
+    }
+
     const recommendations = await cacheService.getRecommendation(
       'debt',
+      cachePartition(req),
       dataResult.data,
       () => bedrockService.getDebtManagementRecommendations(dataResult.data)
     );
@@ -237,6 +315,8 @@ const getDebtManagementRecommendations = async (req, res) => {
       });
     }
 
+    await emitGenerated(req, 'debt', recommendations);
+
     res.json({
       success: true,
       data: {
@@ -249,6 +329,8 @@ const getDebtManagementRecommendations = async (req, res) => {
           monthlyIncome: dataResult.data.monthlyIncome,
           debtToIncomeRatio: dataResult.data.debtToIncomeRatio
         },
+        payoffPlan: dataResult.data.payoffPlan || null,
+        baseCurrency: dataResult.data.baseCurrency,
         generatedAt: new Date().toISOString(),
         model: recommendations.model,
         fromCache: recommendations.fromCache
@@ -278,7 +360,7 @@ const getCreditOptimizationRecommendations = async (req, res) => {
   try {
     logger.info('Generating credit optimization recommendations');
 
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -290,6 +372,7 @@ const getCreditOptimizationRecommendations = async (req, res) => {
 
     const recommendations = await cacheService.getRecommendation(
       'credit',
+      cachePartition(req),
       dataResult.data,
       () => bedrockService.getCreditOptimizationRecommendations(dataResult.data)
     );
@@ -302,6 +385,8 @@ const getCreditOptimizationRecommendations = async (req, res) => {
       });
     }
 
+    await emitGenerated(req, 'credit', recommendations);
+
     res.json({
       success: true,
       data: {
@@ -310,8 +395,10 @@ const getCreditOptimizationRecommendations = async (req, res) => {
           creditCardDebt: dataResult.data.totalCreditCardDebt,
           availableCredit: dataResult.data.totalAvailableCredit,
           creditUtilization: dataResult.data.creditUtilization,
-          creditCards: dataResult.data.creditCards
+          creditCards: dataResult.data.creditCards,
+          paymentHistory: dataResult.data.creditCardPaymentHistory
         },
+        baseCurrency: dataResult.data.baseCurrency,
         generatedAt: new Date().toISOString(),
         model: recommendations.model,
         fromCache: recommendations.fromCache
@@ -341,7 +428,7 @@ const getFinancialSummary = async (req, res) => {
   try {
     logger.info('Generating financial summary');
 
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -360,15 +447,21 @@ const getFinancialSummary = async (req, res) => {
           totalLiabilities: dataResult.data.totalLiabilities,
           totalCreditCardDebt: dataResult.data.totalCreditCardDebt,
           monthlyIncome: dataResult.data.monthlyIncome,
+          monthlyExpenses: dataResult.data.monthlyExpenses,
+          savingsRate: dataResult.data.savingsRate,
           creditUtilization: dataResult.data.creditUtilization,
           debtToIncomeRatio: dataResult.data.debtToIncomeRatio
         },
         breakdowns: {
           assets: dataResult.data.assetBreakdown,
           income: dataResult.data.incomeBreakdown,
+          expenses: dataResult.data.expenseBreakdown,
           liabilities: dataResult.data.liabilityBreakdown
         },
+        goals: dataResult.data.goalProgress,
         insights: dataResult.data.insights,
+        baseCurrency: dataResult.data.baseCurrency,
+        currencyConversion: dataResult.data.currencyConversion,
         generatedAt: new Date().toISOString()
       }
     });
@@ -396,7 +489,7 @@ const getAllRecommendations = async (req, res) => {
   try {
     logger.info('Generating all recommendation types');
 
-    const dataResult = await dataAggregationService.getAllFinancialData();
+    const dataResult = await dataAggregationService.getFinancialDataForScope(financialScope(req));
     
     if (!dataResult.success) {
       return res.status(500).json({
@@ -406,6 +499,9 @@ const getAllRecommendations = async (req, res) => {
       });
     }
 
+    // Include the recent net worth trend from snapshots
+    dataResult.data.netWorthTrend = await snapshotService.getRecentTrend(financialScope(req));
+
     // Generate all types of recommendations in parallel
     const [
       generalRecs,
@@ -421,6 +517,11 @@ const getAllRecommendations = async (req, res) => {
       bedrockService.getCreditOptimizationRecommendations(dataResult.data)
     ]);
 
+    const generated = { general: generalRecs, budget: budgetRecs, investment: investmentRecs, debt: debtRecs, credit: creditRecs };
+    for (const [type, recommendations] of Object.entries(generated)) {
+      await emitGenerated(req, type, recommendations);
+    }
+
     res.json({
       success: true,
       data: {
@@ -452,6 +553,7 @@ const getAllRecommendations = async (req, res) => {
           creditUtilization: dataResult.data.creditUtilization
         },
         insights: dataResult.data.insights,
+        baseCurrency: dataResult.data.baseCurrency,
         generatedAt: new Date().toISOString()
       }
     });
@@ -0,0 +1,174 @@
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+const snapshotService = require('../services/snapshotService');
+const { HISTORY_INTERVALS } = require('../services/snapshotService');
+const { financialScope } = require('../utils/scope.util');
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Query value
+ * @param {boolean} [endOfDay=false] - Move plain dates (YYYY-MM-DD) to the end of that day
+ * @returns {Date|null|undefined} Date, undefined when absent, null when invalid
+ */
+const parseDate = (value, endOfDay = false) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * @desc    Get net worth history as a time series with changes between periods
+ * @route   GET /api/summary/history?from=&to=&interval=month
+ * @access  Private
+ */
+exports.getHistory = async (req, res) => {
+  try {
+    const { interval = 'month' } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to, true);
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `interval must be one of: ${HISTORY_INTERVALS.join(', ')}`,
+      });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'from must be before to',
+      });
+    }
+
+    const history = await snapshotService.getHistory(financialScope(req), { from, to, interval });
+
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get all net worth snapshots with pagination
+ * @route   GET /api/summary/snapshots
+ * @access  Private
+ */
+exports.getSnapshots = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, source, sort = '-takenAt' } = req.query;
+
+    const query = snapshotService.scopeFilter(financialScope(req));
+
+    // Filter by source if provided
+    if (source) {
+      query.source = source;
+    }
+
+    // Execute query with pagination
+    const snapshots = await NetWorthSnapshot.find(query)
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    // Get total count for pagination
+    const count = await NetWorthSnapshot.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: snapshots.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: snapshots,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Capture a net worth snapshot of the current financial data
+ * @route   POST /api/summary/snapshots
+ * @access  Private
+ */
+exports.createSnapshot = async (req, res) => {
+  try {
+    const snapshot = await snapshotService.takeSnapshot(financialScope(req), 'manual');
+
+    res.status(201).json({
+      success: true,
+      message: 'Snapshot captured successfully',
+      data: snapshot,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a net worth snapshot
+ * @route   DELETE /api/summary/snapshots/:id
+ * @access  Private
+ */
+exports.deleteSnapshot = async (req, res) => {
+  try {
+    const snapshot = await NetWorthSnapshot.findOneAndDelete({
+      _id: req.params.id,
+      ...snapshotService.scopeFilter(financialScope(req)),
+    });
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Snapshot not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Snapshot deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,299 @@
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { WEBHOOK_EVENTS } = require('../models/WebhookEndpoint');
+const { generateSecureToken } = require('../utils/helpers');
+
+// Prefix identifying webhook signing secrets issued by this API
+const SECRET_PREFIX = 'whsec_';
+
+// Endpoints a user can register
+const MAX_ENDPOINTS = 10;
+
+/**
+ * @desc    Get all webhook endpoints of the current user (without the secret)
+ * @route   GET /api/webhooks
+ * @access  Private (session only)
+ */
+exports.getWebhooks = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ createdBy: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: endpoints.length,
+      events: WEBHOOK_EVENTS,
+      data: endpoints,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Register a webhook endpoint (the signing secret is only returned in this response)
+ * @route   POST /api/webhooks
+ * @access  Private (session only)
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const count = await WebhookEndpoint.countDocuments({ createdBy: req.user._id });
+    if (count >= MAX_ENDPOINTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `At most ${MAX_ENDPOINTS} webhook endpoints can be registered`,
+      });
+    }
+
+    const secret = `${SECRET_PREFIX}${generateSecureToken(24)}`;
+
+    const endpoint = await WebhookEndpoint.create({
+      url: req.body.url,
+      description: req.body.description,
+      events: req.body.events,
+      isActive: req.body.isActive,
+      secret,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again.',
+      data: {
+        ...endpoint.toJSON(),
+        secret,
+      },
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Update a webhook endpoint (URL, description, events, active flag)
+ * @route   PUT /api/webhooks/:id
+ * @access  Private (session only)
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Webhook not found',
+      });
+    }
+
+    ['url', 'description', 'events', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        endpoint[field] = req.body[field];
+      }
+    });
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: endpoint,
+    });
+  } catch (error) {
+    // Validation error
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages.join(', '),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Delete a webhook endpoint and its delivery log
+ * @route   DELETE /api/webhooks/:id
+ * @access  Private (session only)
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOneAndDelete({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Webhook not found',
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Replace the signing secret of a webhook endpoint (returned once)
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @access  Private (session only)
+ */
+exports.rotateWebhookSecret = async (req, res) => {
+  try {
+    const secret = `${SECRET_PREFIX}${generateSecureToken(24)}`;
+
+    const endpoint = await WebhookEndpoint.findOneAndUpdate(
+      { _id: req.params.id, createdBy: req.user._id },
+      { secret },
+      { new: true }
+    );
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Webhook not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook secret rotated successfully. Store the secret now, it will not be shown again.',
+      data: {
+        ...endpoint.toJSON(),
+        secret,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Send a test event to a webhook endpoint and return the outcome
+ * @route   POST /api/webhooks/:id/test
+ * @access  Private (session only)
+ */
+exports.testWebhook = async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, createdBy: req.user._id }).select('+secret');
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Webhook not found',
+      });
+    }
+
+    const delivery = await webhookService.sendTestEvent(endpoint);
+
+    res.status(200).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? 'Test event delivered successfully'
+        : `Test event could not be delivered: ${delivery.lastError}`,
+      data: delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Get the delivery log of a webhook endpoint with filtering and pagination
+ * @route   GET /api/webhooks/:id/deliveries?status=&event=
+ * @access  Private (session only)
+ */
+exports.getWebhookDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, createdBy: req.user._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Webhook not found',
+      });
+    }
+
+    const query = { endpoint: endpoint._id };
+    if (status) {
+      query.status = status;
+    }
+    if (event) {
+      query.event = event;
+    }
+
+    // Response bodies kept by earlier versions of the delivery log are never returned
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-responseBody')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const count = await WebhookDelivery.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total: count,
+      page: parseInt(page),
+      pages: Math.ceil(count / limit),
+      data: deliveries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
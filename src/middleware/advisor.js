@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AdvisorGrant = require('../models/AdvisorGrant');
+const AdvisorAuditLog = require('../models/AdvisorAuditLog');
+
+/**
+ * Let an advisor act on behalf of a client
+ *
+ * Reads the client ID from the `X-Act-As-Client` header. Without it the request
+ * is handled normally. With it, the caller must be an advisor holding an active
+ * grant from that client; `req.user` is swapped for the client (so controllers
+ * read the client's records), the advisor moves to `req.advisor` and the grant
+ * to `req.advisorGrant` for scope checks. Advisor access is read-only: writes
+ * get 403. Every request is written to the advisor audit log once it finishes.
+ * Must run after `protect`.
+ *
+ * @example
+ * router.use(protect, actAsClient, scopeByMethod('income'));
+ */
+exports.actAsClient = async (req, res, next) => {
+  const clientId = req.get('x-act-as-client');
+
+  if (!clientId) {
+    return next();
+  }
+
+  if (req.user.role !== 'advisor' || req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      code: 'ADVISOR_REQUIRED',
+      message: 'Only advisors signed in with a session can act on behalf of a client.',
+    });
+  }
+
+  if (!mongoose.isValidObjectId(clientId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid client ID format',
+    });
+  }
+
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      code: 'ADVISOR_READ_ONLY',
+      message: 'Advisors have read-only access to client data.',
+    });
+  }
+
+  try {
+    const grant = await AdvisorGrant.findOne({
+      advisor: req.user._id,
+      client: clientId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    const client = grant ? await User.findById(clientId) : null;
+
+    if (!grant || !client || !client.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        code: 'ADVISOR_NO_ACCESS',
+        message: 'No active access granted by this client.',
+      });
+    }
+
+    const advisor = req.user;
+
+    // Recommendations generated vs. data viewed
+    const generated = req.baseUrl.endsWith('/recommendations') &&
+      !['/', '/summary'].includes(req.path) && !req.path.startsWith('/cache');
+
+    res.on('finish', () => {
+      AdvisorAuditLog.record({
+        advisor: advisor._id,
+        client: client._id,
+        grant: grant._id,
+        action: generated ? 'generate' : 'view',
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+      });
+    });
+
+    req.advisor = advisor;
+    req.advisorGrant = grant;
+    req.user = client;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
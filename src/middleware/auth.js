@@ -0,0 +1,244 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken } = require('../config/jwt');
+const { hashToken } = require('../utils/helpers');
+const { apiKeyLimiter, refundApiLimit } = require('../config/rateLimiter');
+const logger = require('../utils/logger');
+
+/**
+ * Authenticate a request made with a personal API key
+ *
+ * Looks the key up by hash, rejects revoked/expired keys and inactive owners,
+ * records the last-used timestamp and attaches `req.user` and `req.apiKey`, then
+ * moves the request from the per-IP to the per-key rate limit.
+ *
+ * @param {string} key - Plain API key from the X-API-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+
+  if (!apiKey || !apiKey.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      code: 'API_KEY_INVALID',
+      message: 'Invalid, expired or revoked API key.',
+    });
+  }
+
+  const user = await User.findById(apiKey.createdBy);
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      code: 'USER_INACTIVE',
+      message: 'User account is inactive.',
+    });
+  }
+
+  // Track usage without delaying the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(error => {
+    logger.warn('Failed to record API key usage', { apiKeyId: apiKey._id.toString(), error: error.message });
+  });
+
+  req.user = user;
+  req.apiKey = apiKey;
+  await refundApiLimit(req);
+  apiKeyLimiter(req, res, next);
+};
+
+/**
+ * Protect routes - require a valid JWT bearer token or API key
+ *
+ * Reads the token from the `Authorization: Bearer <token>` header, verifies it,
+ * loads the user and attaches it to `req.user`. Without a bearer token, an
+ * `X-API-Key` header is accepted instead and also sets `req.apiKey`.
+ * Responds with 401 and a `code` the client can act on:
+ * - TOKEN_MISSING / TOKEN_INVALID / TOKEN_REVOKED - login again
+ * - TOKEN_EXPIRED - call POST /api/auth/refresh
+ * - API_KEY_INVALID - the API key is unknown, expired or revoked
+ * Expired and malformed tokens are forwarded to the central error handler.
+ *
+ * @example
+ * router.get('/me', protect, getMe);
+ */
+exports.protect = async (req, res, next) => {
+  let token;
+
+  // Check if token exists in Authorization header
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token && req.get('x-api-key')) {
+    try {
+      return await authenticateApiKey(req.get('x-api-key'), req, res, next);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        code: 'API_KEY_INVALID',
+        message: 'Not authorized to access this route.',
+      });
+    }
+  }
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      code: 'TOKEN_MISSING',
+      message: 'Not authorized to access this route. Please login.',
+    });
+  }
+
+  try {
+    const decoded = verifyToken(token);
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        code: 'TOKEN_INVALID',
+        message: 'User not found.',
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        code: 'USER_INACTIVE',
+        message: 'User account is inactive.',
+      });
+    }
+
+    // Sessions killed after the token was issued (e.g. refresh token reuse)
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        code: 'TOKEN_REVOKED',
+        message: 'Token has been revoked. Please login again.',
+      });
+    }
+
+    // Attach user to request object
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return next(error);
+    }
+
+    res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      code: 'TOKEN_INVALID',
+      message: 'Not authorized to access this route.',
+    });
+  }
+};
+
+/**
+ * Restrict a route to users with one of the given roles
+ *
+ * @param {...string} roles - Allowed roles such as "advisor" or "admin"
+ * @returns {Function} Express middleware responding 403 for other roles
+ *
+ * @example
+ * router.use(protect, authorize('advisor'));
+ */
+exports.authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `User role '${req.user.role}' is not authorized to access this route.`,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Require an API key (or advisor grant) scope
+ *
+ * Requests authenticated with a JWT have full access to the user's data, so only
+ * API key requests and advisors acting for a client are checked. Must run after
+ * `protect` (and `actAsClient` where used).
+ *
+ * @param {string} scope - Required scope such as "income:read"
+ * @returns {Function} Express middleware responding 403 when the key lacks the scope
+ *
+ * @example
+ * router.get('/general', protect, requireScope('recommendations:generate'), getGeneralRecommendations);
+ */
+exports.requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        code: 'API_KEY_SCOPE',
+        message: `API key is missing the '${scope}' scope.`,
+      });
+    }
+    if (req.advisorGrant && !req.advisorGrant.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        code: 'ADVISOR_SCOPE',
+        message: `Advisor access is missing the '${scope}' scope.`,
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Require "<resource>:read" for GET requests and "<resource>:write" otherwise
+ *
+ * @param {string} resource - Resource name such as "income" or "creditCards"
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.use(protect, scopeByMethod('income'));
+ */
+exports.scopeByMethod = (resource) => {
+  const read = exports.requireScope(`${resource}:read`);
+  const write = exports.requireScope(`${resource}:write`);
+
+  return (req, res, next) => {
+    const check = ['GET', 'HEAD'].includes(req.method) ? read : write;
+    check(req, res, next);
+  };
+};
+
+/**
+ * Reject requests authenticated with an API key
+ *
+ * Used for account-level operations (such as managing API keys) that must be
+ * performed by the user themselves. Must run after `protect`.
+ */
+exports.sessionOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      code: 'SESSION_REQUIRED',
+      message: 'This route cannot be used with an API key. Please login.',
+    });
+  }
+  next();
+};
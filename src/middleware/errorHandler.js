@@ -30,20 +30,23 @@ const errorHandler = (err, req, res, next) => {
     error.message = message;
   }
 
-  // JWT errors
+  // JWT errors - distinct codes so clients know whether to refresh or re-login
   if (err.name === 'JsonWebTokenError') {
     error.statusCode = 401;
+    error.code = 'TOKEN_INVALID';
     error.message = 'Invalid token. Please login again.';
   }
 
   if (err.name === 'TokenExpiredError') {
     error.statusCode = 401;
-    error.message = 'Token expired. Please login again.';
+    error.code = 'TOKEN_EXPIRED';
+    error.message = 'Token expired. Please refresh your token.';
   }
 
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    ...(typeof error.code === 'string' && { code: error.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
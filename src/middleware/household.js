@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Household = require('../models/Household');
+
+/**
+ * Resolve the household a request operates on
+ *
+ * Reads the household ID from the `X-Household-Id` header or the `household`
+ * query parameter. Without one the request stays in personal scope. With one,
+ * the caller must be a member (404 otherwise) and `req.household` /
+ * `req.householdRole` are set. Viewers get 403 on every write (non-GET) request
+ * unless the route is marked with `readOnly`.
+ * An optional `member` query parameter narrows reads to a single member's records.
+ * Advisors acting for a client (see `actAsClient`) only see the client's own
+ * records: they get 403 when sending a household or member, since the other
+ * members never granted them access.
+ * Must run after `protect` (and `actAsClient` where used).
+ *
+ * @example
+ * router.use(protect, householdContext);
+ */
+exports.householdContext = async (req, res, next) => {
+  const householdId = req.get('x-household-id') || req.query.household;
+
+  if (req.advisor && (householdId || req.query.member)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      code: 'ADVISOR_HOUSEHOLD',
+      message: 'Advisors can only access the records of the client who granted access, not their household.',
+    });
+  }
+
+  if (!householdId) {
+    return next();
+  }
+
+  if (!mongoose.isValidObjectId(householdId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid household ID format',
+    });
+  }
+
+  try {
+    const household = await Household.findOne({ _id: householdId, 'members.user': req.user._id });
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Household not found',
+      });
+    }
+
+    const role = household.getMemberRole(req.user._id);
+
+    if (role === 'viewer' && !['GET', 'HEAD'].includes(req.method) && !req.readOnly) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Household viewers cannot modify records',
+      });
+    }
+
+    const { member } = req.query;
+
+    if (member) {
+      if (!mongoose.isValidObjectId(member) || !household.getMemberRole(member)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Household member not found',
+        });
+      }
+      req.householdMember = member;
+    }
+
+    req.household = household;
+    req.householdRole = role;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Mark a route as read-only although it is not a GET request
+ *
+ * For calculations sent as POST (with a JSON body of options) that only read
+ * records: household viewers may use them. Must run before `householdContext`.
+ *
+ * @example
+ * router.use(protect, readOnly, householdContext);
+ */
+exports.readOnly = (req, res, next) => {
+  req.readOnly = true;
+  next();
+};
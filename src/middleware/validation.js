@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { isValidScope } = require('../models/ApiKey');
+const { HOUSEHOLD_ROLES } = require('../models/Household');
+const { isValidAdvisorScope } = require('../models/AdvisorGrant');
+const { NOTE_RECORD_TYPES } = require('../models/AdvisorNote');
 
 // Validation result handler
 exports.validate = (req, res, next) => {
@@ -37,6 +41,30 @@ exports.registerValidation = [
     .withMessage('Password is required')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters'),
+  body('role')
+    .optional()
+    .isIn(['user', 'advisor'])
+    .withMessage('Role must be either user or advisor'),
+  body('baseCurrency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Base currency must be a three-letter currency code'),
+];
+
+exports.updateMeValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('baseCurrency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Base currency must be a three-letter currency code'),
 ];
 
 exports.loginValidation = [
@@ -50,6 +78,123 @@ exports.loginValidation = [
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
+exports.refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isString()
+    .withMessage('Refresh token must be a string'),
+];
+
+// API key validation rules
+exports.createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .custom(isValidScope)
+    .withMessage('Scopes must have the form <resource>:<action>, e.g. income:read or *:write'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+];
+
+// Household validation rules
+exports.householdValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Household name is required')
+    .isLength({ max: 100 })
+    .withMessage('Household name cannot exceed 100 characters'),
+];
+
+exports.householdInviteValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('role')
+    .isIn(HOUSEHOLD_ROLES)
+    .withMessage(`Role must be one of: ${HOUSEHOLD_ROLES.join(', ')}`),
+];
+
+exports.householdMemberValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid household ID format'),
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+];
+
+exports.householdRoleValidation = [
+  body('role')
+    .isIn(HOUSEHOLD_ROLES)
+    .withMessage(`Role must be one of: ${HOUSEHOLD_ROLES.join(', ')}`),
+];
+
+// Advisor validation rules
+exports.advisorGrantValidation = [
+  body('advisorEmail')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide the advisor\'s email')
+    .normalizeEmail(),
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .custom(isValidAdvisorScope)
+    .withMessage('Advisor scopes must have the form <resource>:read or <resource>:generate'),
+  body('expiresAt')
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('consent')
+    .equals('true')
+    .withMessage('You must consent to share your financial data with the advisor'),
+];
+
+exports.advisorNoteValidation = [
+  body('client')
+    .isMongoId()
+    .withMessage('Invalid client ID format'),
+  body('recordType')
+    .isIn(NOTE_RECORD_TYPES)
+    .withMessage(`Record type must be one of: ${NOTE_RECORD_TYPES.join(', ')}`),
+  body('recordId')
+    .isMongoId()
+    .withMessage('Invalid record ID format'),
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Note body is required')
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters'),
+];
+
+exports.advisorNoteUpdateValidation = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Note body is required')
+    .isLength({ max: 2000 })
+    .withMessage('Note cannot exceed 2000 characters'),
+];
+
 // Item validation rules
 exports.createItemValidation = [
   body('name')
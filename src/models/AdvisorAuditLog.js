@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Advisor Audit Log Schema
+ *
+ * One entry per request an advisor made on a client's behalf (records viewed,
+ * recommendations generated) and per advisor note change. Entries are never
+ * updated; both the advisor and the client can read them.
+ */
+const advisorAuditLogSchema = new mongoose.Schema(
+  {
+    /**
+     * Advisor - User who acted
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    advisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /**
+     * Client - User whose data was accessed
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    /**
+     * Grant - Advisor grant the access was made under
+     * @type {ObjectId}
+     * @ref AdvisorGrant
+     */
+    grant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdvisorGrant',
+    },
+
+    /**
+     * Action - What the advisor did
+     * @type {String}
+     * @required
+     * @enum ["view", "generate", "note"]
+     */
+    action: {
+      type: String,
+      required: true,
+      enum: ['view', 'generate', 'note'],
+    },
+
+    /**
+     * Method - HTTP method of the request
+     * @type {String}
+     */
+    method: {
+      type: String,
+    },
+
+    /**
+     * Path - Requested URL including the query string
+     * @type {String}
+     * @example "/api/income?frequency=monthly"
+     */
+    path: {
+      type: String,
+    },
+
+    /**
+     * Status Code - HTTP status of the response
+     * @type {Number}
+     */
+    statusCode: {
+      type: Number,
+    },
+
+    /**
+     * IP - Client IP of the advisor
+     * @type {String}
+     */
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Record an audit entry without delaying the request
+ * Failures are logged but never surface to the caller.
+ * @param {Object} entry - Audit fields (advisor, client, grant, action, ...)
+ */
+advisorAuditLogSchema.statics.record = function(entry) {
+  this.create(entry).catch(error => {
+    logger.error('Failed to record advisor audit entry', { error: error.message, action: entry.action });
+  });
+};
+
+// Index for faster queries
+advisorAuditLogSchema.index({ client: 1, createdAt: -1 });
+advisorAuditLogSchema.index({ advisor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdvisorAuditLog', advisorAuditLogSchema);
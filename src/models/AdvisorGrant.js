@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { isValidScope, scopeMatches } = require('./ApiKey');
+
+/**
+ * Scopes granted when the client does not choose any
+ * @constant {string[]}
+ */
+const DEFAULT_ADVISOR_SCOPES = ['*:read', 'recommendations:generate'];
+
+/**
+ * Check that an advisor scope is well-formed and read-only
+ * Advisors never write client data, so "write" (and "*" actions) cannot be granted.
+ * @param {string} scope - Scope such as "income:read" or "recommendations:generate"
+ * @returns {boolean} True if the scope can be granted to an advisor
+ */
+const isValidAdvisorScope = (scope) => {
+  return isValidScope(scope) && ['read', 'generate'].includes(scope.split(':')[1]);
+};
+
+/**
+ * Advisor Grant Schema
+ *
+ * Consent given by a client to an advisor to read their data and run
+ * recommendations on their behalf (via the X-Act-As-Client header),
+ * limited by scopes and an expiry date. Clients can revoke it at any time.
+ */
+const advisorGrantSchema = new mongoose.Schema(
+  {
+    /**
+     * Client - User whose data the advisor may access
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Client is required'],
+    },
+
+    /**
+     * Advisor - User with the advisor role receiving access
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    advisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Advisor is required'],
+    },
+
+    /**
+     * Scopes - Read/generate permissions granted to the advisor
+     * @type {String[]}
+     * @example ["income:read", "assets:read", "recommendations:generate"]
+     */
+    scopes: {
+      type: [String],
+      default: () => [...DEFAULT_ADVISOR_SCOPES],
+      validate: [
+        {
+          validator: (scopes) => Array.isArray(scopes) && scopes.length > 0,
+          message: 'At least one scope is required',
+        },
+        {
+          validator: (scopes) => scopes.every(isValidAdvisorScope),
+          message: 'Advisor scopes must have the form <resource>:read or <resource>:generate',
+        },
+      ],
+    },
+
+    /**
+     * Consented At - When the client confirmed the consent statement
+     * @type {Date}
+     * @required
+     */
+    consentedAt: {
+      type: Date,
+      required: [true, 'Client consent is required'],
+    },
+
+    /**
+     * Expires At - When the access ends
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+
+    /**
+     * Revoked At - When the client (or advisor) ended the access early
+     * @type {Date}
+     */
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Virtual: Whether the grant can currently be used
+ */
+advisorGrantSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Check whether the grant includes a scope, honouring "*" wildcards
+ * @param {string} required - Scope such as "income:read"
+ * @returns {boolean} True if one of the granted scopes matches
+ */
+advisorGrantSchema.methods.hasScope = function(required) {
+  return scopeMatches(this.scopes, required);
+};
+
+// Ensure virtuals are included in JSON
+advisorGrantSchema.set('toJSON', { virtuals: true });
+advisorGrantSchema.set('toObject', { virtuals: true });
+
+// Index for faster queries
+advisorGrantSchema.index({ advisor: 1, client: 1 });
+advisorGrantSchema.index({ client: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AdvisorGrant', advisorGrantSchema);
+module.exports.DEFAULT_ADVISOR_SCOPES = DEFAULT_ADVISOR_SCOPES;
+module.exports.isValidAdvisorScope = isValidAdvisorScope;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Record types an advisor note can be attached to (Mongoose model names)
+ * @constant {string[]}
+ */
+const NOTE_RECORD_TYPES = ['Income', 'Expense', 'Assets', 'Liability', 'CreditCard'];
+
+/**
+ * Advisor Note Schema
+ *
+ * Private note an advisor attaches to one of a client's records.
+ * Notes are only ever returned to the advisor who wrote them, never to the client.
+ */
+const advisorNoteSchema = new mongoose.Schema(
+  {
+    /**
+     * Advisor - Author of the note
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    advisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Advisor is required'],
+    },
+
+    /**
+     * Client - Owner of the annotated record
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Client is required'],
+    },
+
+    /**
+     * Record Type - Model of the annotated record
+     * @type {String}
+     * @required
+     * @enum ["Income", "Expense", "Assets", "Liability", "CreditCard"]
+     */
+    recordType: {
+      type: String,
+      required: [true, 'Record type is required'],
+      enum: {
+        values: NOTE_RECORD_TYPES,
+        message: '{VALUE} is not a valid record type',
+      },
+    },
+
+    /**
+     * Record ID - Annotated record
+     * @type {ObjectId}
+     * @required
+     */
+    recordId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Record ID is required'],
+      refPath: 'recordType',
+    },
+
+    /**
+     * Body - Note text
+     * @type {String}
+     * @required
+     */
+    body: {
+      type: String,
+      required: [true, 'Note body is required'],
+      trim: true,
+      maxlength: [2000, 'Note cannot exceed 2000 characters'],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+advisorNoteSchema.index({ advisor: 1, client: 1, recordType: 1, recordId: 1 });
+
+module.exports = mongoose.model('AdvisorNote', advisorNoteSchema);
+module.exports.NOTE_RECORD_TYPES = NOTE_RECORD_TYPES;
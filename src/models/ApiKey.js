@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+/**
+ * Resources an API key scope can refer to ("*" matches all of them)
+ * @constant {string[]}
+ */
+const API_KEY_RESOURCES = ['income', 'expenses', 'budgets', 'goals', 'assets', 'liabilities', 'creditCards', 'exchangeRates', 'notifications', 'summary', 'recommendations'];
+
+/**
+ * Actions an API key scope can grant ("*" matches all of them)
+ * @constant {string[]}
+ */
+const API_KEY_ACTIONS = ['read', 'write', 'generate'];
+
+/**
+ * Check that a scope string has the form "<resource>:<action>"
+ * @param {string} scope - Scope such as "income:read" or "*:write"
+ * @returns {boolean} True if the scope is well-formed
+ */
+const isValidScope = (scope) => {
+  if (typeof scope !== 'string') {
+    return false;
+  }
+  const [resource, action, extra] = scope.split(':');
+  return extra === undefined &&
+    (resource === '*' || API_KEY_RESOURCES.includes(resource)) &&
+    (action === '*' || API_KEY_ACTIONS.includes(action));
+};
+
+/**
+ * Check whether a list of granted scopes covers a required scope, honouring "*" wildcards
+ * @param {string[]} scopes - Granted scopes
+ * @param {string} required - Scope such as "income:read"
+ * @returns {boolean} True if one of the scopes matches
+ */
+const scopeMatches = (scopes, required) => {
+  const [resource, action] = required.split(':');
+  return scopes.some(scope => {
+    const [grantedResource, grantedAction] = scope.split(':');
+    return (grantedResource === '*' || grantedResource === resource) &&
+      (grantedAction === '*' || grantedAction === action);
+  });
+};
+
+/**
+ * API Key Schema
+ *
+ * Represents a named personal API key used by scripts and integrations instead of a user's JWT.
+ * The key itself is shown once on creation; only its SHA-256 hash and a short prefix are stored.
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    /**
+     * Name - Label chosen by the user
+     * @type {String}
+     * @required
+     * @example "Budget spreadsheet", "Home dashboard"
+     */
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Prefix - First characters of the key, safe to display for identification
+     * @type {String}
+     * @required
+     */
+    prefix: {
+      type: String,
+      required: [true, 'Key prefix is required'],
+    },
+
+    /**
+     * Key Hash - SHA-256 hash of the full key
+     * @type {String}
+     * @required
+     * @unique
+     */
+    keyHash: {
+      type: String,
+      required: [true, 'Key hash is required'],
+      unique: true,
+      select: false,
+    },
+
+    /**
+     * Scopes - Permissions granted to the key
+     * @type {String[]}
+     * @required
+     * @example ["income:read", "recommendations:generate", "*:write"]
+     */
+    scopes: {
+      type: [String],
+      validate: [
+        {
+          validator: (scopes) => Array.isArray(scopes) && scopes.length > 0,
+          message: 'At least one scope is required',
+        },
+        {
+          validator: (scopes) => scopes.every(isValidScope),
+          message: 'Scopes must have the form <resource>:<action>',
+        },
+      ],
+    },
+
+    /**
+     * Last Used At - When the key last authenticated a request
+     * @type {Date}
+     */
+    lastUsedAt: {
+      type: Date,
+    },
+
+    /**
+     * Expires At - When the key stops working (never if unset)
+     * @type {Date}
+     */
+    expiresAt: {
+      type: Date,
+    },
+
+    /**
+     * Revoked At - When the key was revoked
+     * @type {Date}
+     */
+    revokedAt: {
+      type: Date,
+    },
+
+    /**
+     * User ID - Reference to the user who owns this key
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner is required'],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Virtual field for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+/**
+ * Check whether the key grants a scope, honouring "*" wildcards
+ * @param {string} required - Scope such as "income:read"
+ * @returns {boolean} True if one of the key's scopes matches
+ */
+apiKeySchema.methods.hasScope = function(required) {
+  return scopeMatches(this.scopes, required);
+};
+
+// Ensure virtuals are included in JSON
+apiKeySchema.set('toJSON', { virtuals: true });
+apiKeySchema.set('toObject', { virtuals: true });
+
+// Index for faster queries
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
+module.exports.API_KEY_RESOURCES = API_KEY_RESOURCES;
+module.exports.API_KEY_ACTIONS = API_KEY_ACTIONS;
+module.exports.isValidScope = isValidScope;
+module.exports.scopeMatches = scopeMatches;
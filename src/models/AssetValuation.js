@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Valuation sources
+ * @constant {string[]}
+ */
+const VALUATION_SOURCES = ['manual', 'appraisal', 'statement', 'market', 'estimate', 'other'];
+
+/**
+ * Asset Valuation Schema
+ *
+ * Dated value of an asset. Every change of an asset's value is recorded here,
+ * and `Assets.currentValue` always mirrors the most recent valuation, so the
+ * price history of a house, brokerage account or car is kept. Access follows
+ * the parent asset.
+ */
+const assetValuationSchema = new mongoose.Schema(
+  {
+    /**
+     * Asset ID - Asset this valuation belongs to
+     * @type {ObjectId}
+     * @required
+     * @ref Assets
+     */
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assets',
+      required: [true, 'Asset is required'],
+    },
+
+    /**
+     * Value - Market or assessed value on the valuation date
+     * @type {Number}
+     * @required
+     * @min 0
+     */
+    value: {
+      type: Number,
+      required: [true, 'Value is required'],
+      min: [0, 'Value cannot be negative'],
+    },
+
+    /**
+     * Valued At - Date of the valuation (can be back-dated, not in the future)
+     * @type {Date}
+     * @default Date.now
+     */
+    valuedAt: {
+      type: Date,
+      default: Date.now,
+      validate: {
+        validator: (date) => date <= new Date(),
+        message: 'Valuation date cannot be in the future',
+      },
+    },
+
+    /**
+     * Source - Where the valuation comes from
+     * @type {String}
+     * @enum ["manual", "appraisal", "statement", "market", "estimate", "other"]
+     * @default "manual"
+     */
+    source: {
+      type: String,
+      enum: {
+        values: VALUATION_SOURCES,
+        message: '{VALUE} is not a valid valuation source',
+      },
+      lowercase: true,
+      default: 'manual',
+    },
+
+    /**
+     * Notes - Optional details about the valuation
+     * @type {String}
+     * @example "Zillow estimate", "Q3 brokerage statement"
+     */
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+
+    /**
+     * User ID - User who recorded the valuation
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+assetValuationSchema.index({ asset: 1, valuedAt: 1 });
+
+module.exports = mongoose.model('AssetValuation', assetValuationSchema);
+module.exports.VALUATION_SOURCES = VALUATION_SOURCES;
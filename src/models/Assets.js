@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = require('../utils/currency.util');
 
 /**
  * Assets Schema
@@ -63,6 +64,49 @@ const assetsSchema = new mongoose.Schema(
       max: [100, 'Interest rate cannot exceed 100%'],
     },
 
+    /**
+     * Currency - ISO 4217 code of the current value
+     * @type {String}
+     * @default "USD"
+     * @example "USD", "EUR", "LKR"
+     */
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Linked Account Key - Hash of the bank account this asset is linked to by OFX imports, never selected by default
+     * @type {String}
+     */
+    linkedAccountKey: {
+      type: String,
+      select: false,
+    },
+
+    /**
+     * Linked Account Mask - Last digits of the linked bank account
+     * @type {String}
+     * @example "••••4321"
+     */
+    linkedAccountMask: {
+      type: String,
+    },
+
+    /**
+     * Household ID - Household this asset is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
     /**
      * User ID - Reference to the user who owns this asset
      * @type {ObjectId}
@@ -78,9 +122,19 @@ const assetsSchema = new mongoose.Schema(
   }
 );
 
+// Never include the linked account hash in JSON responses
+assetsSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.linkedAccountKey;
+    return ret;
+  },
+});
+
 // Index for faster queries
+assetsSchema.index({ household: 1 });
 assetsSchema.index({ createdBy: 1 });
 assetsSchema.index({ assetsType: 1 });
+assetsSchema.index({ createdBy: 1, linkedAccountKey: 1 });
 
 module.exports = mongoose.model('Assets', assetsSchema);
 
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { EXPENSE_CATEGORIES } = require('./Expense');
+
+/**
+ * Budget Schema
+ *
+ * Spending limit for one expense category per period (e.g. "Groceries $600/month").
+ * Periods follow the calendar (month, quarter, year). With rollover enabled, the
+ * previous period's result adjusts the current limit.
+ */
+const budgetSchema = new mongoose.Schema(
+  {
+    /**
+     * Name - Display name of the budget
+     * @type {String}
+     * @example "Groceries", "Eating out"
+     */
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Category - Expense category the budget limits
+     * @type {String}
+     * @required
+     * @enum EXPENSE_CATEGORIES
+     */
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      enum: {
+        values: EXPENSE_CATEGORIES,
+        message: '{VALUE} is not a valid expense category',
+      },
+      lowercase: true,
+    },
+
+    /**
+     * Limit - Amount that may be spent per period
+     * @type {Number}
+     * @required
+     * @min 0
+     */
+    limit: {
+      type: Number,
+      required: [true, 'Limit is required'],
+      min: [0, 'Limit cannot be negative'],
+    },
+
+    /**
+     * Period - Budget period (calendar month, quarter or year)
+     * @type {String}
+     * @enum ["monthly", "quarterly", "yearly"]
+     * @default "monthly"
+     */
+    period: {
+      type: String,
+      enum: {
+        values: ['monthly', 'quarterly', 'yearly'],
+        message: '{VALUE} is not a valid budget period',
+      },
+      lowercase: true,
+      default: 'monthly',
+    },
+
+    /**
+     * Rollover - How the previous period's result carries over
+     * - none: every period starts at the limit
+     * - unspent: unused budget is added to the next period
+     * - full: unused budget is added and overspending is deducted
+     * @type {String}
+     * @enum ["none", "unspent", "full"]
+     * @default "none"
+     */
+    rollover: {
+      type: String,
+      enum: {
+        values: ['none', 'unspent', 'full'],
+        message: '{VALUE} is not a valid rollover option',
+      },
+      default: 'none',
+    },
+
+    /**
+     * Is Active - Inactive budgets are kept but not tracked
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Household ID - Household this budget is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
+    /**
+     * User ID - Reference to the user who owns this budget
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+budgetSchema.index({ household: 1 });
+budgetSchema.index({ createdBy: 1, category: 1 });
+
+module.exports = mongoose.model('Budget', budgetSchema);
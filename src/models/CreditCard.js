@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = require('../utils/currency.util');
 
 /**
  * Credit Card Schema
  * 
  * Represents credit card accounts for financial tracking.
  * Tracks bank name, card name, credit limit, outstanding balance, interest rate, and due date.
+ * Statements (CreditCardStatement) and payments (CreditCardPayment) keep the card's history;
+ * the balance may exceed the limit (see `isOverLimit`).
  */
 const creditCardSchema = new mongoose.Schema(
   {
@@ -47,7 +50,7 @@ const creditCardSchema = new mongoose.Schema(
     },
 
     /**
-     * Outstanding Balance - Current balance owed
+     * Outstanding Balance - Current balance owed (can exceed the credit limit)
      * @type {Number}
      * @required
      * @min 0
@@ -56,12 +59,6 @@ const creditCardSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Outstanding balance is required'],
       min: [0, 'Outstanding balance cannot be negative'],
-      validate: {
-        validator: function(value) {
-          return value <= this.creditLimit;
-        },
-        message: 'Outstanding balance cannot exceed credit limit',
-      },
     },
 
     /**
@@ -80,6 +77,7 @@ const creditCardSchema = new mongoose.Schema(
 
     /**
      * Due Date - Next payment due date
+     * Rolled forward to the statement's due date when a statement closes.
      * @type {Date}
      * @required
      */
@@ -88,6 +86,114 @@ const creditCardSchema = new mongoose.Schema(
       required: [true, 'Due date is required'],
     },
 
+    /**
+     * Statement Day - Day of the month the statement closes
+     * Statements close automatically on this day when set (last day of shorter months).
+     * @type {Number}
+     * @min 1
+     * @max 31
+     */
+    statementDay: {
+      type: Number,
+      min: [1, 'Statement day must be between 1 and 31'],
+      max: [31, 'Statement day must be between 1 and 31'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Statement day must be a whole number',
+      },
+    },
+
+    /**
+     * Grace Period Days - Days between the statement closing and the payment due date
+     * @type {Number}
+     * @min 0
+     * @max 60
+     * @default 21
+     */
+    gracePeriodDays: {
+      type: Number,
+      min: [0, 'Grace period cannot be negative'],
+      max: [60, 'Grace period cannot exceed 60 days'],
+      default: 21,
+    },
+
+    /**
+     * Minimum Payment Percent - Share of the statement balance due as minimum payment (plus interest)
+     * @type {Number}
+     * @min 0
+     * @max 100
+     * @default 1
+     */
+    minimumPaymentPercent: {
+      type: Number,
+      min: [0, 'Minimum payment percent cannot be negative'],
+      max: [100, 'Minimum payment percent cannot exceed 100%'],
+      default: 1,
+    },
+
+    /**
+     * Minimum Payment Floor - Smallest minimum payment charged by the issuer
+     * @type {Number}
+     * @min 0
+     * @default 25
+     */
+    minimumPaymentFloor: {
+      type: Number,
+      min: [0, 'Minimum payment floor cannot be negative'],
+      default: 25,
+    },
+
+    /**
+     * Currency - ISO 4217 code of the credit limit and balance
+     * @type {String}
+     * @default "USD"
+     * @example "USD", "EUR", "LKR"
+     */
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Linked Account Key - Hash of the bank account this credit card is linked to by OFX imports, never selected by default
+     * @type {String}
+     */
+    linkedAccountKey: {
+      type: String,
+      select: false,
+    },
+
+    /**
+     * Linked Account Mask - Last digits of the linked bank account
+     * @type {String}
+     * @example "••••4321"
+     */
+    linkedAccountMask: {
+      type: String,
+    },
+
+    /**
+     * Balance As Of - Date of the statement balance last imported (older statements do not change the balance)
+     * @type {Date}
+     */
+    balanceAsOf: {
+      type: Date,
+    },
+
+    /**
+     * Household ID - Household this credit card is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
     /**
      * User ID - Reference to the user who owns this credit card
      * @type {ObjectId}
@@ -105,7 +211,16 @@ const creditCardSchema = new mongoose.Schema(
 
 // Virtual field for available credit
 creditCardSchema.virtual('availableCredit').get(function() {
-  return this.creditLimit - this.outstandingBalance;
+  return Math.max(0, this.creditLimit - this.outstandingBalance);
+});
+
+// Virtual fields for balances above the credit limit
+creditCardSchema.virtual('isOverLimit').get(function() {
+  return this.outstandingBalance > this.creditLimit;
+});
+
+creditCardSchema.virtual('overLimitAmount').get(function() {
+  return Math.max(0, this.outstandingBalance - this.creditLimit);
 });
 
 // Virtual field for utilization percentage
@@ -113,13 +228,22 @@ creditCardSchema.virtual('utilizationRate').get(function() {
   return this.creditLimit > 0 ? ((this.outstandingBalance / this.creditLimit) * 100).toFixed(2) : 0;
 });
 
-// Ensure virtuals are included in JSON
-creditCardSchema.set('toJSON', { virtuals: true });
+// Ensure virtuals are included in JSON (without the linked account hash)
+creditCardSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.linkedAccountKey;
+    return ret;
+  },
+});
 creditCardSchema.set('toObject', { virtuals: true });
 
 // Index for faster queries
+creditCardSchema.index({ household: 1 });
 creditCardSchema.index({ createdBy: 1, dueDate: 1 });
 creditCardSchema.index({ bankName: 1 });
+creditCardSchema.index({ statementDay: 1 });
+creditCardSchema.index({ createdBy: 1, linkedAccountKey: 1 });
 
 module.exports = mongoose.model('CreditCard', creditCardSchema);
 
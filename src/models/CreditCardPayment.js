@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credit Card Payment Schema
+ *
+ * A payment made toward a credit card. Recording a payment lowers the card's
+ * outstanding balance; it counts toward the statement whose cycle it falls in
+ * (after the statement date, up to the due date). Access follows the parent
+ * credit card.
+ */
+const creditCardPaymentSchema = new mongoose.Schema(
+  {
+    /**
+     * Credit Card ID - Card the payment was made to
+     * @type {ObjectId}
+     * @required
+     * @ref CreditCard
+     */
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditCard',
+      required: [true, 'Credit card is required'],
+    },
+
+    /**
+     * Amount - Amount paid
+     * @type {Number}
+     * @required
+     * @min 0.01
+     */
+    amount: {
+      type: Number,
+      required: [true, 'Payment amount is required'],
+      min: [0.01, 'Payment amount must be greater than 0'],
+    },
+
+    /**
+     * Applied Amount - Part of the amount that lowered the outstanding balance
+     * (less than the amount when the payment exceeded the balance); deleting
+     * the payment adds back only this part. Set by the server.
+     * @type {Number}
+     */
+    appliedAmount: {
+      type: Number,
+      min: [0, 'Applied amount cannot be negative'],
+    },
+
+    /**
+     * Paid At - Date of the payment (can be back-dated, not in the future)
+     * @type {Date}
+     * @default Date.now
+     */
+    paidAt: {
+      type: Date,
+      default: Date.now,
+      validate: {
+        validator: (date) => date <= new Date(),
+        message: 'Payment date cannot be in the future',
+      },
+    },
+
+    /**
+     * Notes - Optional details about the payment
+     * @type {String}
+     * @example "Autopay", "Paid from savings"
+     */
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+
+    /**
+     * User ID - User who recorded the payment
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+creditCardPaymentSchema.index({ card: 1, paidAt: 1 });
+
+module.exports = mongoose.model('CreditCardPayment', creditCardPaymentSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * Statement sources
+ * @constant {string[]}
+ */
+const STATEMENT_SOURCES = ['manual', 'automatic'];
+
+/**
+ * Credit Card Statement Schema
+ *
+ * One closed statement cycle of a credit card: the balance and minimum payment
+ * on the statement date and the date payment is due. Payments made after the
+ * statement date and up to the due date count toward it. Access follows the
+ * parent credit card.
+ */
+const creditCardStatementSchema = new mongoose.Schema(
+  {
+    /**
+     * Credit Card ID - Card this statement belongs to
+     * @type {ObjectId}
+     * @required
+     * @ref CreditCard
+     */
+    card: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditCard',
+      required: [true, 'Credit card is required'],
+    },
+
+    /**
+     * Statement Date - Date the statement closed (not in the future)
+     * @type {Date}
+     * @required
+     */
+    statementDate: {
+      type: Date,
+      required: [true, 'Statement date is required'],
+      validate: {
+        validator: (date) => date <= new Date(),
+        message: 'Statement date cannot be in the future',
+      },
+    },
+
+    /**
+     * Statement Balance - Balance owed when the statement closed
+     * @type {Number}
+     * @required
+     * @min 0
+     */
+    statementBalance: {
+      type: Number,
+      required: [true, 'Statement balance is required'],
+      min: [0, 'Statement balance cannot be negative'],
+    },
+
+    /**
+     * Minimum Payment - Minimum amount due by the due date
+     * @type {Number}
+     * @required
+     * @min 0
+     */
+    minimumPayment: {
+      type: Number,
+      required: [true, 'Minimum payment is required'],
+      min: [0, 'Minimum payment cannot be negative'],
+    },
+
+    /**
+     * Due Date - Payment due date (statement date plus the card's grace period by default)
+     * @type {Date}
+     * @required
+     */
+    dueDate: {
+      type: Date,
+      required: [true, 'Due date is required'],
+      validate: {
+        validator: function(date) {
+          return !this.statementDate || date >= this.statementDate;
+        },
+        message: 'Due date cannot be before the statement date',
+      },
+    },
+
+    /**
+     * Source - Entered by the user or closed automatically on the card's statement day
+     * @type {String}
+     * @enum ["manual", "automatic"]
+     * @default "manual"
+     */
+    source: {
+      type: String,
+      enum: {
+        values: STATEMENT_SOURCES,
+        message: '{VALUE} is not a valid statement source',
+      },
+      default: 'manual',
+    },
+
+    /**
+     * User ID - User who recorded the statement
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+creditCardStatementSchema.index({ card: 1, statementDate: -1 });
+
+module.exports = mongoose.model('CreditCardStatement', creditCardStatementSchema);
+module.exports.STATEMENT_SOURCES = STATEMENT_SOURCES;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN } = require('../utils/currency.util');
+
+/**
+ * Exchange rate sources
+ * @constant {string[]}
+ */
+const RATE_SOURCES = ['manual', 'import'];
+
+/**
+ * Exchange Rate Schema
+ *
+ * Dated conversion rate between two currencies, managed by each user (entered
+ * by hand or imported from a CSV file). One unit of `from` is worth `rate`
+ * units of `to`. Records in other currencies are converted to the user's base
+ * currency with the latest rate effective on or before the conversion date.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    /**
+     * From - Currency being converted
+     * @type {String}
+     * @required
+     * @example "EUR"
+     */
+    from: {
+      type: String,
+      required: [true, 'From currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+    },
+
+    /**
+     * To - Currency converted into
+     * @type {String}
+     * @required
+     * @example "USD"
+     */
+    to: {
+      type: String,
+      required: [true, 'To currency is required'],
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      validate: {
+        validator: function(to) {
+          return to !== this.from;
+        },
+        message: 'From and to currencies must differ',
+      },
+    },
+
+    /**
+     * Rate - Units of `to` per unit of `from`
+     * @type {Number}
+     * @required
+     * @example 1.08
+     */
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0.000001, 'Rate must be greater than 0'],
+    },
+
+    /**
+     * Effective Date - Date from which the rate applies
+     * @type {Date}
+     * @default Date.now
+     */
+    effectiveDate: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Source - How the rate was entered
+     * @type {String}
+     * @enum ["manual", "import"]
+     * @default "manual"
+     */
+    source: {
+      type: String,
+      enum: {
+        values: RATE_SOURCES,
+        message: '{VALUE} is not a valid rate source',
+      },
+      default: 'manual',
+    },
+
+    /**
+     * User ID - User who owns the rate
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+exchangeRateSchema.index({ createdBy: 1, from: 1, to: 1, effectiveDate: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
+module.exports.RATE_SOURCES = RATE_SOURCES;
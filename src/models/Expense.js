@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = require('../utils/currency.util');
+
+/**
+ * Expense categories
+ * @constant {string[]}
+ */
+const EXPENSE_CATEGORIES = [
+  'housing',
+  'utilities',
+  'groceries',
+  'dining',
+  'transportation',
+  'healthcare',
+  'insurance',
+  'education',
+  'entertainment',
+  'shopping',
+  'travel',
+  'subscriptions',
+  'personal-care',
+  'gifts-donations',
+  'taxes',
+  'other',
+];
+
+/**
+ * Expense Schema
+ *
+ * Represents spending for budget tracking: either a single purchase ("one-time")
+ * or a recurring bill such as rent or a subscription.
+ * Tracks amount, category, merchant, date, frequency and how it was paid.
+ */
+const expenseSchema = new mongoose.Schema(
+  {
+    /**
+     * Amount - Expense amount
+     * @type {Number}
+     * @required
+     * @min 0
+     */
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative'],
+    },
+
+    /**
+     * Currency - ISO 4217 code of the amount
+     * @type {String}
+     * @default "USD"
+     * @example "USD", "EUR", "LKR"
+     */
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Category - Spending category
+     * @type {String}
+     * @required
+     * @enum EXPENSE_CATEGORIES
+     */
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      enum: {
+        values: EXPENSE_CATEGORIES,
+        message: '{VALUE} is not a valid expense category',
+      },
+      lowercase: true,
+    },
+
+    /**
+     * Merchant - Where the money was spent
+     * @type {String}
+     * @example "Whole Foods", "Netflix", "City Power & Light"
+     */
+    merchant: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Merchant cannot exceed 100 characters'],
+    },
+
+    /**
+     * Description - Optional details about the expense
+     * @type {String}
+     */
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    /**
+     * Date - When the expense was paid (first payment for recurring expenses)
+     * @type {Date}
+     * @required
+     */
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+    },
+
+    /**
+     * Frequency - How often the expense recurs
+     * @type {String}
+     * @enum ["daily", "weekly", "bi-weekly", "monthly", "quarterly", "yearly", "one-time"]
+     * @default "one-time"
+     */
+    frequency: {
+      type: String,
+      enum: {
+        values: ['daily', 'weekly', 'bi-weekly', 'monthly', 'quarterly', 'yearly', 'one-time'],
+        message: '{VALUE} is not a valid frequency',
+      },
+      lowercase: true,
+      default: 'one-time',
+    },
+
+    /**
+     * Payment Method - How the expense was paid
+     * @type {String}
+     * @enum ["cash", "debit-card", "credit-card", "bank-transfer", "check", "other"]
+     * @default "debit-card"
+     */
+    paymentMethod: {
+      type: String,
+      enum: {
+        values: ['cash', 'debit-card', 'credit-card', 'bank-transfer', 'check', 'other'],
+        message: '{VALUE} is not a valid payment method',
+      },
+      lowercase: true,
+      default: 'debit-card',
+    },
+
+    /**
+     * Credit Card ID - Card the expense was charged to (credit-card payments only)
+     * @type {ObjectId}
+     * @ref CreditCard
+     */
+    creditCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditCard',
+      default: null,
+    },
+
+    /**
+     * Household ID - Household this expense is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
+    /**
+     * User ID - Reference to the user who owns this expense
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+expenseSchema.index({ household: 1 });
+expenseSchema.index({ createdBy: 1, date: -1 });
+expenseSchema.index({ category: 1 });
+expenseSchema.index({ creditCard: 1 });
+
+module.exports = mongoose.model('Expense', expenseSchema);
+module.exports.EXPENSE_CATEGORIES = EXPENSE_CATEGORIES;
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+/**
+ * Goal types
+ * @constant {string[]}
+ */
+const GOAL_TYPES = ['emergency-fund', 'down-payment', 'vacation', 'custom'];
+
+/**
+ * Goal Schema
+ *
+ * Savings goal such as an emergency fund or a house down payment.
+ * Progress comes from the current value of the linked Assets records, which
+ * grow at their own interest rates until the target date.
+ */
+const goalSchema = new mongoose.Schema(
+  {
+    /**
+     * Name - Display name of the goal
+     * @type {String}
+     * @required
+     * @example "Emergency fund", "House down payment"
+     */
+    name: {
+      type: String,
+      required: [true, 'Goal name is required'],
+      trim: true,
+      maxlength: [100, 'Goal name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Goal Type - Kind of goal
+     * @type {String}
+     * @enum ["emergency-fund", "down-payment", "vacation", "custom"]
+     * @default "custom"
+     */
+    goalType: {
+      type: String,
+      enum: {
+        values: GOAL_TYPES,
+        message: '{VALUE} is not a valid goal type',
+      },
+      lowercase: true,
+      default: 'custom',
+    },
+
+    /**
+     * Target Amount - Amount to reach
+     * @type {Number}
+     * @required
+     * @min 0
+     */
+    targetAmount: {
+      type: Number,
+      required: [true, 'Target amount is required'],
+      min: [0, 'Target amount cannot be negative'],
+    },
+
+    /**
+     * Target Date - When the target amount should be reached
+     * @type {Date}
+     * @required
+     */
+    targetDate: {
+      type: Date,
+      required: [true, 'Target date is required'],
+    },
+
+    /**
+     * Linked Assets - Assets whose current value counts toward the goal
+     * @type {ObjectId[]}
+     * @ref Assets
+     */
+    linkedAssets: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assets',
+      },
+    ],
+
+    /**
+     * Monthly Contribution - Amount currently set aside for the goal each month
+     * Used to decide whether the goal is on track.
+     * @type {Number}
+     * @default 0
+     */
+    monthlyContribution: {
+      type: Number,
+      default: 0,
+      min: [0, 'Monthly contribution cannot be negative'],
+    },
+
+    /**
+     * Is Active - Inactive goals are kept but not tracked
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Household ID - Household this goal is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
+    /**
+     * User ID - Reference to the user who owns this goal
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+goalSchema.index({ household: 1 });
+goalSchema.index({ createdBy: 1, targetDate: 1 });
+
+module.exports = mongoose.model('Goal', goalSchema);
+module.exports.GOAL_TYPES = GOAL_TYPES;
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+/**
+ * Household member roles
+ * - owner: manage members and invitations, full read/write on household records
+ * - editor: full read/write on household records
+ * - viewer: read-only access to household records
+ * @constant {string[]}
+ */
+const HOUSEHOLD_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Household Member Schema (embedded)
+ */
+const memberSchema = new mongoose.Schema(
+  {
+    /**
+     * User ID - Member of the household
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user is required'],
+    },
+
+    /**
+     * Role - Access level within the household
+     * @type {String}
+     * @required
+     * @enum ["owner", "editor", "viewer"]
+     */
+    role: {
+      type: String,
+      required: [true, 'Member role is required'],
+      enum: {
+        values: HOUSEHOLD_ROLES,
+        message: '{VALUE} is not a valid household role',
+      },
+    },
+
+    /**
+     * Joined At - When the user joined the household
+     * @type {Date}
+     */
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Household Invitation Schema (embedded)
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    /**
+     * Email - Address of the invited user
+     * @type {String}
+     * @required
+     */
+    email: {
+      type: String,
+      required: [true, 'Invitation email is required'],
+      lowercase: true,
+      trim: true,
+    },
+
+    /**
+     * Role - Role granted when the invitation is accepted
+     * @type {String}
+     * @required
+     * @enum ["owner", "editor", "viewer"]
+     */
+    role: {
+      type: String,
+      required: [true, 'Invitation role is required'],
+      enum: {
+        values: HOUSEHOLD_ROLES,
+        message: '{VALUE} is not a valid household role',
+      },
+    },
+
+    /**
+     * Invited By - Owner who sent the invitation
+     * @type {ObjectId}
+     * @ref User
+     */
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    /**
+     * Invited At - When the invitation was sent
+     * @type {Date}
+     */
+    invitedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Household Schema
+ *
+ * Represents a group of users (couple, family) that manage money jointly.
+ * Income, Expense, Budget, Assets, Liability and CreditCard records can belong to a household
+ * through their `household` field and are then visible to all its members.
+ */
+const householdSchema = new mongoose.Schema(
+  {
+    /**
+     * Name - Display name of the household
+     * @type {String}
+     * @required
+     * @example "Smith Family"
+     */
+    name: {
+      type: String,
+      required: [true, 'Household name is required'],
+      trim: true,
+      maxlength: [100, 'Household name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Members - Users belonging to the household with their roles
+     * @type {Array}
+     */
+    members: {
+      type: [memberSchema],
+      validate: {
+        validator: (members) => members.some(member => member.role === 'owner'),
+        message: 'A household must have at least one owner',
+      },
+    },
+
+    /**
+     * Invitations - Pending invitations by email
+     * @type {Array}
+     */
+    invitations: [invitationSchema],
+
+    /**
+     * User ID - Reference to the user who created the household
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+/**
+ * Get the role of a user in the household
+ * @param {string|ObjectId} userId - User ID
+ * @returns {string|null} Role, or null if the user is not a member
+ */
+householdSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Index for faster queries
+householdSchema.index({ 'members.user': 1 });
+householdSchema.index({ 'invitations.email': 1 });
+
+module.exports = mongoose.model('Household', householdSchema);
+module.exports.HOUSEHOLD_ROLES = HOUSEHOLD_ROLES;
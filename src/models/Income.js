@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = require('../utils/currency.util');
 
 /**
  * Income Schema
@@ -59,6 +60,40 @@ const incomeSchema = new mongoose.Schema(
       required: [true, 'Date received is required'],
     },
 
+    /**
+     * Currency - ISO 4217 code of the amount
+     * @type {String}
+     * @default "USD"
+     * @example "USD", "EUR", "LKR"
+     */
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Import ID - Bank transaction this income was imported from (OFX FITID with its account);
+     * transactions already imported are skipped
+     * @type {String}
+     */
+    importId: {
+      type: String,
+    },
+
+    /**
+     * Household ID - Household this income record is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
     /**
      * User ID - Reference to the user who owns this income record
      * @type {ObjectId}
@@ -75,8 +110,11 @@ const incomeSchema = new mongoose.Schema(
 );
 
 // Index for faster queries
+incomeSchema.index({ household: 1 });
 incomeSchema.index({ createdBy: 1, dateReceived: -1 });
 incomeSchema.index({ frequency: 1 });
+// A bank transaction is imported once per user, even by concurrent imports
+incomeSchema.index({ createdBy: 1, importId: 1 }, { unique: true, partialFilterExpression: { importId: { $type: 'string' } } });
 
 module.exports = mongoose.model('Income', incomeSchema);
 
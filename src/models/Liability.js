@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = require('../utils/currency.util');
 
 /**
  * Liability Schema
@@ -73,6 +74,84 @@ const liabilitySchema = new mongoose.Schema(
       required: [true, 'Due date is required'],
     },
 
+    /**
+     * Original Principal - Amount originally borrowed
+     * @type {Number}
+     * @min 0
+     */
+    originalPrincipal: {
+      type: Number,
+      min: [0, 'Original principal cannot be negative'],
+    },
+
+    /**
+     * Term Months - Length of the loan in months
+     * Full term when originalPrincipal is set, otherwise the remaining term.
+     * @type {Number}
+     * @min 1
+     */
+    termMonths: {
+      type: Number,
+      min: [1, 'Term must be at least 1 month'],
+      max: [600, 'Term cannot exceed 600 months'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Term must be a whole number of months',
+      },
+    },
+
+    /**
+     * Payment Frequency - How often payments are made
+     * @type {String}
+     * @enum ["weekly", "bi-weekly", "monthly", "quarterly", "yearly"]
+     * @default "monthly"
+     */
+    paymentFrequency: {
+      type: String,
+      enum: {
+        values: ['weekly', 'bi-weekly', 'monthly', 'quarterly', 'yearly'],
+        message: '{VALUE} is not a valid payment frequency',
+      },
+      lowercase: true,
+      default: 'monthly',
+    },
+
+    /**
+     * Scheduled Payment - Amount paid each period (principal and interest)
+     * Calculated from the principal and term when not set.
+     * @type {Number}
+     * @min 0
+     */
+    scheduledPayment: {
+      type: Number,
+      min: [0, 'Scheduled payment cannot be negative'],
+    },
+
+    /**
+     * Currency - ISO 4217 code of the outstanding amount and loan terms
+     * @type {String}
+     * @default "USD"
+     * @example "USD", "EUR", "LKR"
+     */
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Household ID - Household this liability is shared with (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
     /**
      * User ID - Reference to the user who owns this liability
      * @type {ObjectId}
@@ -89,6 +168,7 @@ const liabilitySchema = new mongoose.Schema(
 );
 
 // Index for faster queries
+liabilitySchema.index({ household: 1 });
 liabilitySchema.index({ createdBy: 1, dueDate: 1 });
 liabilitySchema.index({ type: 1 });
 
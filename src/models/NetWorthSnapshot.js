@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency.util');
+
+/**
+ * Net Worth Snapshot Schema
+ *
+ * Point-in-time copy of the totals, ratios and breakdowns calculated by the
+ * data aggregation service, so net worth can be compared over time. Snapshots
+ * belong to an aggregation scope: a user ("me"), a household, or a single
+ * household member.
+ */
+const netWorthSnapshotSchema = new mongoose.Schema(
+  {
+    /**
+     * Taken At - When the snapshot was captured
+     * @type {Date}
+     * @default Date.now
+     */
+    takenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Source - How the snapshot was captured
+     * @type {String}
+     * @enum ["manual", "scheduled"]
+     * @default "manual"
+     */
+    source: {
+      type: String,
+      enum: {
+        values: ['manual', 'scheduled'],
+        message: '{VALUE} is not a valid snapshot source',
+      },
+      default: 'manual',
+    },
+
+    /**
+     * Currency - Base currency the totals were converted to
+     * @type {String}
+     * @default "USD"
+     */
+    currency: {
+      type: String,
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Totals
+     * @type {Number}
+     */
+    totalAssets: { type: Number, default: 0 },
+    totalLiabilities: { type: Number, default: 0 },
+    totalCreditCardDebt: { type: Number, default: 0 },
+    totalAvailableCredit: { type: Number, default: 0 },
+    netWorth: { type: Number, default: 0 },
+    monthlyIncome: { type: Number, default: 0 },
+    monthlyExpenses: { type: Number, default: 0 },
+    monthlySavings: { type: Number, default: 0 },
+
+    /**
+     * Ratios
+     * @type {Number}
+     */
+    creditUtilization: { type: Number, default: 0 },
+    debtToIncomeRatio: { type: Number, default: 0 },
+    savingsRate: { type: Number, default: 0 },
+
+    /**
+     * Breakdowns - Totals per asset type, liability type, income source and expense category
+     * @type {Object}
+     * @example { assets: { savings: 15000, investment: 40000 }, liabilities: { mortgage: 250000 } }
+     */
+    breakdowns: {
+      assets: { type: Map, of: Number, default: {} },
+      liabilities: { type: Map, of: Number, default: {} },
+      income: { type: Map, of: Number, default: {} },
+      expenses: { type: Map, of: Number, default: {} },
+    },
+
+    /**
+     * Household ID - Household the snapshot describes (personal if unset)
+     * @type {ObjectId}
+     * @ref Household
+     */
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household',
+      default: null,
+    },
+
+    /**
+     * Member ID - Household member the snapshot is limited to (whole household if unset)
+     * @type {ObjectId}
+     * @ref User
+     */
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    /**
+     * User ID - User the snapshot describes (personal scope) or who requested it
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+netWorthSnapshotSchema.index({ createdBy: 1, household: 1, takenAt: -1 });
+netWorthSnapshotSchema.index({ household: 1, member: 1, takenAt: -1 });
+
+module.exports = mongoose.model('NetWorthSnapshot', netWorthSnapshotSchema);
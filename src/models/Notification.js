@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_RULE_TYPES, NOTIFICATION_CHANNELS } = require('./NotificationRule');
+
+/**
+ * Delivery statuses of a notification
+ * @constant {string[]}
+ */
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+/**
+ * Notification Schema
+ *
+ * Outbox entry: one message for one channel. Entries are written first and
+ * delivered afterwards by their channel's transport, with retries and
+ * exponential backoff until they are sent or run out of attempts. In-app
+ * notifications are the user's inbox. `dedupeKey` makes sure a condition
+ * (a due date, a budget period) is only notified once per channel.
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    /**
+     * Rule - Rule that created the notification
+     * @type {ObjectId}
+     * @ref NotificationRule
+     */
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationRule',
+    },
+
+    /**
+     * Type - Condition that was met
+     * @type {String}
+     * @required
+     * @enum ["due_date", "credit_utilization", "negative_net_worth", "budget_overspend"]
+     */
+    type: {
+      type: String,
+      required: [true, 'Notification type is required'],
+      enum: {
+        values: NOTIFICATION_RULE_TYPES,
+        message: '{VALUE} is not a valid notification type',
+      },
+    },
+
+    /**
+     * Channel - Transport delivering the notification
+     * @type {String}
+     * @required
+     * @enum ["in_app", "email", "webhook"]
+     */
+    channel: {
+      type: String,
+      required: [true, 'Channel is required'],
+      enum: {
+        values: NOTIFICATION_CHANNELS,
+        message: '{VALUE} is not a valid notification channel',
+      },
+    },
+
+    /**
+     * Recipient - Email address or webhook URL (empty for in-app)
+     * @type {String}
+     */
+    recipient: {
+      type: String,
+      trim: true,
+    },
+
+    /**
+     * Title - Short summary
+     * @type {String}
+     * @required
+     * @example "Visa payment due in 3 days"
+     */
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+
+    /**
+     * Message - Full text
+     * @type {String}
+     * @required
+     */
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      maxlength: [2000, 'Message cannot exceed 2000 characters'],
+    },
+
+    /**
+     * Data - Details of the condition (record IDs, amounts, dates)
+     * @type {Object}
+     */
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    /**
+     * Dedupe Key - Identifies the condition, so it is notified once per channel
+     * @type {String}
+     * @example "due_date:creditCard:65f1c0...:2026-10-22"
+     */
+    dedupeKey: {
+      type: String,
+    },
+
+    /**
+     * Status - Delivery status
+     * @type {String}
+     * @enum ["pending", "sent", "failed"]
+     * @default "pending"
+     */
+    status: {
+      type: String,
+      enum: {
+        values: NOTIFICATION_STATUSES,
+        message: '{VALUE} is not a valid notification status',
+      },
+      default: 'pending',
+    },
+
+    /**
+     * Attempts - Delivery attempts made so far
+     * @type {Number}
+     * @default 0
+     */
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Next Attempt At - Earliest time of the next delivery attempt
+     * @type {Date}
+     * @default Date.now
+     */
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Last Error - Error of the last failed attempt
+     * @type {String}
+     */
+    lastError: {
+      type: String,
+    },
+
+    /**
+     * Sent At - When the transport accepted the notification
+     * @type {Date}
+     */
+    sentAt: {
+      type: Date,
+    },
+
+    /**
+     * Read At - When the user read an in-app notification
+     * @type {Date}
+     */
+    readAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * User ID - User the notification is for
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+notificationSchema.index({ createdBy: 1, channel: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index(
+  { createdBy: 1, channel: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const { publicUrlValidator } = require('../utils/url.util');
+
+/**
+ * Conditions a notification rule can watch
+ * @constant {string[]}
+ */
+const NOTIFICATION_RULE_TYPES = ['due_date', 'credit_utilization', 'negative_net_worth', 'budget_overspend'];
+
+/**
+ * Channels a notification can be delivered on
+ * @constant {string[]}
+ */
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'webhook'];
+
+/**
+ * Threshold used when a rule does not set one
+ * - due_date: days before the due date
+ * - credit_utilization: overall credit utilization (%)
+ * - budget_overspend: share of a budget's limit spent (%)
+ * - negative_net_worth: net worth below this amount (base currency)
+ * @constant {Object}
+ */
+const DEFAULT_THRESHOLDS = {
+  due_date: 3,
+  credit_utilization: 30,
+  negative_net_worth: 0,
+  budget_overspend: 100,
+};
+
+/**
+ * Notification Rule Schema
+ *
+ * A condition on a user's personal records that creates notifications on one
+ * or more channels when it is met. Rules are checked on a schedule (and on
+ * demand); every notification goes through the outbox (see Notification).
+ */
+const notificationRuleSchema = new mongoose.Schema(
+  {
+    /**
+     * Type - Condition watched by the rule
+     * @type {String}
+     * @required
+     * @enum ["due_date", "credit_utilization", "negative_net_worth", "budget_overspend"]
+     */
+    type: {
+      type: String,
+      required: [true, 'Rule type is required'],
+      enum: {
+        values: NOTIFICATION_RULE_TYPES,
+        message: '{VALUE} is not a valid rule type',
+      },
+    },
+
+    /**
+     * Threshold - Days before due, utilization %, budget % spent or net worth floor (see DEFAULT_THRESHOLDS)
+     * @type {Number}
+     * @example 3
+     */
+    threshold: {
+      type: Number,
+      validate: {
+        validator: function(threshold) {
+          return this.type === 'negative_net_worth' || threshold >= 0;
+        },
+        message: 'Threshold cannot be negative',
+      },
+    },
+
+    /**
+     * Channels - Where notifications of this rule are delivered
+     * @type {String[]}
+     * @enum ["in_app", "email", "webhook"]
+     * @default ["in_app"]
+     */
+    channels: {
+      type: [{
+        type: String,
+        enum: {
+          values: NOTIFICATION_CHANNELS,
+          message: '{VALUE} is not a valid notification channel',
+        },
+      }],
+      default: ['in_app'],
+      validate: {
+        validator: (channels) => channels.length > 0,
+        message: 'At least one channel is required',
+      },
+    },
+
+    /**
+     * Email - Recipient of the email channel (defaults to the user's email)
+     * @type {String}
+     * @example "john@example.com"
+     */
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email',
+      ],
+    },
+
+    /**
+     * Webhook URL - Endpoint receiving the webhook channel (required when that channel is selected);
+     * its host must resolve to a public address
+     * @type {String}
+     * @example "https://hooks.example.com/finance"
+     */
+    webhookUrl: {
+      type: String,
+      trim: true,
+      required: [
+        function() {
+          return this.channels.includes('webhook');
+        },
+        'Webhook URL is required for the webhook channel',
+      ],
+      match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http(s) URL'],
+      validate: { validator: publicUrlValidator },
+    },
+
+    /**
+     * Is Active - Inactive rules are not checked
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Condition Active - Whether a level condition (utilization, net worth) was met at the last check;
+     * those rules notify when the condition starts to hold, not on every check
+     * @type {Boolean}
+     * @default false
+     */
+    conditionActive: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Last Triggered At - When the rule last created notifications
+     * @type {Date}
+     */
+    lastTriggeredAt: {
+      type: Date,
+    },
+
+    /**
+     * User ID - User who owns the rule
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Rules without a threshold use the default of their type
+notificationRuleSchema.pre('validate', function() {
+  if (this.threshold === undefined || this.threshold === null) {
+    this.threshold = DEFAULT_THRESHOLDS[this.type];
+  }
+});
+
+// Index for faster queries
+notificationRuleSchema.index({ createdBy: 1, type: 1 });
+notificationRuleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('NotificationRule', notificationRuleSchema);
+module.exports.NOTIFICATION_RULE_TYPES = NOTIFICATION_RULE_TYPES;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
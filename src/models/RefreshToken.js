@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Why a refresh token was revoked
+const REVOKED_REASONS = ['rotated', 'logout', 'revoked'];
+
+/**
+ * Refresh Token Schema
+ *
+ * Server-side record of an issued refresh token. Only a SHA-256 hash of the token is stored.
+ * Tokens are rotated on every use: the used token is revoked and replaced by a new one in the
+ * same family. Presenting a token that was already revoked means it leaked, so every session
+ * of the user is killed.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    /**
+     * User ID - Owner of the session
+     * @type {ObjectId}
+     * @required
+     * @ref User
+     */
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+
+    /**
+     * Token Hash - SHA-256 hash of the opaque refresh token
+     * @type {String}
+     * @required
+     * @unique
+     */
+    tokenHash: {
+      type: String,
+      required: [true, 'Token hash is required'],
+      unique: true,
+    },
+
+    /**
+     * Family - Identifier shared by all tokens rotated from the same login
+     * @type {String}
+     * @required
+     */
+    family: {
+      type: String,
+      required: [true, 'Token family is required'],
+    },
+
+    /**
+     * Expires At - When the token stops being accepted (expired tokens are purged by a TTL index)
+     * @type {Date}
+     * @required
+     */
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+
+    /**
+     * Revoked At - When the token was rotated, logged out or revoked
+     * @type {Date}
+     */
+    revokedAt: {
+      type: Date,
+    },
+
+    /**
+     * Revoked Reason - Why the token was revoked: rotated (used to refresh), logout or
+     * revoked (every session killed). Only replaying a rotated token counts as reuse.
+     * @type {String}
+     * @enum ['rotated', 'logout', 'revoked']
+     */
+    revokedReason: {
+      type: String,
+      enum: {
+        values: REVOKED_REASONS,
+        message: '{VALUE} is not a valid revoked reason',
+      },
+    },
+
+    /**
+     * Replaced By - Hash of the token that replaced this one on rotation
+     * @type {String}
+     */
+    replacedByHash: {
+      type: String,
+    },
+
+    /**
+     * Created By IP - Client IP address that obtained the token
+     * @type {String}
+     */
+    createdByIp: {
+      type: String,
+    },
+
+    /**
+     * User Agent - Client user agent that obtained the token
+     * @type {String}
+     */
+    userAgent: {
+      type: String,
+      maxlength: [500, 'User agent cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Virtual field for whether the token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for faster queries
+refreshTokenSchema.index({ user: 1, family: 1 });
+// Remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
+module.exports.REVOKED_REASONS = REVOKED_REASONS;
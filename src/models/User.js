@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { CURRENCY_PATTERN, DEFAULT_CURRENCY } = require('../utils/currency.util');
+
+/**
+ * User Schema
+ *
+ * Represents an account that owns financial records.
+ * Stores profile details, a bcrypt-hashed password, role and account status.
+ * Every Income, Assets, Liability and CreditCard record references a user through `createdBy`.
+ */
+const userSchema = new mongoose.Schema(
+  {
+    /**
+     * Name - Display name of the user
+     * @type {String}
+     * @required
+     * @example "John Doe"
+     */
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+
+    /**
+     * Email - Unique login email address (stored lowercase)
+     * @type {String}
+     * @required
+     * @unique
+     * @example "john@example.com"
+     */
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email',
+      ],
+    },
+
+    /**
+     * Password - Hashed with bcrypt before saving, never selected by default
+     * @type {String}
+     * @required
+     * @minlength 6
+     */
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [6, 'Password must be at least 6 characters'],
+      select: false,
+    },
+
+    /**
+     * Role - Access level of the user
+     * @type {String}
+     * @enum ["user", "advisor", "admin"]
+     * @default "user"
+     */
+    role: {
+      type: String,
+      enum: {
+        values: ['user', 'advisor', 'admin'],
+        message: '{VALUE} is not a valid role',
+      },
+      default: 'user',
+    },
+
+    /**
+     * Base Currency - Currency totals, insights and recommendations are reported in
+     * @type {String}
+     * @default "USD"
+     * @example "EUR"
+     */
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [CURRENCY_PATTERN, '{VALUE} is not a valid currency code'],
+      default: DEFAULT_CURRENCY,
+    },
+
+    /**
+     * Is Active - Soft-delete flag; inactive users cannot log in
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Token Version - Incremented to invalidate every access token issued so far
+     * @type {Number}
+     * @default 0
+     */
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Calendar Feed Token Hash - SHA-256 of the secret in the iCalendar feed URL, never selected by default
+     * @type {String}
+     * @default null
+     */
+    calendarFeedTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries (calendar feeds are looked up by token hash)
+userSchema.index(
+  { calendarFeedTokenHash: 1 },
+  { unique: true, partialFilterExpression: { calendarFeedTokenHash: { $type: 'string' } } }
+);
+
+// Hash password before saving (only when it has been set or changed)
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) {
+    return;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+/**
+ * Compare a plain-text password with the stored hash
+ * @param {string} enteredPassword - Password supplied by the client
+ * @returns {Promise<boolean>} True if the password matches
+ */
+userSchema.methods.comparePassword = async function(enteredPassword) {
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// Never include the password hash, token version or calendar feed token in JSON responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    delete ret.calendarFeedTokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('User', userSchema);
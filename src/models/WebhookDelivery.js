@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery statuses of a webhook event
+ * @constant {string[]}
+ */
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Deliveries are kept in the log for this many days
+const DELIVERY_RETENTION_DAYS = 30;
+
+/**
+ * Webhook Delivery Schema
+ *
+ * One event sent to one endpoint: the exact payload, the delivery status and
+ * the outcome of the last attempt (HTTP status, start of the response body,
+ * error, duration). Pending deliveries are retried with exponential backoff.
+ * Entries expire after DELIVERY_RETENTION_DAYS days.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    /**
+     * Endpoint - Endpoint the event is sent to
+     * @type {ObjectId}
+     * @required
+     * @ref WebhookEndpoint
+     */
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: [true, 'Endpoint is required'],
+    },
+
+    /**
+     * Event ID - Identifier of the event (the same for every endpoint receiving it)
+     * @type {String}
+     * @required
+     */
+    eventId: {
+      type: String,
+      required: [true, 'Event ID is required'],
+    },
+
+    /**
+     * Event - Event name
+     * @type {String}
+     * @required
+     * @example "income.created"
+     */
+    event: {
+      type: String,
+      required: [true, 'Event is required'],
+    },
+
+    /**
+     * Payload - JSON body sent to the endpoint
+     * @type {Object}
+     */
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    /**
+     * Status - Delivery status
+     * @type {String}
+     * @enum ["pending", "succeeded", "failed"]
+     * @default "pending"
+     */
+    status: {
+      type: String,
+      enum: {
+        values: DELIVERY_STATUSES,
+        message: '{VALUE} is not a valid delivery status',
+      },
+      default: 'pending',
+    },
+
+    /**
+     * Attempts - Delivery attempts made so far
+     * @type {Number}
+     * @default 0
+     */
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    /**
+     * Next Attempt At - Earliest time of the next attempt
+     * @type {Date}
+     * @default Date.now
+     */
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Response Status - HTTP status of the last attempt
+     * @type {Number}
+     */
+    responseStatus: {
+      type: Number,
+    },
+
+    /**
+     * Duration (ms) - Time the last attempt took
+     * @type {Number}
+     */
+    durationMs: {
+      type: Number,
+    },
+
+    /**
+     * Last Error - Error of the last failed attempt
+     * @type {String}
+     */
+    lastError: {
+      type: String,
+    },
+
+    /**
+     * Delivered At - When the endpoint accepted the event
+     * @type {Date}
+     */
+    deliveredAt: {
+      type: Date,
+    },
+
+    /**
+     * User ID - Owner of the endpoint
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Index for faster queries
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
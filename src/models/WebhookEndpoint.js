@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { publicUrlValidator } = require('../utils/url.util');
+
+/**
+ * Events a webhook endpoint can subscribe to ("*" subscribes to all of them)
+ * @constant {string[]}
+ */
+const WEBHOOK_EVENTS = [
+  'income.created', 'income.updated', 'income.deleted',
+  'asset.created', 'asset.updated', 'asset.deleted',
+  'liability.created', 'liability.updated', 'liability.deleted',
+  'creditCard.created', 'creditCard.updated', 'creditCard.deleted',
+  'recommendation.generated',
+];
+
+/**
+ * Webhook Endpoint Schema
+ *
+ * URL registered by a user to receive events about their records. Every
+ * payload is signed with the endpoint's secret (HMAC-SHA256), which is
+ * generated by the server and only returned when it is created or rotated.
+ * The secret is kept in plain text because it is needed to sign payloads.
+ */
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    /**
+     * URL - Endpoint receiving the events (HTTP POST); its host must resolve to a public address
+     * @type {String}
+     * @required
+     * @example "https://dashboard.example.com/hooks/finance"
+     */
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      match: [/^https?:\/\/\S+$/, 'URL must be an http(s) URL'],
+      maxlength: [2000, 'URL cannot exceed 2000 characters'],
+      validate: { validator: publicUrlValidator },
+    },
+
+    /**
+     * Description - What the endpoint is used for
+     * @type {String}
+     * @example "Budget spreadsheet sync"
+     */
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+
+    /**
+     * Events - Subscribed events, or ["*"] for all
+     * @type {String[]}
+     * @example ["income.created", "income.updated"]
+     */
+    events: {
+      type: [String],
+      validate: [
+        {
+          validator: (events) => events.length > 0,
+          message: 'At least one event is required',
+        },
+        {
+          validator: (events) => events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event)),
+          message: 'Events must be "*" or one of: ' + WEBHOOK_EVENTS.join(', '),
+        },
+      ],
+    },
+
+    /**
+     * Secret - Key signing the payloads, never selected by default
+     * @type {String}
+     * @required
+     */
+    secret: {
+      type: String,
+      required: [true, 'Secret is required'],
+      select: false,
+    },
+
+    /**
+     * Is Active - Inactive endpoints receive no events
+     * @type {Boolean}
+     * @default true
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Last Delivery At - Time of the last delivery attempt
+     * @type {Date}
+     */
+    lastDeliveryAt: {
+      type: Date,
+    },
+
+    /**
+     * Last Delivery Status - Outcome of the last delivery attempt
+     * @type {String}
+     * @enum ["succeeded", "failed"]
+     */
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+    },
+
+    /**
+     * User ID - User who owns the endpoint
+     * @type {ObjectId}
+     * @ref User
+     */
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Never include the secret in JSON responses
+webhookEndpointSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  },
+});
+
+// Index for faster queries
+webhookEndpointSchema.index({ createdBy: 1, isActive: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getClients,
+  getAuditTrail,
+  getNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+} = require('../controllers/advisor.controller');
+const { protect, sessionOnly, authorize } = require('../middleware/auth');
+const {
+  advisorNoteValidation,
+  advisorNoteUpdateValidation,
+  idValidation,
+  paginationValidation,
+  validate,
+} = require('../middleware/validation');
+
+// Advisor workspace: advisors signed in with a session only
+// Client data itself is read through the regular endpoints with X-Act-As-Client
+router.use(protect, sessionOnly, authorize('advisor'));
+
+// @route   GET /api/advisor/clients
+// @desc    Get clients that currently grant you access
+// @access  Private (advisors)
+router.get('/clients', getClients);
+
+// @route   GET /api/advisor/audit
+// @desc    Get your audit trail (optionally ?client=)
+// @access  Private (advisors)
+router.get('/audit', paginationValidation, validate, getAuditTrail);
+
+// @route   GET /api/advisor/notes
+// @desc    Get your notes (optionally ?client=&recordType=&recordId=)
+// @access  Private (advisors)
+router.get('/notes', getNotes);
+
+// @route   POST /api/advisor/notes
+// @desc    Attach a private note to a client's record
+// @access  Private (advisors)
+router.post('/notes', advisorNoteValidation, validate, createNote);
+
+// @route   PUT /api/advisor/notes/:id
+// @desc    Update one of your notes
+// @access  Private (advisors)
+router.put('/notes/:id', idValidation, advisorNoteUpdateValidation, validate, updateNote);
+
+// @route   DELETE /api/advisor/notes/:id
+// @desc    Delete one of your notes
+// @access  Private (advisors)
+router.delete('/notes/:id', idValidation, validate, deleteNote);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createGrant,
+  getGrants,
+  revokeGrant,
+  getAuditTrail,
+} = require('../controllers/advisorGrant.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+const {
+  advisorGrantValidation,
+  idValidation,
+  paginationValidation,
+  validate,
+} = require('../middleware/validation');
+
+// Clients manage advisor access to their data with a logged-in session only
+router.use(protect, sessionOnly);
+
+// @route   GET /api/advisor-grants
+// @desc    Get all advisor grants you have given
+// @access  Private
+router.get('/', getGrants);
+
+// @route   POST /api/advisor-grants
+// @desc    Grant an advisor scoped, expiring access (requires consent: true)
+// @access  Private
+router.post('/', advisorGrantValidation, validate, createGrant);
+
+// @route   GET /api/advisor-grants/audit
+// @desc    Get everything advisors viewed or generated on your data
+// @access  Private
+router.get('/audit', paginationValidation, validate, getAuditTrail);
+
+// @route   DELETE /api/advisor-grants/:id
+// @desc    Revoke an advisor grant
+// @access  Private
+router.delete('/:id', idValidation, validate, revokeGrant);
+
+module.exports = router;
@@ -18,6 +18,46 @@ router.get('/', (req, res) => {
     message: 'Welcome to Express REST API - Financial Manager',
     version: '3.0.0',
     endpoints: {
+      auth: {
+        register: 'POST /api/auth/register',
+        login: 'POST /api/auth/login',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        me: 'GET /api/auth/me',
+        updateMe: 'PUT /api/auth/me',
+      },
+      apiKeys: {
+        getAll: 'GET /api/api-keys',
+        create: 'POST /api/api-keys',
+        revoke: 'DELETE /api/api-keys/:id',
+      },
+      households: {
+        getAll: 'GET /api/households',
+        create: 'POST /api/households',
+        getOne: 'GET /api/households/:id',
+        update: 'PUT /api/households/:id',
+        delete: 'DELETE /api/households/:id',
+        invite: 'POST /api/households/:id/invitations',
+        myInvitations: 'GET /api/households/invitations',
+        accept: 'POST /api/households/:id/invitations/accept',
+        decline: 'POST /api/households/:id/invitations/decline',
+        updateMemberRole: 'PUT /api/households/:id/members/:userId',
+        removeMember: 'DELETE /api/households/:id/members/:userId',
+      },
+      advisorGrants: {
+        getAll: 'GET /api/advisor-grants',
+        create: 'POST /api/advisor-grants',
+        revoke: 'DELETE /api/advisor-grants/:id',
+        audit: 'GET /api/advisor-grants/audit',
+      },
+      advisor: {
+        clients: 'GET /api/advisor/clients',
+        audit: 'GET /api/advisor/audit',
+        getNotes: 'GET /api/advisor/notes',
+        createNote: 'POST /api/advisor/notes',
+        updateNote: 'PUT /api/advisor/notes/:id',
+        deleteNote: 'DELETE /api/advisor/notes/:id',
+      },
       income: {
         getAll: 'GET /api/income',
         getOne: 'GET /api/income/:id',
@@ -26,9 +66,39 @@ router.get('/', (req, res) => {
         delete: 'DELETE /api/income/:id',
         deleteAll: 'DELETE /api/income',
       },
+      expenses: {
+        getAll: 'GET /api/expenses',
+        getOne: 'GET /api/expenses/:id',
+        create: 'POST /api/expenses',
+        update: 'PUT /api/expenses/:id',
+        delete: 'DELETE /api/expenses/:id',
+        deleteAll: 'DELETE /api/expenses',
+      },
+      budgets: {
+        getAll: 'GET /api/budgets',
+        getOne: 'GET /api/budgets/:id',
+        status: 'GET /api/budgets/:id/status',
+        create: 'POST /api/budgets',
+        update: 'PUT /api/budgets/:id',
+        delete: 'DELETE /api/budgets/:id',
+        deleteAll: 'DELETE /api/budgets',
+      },
+      goals: {
+        getAll: 'GET /api/goals',
+        getOne: 'GET /api/goals/:id',
+        progress: 'GET /api/goals/:id/progress',
+        progressAll: 'GET /api/goals/progress',
+        create: 'POST /api/goals',
+        update: 'PUT /api/goals/:id',
+        delete: 'DELETE /api/goals/:id',
+        deleteAll: 'DELETE /api/goals',
+      },
       assets: {
         getAll: 'GET /api/assets',
         getOne: 'GET /api/assets/:id',
+        valuations: 'GET /api/assets/:id/valuations',
+        addValuation: 'POST /api/assets/:id/valuations',
+        deleteValuation: 'DELETE /api/assets/:id/valuations/:valuationId',
         create: 'POST /api/assets',
         update: 'PUT /api/assets/:id',
         delete: 'DELETE /api/assets/:id',
@@ -37,6 +107,7 @@ router.get('/', (req, res) => {
       liabilities: {
         getAll: 'GET /api/liabilities',
         getOne: 'GET /api/liabilities/:id',
+        schedule: 'GET /api/liabilities/:id/schedule?extraPayment=',
         create: 'POST /api/liabilities',
         update: 'PUT /api/liabilities/:id',
         delete: 'DELETE /api/liabilities/:id',
@@ -45,11 +116,73 @@ router.get('/', (req, res) => {
       creditCards: {
         getAll: 'GET /api/credit-cards',
         getOne: 'GET /api/credit-cards/:id',
+        statements: 'GET /api/credit-cards/:id/statements',
+        closeStatement: 'POST /api/credit-cards/:id/statements',
+        deleteStatement: 'DELETE /api/credit-cards/:id/statements/:statementId',
+        payments: 'GET /api/credit-cards/:id/payments',
+        addPayment: 'POST /api/credit-cards/:id/payments',
+        deletePayment: 'DELETE /api/credit-cards/:id/payments/:paymentId',
         create: 'POST /api/credit-cards',
         update: 'PUT /api/credit-cards/:id',
         delete: 'DELETE /api/credit-cards/:id',
         deleteAll: 'DELETE /api/credit-cards',
       },
+      debt: {
+        payoffPlan: 'POST /api/debt/payoff-plan',
+        refinanceAnalysis: 'POST /api/debt/refinance-analysis',
+      },
+      exchangeRates: {
+        getAll: 'GET /api/exchange-rates',
+        create: 'POST /api/exchange-rates',
+        import: 'POST /api/exchange-rates/import',
+        update: 'PUT /api/exchange-rates/:id',
+        delete: 'DELETE /api/exchange-rates/:id',
+      },
+      forecast: {
+        cashflow: 'GET /api/forecast/cashflow?months=12',
+      },
+      calendar: {
+        getAll: 'GET /api/calendar?from=&to=',
+        createFeed: 'POST /api/calendar/feed',
+        deleteFeed: 'DELETE /api/calendar/feed',
+        feed: 'GET /api/calendar/feed/:token.ics',
+      },
+      notifications: {
+        getAll: 'GET /api/notifications?unread=true',
+        markRead: 'PUT /api/notifications/:id/read',
+        markAllRead: 'PUT /api/notifications/read-all',
+        outbox: 'GET /api/notifications/outbox?status=&channel=',
+        check: 'POST /api/notifications/check',
+        getRules: 'GET /api/notifications/rules',
+        createRule: 'POST /api/notifications/rules',
+        updateRule: 'PUT /api/notifications/rules/:id',
+        deleteRule: 'DELETE /api/notifications/rules/:id',
+      },
+      webhooks: {
+        getAll: 'GET /api/webhooks',
+        create: 'POST /api/webhooks',
+        update: 'PUT /api/webhooks/:id',
+        delete: 'DELETE /api/webhooks/:id',
+        rotateSecret: 'POST /api/webhooks/:id/rotate-secret',
+        test: 'POST /api/webhooks/:id/test',
+        deliveries: 'GET /api/webhooks/:id/deliveries?status=&event=',
+      },
+      import: {
+        fields: 'GET /api/import/:resource',
+        import: 'POST /api/import/:resource?dryRun=&skipDuplicates=&mapping=',
+        ofx: 'POST /api/import/ofx?dryRun=&accounts=',
+      },
+      export: 'GET /api/export?resources=&format=csv|xlsx|json&from=&to=',
+      backup: {
+        download: 'GET /api/backup',
+        restore: 'POST /api/restore?mode=merge|replace',
+      },
+      summary: {
+        history: 'GET /api/summary/history?from=&to=&interval=month',
+        snapshots: 'GET /api/summary/snapshots',
+        createSnapshot: 'POST /api/summary/snapshots',
+        deleteSnapshot: 'DELETE /api/summary/snapshots/:id',
+      },
       recommendations: {
         general: 'GET /api/recommendations/general',
         budget: 'GET /api/recommendations/budget',
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} = require('../controllers/apiKey.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+const {
+  createApiKeyValidation,
+  idValidation,
+  validate,
+} = require('../middleware/validation');
+
+// API keys can only be managed with a logged-in session, never with another API key
+router.use(protect, sessionOnly);
+
+// @route   GET /api/api-keys
+// @desc    Get all API keys of the current user
+// @access  Private
+router.get('/', getApiKeys);
+
+// @route   POST /api/api-keys
+// @desc    Create a named, scoped API key (returned once)
+// @access  Private
+router.post('/', createApiKeyValidation, validate, createApiKey);
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', idValidation, validate, revokeApiKey);
+
+module.exports = router;
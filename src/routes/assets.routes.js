@@ -7,36 +7,63 @@ const {
   updateAssets,
   deleteAssets,
   deleteAllAssets,
+  getAssetValuations,
+  createAssetValuation,
+  deleteAssetValuation,
 } = require('../controllers/assets.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the assets:read scope for GET and assets:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('assets'), householdContext);
 
 // @route   GET /api/assets
 // @desc    Get all assets with pagination and filtering
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/', getAllAssets);
 
 // @route   POST /api/assets
 // @desc    Create new asset
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.post('/', createAssets);
 
 // @route   DELETE /api/assets
 // @desc    Delete all assets
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/', deleteAllAssets);
 
 // @route   GET /api/assets/:id
 // @desc    Get single asset by ID
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/:id', getAssetsById);
 
+// @route   GET /api/assets/:id/valuations
+// @desc    Get valuation history with gain/loss and annualized growth
+// @access  Private
+router.get('/:id/valuations', getAssetValuations);
+
+// @route   POST /api/assets/:id/valuations
+// @desc    Record a valuation (valuedAt may be in the past)
+// @access  Private
+router.post('/:id/valuations', createAssetValuation);
+
+// @route   DELETE /api/assets/:id/valuations/:valuationId
+// @desc    Delete a valuation
+// @access  Private
+router.delete('/:id/valuations/:valuationId', deleteAssetValuation);
+
 // @route   PUT /api/assets/:id
-// @desc    Update asset
-// @access  Public (can be protected with auth middleware)
+// @desc    Update asset (a new currentValue is recorded as a valuation)
+// @access  Private
 router.put('/:id', updateAssets);
 
 // @route   DELETE /api/assets/:id
 // @desc    Delete asset
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/:id', deleteAssets);
 
 module.exports = router;
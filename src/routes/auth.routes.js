@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+  updateMe,
+} = require('../controllers/auth.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+const {
+  registerValidation,
+  loginValidation,
+  refreshTokenValidation,
+  updateMeValidation,
+  validate,
+} = require('../middleware/validation');
+const { authLimiter } = require('../config/rateLimiter');
+
+// @route   POST /api/auth/register
+// @desc    Register a new user and return an access and refresh token
+// @access  Public
+router.post('/register', authLimiter, registerValidation, validate, register);
+
+// @route   POST /api/auth/login
+// @desc    Log in and return an access and refresh token
+// @access  Public
+router.post('/login', authLimiter, loginValidation, validate, login);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate the refresh token and return a new access token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', authLimiter, refreshTokenValidation, validate, refresh);
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the refresh token family of the current session
+// @access  Public (requires the refresh token to revoke)
+router.post('/logout', refreshTokenValidation, validate, logout);
+
+// @route   GET /api/auth/me
+// @desc    Get the currently authenticated user
+// @access  Private
+router.get('/me', protect, getMe);
+
+// @route   PUT /api/auth/me
+// @desc    Update the name or base currency of the current user
+// @access  Private (session only)
+router.put('/me', protect, sessionOnly, updateMeValidation, validate, updateMe);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { getBackup, restoreBackup } = require('../controllers/backup.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+
+// Backups cover the whole account: they require a login session (no API keys)
+// and always apply to the caller's own account (advisors' X-Act-As-Client is ignored)
+
+// @route   GET /api/backup
+// @desc    Download a backup archive (gzip-compressed JSON) of every record the user created
+// @access  Private
+router.get('/backup', protect, sessionOnly, getBackup);
+
+// @route   POST /api/restore
+// @desc    Restore a backup archive (?mode=merge keeps existing records, ?mode=replace removes them)
+// @access  Private
+router.post(
+  '/restore',
+  protect,
+  sessionOnly,
+  express.raw({ type: ['application/gzip', 'application/x-gzip', 'application/octet-stream', 'multipart/form-data'], limit: '50mb' }),
+  restoreBackup
+);
+
+module.exports = router;
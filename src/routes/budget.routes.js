@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllBudgets,
+  getBudgetById,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  deleteAllBudgets,
+  getBudgetStatus,
+} = require('../controllers/budget.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the budgets:read scope for GET and budgets:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('budgets'), householdContext);
+
+// @route   GET /api/budgets
+// @desc    Get all budgets with pagination and filtering
+// @access  Private
+router.get('/', getAllBudgets);
+
+// @route   POST /api/budgets
+// @desc    Create new budget
+// @access  Private
+router.post('/', createBudget);
+
+// @route   DELETE /api/budgets
+// @desc    Delete all budgets
+// @access  Private
+router.delete('/', deleteAllBudgets);
+
+// @route   GET /api/budgets/:id
+// @desc    Get single budget by ID
+// @access  Private
+router.get('/:id', getBudgetById);
+
+// @route   GET /api/budgets/:id/status
+// @desc    Get spent, remaining, percent used and projection for the current period
+// @access  Private
+router.get('/:id/status', getBudgetStatus);
+
+// @route   PUT /api/budgets/:id
+// @desc    Update budget
+// @access  Private
+router.put('/:id', updateBudget);
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete budget
+// @access  Private
+router.delete('/:id', deleteBudget);
+
+module.exports = router;
+
+
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCalendar,
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeed,
+} = require('../controllers/calendar.controller');
+const { protect, requireScope, sessionOnly } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    iCalendar feed of card and loan due dates (subscribe from a calendar app)
+// @access  Public (secret token in the URL)
+router.get('/feed/:token.ics', getCalendarFeed);
+
+// @route   POST /api/calendar/feed
+// @desc    Create or rotate the secret feed URL (returned once; the previous URL stops working)
+// @access  Private (session only)
+router.post('/feed', protect, sessionOnly, createCalendarFeed);
+
+// @route   DELETE /api/calendar/feed
+// @desc    Disable the feed URL
+// @access  Private (session only)
+router.delete('/feed', protect, sessionOnly, deleteCalendarFeed);
+
+// @route   GET /api/calendar
+// @desc    List upcoming and overdue bill payments (?from=&to=, default the next 30 days)
+// @access  Private
+// API keys need the liabilities:read and creditCards:read scopes
+// Send X-Household-Id (or ?household=, optionally &member=) for household bills
+// Advisors can read a client's calendar with X-Act-As-Client (read-only, audited)
+router.get('/', protect, actAsClient, requireScope('liabilities:read'), requireScope('creditCards:read'), householdContext, getCalendar);
+
+module.exports = router;
@@ -7,38 +7,83 @@ const {
   updateCreditCard,
   deleteCreditCard,
   deleteAllCreditCards,
+  getCreditCardStatements,
+  createCreditCardStatement,
+  deleteCreditCardStatement,
+  getCreditCardPayments,
+  createCreditCardPayment,
+  deleteCreditCardPayment,
 } = require('../controllers/creditCard.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the creditCards:read scope for GET and creditCards:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('creditCards'), householdContext);
 
 // @route   GET /api/credit-cards
 // @desc    Get all credit cards with pagination and filtering
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/', getAllCreditCards);
 
 // @route   POST /api/credit-cards
 // @desc    Create new credit card
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.post('/', createCreditCard);
 
 // @route   DELETE /api/credit-cards
 // @desc    Delete all credit cards
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/', deleteAllCreditCards);
 
 // @route   GET /api/credit-cards/:id
 // @desc    Get single credit card by ID
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/:id', getCreditCardById);
 
 // @route   PUT /api/credit-cards/:id
 // @desc    Update credit card
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.put('/:id', updateCreditCard);
 
 // @route   DELETE /api/credit-cards/:id
 // @desc    Delete credit card
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/:id', deleteCreditCard);
 
+// @route   GET /api/credit-cards/:id/statements
+// @desc    Get statements with payment status (paid in full, minimum only, missed)
+// @access  Private
+router.get('/:id/statements', getCreditCardStatements);
+
+// @route   POST /api/credit-cards/:id/statements
+// @desc    Close a statement and roll the due date forward
+// @access  Private
+router.post('/:id/statements', createCreditCardStatement);
+
+// @route   DELETE /api/credit-cards/:id/statements/:statementId
+// @desc    Delete a statement
+// @access  Private
+router.delete('/:id/statements/:statementId', deleteCreditCardStatement);
+
+// @route   GET /api/credit-cards/:id/payments
+// @desc    Get payments with pagination
+// @access  Private
+router.get('/:id/payments', getCreditCardPayments);
+
+// @route   POST /api/credit-cards/:id/payments
+// @desc    Record a payment (lowers the outstanding balance)
+// @access  Private
+router.post('/:id/payments', createCreditCardPayment);
+
+// @route   DELETE /api/credit-cards/:id/payments/:paymentId
+// @desc    Delete a payment (restores the outstanding balance)
+// @access  Private
+router.delete('/:id/payments/:paymentId', deleteCreditCardPayment);
+
 module.exports = router;
 
 
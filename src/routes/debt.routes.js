@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { createPayoffPlan, analyzeRefinance } = require('../controllers/debt.controller');
+const { protect, requireScope } = require('../middleware/auth');
+const { householdContext, readOnly } = require('../middleware/household');
+
+// All routes below require authentication and read the caller's liabilities and credit cards
+// API keys need the liabilities:read and creditCards:read scopes
+// Send X-Household-Id (or ?household=, optionally &member=) to plan for household debts
+// The routes only calculate (nothing is written), so household viewers can use them
+router.use(protect, requireScope('liabilities:read'), requireScope('creditCards:read'), readOnly, householdContext);
+
+// @route   POST /api/debt/payoff-plan
+// @desc    Build a payoff plan (avalanche, snowball or custom order) with a strategy comparison
+// @access  Private
+router.post('/payoff-plan', createPayoffPlan);
+
+// @route   POST /api/debt/refinance-analysis
+// @desc    Compare a debt with a balance transfer or refinance offer (break-even, total cost, recommendation)
+// @access  Private
+router.post('/refinance-analysis', analyzeRefinance);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  createExchangeRate,
+  importExchangeRates,
+  updateExchangeRate,
+  deleteExchangeRate,
+} = require('../controllers/exchangeRate.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication; exchange rates belong to the user, not a household
+// API keys need the exchangeRates:read scope for GET and exchangeRates:write otherwise
+// Advisors can read a client's rates with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('exchangeRates'));
+
+// @route   GET /api/exchange-rates
+// @desc    Get all exchange rates with pagination and filtering
+// @access  Private
+router.get('/', getExchangeRates);
+
+// @route   POST /api/exchange-rates
+// @desc    Create an exchange rate
+// @access  Private
+router.post('/', createExchangeRate);
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import exchange rates from a CSV file (text/csv) or JSON (all or nothing)
+// @access  Private
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), importExchangeRates);
+
+// @route   PUT /api/exchange-rates/:id
+// @desc    Update an exchange rate
+// @access  Private
+router.put('/:id', updateExchangeRate);
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/:id', deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllExpenses,
+  getExpenseById,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  deleteAllExpenses,
+} = require('../controllers/expense.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the expenses:read scope for GET and expenses:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('expenses'), householdContext);
+
+// @route   GET /api/expenses
+// @desc    Get all expenses with pagination and filtering
+// @access  Private
+router.get('/', getAllExpenses);
+
+// @route   POST /api/expenses
+// @desc    Create new expense
+// @access  Private
+router.post('/', createExpense);
+
+// @route   DELETE /api/expenses
+// @desc    Delete all expenses
+// @access  Private
+router.delete('/', deleteAllExpenses);
+
+// @route   GET /api/expenses/:id
+// @desc    Get single expense by ID
+// @access  Private
+router.get('/:id', getExpenseById);
+
+// @route   PUT /api/expenses/:id
+// @desc    Update expense
+// @access  Private
+router.put('/:id', updateExpense);
+
+// @route   DELETE /api/expenses/:id
+// @desc    Delete expense
+// @access  Private
+router.delete('/:id', deleteExpense);
+
+module.exports = router;
+
+
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { exportData } = require('../controllers/export.controller');
+const exportService = require('../services/exportService');
+const { protect, requireScope } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+/**
+ * Resolve ?resources= and require the read scope of each requested resource
+ * (the summary needs recommendations:read and summary:read)
+ */
+const exportScopes = (req, res, next) => {
+  req.exportResources = exportService.parseResources(req.query.resources);
+
+  if (req.exportResources.error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: req.exportResources.error,
+    });
+  }
+
+  const checks = exportService.getScopes(req.exportResources.resources).map(requireScope);
+  const run = (index) => (index < checks.length ? checks[index](req, res, () => run(index + 1)) : next());
+  run(0);
+};
+
+// All routes below require authentication; records are exported from the caller's scope
+// Send X-Household-Id (or ?household=) to export household records, or X-Act-As-Client as an advisor
+
+// @route   GET /api/export
+// @desc    Download records and the financial summary (?resources=&format=csv|xlsx|json&from=&to=)
+// @access  Private
+router.get('/', protect, actAsClient, exportScopes, householdContext, exportData);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getCashFlowForecast } = require('../controllers/forecast.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and forecast the caller's records
+// API keys need the summary:read scope
+// Send X-Household-Id (or ?household=, optionally &member=) for a household forecast
+// Advisors can read a client's forecast with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('summary'), householdContext);
+
+// @route   GET /api/forecast/cashflow
+// @desc    Forecast monthly inflows, outflows and liquid balance (?months=12&startingBalance=)
+// @access  Private
+router.get('/cashflow', getCashFlowForecast);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllGoals,
+  getAllGoalsProgress,
+  getGoalById,
+  getGoalProgress,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  deleteAllGoals,
+} = require('../controllers/goal.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the goals:read scope for GET and goals:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('goals'), householdContext);
+
+// @route   GET /api/goals
+// @desc    Get all goals with pagination and filtering
+// @access  Private
+router.get('/', getAllGoals);
+
+// @route   POST /api/goals
+// @desc    Create new goal
+// @access  Private
+router.post('/', createGoal);
+
+// @route   DELETE /api/goals
+// @desc    Delete all goals
+// @access  Private
+router.delete('/', deleteAllGoals);
+
+// @route   GET /api/goals/progress
+// @desc    Get progress of all active goals
+// @access  Private
+router.get('/progress', getAllGoalsProgress);
+
+// @route   GET /api/goals/:id
+// @desc    Get single goal by ID with its linked assets
+// @access  Private
+router.get('/:id', getGoalById);
+
+// @route   GET /api/goals/:id/progress
+// @desc    Get percent complete, required monthly contribution and on-track status
+// @access  Private
+router.get('/:id/progress', getGoalProgress);
+
+// @route   PUT /api/goals/:id
+// @desc    Update goal
+// @access  Private
+router.put('/:id', updateGoal);
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete goal
+// @access  Private
+router.delete('/:id', deleteGoal);
+
+module.exports = router;
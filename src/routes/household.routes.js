@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createHousehold,
+  getHouseholds,
+  getHouseholdById,
+  updateHousehold,
+  deleteHousehold,
+  inviteMember,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember,
+} = require('../controllers/household.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+const {
+  householdValidation,
+  householdInviteValidation,
+  householdMemberValidation,
+  householdRoleValidation,
+  idValidation,
+  validate,
+} = require('../middleware/validation');
+
+// Households and memberships can only be managed with a logged-in session
+router.use(protect, sessionOnly);
+
+// @route   GET /api/households
+// @desc    Get all households of the current user with their role
+// @access  Private
+router.get('/', getHouseholds);
+
+// @route   POST /api/households
+// @desc    Create a household (creator becomes owner)
+// @access  Private
+router.post('/', householdValidation, validate, createHousehold);
+
+// @route   GET /api/households/invitations
+// @desc    Get pending invitations for the current user
+// @access  Private
+router.get('/invitations', getMyInvitations);
+
+// @route   GET /api/households/:id
+// @desc    Get a household with its members
+// @access  Private (members)
+router.get('/:id', idValidation, validate, getHouseholdById);
+
+// @route   PUT /api/households/:id
+// @desc    Rename a household
+// @access  Private (owners)
+router.put('/:id', idValidation, householdValidation, validate, updateHousehold);
+
+// @route   DELETE /api/households/:id
+// @desc    Delete a household (records return to their creators)
+// @access  Private (owners)
+router.delete('/:id', idValidation, validate, deleteHousehold);
+
+// @route   POST /api/households/:id/invitations
+// @desc    Invite a user by email with a role
+// @access  Private (owners)
+router.post('/:id/invitations', idValidation, householdInviteValidation, validate, inviteMember);
+
+// @route   POST /api/households/:id/invitations/accept
+// @desc    Accept an invitation
+// @access  Private (invited user)
+router.post('/:id/invitations/accept', idValidation, validate, acceptInvitation);
+
+// @route   POST /api/households/:id/invitations/decline
+// @desc    Decline an invitation
+// @access  Private (invited user)
+router.post('/:id/invitations/decline', idValidation, validate, declineInvitation);
+
+// @route   PUT /api/households/:id/members/:userId
+// @desc    Change the role of a member
+// @access  Private (owners)
+router.put('/:id/members/:userId', householdMemberValidation, householdRoleValidation, validate, updateMemberRole);
+
+// @route   DELETE /api/households/:id/members/:userId
+// @desc    Remove a member, or leave the household when userId is yourself
+// @access  Private (owners, or the member themselves)
+router.delete('/:id/members/:userId', householdMemberValidation, validate, removeMember);
+
+module.exports = router;
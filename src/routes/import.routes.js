@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getImportFields,
+  importRecords,
+  importOfx,
+} = require('../controllers/import.controller');
+const importService = require('../services/importService');
+const { IMPORT_RESOURCES } = require('../services/importService');
+const { protect, requireScope, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// Content types OFX/QFX files are sent with (read as raw bytes, the file declares its charset)
+const OFX_CONTENT_TYPES = [
+  'application/x-ofx', 'application/ofx', 'application/vnd.intu.qfx', 'application/x-qfx',
+  'application/octet-stream', 'text/plain', 'text/xml', 'application/xml',
+];
+
+// All routes below require authentication; records are imported into the caller's scope
+// Send X-Household-Id (or ?household=) to import household records; viewers cannot import
+// Advisors can list the fields with X-Act-As-Client but cannot import (read-only)
+router.use(protect, actAsClient);
+
+// @route   POST /api/import/ofx
+// @desc    Import an OFX/QFX statement file: account balances and deposits (?dryRun=true only checks it)
+// @access  Private
+// API keys need the assets:write, creditCards:write and income:write scopes
+router.post(
+  '/ofx',
+  requireScope('assets:write'),
+  requireScope('creditCards:write'),
+  requireScope('income:write'),
+  express.raw({ type: [...OFX_CONTENT_TYPES, 'multipart/form-data'], limit: '5mb' }),
+  householdContext,
+  importOfx
+);
+
+// Resolve :resource (income, assets, liabilities, credit-cards)
+// API keys need <resource>:read to list the fields and <resource>:write to import
+router.param('resource', (req, res, next, name) => {
+  req.importResource = importService.getResource(name);
+
+  if (!req.importResource) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: `Cannot import "${name}"; resources are: ${Object.keys(IMPORT_RESOURCES).join(', ')}`,
+    });
+  }
+
+  scopeByMethod(req.importResource.scope)(req, res, next);
+});
+
+// @route   GET /api/import/:resource
+// @desc    Get the fields CSV columns can be mapped to (and a header template)
+// @access  Private
+router.get('/:resource', householdContext, getImportFields);
+
+// @route   POST /api/import/:resource
+// @desc    Import a CSV file (text/csv, multipart/form-data or JSON); ?dryRun=true only validates
+// @access  Private
+router.post(
+  '/:resource',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  express.raw({ type: 'multipart/form-data', limit: '5mb' }),
+  householdContext,
+  importRecords
+);
+
+module.exports = router;
@@ -8,35 +8,44 @@ const {
   deleteIncome,
   deleteAllIncome,
 } = require('../controllers/income.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the income:read scope for GET and income:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('income'), householdContext);
 
 // @route   GET /api/income
 // @desc    Get all income records with pagination and filtering
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/', getAllIncome);
 
 // @route   POST /api/income
 // @desc    Create new income record
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.post('/', createIncome);
 
 // @route   DELETE /api/income
 // @desc    Delete all income records
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/', deleteAllIncome);
 
 // @route   GET /api/income/:id
 // @desc    Get single income record by ID
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/:id', getIncomeById);
 
 // @route   PUT /api/income/:id
 // @desc    Update income record
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.put('/:id', updateIncome);
 
 // @route   DELETE /api/income/:id
 // @desc    Delete income record
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/:id', deleteIncome);
 
 module.exports = router;
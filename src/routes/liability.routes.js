@@ -7,36 +7,51 @@ const {
   updateLiability,
   deleteLiability,
   deleteAllLiabilities,
+  getLiabilitySchedule,
 } = require('../controllers/liability.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's records
+// API keys need the liabilities:read scope for GET and liabilities:write otherwise
+// Send X-Household-Id (or ?household=) to work on a household's records; viewers are read-only
+// Advisors can read a client's records with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('liabilities'), householdContext);
 
 // @route   GET /api/liabilities
 // @desc    Get all liabilities with pagination and filtering
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/', getAllLiabilities);
 
 // @route   POST /api/liabilities
 // @desc    Create new liability
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.post('/', createLiability);
 
 // @route   DELETE /api/liabilities
 // @desc    Delete all liabilities
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/', deleteAllLiabilities);
 
 // @route   GET /api/liabilities/:id
 // @desc    Get single liability by ID
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.get('/:id', getLiabilityById);
 
+// @route   GET /api/liabilities/:id/schedule
+// @desc    Get amortization schedule, payoff date and total interest (?extraPayment=)
+// @access  Private
+router.get('/:id/schedule', getLiabilitySchedule);
+
 // @route   PUT /api/liabilities/:id
 // @desc    Update liability
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.put('/:id', updateLiability);
 
 // @route   DELETE /api/liabilities/:id
 // @desc    Delete liability
-// @access  Public (can be protected with auth middleware)
+// @access  Private
 router.delete('/:id', deleteLiability);
 
 module.exports = router;
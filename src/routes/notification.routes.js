@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getOutbox,
+  checkNotifications,
+} = require('../controllers/notification.controller');
+const {
+  getNotificationRules,
+  createNotificationRule,
+  updateNotificationRule,
+  deleteNotificationRule,
+} = require('../controllers/notificationRule.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { idValidation, validate } = require('../middleware/validation');
+
+// All routes below require authentication; notifications and rules are personal
+// API keys need the notifications:read scope for GET and notifications:write otherwise
+router.use(protect, scopeByMethod('notifications'));
+
+// @route   GET /api/notifications/rules
+// @desc    Get all notification rules
+// @access  Private
+router.get('/rules', getNotificationRules);
+
+// @route   POST /api/notifications/rules
+// @desc    Create a rule (due_date, credit_utilization, negative_net_worth, budget_overspend)
+// @access  Private
+router.post('/rules', createNotificationRule);
+
+// @route   PUT /api/notifications/rules/:id
+// @desc    Update a rule
+// @access  Private
+router.put('/rules/:id', idValidation, validate, updateNotificationRule);
+
+// @route   DELETE /api/notifications/rules/:id
+// @desc    Delete a rule
+// @access  Private
+router.delete('/rules/:id', idValidation, validate, deleteNotificationRule);
+
+// @route   GET /api/notifications/outbox
+// @desc    Notifications on every channel with their delivery status (?status=&channel=)
+// @access  Private
+router.get('/outbox', getOutbox);
+
+// @route   POST /api/notifications/check
+// @desc    Check the rules now and deliver due notifications
+// @access  Private
+router.post('/check', checkNotifications);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every in-app notification as read
+// @access  Private
+router.put('/read-all', markAllNotificationsRead);
+
+// @route   GET /api/notifications
+// @desc    In-app inbox (?unread=true&type=)
+// @access  Private
+router.get('/', getNotifications);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark an in-app notification as read
+// @access  Private
+router.put('/:id/read', idValidation, validate, markNotificationRead);
+
+module.exports = router;
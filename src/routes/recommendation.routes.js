@@ -10,71 +10,81 @@ const {
   getAllRecommendations
 } = require('../controllers/recommendation.controller');
 const cacheService = require('../services/cacheService');
+const { protect, requireScope } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+const canGenerate = requireScope('recommendations:generate');
+const canRead = requireScope('recommendations:read');
+const canWrite = requireScope('recommendations:write');
 
 /**
  * Recommendation Routes
  * 
  * API endpoints for AI-powered financial recommendations
  * Uses AWS Bedrock Claude 3 Sonnet for intelligent analysis
+ * Every data and cache endpoint is scoped to the authenticated user
+ * Data endpoints accept X-Household-Id (or ?household=, optionally &member=) for household views
+ * and X-Act-As-Client for advisors working on a client's behalf (audited)
  */
 
 /**
  * @route   GET /api/recommendations/general
  * @desc    Get general financial health recommendations
- * @access  Public
+ * @access  Private
  */
-router.get('/general', getGeneralRecommendations);
+router.get('/general', protect, actAsClient, canGenerate, householdContext, getGeneralRecommendations);
 
 /**
  * @route   GET /api/recommendations/budget
  * @desc    Get budget analysis and spending recommendations
- * @access  Public
+ * @access  Private
  */
-router.get('/budget', getBudgetAnalysis);
+router.get('/budget', protect, actAsClient, canGenerate, householdContext, getBudgetAnalysis);
 
 /**
  * @route   GET /api/recommendations/investment
  * @desc    Get investment strategy recommendations
- * @access  Public
+ * @access  Private
  */
-router.get('/investment', getInvestmentRecommendations);
+router.get('/investment', protect, actAsClient, canGenerate, householdContext, getInvestmentRecommendations);
 
 /**
  * @route   GET /api/recommendations/debt
  * @desc    Get debt management and payoff recommendations
- * @access  Public
+ * @access  Private
  */
-router.get('/debt', getDebtManagementRecommendations);
+router.get('/debt', protect, actAsClient, canGenerate, householdContext, getDebtManagementRecommendations);
 
 /**
  * @route   GET /api/recommendations/credit
  * @desc    Get credit optimization recommendations
- * @access  Public
+ * @access  Private
  */
-router.get('/credit', getCreditOptimizationRecommendations);
+router.get('/credit', protect, actAsClient, canGenerate, householdContext, getCreditOptimizationRecommendations);
 
 /**
  * @route   GET /api/recommendations/summary
  * @desc    Get financial summary and metrics
- * @access  Public
+ * @access  Private
  */
-router.get('/summary', getFinancialSummary);
+router.get('/summary', protect, actAsClient, canRead, householdContext, getFinancialSummary);
 
 /**
  * @route   GET /api/recommendations/all
  * @desc    Get all recommendation types in one request
- * @access  Public
+ * @access  Private
  */
-router.get('/all', getAllRecommendations);
+router.get('/all', protect, actAsClient, canGenerate, householdContext, getAllRecommendations);
 
 /**
  * @route   GET /api/recommendations/cache/stats
- * @desc    Get cache statistics
- * @access  Public
+ * @desc    Get cache statistics for the current user's entries
+ * @access  Private
  */
-router.get('/cache/stats', (req, res) => {
+router.get('/cache/stats', protect, canRead, (req, res) => {
   try {
-    const stats = cacheService.getStats();
+    const stats = cacheService.getUserStats(req.user._id);
     res.json({
       success: true,
       data: stats
@@ -90,12 +100,12 @@ router.get('/cache/stats', (req, res) => {
 
 /**
  * @route   DELETE /api/recommendations/cache
- * @desc    Clear all cache entries
- * @access  Public
+ * @desc    Clear all of the current user's cache entries
+ * @access  Private
  */
-router.delete('/cache', (req, res) => {
+router.delete('/cache', protect, canWrite, (req, res) => {
   try {
-    cacheService.clear();
+    cacheService.invalidateUser(req.user._id);
     res.json({
       success: true,
       message: 'Cache cleared successfully'
@@ -111,13 +121,13 @@ router.delete('/cache', (req, res) => {
 
 /**
  * @route   DELETE /api/recommendations/cache/:type
- * @desc    Clear cache for specific recommendation type
- * @access  Public
+ * @desc    Clear the current user's cache for a specific recommendation type
+ * @access  Private
  */
-router.delete('/cache/:type', (req, res) => {
+router.delete('/cache/:type', protect, canWrite, (req, res) => {
   try {
     const { type } = req.params;
-    cacheService.invalidateType(type);
+    cacheService.invalidateUser(req.user._id, type);
     res.json({
       success: true,
       message: `Cache cleared for type: ${type}`
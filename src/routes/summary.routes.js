@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getHistory,
+  getSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+} = require('../controllers/summary.controller');
+const { protect, scopeByMethod } = require('../middleware/auth');
+const { householdContext } = require('../middleware/household');
+const { actAsClient } = require('../middleware/advisor');
+
+// All routes below require authentication and are scoped to the caller's snapshots
+// API keys need the summary:read scope for GET and summary:write otherwise
+// Send X-Household-Id (or ?household=, optionally &member=) for household snapshots; viewers are read-only
+// Advisors can read a client's history with X-Act-As-Client (read-only, audited)
+router.use(protect, actAsClient, scopeByMethod('summary'), householdContext);
+
+// @route   GET /api/summary/history
+// @desc    Get net worth time series (?from=&to=&interval=day|week|month|quarter|year)
+// @access  Private
+router.get('/history', getHistory);
+
+// @route   GET /api/summary/snapshots
+// @desc    Get all net worth snapshots with pagination
+// @access  Private
+router.get('/snapshots', getSnapshots);
+
+// @route   POST /api/summary/snapshots
+// @desc    Capture a net worth snapshot now
+// @access  Private
+router.post('/snapshots', createSnapshot);
+
+// @route   DELETE /api/summary/snapshots/:id
+// @desc    Delete a net worth snapshot
+// @access  Private
+router.delete('/snapshots/:id', deleteSnapshot);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+} = require('../controllers/webhook.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+const { idValidation, validate } = require('../middleware/validation');
+
+// Webhooks hold signing secrets, so they can only be managed with a logged-in session
+router.use(protect, sessionOnly);
+
+// @route   GET /api/webhooks
+// @desc    Get all webhook endpoints and the available events
+// @access  Private
+router.get('/', getWebhooks);
+
+// @route   POST /api/webhooks
+// @desc    Register an endpoint for some events (signing secret returned once)
+// @access  Private
+router.post('/', createWebhook);
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update an endpoint
+// @access  Private
+router.put('/:id', idValidation, validate, updateWebhook);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete an endpoint and its delivery log
+// @access  Private
+router.delete('/:id', idValidation, validate, deleteWebhook);
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret (returned once)
+// @access  Private
+router.post('/:id/rotate-secret', idValidation, validate, rotateWebhookSecret);
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a signed test event now and return the outcome
+// @access  Private
+router.post('/:id/test', idValidation, validate, testWebhook);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log of an endpoint (?status=&event=)
+// @access  Private
+router.get('/:id/deliveries', idValidation, validate, getWebhookDeliveries);
+
+module.exports = router;
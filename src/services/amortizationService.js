@@ -0,0 +1,195 @@
+const budgetService = require('./budgetService');
+
+/**
+ * Amortization Service
+ *
+ * Builds loan amortization schedules for liabilities: payment, interest,
+ * principal and remaining balance per period, payoff date and total interest,
+ * and the effect of paying extra every month. Pure calculations.
+ */
+
+// Payments per year for each payment frequency
+const PERIODS_PER_YEAR = {
+  weekly: 52,
+  'bi-weekly': 26,
+  monthly: 12,
+  quarterly: 4,
+  yearly: 1,
+};
+
+// Upper bound on schedule length (50 years of weekly payments)
+const MAX_PERIODS = 2600;
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+class AmortizationService {
+  /**
+   * Payments per year for a liability
+   * @param {Object} liability - Liability record
+   * @returns {number} - Periods per year
+   */
+  getPeriodsPerYear(liability) {
+    return PERIODS_PER_YEAR[liability.paymentFrequency] || PERIODS_PER_YEAR.monthly;
+  }
+
+  /**
+   * Level payment that repays a principal over a number of periods
+   * @param {number} principal - Amount to repay
+   * @param {number} rate - Interest rate per period as a fraction
+   * @param {number} periods - Number of payments
+   * @returns {number} - Payment per period
+   */
+  levelPayment(principal, rate, periods) {
+    if (rate === 0) {
+      return principal / periods;
+    }
+    return (principal * rate) / (1 - Math.pow(1 + rate, -periods));
+  }
+
+  /**
+   * Payment per period of a liability
+   *
+   * Uses the scheduled payment when set; otherwise the level payment over the
+   * term, based on the original principal when known (full term) or on the
+   * outstanding amount (remaining term).
+   *
+   * @param {Object} liability - Liability record
+   * @returns {number|null} - Payment per period, or null when it cannot be determined
+   */
+  getPayment(liability) {
+    if (liability.scheduledPayment) {
+      return liability.scheduledPayment;
+    }
+    if (!liability.termMonths) {
+      return null;
+    }
+
+    const periodsPerYear = this.getPeriodsPerYear(liability);
+    const rate = (liability.interestRate || 0) / 100 / periodsPerYear;
+    const periods = Math.max(1, Math.round((liability.termMonths / 12) * periodsPerYear));
+    const principal = liability.originalPrincipal || liability.outstandingAmount;
+
+    // Rounded up to the cent so the last payment never leaves a residual balance
+    return Math.ceil(round(this.levelPayment(principal, rate, periods) * 100)) / 100;
+  }
+
+  /**
+   * Number of the first payment on or after a date, counted from the due date
+   * (see budgetService.occurrence; payment dates clamp to the month end like the
+   * bills calendar and the cash flow forecast)
+   * @param {Object} liability - Liability record
+   * @param {Date} now - Reference date
+   * @returns {number} - Occurrence number of the first payment of the schedule
+   */
+  getFirstPaymentIndex(liability, now) {
+    const frequency = liability.paymentFrequency || 'monthly';
+    let n = 0;
+    while (n < MAX_PERIODS && budgetService.occurrence(liability.dueDate, frequency, n) < now) {
+      n++;
+    }
+    return n;
+  }
+
+  /**
+   * Check that a schedule can be built for a liability
+   * @param {Object} liability - Liability record
+   * @returns {string|null} - Error message, or null when a schedule can be built
+   */
+  validateTerms(liability) {
+    const payment = this.getPayment(liability);
+    if (!payment) {
+      return 'Set scheduledPayment or termMonths on the liability to build a schedule';
+    }
+
+    const firstInterest = liability.outstandingAmount * ((liability.interestRate || 0) / 100 / this.getPeriodsPerYear(liability));
+    if (liability.outstandingAmount > 0 && payment <= firstInterest) {
+      return `Scheduled payment of ${payment} does not cover the interest of ${round(firstInterest)} per period`;
+    }
+    return null;
+  }
+
+  /**
+   * Amortize the outstanding amount of a liability
+   * @param {Object} liability - Liability record
+   * @param {Object} [options] - Schedule options
+   * @param {number} [options.extraMonthlyPayment] - Extra amount paid per month (spread over the payment frequency)
+   * @param {Date} [options.now] - Reference date
+   * @returns {Object} - Summary and the schedule rows
+   */
+  buildSchedule(liability, { extraMonthlyPayment = 0, now = new Date() } = {}) {
+    const periodsPerYear = this.getPeriodsPerYear(liability);
+    const rate = (liability.interestRate || 0) / 100 / periodsPerYear;
+    const payment = this.getPayment(liability);
+    const extraPayment = round((extraMonthlyPayment * 12) / periodsPerYear);
+    const frequency = liability.paymentFrequency || 'monthly';
+
+    const schedule = [];
+    let balance = liability.outstandingAmount;
+    const firstPayment = this.getFirstPaymentIndex(liability, now);
+    let totalInterest = 0;
+    let totalPaid = 0;
+
+    for (let period = 1; balance > 0 && period <= MAX_PERIODS; period++) {
+      const date = budgetService.occurrence(liability.dueDate, frequency, firstPayment + period - 1);
+      const interest = round(balance * rate);
+      const due = Math.min(payment + extraPayment, round(balance + interest));
+      const principal = round(due - interest);
+      balance = round(balance - principal);
+
+      schedule.push({
+        period,
+        date,
+        payment: round(due),
+        interest,
+        principal,
+        balance,
+      });
+
+      totalInterest += interest;
+      totalPaid += due;
+    }
+
+    return {
+      paymentFrequency: frequency,
+      payment,
+      extraPayment,
+      numberOfPayments: schedule.length,
+      firstPaymentDate: schedule.length > 0 ? schedule[0].date : null,
+      payoffDate: schedule.length > 0 ? schedule[schedule.length - 1].date : null,
+      paidOff: balance <= 0,
+      totalInterest: round(totalInterest),
+      totalPaid: round(totalPaid),
+      schedule,
+    };
+  }
+
+  /**
+   * Compare a schedule with extra monthly payments against the regular schedule
+   * @param {Object} liability - Liability record
+   * @param {number} extraMonthlyPayment - Extra amount paid per month
+   * @param {Date} [now] - Reference date
+   * @returns {Object} - Payoff date, interest and payments saved
+   */
+  getExtraPaymentImpact(liability, extraMonthlyPayment, now = new Date()) {
+    const regular = this.buildSchedule(liability, { now });
+    const accelerated = this.buildSchedule(liability, { extraMonthlyPayment, now });
+
+    return {
+      extraMonthlyPayment,
+      extraPaymentPerPeriod: accelerated.extraPayment,
+      payoffDate: accelerated.payoffDate,
+      numberOfPayments: accelerated.numberOfPayments,
+      totalInterest: accelerated.totalInterest,
+      interestSaved: round(regular.totalInterest - accelerated.totalInterest),
+      paymentsSaved: regular.numberOfPayments - accelerated.numberOfPayments,
+      monthsSaved: Math.round(((regular.numberOfPayments - accelerated.numberOfPayments) * 12) / this.getPeriodsPerYear(liability)),
+    };
+  }
+}
+
+module.exports = new AmortizationService();
@@ -0,0 +1,425 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Goal = require('../models/Goal');
+const Assets = require('../models/Assets');
+const AssetValuation = require('../models/AssetValuation');
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const CreditCardStatement = require('../models/CreditCardStatement');
+const CreditCardPayment = require('../models/CreditCardPayment');
+const ExchangeRate = require('../models/ExchangeRate');
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+const NotificationRule = require('../models/NotificationRule');
+const Household = require('../models/Household');
+const User = require('../models/User');
+const cacheService = require('./cacheService');
+const { isCurrencyCode } = require('../utils/currency.util');
+
+/**
+ * Backup Service
+ *
+ * Builds a versioned, checksummed archive (gzip-compressed JSON) of every
+ * record a user created and restores such archives into an account, on this
+ * deployment or another one. Restored records get new IDs; references between
+ * them (a statement's card, a goal's linked assets) are rewritten to the new
+ * IDs and `createdBy` is set to the restoring user. Restores are all or
+ * nothing: every record is validated before anything is written, and records
+ * written before a failed insert are removed again.
+ */
+
+// Identifies backup archives
+const BACKUP_FORMAT = 'financial-manager-backup';
+
+// Version of the archive layout; bump it when a collection or field changes incompatibly
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Restore modes: merge adds to the account, replace removes the account's records first
+const RESTORE_MODES = ['merge', 'replace'];
+
+// Largest decompressed archive accepted (bytes)
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024;
+
+// Most validation errors reported for one restore
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Collections in a backup, keyed by their archive name
+ * Add new user-owned models here so backups include them.
+ * - filter: limits the user's records (besides createdBy)
+ * - refs: fields holding IDs of records in other collections of the backup
+ * - omit: fields never written to a backup
+ * - uniqueFields: fields unique among the user's records (see mapIds() and restore())
+ * @constant {Object}
+ */
+const BACKUP_COLLECTIONS = {
+  // importId (the bank transaction of an OFX deposit) is unique per user
+  income: { model: Income, uniqueFields: ['importId'] },
+  expenses: { model: Expense, refs: { creditCard: 'creditCards' } },
+  budgets: { model: Budget },
+  goals: { model: Goal, refs: { linkedAssets: 'assets' } },
+  // Account number hashes stay on the server; restored accounts are linked again on their next OFX import
+  assets: { model: Assets, omit: ['linkedAccountKey'] },
+  assetValuations: { model: AssetValuation, refs: { asset: 'assets' } },
+  liabilities: { model: Liability },
+  creditCards: { model: CreditCard, omit: ['linkedAccountKey'] },
+  creditCardStatements: { model: CreditCardStatement, refs: { card: 'creditCards' } },
+  creditCardPayments: { model: CreditCardPayment, refs: { card: 'creditCards' } },
+  exchangeRates: { model: ExchangeRate },
+  // Household snapshots belong to the household, not to the member who took them
+  netWorthSnapshots: { model: NetWorthSnapshot, filter: { household: null } },
+  notificationRules: { model: NotificationRule },
+};
+
+/**
+ * Checksum of the backed-up data
+ * @param {Object} archive - Archive (account and collections)
+ * @returns {string} - SHA-256 hex digest
+ */
+const checksumOf = ({ account, collections }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ account, collections }))
+  .digest('hex');
+
+/**
+ * Filter of the records of a collection owned by a user
+ * @param {Object} collection - Collection definition
+ * @param {string} userId - User ID
+ * @returns {Object} - MongoDB filter
+ */
+const ownerFilter = (collection, userId) => ({ ...collection.filter, createdBy: userId });
+
+class BackupService {
+  /**
+   * Build the backup archive of a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - Archive (format, schemaVersion, createdAt, account, counts, checksum, collections)
+   */
+  async createBackup(user) {
+    const collections = {};
+    for (const [name, collection] of Object.entries(BACKUP_COLLECTIONS)) {
+      const omitted = ['__v', ...(collection.omit || [])].map(field => `-${field}`).join(' ');
+      const records = await collection.model.find(ownerFilter(collection, user._id)).select(omitted).sort('_id').lean();
+      // Round-trip through JSON so the checksum is computed over exactly what is written
+      collections[name] = JSON.parse(JSON.stringify(records));
+    }
+
+    const account = { baseCurrency: user.baseCurrency };
+
+    return {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      createdAt: new Date().toISOString(),
+      account,
+      counts: Object.fromEntries(Object.entries(collections).map(([name, records]) => [name, records.length])),
+      checksum: { algorithm: 'sha256', value: checksumOf({ account, collections }) },
+      collections,
+    };
+  }
+
+  /**
+   * Compress an archive for download
+   * @param {Object} archive - Archive from createBackup()
+   * @returns {Buffer} - Gzip-compressed JSON
+   */
+  encodeArchive(archive) {
+    return zlib.gzipSync(JSON.stringify(archive));
+  }
+
+  /**
+   * Read an uploaded archive (gzip-compressed or plain JSON)
+   * @param {Buffer|string} file - Archive file
+   * @returns {Object} - Parsed archive
+   * @throws {Error} - When the file is not a readable archive
+   */
+  decodeArchive(file) {
+    let content = Buffer.isBuffer(file) ? file : Buffer.from(String(file), 'utf8');
+
+    // Gzip magic bytes
+    if (content[0] === 0x1f && content[1] === 0x8b) {
+      try {
+        content = zlib.gunzipSync(content, { maxOutputLength: MAX_ARCHIVE_SIZE });
+      } catch (error) {
+        throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+          ? `Backup is larger than ${MAX_ARCHIVE_SIZE / 1024 / 1024} MB uncompressed`
+          : 'Backup file is not a valid gzip archive');
+      }
+    }
+
+    try {
+      return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      throw new Error('Backup file is not valid JSON');
+    }
+  }
+
+  /**
+   * Check an archive's format, schema version, checksum and collections
+   * @param {Object} archive - Parsed archive
+   * @returns {Array} - Error messages (empty when the archive is valid)
+   */
+  validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+      return ['File is not a backup archive'];
+    }
+
+    if (archive.schemaVersion !== BACKUP_SCHEMA_VERSION) {
+      return [`Backup schema version ${archive.schemaVersion} is not supported; this server restores version ${BACKUP_SCHEMA_VERSION}`];
+    }
+
+    const { collections } = archive;
+    if (!collections || typeof collections !== 'object' || Array.isArray(collections)) {
+      return ['Backup has no collections'];
+    }
+
+    if (!archive.checksum || archive.checksum.algorithm !== 'sha256' || archive.checksum.value !== checksumOf(archive)) {
+      return ['Backup checksum does not match its contents; the file is damaged or was edited'];
+    }
+
+    const errors = [];
+    if (archive.account && archive.account.baseCurrency !== undefined && !isCurrencyCode(archive.account.baseCurrency)) {
+      errors.push(`account.baseCurrency "${archive.account.baseCurrency}" is not a valid currency code`);
+    }
+    Object.entries(collections).forEach(([name, records]) => {
+      if (!BACKUP_COLLECTIONS[name]) {
+        errors.push(`Unknown collection "${name}"`);
+      } else if (!Array.isArray(records)) {
+        errors.push(`${name} must be an array`);
+      } else {
+        const invalid = records.findIndex(record => !record || typeof record !== 'object' || !mongoose.isValidObjectId(record._id));
+        if (invalid !== -1) {
+          errors.push(`${name}[${invalid}] has no valid _id`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Map the IDs of an archive's records to the IDs they get in the account
+   *
+   * In merge mode, records that already exist in the account (same ID, e.g. a
+   * backup restored twice on the same deployment) keep their ID and are skipped.
+   * So are records whose unique field matches an account record (a deposit that
+   * was imported again); they map to that record's ID.
+   *
+   * @param {Object} collections - Archive collections
+   * @param {Object} options - { userId, mode }
+   * @returns {Promise<Object>} - { ids: { collection: Map(old ID, new ID) }, existing: { collection: Set(ID) } }
+   */
+  async mapIds(collections, { userId, mode }) {
+    const ids = {};
+    const existing = {};
+
+    for (const [name, collection] of Object.entries(BACKUP_COLLECTIONS)) {
+      const records = collections[name] || [];
+      const found = mode === 'merge' && records.length > 0
+        ? await collection.model.find({ ...ownerFilter(collection, userId), _id: { $in: records.map(record => record._id) } }).distinct('_id')
+        : [];
+
+      existing[name] = new Set(found.map(String));
+      ids[name] = new Map(records.map(record => [
+        String(record._id),
+        existing[name].has(String(record._id)) ? String(record._id) : new mongoose.Types.ObjectId().toString(),
+      ]));
+
+      for (const field of mode === 'merge' ? collection.uniqueFields || [] : []) {
+        const values = records
+          .filter(record => record[field] != null && !existing[name].has(String(record._id)))
+          .map(record => record[field]);
+        if (values.length === 0) {
+          continue;
+        }
+
+        const matches = await collection.model.find({ ...ownerFilter(collection, userId), [field]: { $in: values } })
+          .select(field)
+          .lean();
+        const byValue = new Map(matches.map(match => [match[field], String(match._id)]));
+        records.forEach(record => {
+          if (record[field] != null && byValue.has(record[field])) {
+            existing[name].add(String(record._id));
+            ids[name].set(String(record._id), byValue.get(record[field]));
+          }
+        });
+      }
+    }
+
+    return { ids, existing };
+  }
+
+  /**
+   * Build a record of the account from a backed-up record
+   * @param {string} name - Collection name
+   * @param {Object} record - Backed-up record
+   * @param {Object} context - { ids, userId, households }
+   * @returns {Object} - { doc } or { error }
+   */
+  buildRecord(name, record, { ids, userId, households }) {
+    const collection = BACKUP_COLLECTIONS[name];
+    const { schema } = collection.model;
+    const doc = { ...record, _id: ids[name].get(String(record._id)), createdBy: userId };
+    (collection.omit || []).forEach(field => delete doc[field]);
+    delete doc.__v;
+
+    // Household records stay in the household only if the user can still write to it
+    if ('household' in doc) {
+      doc.household = doc.household && households.has(String(doc.household)) ? doc.household : null;
+    }
+    if ('member' in doc) {
+      doc.member = null;
+    }
+
+    for (const [field, target] of Object.entries(collection.refs || {})) {
+      const value = doc[field];
+      if (Array.isArray(value)) {
+        // Optional references to records missing from the backup are dropped
+        doc[field] = value.map(id => ids[target].get(String(id))).filter(Boolean);
+      } else if (value) {
+        doc[field] = ids[target].get(String(value)) || null;
+        if (!doc[field] && schema.path(field).isRequired) {
+          return { error: `${field} references a ${target} record missing from the backup` };
+        }
+      }
+    }
+
+    const now = new Date();
+    doc.createdAt = doc.createdAt || now;
+    doc.updatedAt = doc.updatedAt || now;
+
+    return { doc };
+  }
+
+  /**
+   * Restore an archive into a user's account
+   * @param {Object} archive - Parsed archive
+   * @param {Object} options - Restore options
+   * @param {Object} options.user - User document restoring the archive
+   * @param {string} options.mode - merge (keep the account's records) or replace (remove them)
+   * @returns {Promise<Object>} - { errors } or { collections: { name: { restored, skipped, removed } } }
+   */
+  async restore(archive, { user, mode }) {
+    const archiveErrors = this.validateArchive(archive);
+    if (archiveErrors.length > 0) {
+      return { errors: archiveErrors };
+    }
+
+    const userId = user._id;
+    const { collections } = archive;
+    const { ids, existing } = await this.mapIds(collections, { userId, mode });
+
+    const memberships = await Household.find({ 'members.user': userId });
+    const households = new Set(memberships
+      .filter(household => ['owner', 'editor'].includes(household.getMemberRole(userId)))
+      .map(household => household._id.toString()));
+
+    // Build and validate every record before writing anything
+    const errors = [];
+    const docs = {};
+    for (const [name, collection] of Object.entries(BACKUP_COLLECTIONS)) {
+      docs[name] = [];
+      for (const [index, record] of (collections[name] || []).entries()) {
+        if (existing[name].has(String(record._id))) {
+          continue;
+        }
+
+        const { doc, error } = this.buildRecord(name, record, { ids, userId, households });
+        if (error) {
+          errors.push(`${name}[${index}]: ${error}`);
+          continue;
+        }
+
+        const model = new collection.model(doc);
+        try {
+          await model.validate();
+          docs[name].push(model);
+        } catch (validationError) {
+          if (validationError.name !== 'ValidationError') {
+            throw validationError;
+          }
+          const messages = Object.values(validationError.errors).map(err => (err.name === 'CastError'
+            ? `${err.path}: "${err.value}" is not a valid ${err.kind.toLowerCase()}`
+            : err.message));
+          errors.push(`${name}[${index}]: ${messages.join(', ')}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return {
+        errors: errors.length > MAX_REPORTED_ERRORS
+          ? [...errors.slice(0, MAX_REPORTED_ERRORS), `and ${errors.length - MAX_REPORTED_ERRORS} more errors`]
+          : errors,
+      };
+    }
+
+    // Records replaced by the restore (removed only once everything is written)
+    const previous = {};
+    if (mode === 'replace') {
+      for (const [name, collection] of Object.entries(BACKUP_COLLECTIONS)) {
+        previous[name] = await collection.model.find(ownerFilter(collection, userId)).distinct('_id');
+      }
+    }
+
+    const inserted = [];
+    const released = [];
+    try {
+      // The replaced records give up their unique fields first, so the restored copies can take them
+      for (const [name, collection] of Object.entries(mode === 'replace' ? BACKUP_COLLECTIONS : {})) {
+        for (const field of collection.uniqueFields || []) {
+          const holders = await collection.model.find({ _id: { $in: previous[name] }, [field]: { $ne: null } })
+            .select(field)
+            .lean();
+          if (holders.length > 0) {
+            released.push({ collection, field, holders });
+            await collection.model.updateMany({ _id: { $in: holders.map(holder => holder._id) } }, { $unset: { [field]: 1 } });
+          }
+        }
+      }
+
+      for (const [name, collection] of Object.entries(BACKUP_COLLECTIONS)) {
+        if (docs[name].length > 0) {
+          inserted.push({ collection, ids: docs[name].map(doc => doc._id) });
+          // Keep the backed-up createdAt/updatedAt
+          await collection.model.insertMany(docs[name], { ordered: true, timestamps: false });
+        }
+      }
+    } catch (error) {
+      for (const { collection, ids: insertedIds } of inserted) {
+        await collection.model.deleteMany({ _id: { $in: insertedIds } });
+      }
+      for (const { collection, field, holders } of released) {
+        await collection.model.bulkWrite(holders.map(holder => ({
+          updateOne: { filter: { _id: holder._id }, update: { $set: { [field]: holder[field] } } },
+        })));
+      }
+      throw error;
+    }
+
+    if (mode === 'replace') {
+      for (const [name, collection] of Object.entries(BACKUP_COLLECTIONS)) {
+        await collection.model.deleteMany({ _id: { $in: previous[name] } });
+      }
+      if (archive.account && archive.account.baseCurrency) {
+        await User.updateOne({ _id: userId }, { baseCurrency: archive.account.baseCurrency });
+      }
+    }
+
+    cacheService.invalidateUser(userId);
+
+    return {
+      collections: Object.fromEntries(Object.keys(BACKUP_COLLECTIONS).map(name => [name, {
+        restored: docs[name].length,
+        skipped: existing[name].size,
+        removed: previous[name] ? previous[name].length : 0,
+      }])),
+    };
+  }
+}
+
+module.exports = new BackupService();
+module.exports.BACKUP_COLLECTIONS = BACKUP_COLLECTIONS;
+module.exports.BACKUP_SCHEMA_VERSION = BACKUP_SCHEMA_VERSION;
+module.exports.RESTORE_MODES = RESTORE_MODES;
@@ -1,6 +1,7 @@
 const { InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const { bedrockClient, CLAUDE_MODEL_ID, DEFAULT_MODEL_PARAMS } = require('../config/bedrock');
 const logger = require('../utils/logger');
+const { formatMoney } = require('../utils/currency.util');
 
 /**
  * AWS Bedrock Service
@@ -130,30 +131,43 @@ class BedrockService {
    * @returns {string} - Formatted prompt
    */
   buildBudgetAnalysisPrompt(data) {
+    const money = (amount) => formatMoney(amount, data.baseCurrency);
+
     return `
 You are a financial advisor analyzing a user's budget and spending patterns. Based on the following financial data, provide specific, actionable budget recommendations:
 
 FINANCIAL DATA:
-- Total Assets: $${data.totalAssets || 0}
-- Total Income (Monthly): $${data.monthlyIncome || 0}
-- Total Liabilities: $${data.totalLiabilities || 0}
-- Credit Card Debt: $${data.creditCardDebt || 0}
-- Net Worth: $${data.netWorth || 0}
+- Total Assets: ${money(data.totalAssets || 0)}
+- Total Income (Monthly): ${money(data.monthlyIncome || 0)}
+- Total Liabilities: ${money(data.totalLiabilities || 0)}
+- Credit Card Debt: ${money(data.creditCardDebt || 0)}
+- Net Worth: ${money(data.netWorth || 0)}
+
+MONTHLY CASH FLOW:
+- Monthly Expenses: ${money(data.monthlyExpenses || 0)}
+- Monthly Savings: ${money(data.monthlySavings || 0)}
+- Savings Rate: ${(data.savingsRate || 0).toFixed(1)}%
 
 ASSET BREAKDOWN:
-${data.assets?.map(asset => `- ${asset.assetsName}: $${asset.currentValue} (${asset.assetsType})`).join('\n') || 'No assets recorded'}
+${data.assets?.map(asset => `- ${asset.assetsName}: ${money(asset.currentValue)} (${asset.assetsType})`).join('\n') || 'No assets recorded'}
 
 INCOME BREAKDOWN:
-${data.income?.map(inc => `- ${inc.incomeSource}: $${inc.amount} (${inc.frequency})`).join('\n') || 'No income recorded'}
+${data.income?.map(inc => `- ${inc.incomeSource}: ${money(inc.amount)} (${inc.frequency})`).join('\n') || 'No income recorded'}
+
+SPENDING BY CATEGORY (monthly):
+${Object.entries(data.expenseBreakdown || {}).filter(([, entry]) => entry.monthlyAmount > 0).map(([category, entry]) => `- ${category}: ${money(entry.monthlyAmount)} (${entry.percentage.toFixed(1)}%)`).join('\n') || 'No expenses recorded'}
+
+BUDGET VS ACTUAL (current period):
+${data.budgetStatus?.map(budget => `- ${budget.name} (${budget.period}): ${money(budget.spent)} spent of ${money(budget.limit)}, ${budget.percentUsed}% used with ${budget.percentElapsed}% of the period elapsed, projected ${money(budget.projected)} (${budget.status})`).join('\n') || 'No budgets set'}
 
 LIABILITIES:
-${data.liabilities?.map(liab => `- ${liab.liabilityName}: $${liab.outstandingAmount} (${liab.type}, ${liab.interestRate}% APR)`).join('\n') || 'No liabilities recorded'}
+${data.liabilities?.map(liab => `- ${liab.liabilityName}: ${money(liab.outstandingAmount)} (${liab.type}, ${liab.interestRate}% APR)`).join('\n') || 'No liabilities recorded'}
 
 CREDIT CARDS:
-${data.creditCards?.map(card => `- ${card.cardName} (${card.bankName}): $${card.outstandingBalance}/$${card.creditLimit} (${card.interestRate}% APR)`).join('\n') || 'No credit cards recorded'}
+${data.creditCards?.map(card => `- ${card.cardName} (${card.bankName}): ${money(card.outstandingBalance)}/${money(card.creditLimit)} (${card.interestRate}% APR)`).join('\n') || 'No credit cards recorded'}
 
 Please provide:
-1. Budget analysis and spending recommendations
+1. Budget analysis and spending recommendations (including budgets that are exceeded or at risk)
 2. Areas where expenses can be reduced
 3. Suggested emergency fund amount
 4. Monthly savings targets
@@ -169,27 +183,32 @@ Keep recommendations practical, specific, and easy to understand. Focus on immed
    * @returns {string} - Formatted prompt
    */
   buildInvestmentPrompt(data) {
+    const money = (amount) => formatMoney(amount, data.baseCurrency);
+
     return `
 You are a financial advisor providing investment recommendations. Based on the following financial data, suggest appropriate investment strategies:
 
 FINANCIAL PROFILE:
-- Net Worth: $${data.netWorth || 0}
-- Total Assets: $${data.totalAssets || 0}
-- Monthly Income: $${data.monthlyIncome || 0}
+- Net Worth: ${money(data.netWorth || 0)}
+- Total Assets: ${money(data.totalAssets || 0)}
+- Monthly Income: ${money(data.monthlyIncome || 0)}
 - Age/Experience: General adult (assume moderate risk tolerance)
 
 CURRENT ASSETS:
-${data.assets?.map(asset => `- ${asset.assetsName}: $${asset.currentValue} (${asset.assetsType}, ${asset.interestRate}% return)`).join('\n') || 'No current investments'}
+${data.assets?.map(asset => `- ${asset.assetsName}: ${money(asset.currentValue)} (${asset.assetsType}, ${asset.interestRate}% return)`).join('\n') || 'No current investments'}
+
+FINANCIAL GOALS:
+${data.goalProgress?.map(goal => `- ${goal.name} (${goal.goalType}): ${money(goal.currentAmount)} of ${money(goal.targetAmount)} (${goal.percentComplete}%) by ${new Date(goal.targetDate).toISOString().slice(0, 10)}, needs ${money(goal.requiredMonthlyContribution)}/month at ${goal.expectedAnnualReturn}% expected return, currently saving ${money(goal.monthlyContribution)}/month (${goal.status})`).join('\n') || 'No goals set'}
 
 DEBT SITUATION:
-- Total Debt: $${data.totalLiabilities || 0}
-- Credit Card Debt: $${data.creditCardDebt || 0}
+- Total Debt: ${money(data.totalLiabilities || 0)}
+- Credit Card Debt: ${money(data.creditCardDebt || 0)}
 
 Please provide:
 1. Portfolio diversification recommendations
 2. Asset allocation suggestions (stocks, bonds, real estate, etc.)
 3. Risk assessment and appropriate investment vehicles
-4. Timeline for different investment goals
+4. Timeline and investment vehicles for each financial goal (including goals that are behind schedule)
 5. Specific investment options to consider
 6. Emergency fund recommendations
 
@@ -203,20 +222,31 @@ Focus on practical, achievable investment strategies that match the user's finan
    * @returns {string} - Formatted prompt
    */
   buildDebtManagementPrompt(data) {
+    const money = (amount) => formatMoney(amount, data.baseCurrency);
+
     return `
 You are a financial advisor specializing in debt management. Based on the following financial data, provide a comprehensive debt payoff strategy:
 
 DEBT ANALYSIS:
-- Total Liabilities: $${data.totalLiabilities || 0}
-- Credit Card Debt: $${data.creditCardDebt || 0}
-- Monthly Income: $${data.monthlyIncome || 0}
+- Total Liabilities: ${money(data.totalLiabilities || 0)}
+- Credit Card Debt: ${money(data.creditCardDebt || 0)}
+- Monthly Income: ${money(data.monthlyIncome || 0)}
 
 DETAILED DEBT BREAKDOWN:
-${data.liabilities?.map(liab => `- ${liab.liabilityName}: $${liab.outstandingAmount} (${liab.interestRate}% APR, due ${liab.dueDate})`).join('\n') || 'No liabilities recorded'}
+${data.liabilities?.map(liab => `- ${liab.liabilityName}: ${money(liab.outstandingAmount)} (${liab.interestRate}% APR, due ${liab.dueDate})`).join('\n') || 'No liabilities recorded'}
 
 CREDIT CARD DETAILS:
-${data.creditCards?.map(card => `- ${card.cardName}: $${card.outstandingBalance}/$${card.creditLimit} (${card.interestRate}% APR, due ${card.dueDate})`).join('\n') || 'No credit cards recorded'}
+${data.creditCards?.map(card => `- ${card.cardName}: ${money(card.outstandingBalance)}/${money(card.creditLimit)} (${card.interestRate}% APR, due ${card.dueDate})`).join('\n') || 'No credit cards recorded'}
+${data.payoffPlan ? `
+CALCULATED PAYOFF PLAN (${data.payoffPlan.strategy}, ${money(data.payoffPlan.monthlyBudget)}/month, minimums ${money(data.payoffPlan.minimumPayments)}/month):
+${data.payoffPlan.debts.map(debt => `${debt.priority}. ${debt.name}: paid off ${debt.payoffDate ? new Date(debt.payoffDate).toISOString().slice(0, 7) : 'not within 50 years'}, interest ${money(debt.interestPaid)}`).join('\n')}
+Debt-free in ${data.payoffPlan.months} months, total interest ${money(data.payoffPlan.totalInterest)}
 
+STRATEGY COMPARISON:
+${data.payoffPlan.comparison.map(result => `- ${result.strategy}: ${result.months} months, interest ${money(result.totalInterest)}`).join('\n')}
+
+These figures were calculated from the user's records. Explain them and do not invent different payoff dates, interest totals or payment amounts.
+` : ''}
 Please provide:
 1. Debt payoff priority order (highest interest first, or snowball method)
 2. Monthly payment recommendations for each debt
@@ -235,20 +265,25 @@ Make recommendations specific, actionable, and tailored to the user's income lev
    * @returns {string} - Formatted prompt
    */
   buildCreditOptimizationPrompt(data) {
+    const money = (amount) => formatMoney(amount, data.baseCurrency);
+
     return `
 You are a credit optimization specialist. Based on the following financial data, provide strategies to improve credit score and optimize credit usage:
 
 CREDIT PROFILE:
-- Total Credit Card Debt: $${data.creditCardDebt || 0}
-- Available Credit: $${data.availableCredit || 0}
+- Total Credit Card Debt: ${money(data.creditCardDebt || 0)}
+- Available Credit: ${money(data.availableCredit || 0)}
 - Credit Utilization: ${data.creditUtilization || 0}%
 
 CREDIT CARD DETAILS:
-${data.creditCards?.map(card => `- ${card.cardName} (${card.bankName}): $${card.outstandingBalance}/$${card.creditLimit} (${card.interestRate}% APR, due ${card.dueDate})`).join('\n') || 'No credit cards recorded'}
+${data.creditCards?.map(card => `- ${card.cardName} (${card.bankName}): ${money(card.outstandingBalance)}/${money(card.creditLimit)} (${card.interestRate}% APR, due ${card.dueDate})`).join('\n') || 'No credit cards recorded'}
+
+PAYMENT HISTORY (statements in the last 12 months):
+${data.creditCardPaymentHistory?.filter(card => card.statements > 0 || card.isOverLimit).map(card => `- ${card.cardName}: ${card.statements} statements, ${card.paidInFull} paid in full, ${card.minimumOnly} minimum only, ${card.missed} missed${card.latestStatement ? `; latest ${formatMoney(card.latestStatement.statementBalance, card.currency)} (minimum ${formatMoney(card.latestStatement.minimumPayment, card.currency)}, ${card.latestStatement.status.replace(/_/g, ' ')})` : ''}${card.isOverLimit ? `; ${formatMoney(card.overLimitAmount, card.currency)} over limit` : ''}`).join('\n') || 'No statements recorded'}
 
 INCOME & ASSETS:
-- Monthly Income: $${data.monthlyIncome || 0}
-- Total Assets: $${data.totalAssets || 0}
+- Monthly Income: ${money(data.monthlyIncome || 0)}
+- Total Assets: ${money(data.totalAssets || 0)}
 
 Please provide:
 1. Credit utilization optimization strategies
@@ -269,28 +304,36 @@ Focus on practical steps that can be implemented immediately to improve credit h
    * @returns {string} - Formatted prompt
    */
   buildGeneralPrompt(data) {
+    const money = (amount) => formatMoney(amount, data.baseCurrency);
+
     return `
 You are a comprehensive financial advisor. Based on the following financial data, provide overall financial health recommendations:
 
 FINANCIAL OVERVIEW:
-- Net Worth: $${data.netWorth || 0}
-- Total Assets: $${data.totalAssets || 0}
-- Total Liabilities: $${data.totalLiabilities || 0}
-- Monthly Income: $${data.monthlyIncome || 0}
-- Credit Card Debt: $${data.creditCardDebt || 0}
+- Net Worth: ${money(data.netWorth || 0)}
+- Total Assets: ${money(data.totalAssets || 0)}
+- Total Liabilities: ${money(data.totalLiabilities || 0)}
+- Monthly Income: ${money(data.monthlyIncome || 0)}
+- Credit Card Debt: ${money(data.creditCardDebt || 0)}
+
+NET WORTH TREND (monthly snapshots):
+${data.netWorthTrend?.map(point => `- ${new Date(point.period).toISOString().slice(0, 7)}: ${money(point.netWorth)}${point.change ? ` (${point.change.netWorth >= 0 ? '+' : '-'}${money(Math.abs(point.change.netWorth))}${point.changePercent.netWorth !== null ? `, ${point.changePercent.netWorth}%` : ''})` : ''}`).join('\n') || 'No snapshots recorded yet'}
 
 ASSET PORTFOLIO:
-${data.assets?.map(asset => `- ${asset.assetsName}: $${asset.currentValue} (${asset.assetsType})`).join('\n') || 'No assets recorded'}
+${data.assets?.map(asset => `- ${asset.assetsName}: ${money(asset.currentValue)} (${asset.assetsType})`).join('\n') || 'No assets recorded'}
 
 INCOME SOURCES:
-${data.income?.map(inc => `- ${inc.incomeSource}: $${inc.amount} (${inc.frequency})`).join('\n') || 'No income recorded'}
+${data.income?.map(inc => `- ${inc.incomeSource}: ${money(inc.amount)} (${inc.frequency})`).join('\n') || 'No income recorded'}
 
 DEBT OBLIGATIONS:
-${data.liabilities?.map(liab => `- ${liab.liabilityName}: $${liab.outstandingAmount} (${liab.interestRate}% APR)`).join('\n') || 'No liabilities recorded'}
+${data.liabilities?.map(liab => `- ${liab.liabilityName}: ${money(liab.outstandingAmount)} (${liab.interestRate}% APR)`).join('\n') || 'No liabilities recorded'}
+
+FINANCIAL GOALS:
+${data.goalProgress?.map(goal => `- ${goal.name} (${goal.goalType}): ${money(goal.currentAmount)} of ${money(goal.targetAmount)} (${goal.percentComplete}%) by ${new Date(goal.targetDate).toISOString().slice(0, 10)}, needs ${money(goal.requiredMonthlyContribution)}/month at ${goal.expectedAnnualReturn}% expected return, currently saving ${money(goal.monthlyContribution)}/month (${goal.status})`).join('\n') || 'No goals set'}
 
 Please provide:
-1. Overall financial health assessment
-2. Top 3 financial priorities to focus on
+1. Overall financial health assessment (including the direction of the net worth trend)
+2. Top 3 financial priorities to focus on (taking the user's financial goals into account)
 3. Short-term goals (next 6 months)
 4. Medium-term goals (1-2 years)
 5. Long-term financial planning recommendations
@@ -0,0 +1,238 @@
+/**
+ * Budget Service
+ *
+ * Calculates budget periods, spending per period, rollover and end-of-period
+ * projections from expense records. Pure calculations: callers load the
+ * budgets and expenses, so results can be reused by controllers and the
+ * data aggregation service alike.
+ */
+
+// Months covered by each budget period
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12,
+};
+
+// Upper bound on occurrences of a single recurring expense counted in one range
+const MAX_OCCURRENCES = 1000;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Spacing of recurring occurrences
+const DAY_STEPS = { daily: 1, weekly: 7, 'bi-weekly': 14 };
+const MONTH_STEPS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+class BudgetService {
+  /**
+   * Get the calendar period containing a date
+   * @param {string} period - monthly, quarterly or yearly
+   * @param {Date} [date] - Reference date
+   * @returns {Object} - { start, end } with end exclusive
+   */
+  getPeriodBounds(period, date = new Date()) {
+    const months = PERIOD_MONTHS[period] || 1;
+    const startMonth = Math.floor(date.getMonth() / months) * months;
+    const start = new Date(date.getFullYear(), startMonth, 1);
+    const end = new Date(date.getFullYear(), startMonth + months, 1);
+    return { start, end };
+  }
+
+  /**
+   * Get the period before the one containing a date
+   * @param {string} period - monthly, quarterly or yearly
+   * @param {Date} [date] - Reference date
+   * @returns {Object} - { start, end } with end exclusive
+   */
+  getPreviousPeriodBounds(period, date = new Date()) {
+    const { start } = this.getPeriodBounds(period, date);
+    return this.getPeriodBounds(period, new Date(start.getTime() - 1));
+  }
+
+  /**
+   * Date of the n-th occurrence of a recurring frequency
+   *
+   * Months are counted from the anchor (not from the previous occurrence), so a
+   * payment on the 31st falls on the last day of shorter months and returns to
+   * the 31st afterwards.
+   *
+   * @param {Date} anchor - First occurrence
+   * @param {string} frequency - daily, weekly, bi-weekly, monthly, quarterly or yearly
+   * @param {number} n - Occurrence number (0 is the anchor)
+   * @returns {Date} - Date of the occurrence
+   */
+  occurrence(anchor, frequency, n) {
+    const date = new Date(anchor);
+    if (DAY_STEPS[frequency]) {
+      date.setDate(date.getDate() + n * DAY_STEPS[frequency]);
+      return date;
+    }
+
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + n * (MONTH_STEPS[frequency] || 1));
+    date.setDate(Math.min(day, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()));
+    return date;
+  }
+
+  /**
+   * Number of the first occurrence on or after a date
+   *
+   * Skips ahead by an estimate (months counted as 28 days, so it never lands
+   * past the date) instead of walking every occurrence from the anchor.
+   *
+   * @param {Date} anchor - First occurrence
+   * @param {string} frequency - daily, weekly, bi-weekly, monthly, quarterly or yearly
+   * @param {Date} date - Date to reach
+   * @returns {number} - Occurrence number (0 when the anchor is on or after the date)
+   */
+  firstOccurrenceFrom(anchor, frequency, date) {
+    const stepDays = DAY_STEPS[frequency] || (MONTH_STEPS[frequency] || 1) * 28;
+    let n = Math.max(0, Math.floor((date - anchor) / (stepDays * MS_PER_DAY)) - 1);
+    while (n > 0 && this.occurrence(anchor, frequency, n) >= date) {
+      n--;
+    }
+    while (this.occurrence(anchor, frequency, n) < date) {
+      n++;
+    }
+    return n;
+  }
+
+  /**
+   * Sum what an expense costs between two dates
+   *
+   * One-time expenses count when dated inside the range; recurring expenses count
+   * once per occurrence (starting at their date) inside the range.
+   *
+   * @param {Object} expense - Expense record
+   * @param {Date} start - Range start (inclusive)
+   * @param {Date} end - Range end (exclusive)
+   * @returns {number} - Amount spent in the range
+   */
+  amountInRange(expense, start, end) {
+    const amount = expense.amount || 0;
+    const anchor = new Date(expense.date);
+
+    if ((expense.frequency || 'one-time') === 'one-time') {
+      return anchor >= start && anchor < end ? amount : 0;
+    }
+    if (Number.isNaN(anchor.getTime())) {
+      return 0;
+    }
+
+    let total = 0;
+    let n = this.firstOccurrenceFrom(anchor, expense.frequency, start);
+    for (let count = 0, date = this.occurrence(anchor, expense.frequency, n); count < MAX_OCCURRENCES && date < end; count++) {
+      total += amount;
+      date = this.occurrence(anchor, expense.frequency, ++n);
+    }
+    return total;
+  }
+
+  /**
+   * Sum spending of a category between two dates
+   * @param {Array} expenses - Expense records
+   * @param {string} category - Expense category
+   * @param {Date} start - Range start (inclusive)
+   * @param {Date} end - Range end (exclusive)
+   * @returns {number} - Amount spent
+   */
+  calculateSpent(expenses, category, start, end) {
+    return expenses
+      .filter(expense => expense.category === category)
+      .reduce((total, expense) => total + this.amountInRange(expense, start, end), 0);
+  }
+
+  /**
+   * Amount carried over from the previous period according to the rollover option
+   *
+   * Only the immediately preceding period is considered, and only if the budget
+   * already existed then.
+   *
+   * @param {Object} budget - Budget record
+   * @param {Array} expenses - Expense records
+   * @param {Date} now - Reference date
+   * @returns {number} - Amount added to (or, for "full", removed from) the limit
+   */
+  calculateRollover(budget, expenses, now) {
+    if (!budget.rollover || budget.rollover === 'none') {
+      return 0;
+    }
+
+    const previous = this.getPreviousPeriodBounds(budget.period, now);
+    if (budget.createdAt && new Date(budget.createdAt) >= previous.end) {
+      return 0;
+    }
+
+    const remainder = budget.limit - this.calculateSpent(expenses, budget.category, previous.start, previous.end);
+    return budget.rollover === 'unspent' ? Math.max(0, remainder) : remainder;
+  }
+
+  /**
+   * Calculate the status of a budget for the current period
+   *
+   * The projection adds the recurring expenses still due this period to the
+   * one-time spending so far extrapolated at its current daily pace.
+   *
+   * @param {Object} budget - Budget record
+   * @param {Array} expenses - Expense records (any category)
+   * @param {Date} [now] - Reference date
+   * @returns {Object} - Spent, remaining, percent used, projection and status
+   */
+  getStatus(budget, expenses, now = new Date()) {
+    const { start, end } = this.getPeriodBounds(budget.period, now);
+    const categoryExpenses = expenses.filter(expense => expense.category === budget.category);
+    const oneTime = categoryExpenses.filter(expense => (expense.frequency || 'one-time') === 'one-time');
+    const recurring = categoryExpenses.filter(expense => (expense.frequency || 'one-time') !== 'one-time');
+
+    const rollover = this.calculateRollover(budget, expenses, now);
+    const limit = Math.max(0, budget.limit + rollover);
+
+    const spent = this.calculateSpent(categoryExpenses, budget.category, start, now);
+    const oneTimeSpent = this.calculateSpent(oneTime, budget.category, start, now);
+    const recurringForPeriod = this.calculateSpent(recurring, budget.category, start, end);
+
+    const elapsed = Math.min(1, Math.max(0, (now - start) / (end - start)));
+    const projected = recurringForPeriod + (elapsed > 0 ? oneTimeSpent / elapsed : 0);
+
+    let status = 'on_track';
+    if (spent > limit) {
+      status = 'exceeded';
+    } else if (projected > limit) {
+      status = 'at_risk';
+    }
+
+    return {
+      budgetId: budget._id,
+      name: budget.name || budget.category,
+      category: budget.category,
+      period: budget.period,
+      periodStart: start,
+      periodEnd: end,
+      baseLimit: budget.limit,
+      rollover,
+      limit,
+      spent: Math.round(spent * 100) / 100,
+      remaining: Math.round((limit - spent) * 100) / 100,
+      percentUsed: limit > 0 ? Math.round((spent / limit) * 1000) / 10 : 0,
+      projected: Math.round(projected * 100) / 100,
+      percentElapsed: Math.round(elapsed * 1000) / 10,
+      status,
+    };
+  }
+
+  /**
+   * Calculate the status of several budgets
+   * @param {Array} budgets - Budget records
+   * @param {Array} expenses - Expense records
+   * @param {Date} [now] - Reference date
+   * @returns {Array} - Budget statuses
+   */
+  getStatuses(budgets, expenses, now = new Date()) {
+    return budgets
+      .filter(budget => budget.isActive !== false)
+      .map(budget => this.getStatus(budget, expenses, now));
+  }
+}
+
+module.exports = new BudgetService();
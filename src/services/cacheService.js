@@ -5,6 +5,7 @@ const logger = require('../utils/logger');
  * 
  * Simple in-memory caching for recommendations to reduce AWS Bedrock API calls
  * Implements TTL (Time To Live) for cache expiration
+ * Keys are partitioned per user (`<type>_<userId>_<dataHash>`) so users never share entries
  */
 
 class CacheService {
@@ -17,13 +18,14 @@ class CacheService {
   /**
    * Generate cache key for financial data
    * @param {string} type - Recommendation type
+   * @param {string} userId - Owner of the financial data
    * @param {Object} data - Financial data
    * @returns {string} - Cache key
    */
-  generateCacheKey(type, data) {
+  generateCacheKey(type, userId, data) {
     // Create a hash of the financial data for cache key
     const dataHash = this.hashFinancialData(data);
-    return `${type}_${dataHash}`;
+    return `${type}_${userId}_${dataHash}`;
   }
 
   /**
@@ -33,10 +35,17 @@ class CacheService {
    */
   hashFinancialData(data) {
     const keyData = {
+      baseCurrency: data.baseCurrency,
       totalAssets: data.totalAssets || 0,
       totalLiabilities: data.totalLiabilities || 0,
       totalCreditCardDebt: data.totalCreditCardDebt || 0,
       monthlyIncome: data.monthlyIncome || 0,
+      monthlyExpenses: data.monthlyExpenses || 0,
+      budgetSpent: (data.budgetStatus || []).map(budget => budget.spent),
+      goals: (data.goalProgress || []).map(goal => [goal.targetAmount, goal.currentAmount, goal.targetDate]),
+      netWorthTrend: (data.netWorthTrend || []).map(point => point.netWorth),
+      cardPayments: (data.creditCardPaymentHistory || []).map(card => [card.statements, card.minimumOnly, card.missed, card.latestStatement?.status]),
+      payoffPlan: data.payoffPlan ? [data.payoffPlan.strategy, data.payoffPlan.monthlyBudget, data.payoffPlan.debts.map(debt => debt.debtId)] : null,
       netWorth: data.netWorth || 0,
       creditUtilization: data.creditUtilization || 0
     };
@@ -179,13 +188,14 @@ class CacheService {
   /**
    * Get recommendation with caching
    * @param {string} type - Recommendation type
+   * @param {string} userId - Owner of the financial data
    * @param {Object} financialData - Financial data
    * @param {Function} generator - Function to generate recommendation if not cached
    * @param {number} ttl - Cache TTL in milliseconds
    * @returns {Promise<Object>} - Recommendation data
    */
-  async getRecommendation(type, financialData, generator, ttl = this.defaultTTL) {
-    const cacheKey = this.generateCacheKey(type, financialData);
+  async getRecommendation(type, userId, financialData, generator, ttl = this.defaultTTL) {
+    const cacheKey = this.generateCacheKey(type, userId, financialData);
     
     // Try to get from cache first
     const cached = this.get(cacheKey);
@@ -211,6 +221,73 @@ class CacheService {
     };
   }
 
+  /**
+   * Get cache statistics for a single user
+   * @param {string} userId - User ID
+   * @returns {Object} - Cache statistics for the user's entries
+   */
+  getUserStats(userId) {
+    const now = Date.now();
+    let validEntries = 0;
+    let expiredEntries = 0;
+
+    for (const [key, cached] of this.cache.entries()) {
+      if (!this.isUserKey(key, userId)) {
+        continue;
+      }
+      if (now > cached.expiresAt) {
+        expiredEntries++;
+      } else {
+        validEntries++;
+      }
+    }
+
+    return {
+      totalEntries: validEntries + expiredEntries,
+      validEntries,
+      expiredEntries,
+      maxSize: this.maxCacheSize,
+      defaultTTL: this.defaultTTL / 1000 / 60 // TTL in minutes
+    };
+  }
+
+  /**
+   * Check whether a cache key belongs to a user (optionally for one type)
+   * @param {string} key - Cache key
+   * @param {string} userId - User ID
+   * @param {string} [type] - Recommendation type
+   * @returns {boolean} - True if the key belongs to the user
+   */
+  isUserKey(key, userId, type) {
+    // Keys look like "<type>_<userId>[:h<householdId>][:m<memberId>]_<hash>"
+    const [keyType, partition = ''] = key.split('_');
+    if (type && keyType !== type) {
+      return false;
+    }
+    return partition.split(':')[0] === String(userId);
+  }
+
+  /**
+   * Invalidate all cache entries of a user, optionally only for one type
+   * @param {string} userId - User ID
+   * @param {string} [type] - Recommendation type
+   */
+  invalidateUser(userId, type) {
+    const keysToDelete = [];
+
+    for (const key of this.cache.keys()) {
+      if (this.isUserKey(key, userId, type)) {
+        keysToDelete.push(key);
+      }
+    }
+
+    keysToDelete.forEach(key => this.cache.delete(key));
+
+    if (keysToDelete.length > 0) {
+      logger.info('Invalidated cache for user', { userId, type, count: keysToDelete.length });
+    }
+  }
+
   /**
    * Invalidate cache for specific type
    * @param {string} type - Recommendation type
@@ -0,0 +1,246 @@
+const amortizationService = require('./amortizationService');
+const creditCardService = require('./creditCardService');
+const debtPayoffService = require('./debtPayoffService');
+const forecastService = require('./forecastService');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency.util');
+
+/**
+ * Calendar Service
+ *
+ * Turns the due dates of liabilities and credit cards into a bills calendar:
+ * every payment between two dates with its amount, payee and status, and the
+ * same payments as an iCalendar (RFC 5545) feed of all-day events. A due
+ * date in the past that was never rolled forward is reported once as
+ * overdue; the following payments are projected from it at the record's
+ * payment frequency. Pure calculations on records in their own currency.
+ */
+
+const PAYMENT_STATUSES = ['overdue', 'due_today', 'upcoming'];
+
+// Months of payments published in the iCalendar feed
+const FEED_MONTHS = 12;
+
+/**
+ * Start of the day of a date
+ * @param {Date} date - Date
+ * @returns {Date} - Midnight of that day
+ */
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Date as an iCalendar DATE value (YYYYMMDD)
+ * @param {Date} date - Date
+ * @returns {string} - Date value
+ */
+const icsDate = (date) => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Date as an iCalendar UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Date
+ * @returns {string} - Date-time value
+ */
+const icsDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and line breaks)
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * @param {string} line - Content line
+ * @returns {string} - Folded line (continuation lines start with a space)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+class CalendarService {
+  /**
+   * Payment of a liability per period
+   * @param {Object} liability - Liability record
+   * @returns {number} - Loan payment, or the monthly minimum for liabilities without loan terms
+   */
+  getLiabilityPayment(liability) {
+    if (!amortizationService.validateTerms(liability)) {
+      return Math.min(amortizationService.getPayment(liability), liability.outstandingAmount);
+    }
+    return debtPayoffService.liabilityMinimumPayment(liability);
+  }
+
+  /**
+   * Describe the liabilities and credit cards that have something to pay
+   * @param {Array} liabilities - Liability records
+   * @param {Array} creditCards - Credit card records
+   * @returns {Array} - Bills { type, id, name, payee, dueDate, frequency, amount, balance, currency, updatedAt }
+   */
+  collectBills(liabilities = [], creditCards = []) {
+    return [
+      ...liabilities
+        .filter(liability => liability.outstandingAmount > 0 && liability.dueDate)
+        .map(liability => ({
+          type: 'liability',
+          id: liability._id,
+          name: liability.liabilityName,
+          payee: liability.liabilityName,
+          dueDate: liability.dueDate,
+          frequency: liability.paymentFrequency || 'monthly',
+          amount: this.getLiabilityPayment(liability),
+          balance: liability.outstandingAmount,
+          currency: liability.currency || DEFAULT_CURRENCY,
+          updatedAt: liability.updatedAt,
+        })),
+      ...creditCards
+        .filter(card => card.outstandingBalance > 0 && card.dueDate)
+        .map(card => ({
+          type: 'creditCard',
+          id: card._id,
+          name: card.cardName,
+          payee: card.bankName,
+          dueDate: card.dueDate,
+          frequency: 'monthly',
+          amount: creditCardService.calculateMinimumPayment(card),
+          balance: card.outstandingBalance,
+          currency: card.currency || DEFAULT_CURRENCY,
+          updatedAt: card.updatedAt,
+        })),
+    ];
+  }
+
+  /**
+   * Payments of bills between two dates
+   *
+   * Payments repeat from the stored due date at the bill's frequency (day of
+   * month kept, clamped in shorter months). A stored due date before today is
+   * listed once as overdue whenever the range starts on or before today.
+   *
+   * @param {Array} bills - Bills from collectBills()
+   * @param {Object} range - Date range
+   * @param {Date} range.from - Range start (inclusive)
+   * @param {Date} range.to - Range end (inclusive)
+   * @param {Date} [range.now] - Reference date
+   * @returns {Array} - Payments sorted by date { date, status, ...bill }
+   */
+  getPayments(bills, { from, to, now = new Date() }) {
+    const today = startOfDay(now);
+    const firstDay = startOfDay(from);
+    const rangeStart = firstDay > today ? firstDay : today;
+    const rangeEnd = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+    const payments = [];
+
+    bills.forEach(({ dueDate, ...bill }) => {
+      const due = new Date(dueDate);
+      if (startOfDay(due) < today && firstDay <= today) {
+        payments.push({ ...bill, date: due, status: 'overdue' });
+      }
+
+      forecastService.occurrencesInRange(startOfDay(due), bill.frequency, rangeStart, rangeEnd).forEach(date => {
+        const status = date.getTime() === today.getTime() ? 'due_today' : 'upcoming';
+        payments.push({ ...bill, date, status });
+      });
+    });
+
+    return payments.sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Count and total of payments per currency
+   * @param {Array} payments - Payments from getPayments()
+   * @returns {Object} - { count, overdue, totals: { <currency>: amount } }
+   */
+  summarize(payments) {
+    const totals = {};
+    payments.forEach(payment => {
+      totals[payment.currency] = Math.round(((totals[payment.currency] || 0) + payment.amount) * 100) / 100;
+    });
+
+    return {
+      count: payments.length,
+      overdue: payments.filter(payment => payment.status === 'overdue').length,
+      totals,
+    };
+  }
+
+  /**
+   * Build an iCalendar feed of payments
+   *
+   * Every payment is an all-day event with a UID that stays the same for the
+   * record and date, so calendar apps update events instead of duplicating
+   * them when the feed is fetched again.
+   *
+   * @param {Array} payments - Payments from getPayments()
+   * @param {Object} [options] - Feed options
+   * @param {string} [options.name] - Calendar name
+   * @param {Date} [options.now] - Time stamp of the feed
+   * @returns {string} - iCalendar text with CRLF line endings
+   */
+  buildIcs(payments, { name = 'Bills', now = new Date() } = {}) {
+    const stamp = icsDateTime(now);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Financial Manager//Bills Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+      'X-PUBLISHED-TTL:PT6H',
+    ];
+
+    payments.forEach(payment => {
+      const date = startOfDay(payment.date);
+      const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+      const amount = formatMoney(payment.amount, payment.currency);
+      const label = payment.type === 'creditCard' ? 'minimum payment' : 'payment';
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${payment.type}-${payment.id}-${icsDate(date)}@financial-manager`,
+        `DTSTAMP:${stamp}`,
+        `LAST-MODIFIED:${icsDateTime(payment.updatedAt || now)}`,
+        `DTSTART;VALUE=DATE:${icsDate(date)}`,
+        `DTEND;VALUE=DATE:${icsDate(nextDay)}`,
+        `SUMMARY:${escapeText(`${payment.status === 'overdue' ? 'OVERDUE: ' : ''}${payment.name} ${label} ${amount}`)}`,
+        `DESCRIPTION:${escapeText(`Pay ${amount} to ${payment.payee}\nOutstanding balance: ${formatMoney(payment.balance, payment.currency)}`)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Payments published in the iCalendar feed: overdue ones and the next FEED_MONTHS months
+   * @param {Array} liabilities - Liability records
+   * @param {Array} creditCards - Credit card records
+   * @param {Date} [now] - Reference date
+   * @returns {Array} - Payments
+   */
+  getFeedPayments(liabilities, creditCards, now = new Date()) {
+    const to = new Date(now);
+    to.setMonth(to.getMonth() + FEED_MONTHS);
+    return this.getPayments(this.collectBills(liabilities, creditCards), { from: now, to, now });
+  }
+}
+
+module.exports = new CalendarService();
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -0,0 +1,367 @@
+const CreditCard = require('../models/CreditCard');
+const CreditCardStatement = require('../models/CreditCardStatement');
+const CreditCardPayment = require('../models/CreditCardPayment');
+const logger = require('../utils/logger');
+const { DEFAULT_CURRENCY } = require('../utils/currency.util');
+
+/**
+ * Credit Card Service
+ *
+ * Statement cycles and payments of credit cards: minimum payment calculation,
+ * closing statements (manually or on the card's statement day) with the card's
+ * due date rolled forward, keeping the outstanding balance in step with
+ * payments, and flagging statements whose minimum was missed or that were
+ * only paid at the minimum.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Defaults for cards created before statement settings existed
+const DEFAULT_GRACE_PERIOD_DAYS = 21;
+const DEFAULT_MINIMUM_PERCENT = 1;
+const DEFAULT_MINIMUM_FLOOR = 25;
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Last moment of the day of a date
+ * @param {Date} date - Date
+ * @returns {Date} - End of that day
+ */
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+class CreditCardService {
+  /**
+   * Minimum payment of a credit card balance
+   *
+   * A share of the balance (minimumPaymentPercent) plus one month of interest,
+   * at least minimumPaymentFloor and never more than the balance with interest.
+   *
+   * @param {Object} card - Credit card record
+   * @param {number} [balance] - Balance (defaults to the outstanding balance)
+   * @returns {number} - Minimum payment
+   */
+  calculateMinimumPayment(card, balance = card.outstandingBalance || 0) {
+    const percent = card.minimumPaymentPercent ?? DEFAULT_MINIMUM_PERCENT;
+    const floor = card.minimumPaymentFloor ?? DEFAULT_MINIMUM_FLOOR;
+    const interest = balance * ((card.interestRate || 0) / 100 / 12);
+    const minimum = Math.max(balance * (percent / 100) + interest, floor);
+    return round(Math.min(minimum, balance + interest));
+  }
+
+  /**
+   * Most recent statement closing date of a card on or before a date
+   * @param {Object} card - Credit card record with a statementDay
+   * @param {Date} [now] - Reference date
+   * @returns {Date} - Statement date (start of day)
+   */
+  getLastStatementDate(card, now = new Date()) {
+    const closingDay = (year, month) => Math.min(card.statementDay, new Date(year, month + 1, 0).getDate());
+
+    let year = now.getFullYear();
+    let month = now.getMonth();
+    if (new Date(year, month, closingDay(year, month)) > now) {
+      month -= 1;
+      if (month < 0) {
+        month = 11;
+        year -= 1;
+      }
+    }
+    return new Date(year, month, closingDay(year, month));
+  }
+
+  /**
+   * Payment due date of a statement
+   * @param {Object} card - Credit card record
+   * @param {Date} statementDate - Statement closing date
+   * @returns {Date} - Statement date plus the card's grace period
+   */
+  getDueDate(card, statementDate) {
+    const graceDays = card.gracePeriodDays ?? DEFAULT_GRACE_PERIOD_DAYS;
+    return new Date(new Date(statementDate).getTime() + graceDays * MS_PER_DAY);
+  }
+
+  /**
+   * Close a statement for a card and roll its due date forward
+   *
+   * The statement balance defaults to the card's outstanding balance, the
+   * minimum payment to calculateMinimumPayment() and the due date to the
+   * statement date plus the grace period.
+   *
+   * @param {Object} card - Credit card document
+   * @param {Object} [details] - { statementDate, statementBalance, minimumPayment, dueDate }
+   * @param {string} [userId] - User recording the statement
+   * @param {string} [source] - manual or automatic
+   * @returns {Promise<Object>} - Saved statement
+   */
+  async closeStatement(card, details = {}, userId = null, source = 'manual') {
+    const statementDate = details.statementDate ? new Date(details.statementDate) : new Date();
+    const statementBalance = details.statementBalance ?? card.outstandingBalance;
+
+    const statement = new CreditCardStatement({
+      card: card._id,
+      statementDate,
+      statementBalance,
+      minimumPayment: details.minimumPayment ?? this.calculateMinimumPayment(card, Number(statementBalance)),
+      dueDate: details.dueDate || this.getDueDate(card, statementDate),
+      source,
+      createdBy: userId,
+    });
+    await statement.save();
+
+    await this.rollDueDate(card, statement.dueDate);
+    return statement;
+  }
+
+  /**
+   * Move a card's due date to a later date (never backwards)
+   * @param {Object} card - Credit card document (dueDate is updated in place)
+   * @param {Date} dueDate - New due date
+   * @returns {Promise<void>}
+   */
+  async rollDueDate(card, dueDate) {
+    if (!card.dueDate || dueDate > card.dueDate) {
+      await CreditCard.updateOne({ _id: card._id }, { dueDate });
+      card.dueDate = dueDate;
+    }
+  }
+
+  /**
+   * Close the latest statement cycle of every card with a statement day
+   *
+   * Cards whose latest cycle already has a statement, or that were created
+   * after it closed, are skipped.
+   *
+   * @param {Date} [now] - Reference date
+   * @returns {Promise<Object>} - Number of statements closed and failed
+   */
+  async closeDueStatements(now = new Date()) {
+    const cards = await CreditCard.find({ statementDay: { $gte: 1 } });
+
+    let closed = 0;
+    let failed = 0;
+
+    for (const card of cards) {
+      try {
+        const statementDate = this.getLastStatementDate(card, now);
+        if (card.createdAt > statementDate) {
+          continue;
+        }
+
+        const exists = await CreditCardStatement.exists({ card: card._id, statementDate: { $gte: statementDate } });
+        if (exists) {
+          continue;
+        }
+
+        await this.closeStatement(card, { statementDate }, card.createdBy, 'automatic');
+        closed++;
+      } catch (error) {
+        failed++;
+        logger.error('Automatic credit card statement failed', { cardId: card._id, error: error.message });
+      }
+    }
+
+    logger.info('Automatic credit card statements completed', { closed, failed });
+    return { closed, failed };
+  }
+
+  /**
+   * Payment status of a statement
+   *
+   * Payments after the statement date and up to the end of the due date count
+   * toward the statement. Once the due date has passed a statement that was
+   * not paid in full is either `missed` (less than the minimum) or
+   * `minimum_only` (at least the minimum; interest is charged on the rest).
+   *
+   * @param {Object} statement - Statement record
+   * @param {Array} payments - Payments of the card
+   * @param {Date} [now] - Reference date
+   * @returns {Object} - { paidAmount, remainingBalance, pastDue, missed, minimumOnly, status }
+   */
+  getStatementStatus(statement, payments, now = new Date()) {
+    const statementDate = new Date(statement.statementDate);
+    const dueEnd = endOfDay(statement.dueDate);
+
+    const paidAmount = round(payments
+      .filter(payment => new Date(payment.paidAt) > statementDate && new Date(payment.paidAt) <= dueEnd)
+      .reduce((total, payment) => total + payment.amount, 0));
+
+    const paidInFull = paidAmount >= statement.statementBalance;
+    const pastDue = now > dueEnd;
+    const missed = pastDue && !paidInFull && paidAmount < statement.minimumPayment;
+    const minimumOnly = pastDue && !paidInFull && !missed;
+
+    let status = 'open';
+    if (paidInFull) {
+      status = 'paid_in_full';
+    } else if (missed) {
+      status = 'missed';
+    } else if (minimumOnly) {
+      status = 'minimum_only';
+    }
+
+    return {
+      paidAmount,
+      remainingBalance: round(Math.max(0, statement.statementBalance - paidAmount)),
+      pastDue,
+      missed,
+      minimumOnly,
+      status,
+    };
+  }
+
+  /**
+   * Summarize the payment history of a card
+   * @param {Object} card - Credit card record
+   * @param {Array} statements - Statements (any cards; filtered to this card)
+   * @param {Array} payments - Payments (any cards; filtered to this card)
+   * @param {Date} [now] - Reference date
+   * @returns {Object} - Counts of paid-in-full, minimum-only and missed statements and the latest one (in the card's currency)
+   */
+  getPaymentHistory(card, statements, payments, now = new Date()) {
+    const cardId = card._id.toString();
+    // Statements and payments are in the card's own currency, also for converted cards
+    const { creditLimit, outstandingBalance, currency = DEFAULT_CURRENCY } = card.original || card;
+    const cardPayments = payments.filter(payment => payment.card.toString() === cardId);
+    const evaluated = statements
+      .filter(statement => statement.card.toString() === cardId)
+      .sort((a, b) => new Date(b.statementDate) - new Date(a.statementDate))
+      .map(statement => ({ statement, ...this.getStatementStatus(statement, cardPayments, now) }));
+
+    const latest = evaluated[0];
+
+    return {
+      cardId: card._id,
+      cardName: card.cardName,
+      currency,
+      isOverLimit: outstandingBalance > creditLimit,
+      overLimitAmount: round(Math.max(0, outstandingBalance - creditLimit)),
+      statements: evaluated.length,
+      paidInFull: evaluated.filter(entry => entry.status === 'paid_in_full').length,
+      minimumOnly: evaluated.filter(entry => entry.minimumOnly).length,
+      missed: evaluated.filter(entry => entry.missed).length,
+      latestStatement: latest
+        ? {
+          statementDate: latest.statement.statementDate,
+          statementBalance: latest.statement.statementBalance,
+          minimumPayment: latest.statement.minimumPayment,
+          dueDate: latest.statement.dueDate,
+          paidAmount: latest.paidAmount,
+          status: latest.status,
+        }
+        : null,
+    };
+  }
+
+  /**
+   * Summarize the payment history of several cards
+   * @param {Array} cards - Credit card records
+   * @param {Array} statements - Statements of the cards
+   * @param {Array} payments - Payments of the cards
+   * @param {Date} [now] - Reference date
+   * @returns {Array} - Payment history per card
+   */
+  getPaymentHistories(cards, statements = [], payments = [], now = new Date()) {
+    return cards.map(card => this.getPaymentHistory(card, statements, payments, now));
+  }
+
+  /**
+   * Record a payment and lower the card's outstanding balance (not below 0)
+   *
+   * The part of the payment that lowered the balance is stored as the
+   * payment's `appliedAmount`, so deleting it restores the balance exactly.
+   *
+   * @param {Object} card - Credit card document (outstandingBalance is updated in place)
+   * @param {Object} payment - Unsaved CreditCardPayment document
+   * @returns {Promise<Object>} - Saved payment
+   */
+  async recordPayment(card, payment) {
+    await payment.validate();
+
+    const previous = await CreditCard.findOneAndUpdate({ _id: card._id }, [
+      { $set: { outstandingBalance: { $max: [0, { $subtract: ['$outstandingBalance', payment.amount] }] } } },
+    ], { new: false });
+    const balance = previous ? previous.outstandingBalance : card.outstandingBalance;
+    payment.appliedAmount = round(balance - Math.max(0, balance - payment.amount));
+
+    try {
+      await payment.save();
+    } catch (error) {
+      await CreditCard.updateOne({ _id: card._id }, { $inc: { outstandingBalance: payment.appliedAmount } });
+      throw error;
+    }
+
+    card.outstandingBalance = round(balance - payment.appliedAmount);
+    return payment;
+  }
+
+  /**
+   * Delete a payment and add the amount it applied back to the card's outstanding balance
+   * @param {Object} card - Credit card document (outstandingBalance is updated in place)
+   * @param {Object} payment - CreditCardPayment document
+   * @returns {Promise<void>}
+   */
+  async deletePayment(card, payment) {
+    await payment.deleteOne();
+
+    // Payments recorded before appliedAmount existed add back their full amount
+    const applied = payment.appliedAmount ?? payment.amount;
+    await CreditCard.updateOne({ _id: card._id }, { $inc: { outstandingBalance: applied } });
+    card.outstandingBalance = round(card.outstandingBalance + applied);
+  }
+
+  /**
+   * Delete the statements and payments of one or more cards
+   * @param {Array} cardIds - Credit card IDs
+   * @returns {Promise<void>}
+   */
+  async deleteForCards(cardIds) {
+    await Promise.all([
+      CreditCardStatement.deleteMany({ card: { $in: cardIds } }),
+      CreditCardPayment.deleteMany({ card: { $in: cardIds } }),
+    ]);
+  }
+
+  /**
+   * Start closing statements automatically
+   *
+   * Runs every CREDIT_CARD_STATEMENT_INTERVAL_HOURS hours (default 24, 0 disables).
+   * The timer does not keep the process alive.
+   */
+  startScheduler() {
+    const hours = parseFloat(process.env.CREDIT_CARD_STATEMENT_INTERVAL_HOURS ?? '24');
+    if (this.timer || !(hours > 0)) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.closeDueStatements().catch(error => {
+        logger.error('Automatic credit card statements failed', { error: error.message });
+      });
+    }, hours * 60 * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Credit card statements checked every ${hours} hours`);
+  }
+
+  /**
+   * Stop closing statements automatically
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new CreditCardService();
@@ -0,0 +1,261 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const { DEFAULT_CURRENCY, isCurrencyCode } = require('../utils/currency.util');
+const { parseCsv } = require('../utils/csv.util');
+
+/**
+ * Currency Service
+ *
+ * Converts records to a user's base currency with the exchange rates the user
+ * maintains. A rate is looked up directly (EUR→USD), as the inverse of the
+ * opposite rate (USD→EUR) or through one intermediate currency
+ * (EUR→GBP→USD); the latest rate effective on or before the conversion date
+ * wins. Converted records keep their original amounts, and records without a
+ * usable rate are reported instead of being silently mixed into totals.
+ */
+
+// Amount fields converted per record type
+const AMOUNT_FIELDS = {
+  income: ['amount'],
+  expenses: ['amount'],
+  assets: ['currentValue'],
+  liabilities: ['outstandingAmount', 'originalPrincipal', 'scheduledPayment'],
+  creditCards: ['creditLimit', 'outstandingBalance', 'minimumPaymentFloor'],
+};
+
+// Largest CSV import accepted in one request
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+class CurrencyService {
+  /**
+   * Base currency of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - Currency code (DEFAULT_CURRENCY if unset)
+   */
+  async getBaseCurrency(userId) {
+    const user = userId ? await User.findById(userId).select('baseCurrency').lean() : null;
+    return user?.baseCurrency || DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Build a converter for a user's base currency and exchange rates
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Converter from createConverter()
+   */
+  async getConverter(userId) {
+    const [baseCurrency, rates] = await Promise.all([
+      this.getBaseCurrency(userId),
+      userId ? ExchangeRate.find({ createdBy: userId }).sort({ effectiveDate: -1 }).lean() : [],
+    ]);
+    return this.createConverter(baseCurrency, rates);
+  }
+
+  /**
+   * Create a converter from a base currency and a list of rates
+   * @param {string} baseCurrency - Currency to convert into
+   * @param {Array} rates - Exchange rate records { from, to, rate, effectiveDate }
+   * @returns {Object} - { baseCurrency, getRate(from, to, asOf), convert(amount, from, asOf) }
+   */
+  createConverter(baseCurrency, rates = []) {
+    // Latest rates first, so the first match is the one in effect
+    const sorted = [...rates].sort((a, b) => new Date(b.effectiveDate) - new Date(a.effectiveDate));
+
+    const findRate = (from, to, asOf) => {
+      const entry = sorted.find(rate =>
+        new Date(rate.effectiveDate) <= asOf &&
+        ((rate.from === from && rate.to === to) || (rate.from === to && rate.to === from)));
+      if (!entry) {
+        return null;
+      }
+      return entry.from === from ? entry.rate : 1 / entry.rate;
+    };
+
+    const getRate = (from, to = baseCurrency, asOf = new Date()) => {
+      if (from === to) {
+        return 1;
+      }
+
+      const direct = findRate(from, to, asOf);
+      if (direct !== null) {
+        return direct;
+      }
+
+      const pivots = new Set(sorted.flatMap(rate => [rate.from, rate.to]));
+      for (const pivot of pivots) {
+        if (pivot === from || pivot === to) {
+          continue;
+        }
+        const first = findRate(from, pivot, asOf);
+        const second = first !== null ? findRate(pivot, to, asOf) : null;
+        if (second !== null) {
+          return first * second;
+        }
+      }
+      return null;
+    };
+
+    return {
+      baseCurrency,
+      getRate,
+      convert: (amount, from, asOf) => {
+        const rate = getRate(from || DEFAULT_CURRENCY, baseCurrency, asOf);
+        return rate === null ? null : round((amount || 0) * rate);
+      },
+    };
+  }
+
+  /**
+   * Convert the amounts of records to the base currency
+   *
+   * Records already in the base currency are returned as they are. Converted
+   * records carry `original` (currency and amounts before conversion) and
+   * `exchangeRate`, and their `currency` becomes the base currency.
+   *
+   * @param {Array} records - Plain (lean) records
+   * @param {string} type - income, expenses, assets, liabilities or creditCards
+   * @param {Object} converter - Converter from createConverter()
+   * @param {Date} [asOf] - Conversion date
+   * @returns {Object} - { records, excluded } where excluded lists records without a rate
+   */
+  convertRecords(records, type, converter, asOf = new Date()) {
+    const fields = AMOUNT_FIELDS[type];
+    const converted = [];
+    const excluded = [];
+
+    records.forEach(record => {
+      const currency = record.currency || DEFAULT_CURRENCY;
+      if (currency === converter.baseCurrency) {
+        converted.push(record);
+        return;
+      }
+
+      const rate = converter.getRate(currency, converter.baseCurrency, asOf);
+      if (rate === null) {
+        excluded.push({ type, id: record._id, currency });
+        return;
+      }
+
+      const original = { currency };
+      const amounts = {};
+      fields.forEach(field => {
+        if (typeof record[field] === 'number') {
+          original[field] = record[field];
+          amounts[field] = round(record[field] * rate);
+        }
+      });
+
+      converted.push({ ...record, ...amounts, currency: converter.baseCurrency, exchangeRate: rate, original });
+    });
+
+    return { records: converted, excluded };
+  }
+
+  /**
+   * Convert every record type of a financial data set
+   * @param {Object} data - { income, expenses, assets, liabilities, creditCards, ... }
+   * @param {Object} converter - Converter from createConverter()
+   * @param {Date} [asOf] - Conversion date
+   * @returns {Object} - Data with converted records and a currencyConversion summary
+   */
+  convertFinancialData(data, converter, asOf = new Date()) {
+    const result = { ...data };
+    const excluded = [];
+
+    Object.keys(AMOUNT_FIELDS).forEach(type => {
+      if (!Array.isArray(data[type])) {
+        return;
+      }
+      const conversion = this.convertRecords(data[type], type, converter, asOf);
+      result[type] = conversion.records;
+      excluded.push(...conversion.excluded);
+    });
+
+    result.currencyConversion = {
+      baseCurrency: converter.baseCurrency,
+      missingRates: [...new Set(excluded.map(entry => entry.currency))],
+      excluded,
+    };
+    return result;
+  }
+
+  /**
+   * Check and normalize exchange rate rows for an import
+   * @param {Array} rows - Rows { from, to, rate, effectiveDate }
+   * @returns {Object} - { rates, errors } where errors name the row (1-based) and problem
+   */
+  validateRates(rows) {
+    const rates = [];
+    const errors = [];
+
+    if (rows.length === 0) {
+      errors.push('No exchange rates to import');
+    } else if (rows.length > MAX_IMPORT_ROWS) {
+      errors.push(`At most ${MAX_IMPORT_ROWS} exchange rates can be imported at once`);
+    }
+
+    rows.slice(0, MAX_IMPORT_ROWS).forEach((row, index) => {
+      const from = String(row.from || '').trim().toUpperCase();
+      const to = String(row.to || '').trim().toUpperCase();
+      const rate = Number(row.rate);
+      const effectiveDate = row.effectiveDate ? new Date(row.effectiveDate) : new Date();
+      const problems = [];
+
+      if (!isCurrencyCode(from) || !isCurrencyCode(to)) {
+        problems.push('from and to must be three-letter currency codes');
+      } else if (from === to) {
+        problems.push('from and to currencies must differ');
+      }
+      if (!Number.isFinite(rate) || rate <= 0) {
+        problems.push('rate must be a positive number');
+      }
+      if (Number.isNaN(effectiveDate.getTime())) {
+        problems.push('effectiveDate must be a valid date');
+      }
+
+      if (problems.length > 0) {
+        errors.push(`Row ${index + 1}: ${problems.join('; ')}`);
+      } else {
+        rates.push({ from, to, rate, effectiveDate });
+      }
+    });
+
+    return { rates, errors };
+  }
+
+  /**
+   * Read exchange rate rows from CSV text with a from,to,rate[,effectiveDate] header
+   * @param {string} text - CSV text
+   * @returns {Array} - Rows keyed by the header names
+   */
+  parseRatesCsv(text) {
+    return parseCsv(text).records;
+  }
+
+  /**
+   * Import exchange rates for a user (all or nothing)
+   * @param {string} userId - User ID
+   * @param {Array} rows - Rows { from, to, rate, effectiveDate }
+   * @returns {Promise<Object>} - { rates } with the inserted records, or { errors }
+   */
+  async importRates(userId, rows) {
+    const { rates, errors } = this.validateRates(rows);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const inserted = await ExchangeRate.insertMany(
+      rates.map(rate => ({ ...rate, source: 'import', createdBy: userId }))
+    );
+    return { rates: inserted };
+  }
+}
+
+module.exports = new CurrencyService();
+module.exports.AMOUNT_FIELDS = AMOUNT_FIELDS;
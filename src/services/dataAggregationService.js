@@ -1,14 +1,34 @@
 const Assets = require('../models/Assets');
 const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Goal = require('../models/Goal');
 const Liability = require('../models/Liability');
 const CreditCard = require('../models/CreditCard');
+const CreditCardStatement = require('../models/CreditCardStatement');
+const CreditCardPayment = require('../models/CreditCardPayment');
+const budgetService = require('./budgetService');
+const goalService = require('./goalService');
+const creditCardService = require('./creditCardService');
+const currencyService = require('./currencyService');
 const logger = require('../utils/logger');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency.util');
+
+// Months of one-time expenses averaged into monthly spending
+const EXPENSE_LOOKBACK_MONTHS = 3;
+
+// Months of credit card statements included in the payment history
+const CARD_HISTORY_MONTHS = 12;
 
 /**
  * Data Aggregation Service
  * 
  * Aggregates financial data from all models for recommendation system
  * Calculates financial metrics and prepares data for AI analysis
+ *
+ * Income, expenses, assets, liabilities and credit cards are converted to the
+ * requesting user's base currency before any totals are calculated (see
+ * CurrencyService); budgets and goals are kept in the base currency.
  */
 
 class DataAggregationService {
@@ -16,8 +36,13 @@ class DataAggregationService {
     this.models = {
       Assets,
       Income,
+      Expense,
+      Budget,
+      Goal,
       Liability,
-      CreditCard
+      CreditCard,
+      CreditCardStatement,
+      CreditCardPayment
     };
   }
 
@@ -30,16 +55,21 @@ class DataAggregationService {
       logger.info('Starting comprehensive financial data aggregation');
 
       // Fetch all data from all models
-      const [assets, income, liabilities, creditCards] = await Promise.all([
+      const [assets, income, expenses, budgets, goals, liabilities, creditCards] = await Promise.all([
         this.models.Assets.find({}).lean(),
         this.models.Income.find({}).lean(),
+        this.models.Expense.find({}).lean(),
+        this.models.Budget.find({ isActive: true }).lean(),
+        this.models.Goal.find({ isActive: true }).lean(),
         this.models.Liability.find({}).lean(),
         this.models.CreditCard.find({}).lean()
       ]);
+      const { creditCardStatements, creditCardPayments } = await this.fetchCreditCardHistory(creditCards);
 
       logger.info('Financial data fetched successfully', {
         assetsCount: assets.length,
         incomeCount: income.length,
+        expensesCount: expenses.length,
         liabilitiesCount: liabilities.length,
         creditCardsCount: creditCards.length
       });
@@ -48,8 +78,13 @@ class DataAggregationService {
       const aggregatedData = this.calculateFinancialMetrics({
         assets,
         income,
+        expenses,
+        budgets,
+        goals,
         liabilities,
-        creditCards
+        creditCards,
+        creditCardStatements,
+        creditCardPayments
       });
 
       return {
@@ -58,6 +93,9 @@ class DataAggregationService {
         rawData: {
           assets,
           income,
+          expenses,
+          budgets,
+          goals,
           liabilities,
           creditCards
         }
@@ -83,29 +121,77 @@ class DataAggregationService {
    * @returns {Promise<Object>} - User's financial data
    */
   async getUserFinancialData(userId) {
-    try {
-      logger.info('Fetching financial data for user', { userId });
+    return this.getFinancialDataForScope({ userId });
+  }
 
-      const [assets, income, liabilities, creditCards] = await Promise.all([
-        this.models.Assets.find({ createdBy: userId }).lean(),
-        this.models.Income.find({ createdBy: userId }).lean(),
-        this.models.Liability.find({ createdBy: userId }).lean(),
-        this.models.CreditCard.find({ createdBy: userId }).lean()
+  /**
+   * Get financial data for an aggregation scope
+   *
+   * - { userId } - "me": every record the user created (personal and shared)
+   * - { userId, householdId } - "my household": all records shared with the household
+   * - { userId, householdId, memberId } - a single member's household records
+   *
+   * @param {Object} scope - Aggregation scope
+   * @param {string} scope.userId - Requesting user ID
+   * @param {string} [scope.householdId] - Household ID
+   * @param {string} [scope.memberId] - Household member ID
+   * @returns {Promise<Object>} - Scoped financial data
+   */
+  async getFinancialDataForScope({ userId, householdId = null, memberId = null }) {
+    const filter = householdId ? { household: householdId } : { createdBy: userId };
+    if (householdId && memberId) {
+      filter.createdBy = memberId;
+    }
+
+    try {
+      logger.info('Fetching financial data for scope', { userId, householdId, memberId });
+
+      const [assets, income, expenses, budgets, goals, liabilities, creditCards] = await Promise.all([
+        this.models.Assets.find(filter).lean(),
+        this.models.Income.find(filter).lean(),
+        this.models.Expense.find(filter).lean(),
+        this.models.Budget.find({ ...filter, isActive: true }).lean(),
+        this.models.Goal.find({ ...filter, isActive: true }).lean(),
+        this.models.Liability.find(filter).lean(),
+        this.models.CreditCard.find(filter).lean()
+      ]);
+      const [{ creditCardStatements, creditCardPayments }, converter] = await Promise.all([
+        this.fetchCreditCardHistory(creditCards),
+        currencyService.getConverter(userId)
       ]);
 
-      const userData = this.calculateFinancialMetrics({
-        assets,
-        income,
-        liabilities,
-        creditCards
+      // Totals are calculated in the user's base currency; original amounts stay on each record
+      const converted = currencyService.convertFinancialData({ assets, income, expenses, liabilities, creditCards }, converter);
+
+      const scopedData = this.calculateFinancialMetrics({
+        assets: converted.assets,
+        income: converted.income,
+        expenses: converted.expenses,
+        budgets,
+        goals,
+        liabilities: converted.liabilities,
+        creditCards: converted.creditCards,
+        creditCardStatements,
+        creditCardPayments,
+        baseCurrency: converter.baseCurrency,
+        currencyConversion: converted.currencyConversion
       });
 
       return {
         success: true,
-        data: userData,
+        data: scopedData,
+        scope: {
+          type: householdId ? (memberId ? 'member' : 'household') : 'user',
+          userId,
+          householdId,
+          memberId
+        },
         rawData: {
           assets,
           income,
+          expenses,
+          budgets,
+          goals,
           liabilities,
           creditCards
         }
@@ -114,6 +200,8 @@ class DataAggregationService {
     } catch (error) {
       logger.error('Error fetching user financial data', {
         userId,
+        householdId,
+        memberId,
         error: error.message
       });
 
@@ -125,13 +213,43 @@ class DataAggregationService {
     }
   }
 
+  /**
+   * Fetch the recent statements and payments of credit cards
+   * @param {Array} creditCards - Credit cards array
+   * @returns {Promise<Object>} - { creditCardStatements, creditCardPayments }
+   */
+  async fetchCreditCardHistory(creditCards) {
+    const since = new Date();
+    since.setMonth(since.getMonth() - CARD_HISTORY_MONTHS);
+    const cardIds = creditCards.map(card => card._id);
+
+    const [creditCardStatements, creditCardPayments] = await Promise.all([
+      this.models.CreditCardStatement.find({ card: { $in: cardIds }, statementDate: { $gte: since } }).lean(),
+      this.models.CreditCardPayment.find({ card: { $in: cardIds }, paidAt: { $gte: since } }).lean()
+    ]);
+
+    return { creditCardStatements, creditCardPayments };
+  }
+
   /**
    * Calculate comprehensive financial metrics
    * @param {Object} data - Raw financial data
    * @returns {Object} - Calculated metrics
    */
   calculateFinancialMetrics(data) {
-    const { assets, income, liabilities, creditCards } = data;
+    const {
+      assets,
+      income,
+      expenses = [],
+      budgets = [],
+      goals = [],
+      liabilities,
+      creditCards,
+      creditCardStatements = [],
+      creditCardPayments = [],
+      baseCurrency = DEFAULT_CURRENCY,
+      currencyConversion = { baseCurrency, missingRates: [], excluded: [] }
+    } = data;
 
     // Calculate totals
     const totalAssets = this.calculateTotalAssets(assets);
@@ -143,6 +261,9 @@ class DataAggregationService {
     // Calculate derived metrics
     const netWorth = totalAssets - totalLiabilities - totalCreditCardDebt;
     const monthlyIncome = this.calculateMonthlyIncome(income);
+    const monthlyExpenses = this.calculateMonthlyExpenses(expenses);
+    const monthlySavings = monthlyIncome - monthlyExpenses;
+    const savingsRate = monthlyIncome > 0 ? (monthlySavings / monthlyIncome) * 100 : 0;
     const creditUtilization = this.calculateCreditUtilization(creditCards);
     const debtToIncomeRatio = monthlyIncome > 0 ? (totalLiabilities + totalCreditCardDebt) / monthlyIncome : 0;
 
@@ -152,10 +273,26 @@ class DataAggregationService {
     // Income breakdown by source
     const incomeBreakdown = this.categorizeIncome(income);
     
+    // Expense breakdown by category
+    const expenseBreakdown = this.categorizeExpenses(expenses, monthlyExpenses);
+
+    // Budget vs. actual for the current period
+    const budgetStatus = budgetService.getStatuses(budgets, expenses);
+
+    // Progress toward savings goals from their linked assets
+    const goalProgress = goalService.getProgressForGoals(goals, assets);
+
     // Liability breakdown by type
     const liabilityBreakdown = this.categorizeLiabilities(liabilities);
 
+    // Statement payment history (paid in full, minimum only, missed) per credit card
+    const creditCardPaymentHistory = creditCardService.getPaymentHistories(creditCards, creditCardStatements, creditCardPayments);
+
     return {
+      // Currency of every total and breakdown
+      baseCurrency,
+      currencyConversion,
+
       // Totals
       totalAssets,
       totalIncome,
@@ -164,19 +301,27 @@ class DataAggregationService {
       totalAvailableCredit,
       netWorth,
       monthlyIncome,
+      monthlyExpenses,
+      monthlySavings,
       
       // Ratios and percentages
       creditUtilization,
       debtToIncomeRatio,
+      savingsRate,
       
       // Breakdowns
       assetBreakdown,
       incomeBreakdown,
+      expenseBreakdown,
       liabilityBreakdown,
+      budgetStatus,
+      goalProgress,
+      creditCardPaymentHistory,
       
       // Raw data for detailed analysis
       assets,
       income,
+      expenses,
       liabilities,
       creditCards,
       
@@ -184,11 +329,18 @@ class DataAggregationService {
       insights: this.generateFinancialInsights({
         netWorth,
         monthlyIncome,
+        monthlyExpenses,
+        savingsRate,
         creditUtilization,
         debtToIncomeRatio,
         totalAssets,
         totalLiabilities,
-        totalCreditCardDebt
+        totalCreditCardDebt,
+        budgetStatus,
+        goalProgress,
+        creditCardPaymentHistory,
+        baseCurrency,
+        currencyConversion
       })
     };
   }
@@ -248,31 +400,77 @@ class DataAggregationService {
    */
   calculateMonthlyIncome(income) {
     return income.reduce((total, inc) => {
-      const amount = inc.amount || 0;
-      const frequency = inc.frequency || 'monthly';
-      
-      // Convert to monthly equivalent
-      switch (frequency) {
-        case 'daily':
-          return total + (amount * 30);
-        case 'weekly':
-          return total + (amount * 4.33);
-        case 'bi-weekly':
-          return total + (amount * 2.17);
-        case 'monthly':
-          return total + amount;
-        case 'quarterly':
-          return total + (amount / 3);
-        case 'yearly':
-          return total + (amount / 12);
-        case 'one-time':
-          return total + (amount / 12); // Spread one-time income over 12 months
-        default:
-          return total + amount;
-      }
+      // Spread one-time income over 12 months
+      const frequency = inc.frequency === 'one-time' ? 'yearly' : inc.frequency;
+      return total + this.toMonthlyAmount(inc.amount, frequency);
     }, 0);
   }
 
+  /**
+   * Calculate monthly spending from all expenses
+   *
+   * Recurring expenses count with their monthly equivalent. One-time expenses are
+   * averaged over the last EXPENSE_LOOKBACK_MONTHS months; older ones are ignored.
+   *
+   * @param {Array} expenses - Expenses array
+   * @param {Date} [now] - Reference date
+   * @returns {number} - Monthly expenses
+   */
+  calculateMonthlyExpenses(expenses, now = new Date()) {
+    const lookbackStart = new Date(now);
+    lookbackStart.setMonth(lookbackStart.getMonth() - EXPENSE_LOOKBACK_MONTHS);
+
+    return expenses.reduce((total, expense) => {
+      return total + this.getMonthlyExpenseAmount(expense, lookbackStart, now);
+    }, 0);
+  }
+
+  /**
+   * Monthly contribution of a single expense
+   * @param {Object} expense - Expense record
+   * @param {Date} lookbackStart - Oldest date counted for one-time expenses
+   * @param {Date} now - Reference date
+   * @returns {number} - Monthly amount
+   */
+  getMonthlyExpenseAmount(expense, lookbackStart, now) {
+    if ((expense.frequency || 'one-time') !== 'one-time') {
+      return this.toMonthlyAmount(expense.amount, expense.frequency);
+    }
+
+    const date = new Date(expense.date);
+    if (date < lookbackStart || date > now) {
+      return 0;
+    }
+    return (expense.amount || 0) / EXPENSE_LOOKBACK_MONTHS;
+  }
+
+  /**
+   * Convert an amount paid at a frequency to its monthly equivalent
+   * @param {number} amount - Amount per period
+   * @param {string} frequency - Payment frequency
+   * @returns {number} - Monthly equivalent
+   */
+  toMonthlyAmount(amount = 0, frequency = 'monthly') {
+    amount = amount || 0;
+
+    switch (frequency) {
+      case 'daily':
+        return amount * 30;
+      case 'weekly':
+        return amount * 4.33;
+      case 'bi-weekly':
+        return amount * 2.17;
+      case 'monthly':
+        return amount;
+      case 'quarterly':
+        return amount / 3;
+      case 'yearly':
+        return amount / 12;
+      default:
+        return amount;
+    }
+  }
+
   /**
    * Calculate credit utilization percentage
    * @param {Array} creditCards - Credit cards array
@@ -338,6 +536,41 @@ class DataAggregationService {
     return breakdown;
   }
 
+  /**
+   * Categorize expenses by category
+   * @param {Array} expenses - Expenses array
+   * @param {number} monthlyExpenses - Total monthly expenses (for percentages)
+   * @returns {Object} - Expense breakdown by category
+   */
+  categorizeExpenses(expenses, monthlyExpenses) {
+    const breakdown = {};
+    const now = new Date();
+    const lookbackStart = new Date(now);
+    lookbackStart.setMonth(lookbackStart.getMonth() - EXPENSE_LOOKBACK_MONTHS);
+
+    expenses.forEach(expense => {
+      const category = expense.category || 'other';
+      if (!breakdown[category]) {
+        breakdown[category] = {
+          count: 0,
+          monthlyAmount: 0,
+          percentage: 0,
+          expenses: []
+        };
+      }
+
+      breakdown[category].count++;
+      breakdown[category].monthlyAmount += this.getMonthlyExpenseAmount(expense, lookbackStart, now);
+      breakdown[category].expenses.push(expense);
+    });
+
+    Object.values(breakdown).forEach(entry => {
+      entry.percentage = monthlyExpenses > 0 ? (entry.monthlyAmount / monthlyExpenses) * 100 : 0;
+    });
+
+    return breakdown;
+  }
+
   /**
    * Categorize liabilities by type
    * @param {Array} liabilities - Liabilities array
@@ -371,19 +604,30 @@ class DataAggregationService {
    */
   generateFinancialInsights(metrics) {
     const insights = [];
+    const money = (amount) => formatMoney(amount, metrics.baseCurrency);
+
+    // Records that could not be converted are left out of every total
+    const missingRates = metrics.currencyConversion?.missingRates || [];
+    if (missingRates.length > 0) {
+      insights.push({
+        type: 'warning',
+        category: 'currency',
+        message: `${metrics.currencyConversion.excluded.length} record${metrics.currencyConversion.excluded.length > 1 ? 's' : ''} in ${missingRates.join(', ')} left out of totals - add exchange rates to ${metrics.baseCurrency}`
+      });
+    }
     
     // Net worth insights
     if (metrics.netWorth > 0) {
       insights.push({
         type: 'positive',
         category: 'net_worth',
-        message: `Positive net worth of $${metrics.netWorth.toLocaleString()} indicates healthy financial position`
+        message: `Positive net worth of ${money(metrics.netWorth)} indicates healthy financial position`
       });
     } else if (metrics.netWorth < 0) {
       insights.push({
         type: 'warning',
         category: 'net_worth',
-        message: `Negative net worth of $${Math.abs(metrics.netWorth).toLocaleString()} requires immediate attention`
+        message: `Negative net worth of ${money(Math.abs(metrics.netWorth))} requires immediate attention`
       });
     }
 
@@ -402,6 +646,30 @@ class DataAggregationService {
       });
     }
 
+    // Credit card payment insights
+    (metrics.creditCardPaymentHistory || []).forEach(card => {
+      if (card.isOverLimit) {
+        insights.push({
+          type: 'warning',
+          category: 'credit_payments',
+          message: `${card.cardName} is ${formatMoney(card.overLimitAmount, card.currency)} over its credit limit`
+        });
+      }
+      if (card.missed > 0) {
+        insights.push({
+          type: 'warning',
+          category: 'credit_payments',
+          message: `${card.missed} missed minimum payment${card.missed > 1 ? 's' : ''} on ${card.cardName} in the last year - set up automatic payments for at least the minimum`
+        });
+      } else if (card.minimumOnly > 0) {
+        insights.push({
+          type: 'recommendation',
+          category: 'credit_payments',
+          message: `Only the minimum was paid on ${card.cardName} for ${card.minimumOnly} statement${card.minimumOnly > 1 ? 's' : ''} - interest is charged on the remaining balance`
+        });
+      }
+    });
+
     // Debt-to-income ratio insights
     if (metrics.debtToIncomeRatio > 0.4) {
       insights.push({
@@ -411,14 +679,90 @@ class DataAggregationService {
       });
     }
 
-    // Emergency fund insights
-    const emergencyFundTarget = metrics.monthlyIncome * 6;
-    if (metrics.totalAssets < emergencyFundTarget) {
-      insights.push({
-        type: 'recommendation',
-        category: 'emergency_fund',
-        message: `Consider building emergency fund of $${emergencyFundTarget.toLocaleString()} (6 months expenses)`
-      });
+    // Savings rate insights (only meaningful once spending is tracked)
+    if (metrics.monthlyExpenses > 0 && metrics.monthlyIncome > 0) {
+      if (metrics.savingsRate < 0) {
+        insights.push({
+          type: 'warning',
+          category: 'savings_rate',
+          message: `Spending exceeds income by ${money(Math.abs(metrics.monthlyIncome - metrics.monthlyExpenses))} per month`
+        });
+      } else if (metrics.savingsRate < 10) {
+        insights.push({
+          type: 'recommendation',
+          category: 'savings_rate',
+          message: `Low savings rate at ${metrics.savingsRate.toFixed(1)}% - aim to save at least 10-20% of income`
+        });
+      } else if (metrics.savingsRate >= 20) {
+        insights.push({
+          type: 'positive',
+          category: 'savings_rate',
+          message: `Strong savings rate at ${metrics.savingsRate.toFixed(1)}%`
+        });
+      }
+    }
+
+    // Budget insights
+    (metrics.budgetStatus || []).forEach(budget => {
+      if (budget.status === 'exceeded') {
+        insights.push({
+          type: 'warning',
+          category: 'budget',
+          message: `${budget.name} budget exceeded: ${money(budget.spent)} spent of ${money(budget.limit)} this period`
+        });
+      } else if (budget.status === 'at_risk') {
+        insights.push({
+          type: 'warning',
+          category: 'budget',
+          message: `${budget.name} budget on track to be exceeded: projected ${money(budget.projected)} of ${money(budget.limit)} (${budget.percentUsed}% used)`
+        });
+      }
+    });
+
+    // Goal insights
+    const goalProgress = metrics.goalProgress || [];
+    goalProgress.forEach(goal => {
+      if (goal.status === 'achieved') {
+        insights.push({
+          type: 'positive',
+          category: 'goal',
+          message: `${goal.name} goal reached: ${money(goal.currentAmount)} of ${money(goal.targetAmount)}`
+        });
+      } else if (goal.status === 'overdue') {
+        insights.push({
+          type: 'warning',
+          category: 'goal',
+          message: `${goal.name} goal target date has passed at ${goal.percentComplete}% complete (${money(goal.remainingAmount)} short)`
+        });
+      } else if (goal.status === 'behind') {
+        insights.push({
+          type: 'warning',
+          category: 'goal',
+          message: `${goal.name} goal is behind schedule: save ${money(goal.requiredMonthlyContribution)}/month to reach ${money(goal.targetAmount)} in ${goal.monthsRemaining} months`
+        });
+      }
+    });
+
+    // Emergency fund insights: use the user's emergency fund goal when one is set,
+    // otherwise suggest 6 months of expenses (or income while no expenses are tracked)
+    const emergencyFundGoal = goalProgress.find(goal => goal.goalType === 'emergency-fund');
+    if (emergencyFundGoal) {
+      if (emergencyFundGoal.status !== 'achieved') {
+        insights.push({
+          type: 'recommendation',
+          category: 'emergency_fund',
+          message: `Emergency fund at ${emergencyFundGoal.percentComplete}% of your ${money(emergencyFundGoal.targetAmount)} goal`
+        });
+      }
+    } else {
+      const emergencyFundTarget = (metrics.monthlyExpenses || metrics.monthlyIncome) * 6;
+      if (metrics.totalAssets < emergencyFundTarget) {
+        insights.push({
+          type: 'recommendation',
+          category: 'emergency_fund',
+          message: `Consider building emergency fund of ${money(emergencyFundTarget)} (6 months expenses)`
+        });
+      }
     }
 
     return insights;
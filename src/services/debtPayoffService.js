@@ -0,0 +1,271 @@
+const amortizationService = require('./amortizationService');
+const creditCardService = require('./creditCardService');
+const { DEFAULT_CURRENCY } = require('../utils/currency.util');
+
+/**
+ * Debt Payoff Service
+ *
+ * Deterministic month-by-month debt payoff simulation across liabilities and
+ * credit cards. Every month interest accrues, each debt receives its minimum
+ * payment and the rest of the budget goes to the first unpaid debt in the
+ * strategy's order. Minimum payments stay fixed, so the payment of a paid-off
+ * debt rolls over to the next one. Pure calculations.
+ */
+
+const PAYOFF_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+// Upper bound on plan length (50 years)
+const MAX_MONTHS = 600;
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+class DebtPayoffService {
+  /**
+   * Minimum monthly payment of a liability
+   *
+   * Uses the loan payment (converted to a monthly amount) when the liability
+   * has loan terms, otherwise 1% of the balance plus interest.
+   *
+   * @param {Object} liability - Liability record
+   * @returns {number} - Minimum payment
+   */
+  liabilityMinimumPayment(liability) {
+    const balance = liability.outstandingAmount || 0;
+    const interest = balance * ((liability.interestRate || 0) / 100 / 12);
+
+    if (!amortizationService.validateTerms(liability)) {
+      const payment = amortizationService.getPayment(liability);
+      return round((payment * amortizationService.getPeriodsPerYear(liability)) / 12);
+    }
+    return round(Math.min(balance * 0.01 + interest, balance + interest));
+  }
+
+  /**
+   * Collect the debts with a balance from liabilities and credit cards
+   * @param {Array} liabilities - Liability records
+   * @param {Array} creditCards - Credit card records
+   * @returns {Array} - Debts { debtId, debtType, name, balance, interestRate, minimumPayment }
+   */
+  collectDebts(liabilities = [], creditCards = []) {
+    return [
+      ...liabilities
+        .filter(liability => liability.outstandingAmount > 0)
+        .map(liability => ({
+          debtId: liability._id.toString(),
+          debtType: 'liability',
+          name: liability.liabilityName,
+          balance: liability.outstandingAmount,
+          interestRate: liability.interestRate || 0,
+          minimumPayment: this.liabilityMinimumPayment(liability),
+        })),
+      ...creditCards
+        .filter(card => card.outstandingBalance > 0)
+        .map(card => ({
+          debtId: card._id.toString(),
+          debtType: 'creditCard',
+          name: card.cardName,
+          balance: card.outstandingBalance,
+          interestRate: card.interestRate || 0,
+          minimumPayment: creditCardService.calculateMinimumPayment(card),
+        })),
+    ];
+  }
+
+  /**
+   * Sum of the minimum monthly payments of all debts
+   * @param {Array} debts - Debts
+   * @returns {number} - Total minimum payment
+   */
+  totalMinimumPayments(debts) {
+    return round(debts.reduce((total, debt) => total + debt.minimumPayment, 0));
+  }
+
+  /**
+   * Order debts for a strategy
+   *
+   * - avalanche: highest interest rate first (smaller balance breaks ties)
+   * - snowball: smallest balance first (higher rate breaks ties)
+   * - custom: the given IDs first, remaining debts in avalanche order
+   *
+   * @param {Array} debts - Debts
+   * @param {string} strategy - avalanche, snowball or custom
+   * @param {Array} [order] - Debt IDs for the custom strategy
+   * @returns {Array} - Debts in payoff priority
+   */
+  orderDebts(debts, strategy, order = []) {
+    const avalanche = [...debts].sort((a, b) => b.interestRate - a.interestRate || a.balance - b.balance);
+
+    if (strategy === 'snowball') {
+      return [...debts].sort((a, b) => a.balance - b.balance || b.interestRate - a.interestRate);
+    }
+    if (strategy === 'custom') {
+      const ids = order.map(String);
+      const listed = ids.map(id => debts.find(debt => debt.debtId === id)).filter(Boolean);
+      return [...listed, ...avalanche.filter(debt => !ids.includes(debt.debtId))];
+    }
+    return avalanche;
+  }
+
+  /**
+   * Check a payoff plan request
+   * @param {Array} debts - Debts
+   * @param {Object} options - { monthlyBudget, strategy, order }
+   * @returns {string|null} - Error message, or null when the plan can be built
+   */
+  validatePlanRequest(debts, { monthlyBudget, strategy, order }) {
+    if (!PAYOFF_STRATEGIES.includes(strategy)) {
+      return `strategy must be one of: ${PAYOFF_STRATEGIES.join(', ')}`;
+    }
+    if (!Number.isFinite(monthlyBudget) || monthlyBudget <= 0) {
+      return 'monthlyBudget must be a positive number';
+    }
+    if (strategy === 'custom') {
+      if (!Array.isArray(order) || order.length === 0) {
+        return 'order must list debt IDs for the custom strategy';
+      }
+      const unknown = order.map(String).find(id => !debts.some(debt => debt.debtId === id));
+      if (unknown) {
+        return `Debt ${unknown} not found`;
+      }
+    }
+
+    const minimumPayments = this.totalMinimumPayments(debts);
+    if (monthlyBudget < minimumPayments) {
+      return `monthlyBudget of ${monthlyBudget} does not cover the minimum payments of ${minimumPayments}`;
+    }
+    return null;
+  }
+
+  /**
+   * Simulate paying off debts month by month
+   * @param {Array} debts - Debts in payoff priority
+   * @param {number} monthlyBudget - Amount available for debt each month
+   * @param {Date} [now] - Reference date (the plan starts next month)
+   * @returns {Object} - Totals, per-debt payoff and the monthly schedule
+   */
+  simulate(debts, monthlyBudget, now = new Date()) {
+    const state = debts.map(debt => ({ ...debt, remaining: debt.balance, interestPaid: 0, totalPaid: 0, payoffMonth: null }));
+    const schedule = [];
+
+    for (let month = 1; month <= MAX_MONTHS && state.some(debt => debt.remaining > 0); month++) {
+      const date = new Date(now.getFullYear(), now.getMonth() + month, 1);
+      const payments = new Map();
+      let available = monthlyBudget;
+
+      // Interest accrues on every unpaid debt
+      state.filter(debt => debt.remaining > 0).forEach(debt => {
+        const interest = round(debt.remaining * (debt.interestRate / 100 / 12));
+        debt.remaining = round(debt.remaining + interest);
+        debt.interestPaid += interest;
+        payments.set(debt.debtId, { interest, payment: 0 });
+      });
+
+      const pay = (debt, amount) => {
+        const payment = round(Math.min(amount, debt.remaining, available));
+        debt.remaining = round(debt.remaining - payment);
+        debt.totalPaid += payment;
+        available = round(available - payment);
+        payments.get(debt.debtId).payment += payment;
+      };
+
+      // Minimum payments first, then the rest of the budget in priority order
+      state.filter(debt => debt.remaining > 0).forEach(debt => pay(debt, debt.minimumPayment));
+      state.filter(debt => debt.remaining > 0).forEach(debt => pay(debt, available));
+
+      state.forEach(debt => {
+        if (debt.remaining <= 0 && debt.payoffMonth === null) {
+          debt.payoffMonth = month;
+          debt.payoffDate = date;
+        }
+      });
+
+      schedule.push({
+        month,
+        date,
+        payments: state
+          .filter(debt => payments.has(debt.debtId))
+          .map(debt => ({
+            debtId: debt.debtId,
+            name: debt.name,
+            payment: round(payments.get(debt.debtId).payment),
+            interest: payments.get(debt.debtId).interest,
+            balance: debt.remaining,
+          })),
+        totalPayment: round(monthlyBudget - available),
+        totalInterest: round([...payments.values()].reduce((total, entry) => total + entry.interest, 0)),
+        remainingBalance: round(state.reduce((total, debt) => total + debt.remaining, 0)),
+      });
+    }
+
+    const paidOff = state.every(debt => debt.remaining <= 0);
+
+    return {
+      months: schedule.length,
+      debtFreeDate: paidOff && schedule.length > 0 ? schedule[schedule.length - 1].date : null,
+      paidOff,
+      totalInterest: round(state.reduce((total, debt) => total + debt.interestPaid, 0)),
+      totalPaid: round(state.reduce((total, debt) => total + debt.totalPaid, 0)),
+      debts: state.map((debt, index) => ({
+        priority: index + 1,
+        debtId: debt.debtId,
+        debtType: debt.debtType,
+        name: debt.name,
+        startingBalance: debt.balance,
+        interestRate: debt.interestRate,
+        minimumPayment: debt.minimumPayment,
+        payoffMonth: debt.payoffMonth,
+        payoffDate: debt.payoffDate || null,
+        interestPaid: round(debt.interestPaid),
+        totalPaid: round(debt.totalPaid),
+      })),
+      schedule,
+    };
+  }
+
+  /**
+   * Build a payoff plan and compare it with the other strategies
+   * @param {Array} debts - Debts from collectDebts()
+   * @param {Object} options - Plan options
+   * @param {number} options.monthlyBudget - Amount available for debt each month
+   * @param {string} [options.strategy] - avalanche (default), snowball or custom
+   * @param {Array} [options.order] - Debt IDs for the custom strategy
+   * @param {string} [options.currency] - Currency of the amounts (all debts share it)
+   * @param {Date} [options.now] - Reference date
+   * @returns {Object} - Plan with a strategy comparison
+   */
+  createPlan(debts, { monthlyBudget, strategy = 'avalanche', order = [], currency = DEFAULT_CURRENCY, now = new Date() }) {
+    const plan = this.simulate(this.orderDebts(debts, strategy, order), monthlyBudget, now);
+
+    const strategies = strategy === 'custom' ? PAYOFF_STRATEGIES : PAYOFF_STRATEGIES.filter(s => s !== 'custom');
+    const comparison = strategies.map(name => {
+      const result = name === strategy ? plan : this.simulate(this.orderDebts(debts, name, order), monthlyBudget, now);
+      return {
+        strategy: name,
+        months: result.months,
+        debtFreeDate: result.debtFreeDate,
+        paidOff: result.paidOff,
+        totalInterest: result.totalInterest,
+        totalPaid: result.totalPaid,
+        interestDifference: round(result.totalInterest - plan.totalInterest),
+      };
+    });
+
+    return {
+      strategy,
+      currency,
+      monthlyBudget,
+      minimumPayments: this.totalMinimumPayments(debts),
+      totalDebt: round(debts.reduce((total, debt) => total + debt.balance, 0)),
+      ...plan,
+      comparison,
+    };
+  }
+}
+
+module.exports = new DebtPayoffService();
+module.exports.PAYOFF_STRATEGIES = PAYOFF_STRATEGIES;
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Income = require('../models/Income');
+const Expense = require('../models/Expense');
+const Budget = require('../models/Budget');
+const Goal = require('../models/Goal');
+const Assets = require('../models/Assets');
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const dataAggregationService = require('./dataAggregationService');
+const snapshotService = require('./snapshotService');
+
+/**
+ * Export Service
+ *
+ * Reads a user's records for downloads (CSV, XLSX, JSON): the columns of each
+ * resource (schema fields plus virtuals such as a card's `availableCredit`),
+ * the records in a date range as a cursor, and the financial summary of
+ * `/api/recommendations/summary` with the net worth history of the range.
+ */
+
+/**
+ * Resources that can be exported, keyed by their API key scope resource
+ * - dateField: field filtered by the from/to range
+ * @constant {Object}
+ */
+const EXPORT_RESOURCES = {
+  income: { model: Income, dateField: 'dateReceived' },
+  expenses: { model: Expense, dateField: 'date' },
+  budgets: { model: Budget, dateField: 'createdAt' },
+  goals: { model: Goal, dateField: 'createdAt' },
+  assets: { model: Assets, dateField: 'createdAt' },
+  liabilities: { model: Liability, dateField: 'createdAt' },
+  creditCards: { model: CreditCard, dateField: 'createdAt' },
+};
+
+// Export of the financial summary (not a collection)
+const SUMMARY = 'summary';
+
+// Scopes needed to export the summary (its endpoint and the net worth history)
+const SUMMARY_SCOPES = ['recommendations:read', 'summary:read'];
+
+// Internal fields never exported
+const HIDDEN_FIELDS = ['__v', 'linkedAccountKey'];
+
+// Columns of the summary table
+const SUMMARY_COLUMNS = ['section', 'item', 'metric', 'value'];
+
+/**
+ * Read a dotted path of a plain object
+ * @param {Object} object - Object
+ * @param {string} path - Path, e.g. "recurrence.frequency"
+ * @returns {*} - Value
+ */
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Plain values of an object (nested objects and arrays such as the records of a breakdown are left out)
+ * @param {Object} object - Object
+ * @returns {Object} - Numbers, booleans, strings and dates (IDs as strings)
+ */
+const valuesOf = (object) => Object.fromEntries(
+  Object.entries(object || {})
+    .map(([key, value]) => [key, value instanceof mongoose.Types.ObjectId ? value.toString() : value])
+    .filter(([, value]) => ['number', 'boolean', 'string'].includes(typeof value) || value instanceof Date)
+);
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+class ExportService {
+  /**
+   * Parse the requested resources
+   * @param {string} [value] - Comma-separated names (default: every resource and the summary)
+   * @returns {Object} - { resources } or { error }
+   */
+  parseResources(value) {
+    const available = [...Object.keys(EXPORT_RESOURCES), SUMMARY];
+    if (value === undefined || value === '') {
+      return { resources: available };
+    }
+
+    const resources = [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+    const unknown = resources.filter(name => !available.includes(name));
+    if (resources.length === 0 || unknown.length > 0) {
+      return { error: `resources must be a comma-separated list of: ${available.join(', ')}` };
+    }
+    return { resources };
+  }
+
+  /**
+   * Scopes an API key or advisor needs to export resources
+   * @param {Array} resources - Resource names
+   * @returns {Array} - Scopes, e.g. ["income:read", "summary:read"]
+   */
+  getScopes(resources) {
+    return resources.flatMap(name => (name === SUMMARY ? SUMMARY_SCOPES : [`${name}:read`]));
+  }
+
+  /**
+   * Columns of a resource: schema fields (ID first) followed by virtuals
+   * @param {string} name - Resource name
+   * @returns {Array} - Column names
+   */
+  getColumns(name) {
+    const { schema } = EXPORT_RESOURCES[name].model;
+    const fields = Object.keys(schema.paths).filter(path => !HIDDEN_FIELDS.includes(path) && path !== '_id');
+    const virtuals = schema.get('toJSON')?.virtuals
+      ? Object.keys(schema.virtuals).filter(path => path !== 'id')
+      : [];
+    return ['_id', ...fields, ...virtuals];
+  }
+
+  /**
+   * Cursor over the records of a resource, oldest first
+   * @param {string} name - Resource name
+   * @param {Object} scope - Filter of the records the user may read (see recordScope)
+   * @param {Object} [range] - { from, to } applied to the resource's date field
+   * @returns {Object} - Mongoose query cursor
+   */
+  getCursor(name, scope, { from, to } = {}) {
+    const { model, dateField } = EXPORT_RESOURCES[name];
+    const query = { ...scope };
+    if (from || to) {
+      query[dateField] = {};
+      if (from) {
+        query[dateField].$gte = from;
+      }
+      if (to) {
+        query[dateField].$lte = to;
+      }
+    }
+    return model.find(query).sort({ [dateField]: 1, _id: 1 }).cursor();
+  }
+
+  /**
+   * Cell values of a record for CSV/XLSX (IDs as text, numeric virtuals as numbers)
+   * @param {string} name - Resource name
+   * @param {Object} record - Record as JSON (virtuals included)
+   * @param {Array} columns - Columns from getColumns()
+   * @returns {Array} - Values (Date, number, boolean, string, object or null)
+   */
+  toRow(name, record, columns) {
+    const { virtuals } = EXPORT_RESOURCES[name].model.schema;
+    return columns.map(column => {
+      const value = getPath(record, column);
+      if (value instanceof mongoose.Types.ObjectId) {
+        return value.toString();
+      }
+      // utilizationRate is formatted with toFixed()
+      if (virtuals[column] && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+      }
+      return value ?? null;
+    });
+  }
+
+  /**
+   * Financial summary as served by /api/recommendations/summary, with the net worth history of the range
+   * @param {Object} scope - { userId, householdId, memberId } as built by financialScope()
+   * @param {Object} [range] - { from, to } of the net worth history (default: the last 12 months)
+   * @returns {Promise<Object>} - Summary
+   */
+  async getSummary(scope, { from, to } = {}) {
+    const [dataResult, history] = await Promise.all([
+      dataAggregationService.getFinancialDataForScope(scope),
+      snapshotService.getHistory(scope, { from, to, interval: 'month' }),
+    ]);
+    if (!dataResult.success) {
+      throw new Error(dataResult.error || 'Failed to fetch financial data');
+    }
+
+    const data = dataResult.data;
+    // Breakdowns without the records they were built from
+    const breakdown = (groups) => Object.fromEntries(
+      Object.entries(groups || {}).map(([key, group]) => [key, valuesOf(group)])
+    );
+
+    return {
+      generatedAt: new Date(),
+      baseCurrency: data.baseCurrency,
+      summary: {
+        netWorth: data.netWorth,
+        totalAssets: data.totalAssets,
+        totalLiabilities: data.totalLiabilities,
+        totalCreditCardDebt: data.totalCreditCardDebt,
+        monthlyIncome: data.monthlyIncome,
+        monthlyExpenses: data.monthlyExpenses,
+        savingsRate: data.savingsRate,
+        creditUtilization: data.creditUtilization,
+        debtToIncomeRatio: data.debtToIncomeRatio,
+      },
+      breakdowns: {
+        assets: breakdown(data.assetBreakdown),
+        income: breakdown(data.incomeBreakdown),
+        expenses: breakdown(data.expenseBreakdown),
+        liabilities: breakdown(data.liabilityBreakdown),
+      },
+      goals: (data.goalProgress || []).map(valuesOf),
+      netWorthHistory: {
+        from: history.from,
+        to: history.to,
+        summary: history.summary,
+        points: history.points.map(valuesOf),
+      },
+    };
+  }
+
+  /**
+   * Summary as a table of section, item, metric and value rows (for CSV/XLSX)
+   * @param {Object} summary - Summary from getSummary()
+   * @returns {Object} - { columns, rows }
+   */
+  getSummaryTable(summary) {
+    const rows = [];
+    const addRows = (section, item, values) => {
+      Object.entries(values).forEach(([metric, value]) => {
+        rows.push([section, item, metric, typeof value === 'number' ? round(value) : value]);
+      });
+    };
+
+    addRows('summary', '', { baseCurrency: summary.baseCurrency, generatedAt: summary.generatedAt, ...summary.summary });
+
+    Object.entries(summary.breakdowns).forEach(([section, groups]) => {
+      Object.entries(groups).forEach(([item, values]) => addRows(section, item, values));
+    });
+
+    summary.goals.forEach(({ name, ...values }) => addRows('goals', name, values));
+
+    summary.netWorthHistory.points.forEach(({ period, ...values }) => {
+      addRows('netWorthHistory', new Date(period).toISOString().slice(0, 10), values);
+    });
+
+    return { columns: SUMMARY_COLUMNS, rows };
+  }
+}
+
+module.exports = new ExportService();
+module.exports.EXPORT_RESOURCES = EXPORT_RESOURCES;
+module.exports.SUMMARY = SUMMARY;
@@ -0,0 +1,290 @@
+const amortizationService = require('./amortizationService');
+const budgetService = require('./budgetService');
+const creditCardService = require('./creditCardService');
+const debtPayoffService = require('./debtPayoffService');
+
+/**
+ * Forecast Service
+ *
+ * Projects cash flow month by month: income on the dates its frequency and
+ * `dateReceived` imply, liability payments from the amortization schedule
+ * (or the minimum payment when a liability has no loan terms), credit card
+ * minimum payments on a shrinking balance, and recurring and future one-time
+ * expenses. Liquid assets are the opening balance; months whose closing
+ * balance is below zero are flagged. Pure calculations on records that are
+ * already in one currency.
+ */
+
+// Asset types counted as cash on hand
+const LIQUID_ASSET_TYPES = ['savings'];
+
+// Longest forecast in months
+const MAX_FORECAST_MONTHS = 60;
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Year and month of a date as "YYYY-MM"
+ * @param {Date} date - Date
+ * @returns {string} - Month label
+ */
+const monthLabel = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+class ForecastService {
+  /**
+   * Dates of a record between two dates (see budgetService.occurrence)
+   * @param {Date} anchor - First occurrence (date received, expense date)
+   * @param {string} frequency - Frequency, or one-time
+   * @param {Date} start - Range start (inclusive)
+   * @param {Date} end - Range end (exclusive)
+   * @returns {Array<Date>} - Occurrences in the range
+   */
+  occurrencesInRange(anchor, frequency, start, end) {
+    const first = new Date(anchor);
+    if (Number.isNaN(first.getTime())) {
+      return [];
+    }
+    if ((frequency || 'one-time') === 'one-time') {
+      return first >= start && first < end ? [first] : [];
+    }
+
+    const dates = [];
+    let n = budgetService.firstOccurrenceFrom(first, frequency, start);
+    for (let date = budgetService.occurrence(first, frequency, n); date < end; date = budgetService.occurrence(first, frequency, ++n)) {
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Monthly buckets of the forecast, the first one starting now
+   * @param {number} months - Number of months
+   * @param {Date} now - Forecast start
+   * @returns {Array} - { period, start, end } with end exclusive
+   */
+  buildPeriods(months, now) {
+    return Array.from({ length: months }, (_, index) => ({
+      period: monthLabel(new Date(now.getFullYear(), now.getMonth() + index, 1)),
+      start: index === 0 ? new Date(now) : new Date(now.getFullYear(), now.getMonth() + index, 1),
+      end: new Date(now.getFullYear(), now.getMonth() + index + 1, 1),
+    }));
+  }
+
+  /**
+   * Income occurrences in the forecast window
+   * @param {Array} income - Income records
+   * @param {Date} start - Forecast start
+   * @param {Date} end - Forecast end (exclusive)
+   * @returns {Array} - Cash flow entries { type, id, name, date, amount }
+   */
+  projectIncome(income, start, end) {
+    return income.flatMap(record =>
+      this.occurrencesInRange(record.dateReceived, record.frequency, start, end).map(date => ({
+        type: 'income',
+        id: record._id,
+        name: record.incomeSource,
+        date,
+        amount: record.amount || 0,
+      }))
+    );
+  }
+
+  /**
+   * Expense occurrences in the forecast window (recurring and future one-time expenses)
+   * @param {Array} expenses - Expense records
+   * @param {Date} start - Forecast start
+   * @param {Date} end - Forecast end (exclusive)
+   * @returns {Array} - Cash flow entries
+   */
+  projectExpenses(expenses, start, end) {
+    return expenses.flatMap(expense =>
+      this.occurrencesInRange(expense.date, expense.frequency, start, end).map(date => ({
+        type: 'expense',
+        id: expense._id,
+        name: expense.merchant || expense.category,
+        date,
+        amount: expense.amount || 0,
+      }))
+    );
+  }
+
+  /**
+   * Liability payments in the forecast window
+   *
+   * Liabilities with loan terms follow their amortization schedule; others pay
+   * the monthly minimum (1% of the balance plus interest) on their due date.
+   *
+   * @param {Array} liabilities - Liability records
+   * @param {Date} start - Forecast start
+   * @param {Date} end - Forecast end (exclusive)
+   * @returns {Array} - Cash flow entries
+   */
+  projectLiabilities(liabilities, start, end) {
+    return liabilities
+      .filter(liability => liability.outstandingAmount > 0)
+      .flatMap(liability => {
+        const rows = amortizationService.validateTerms(liability)
+          ? this.payDown(liability.outstandingAmount, liability.interestRate, liability.dueDate, start, end,
+            balance => debtPayoffService.liabilityMinimumPayment({ ...liability, outstandingAmount: balance }))
+          : amortizationService.buildSchedule(liability, { now: start }).schedule;
+
+        return rows
+          .filter(row => row.date >= start && row.date < end)
+          .map(row => ({ type: 'liability', id: liability._id, name: liability.liabilityName, date: row.date, amount: row.payment }));
+      });
+  }
+
+  /**
+   * Credit card minimum payments in the forecast window
+   * @param {Array} creditCards - Credit card records
+   * @param {Date} start - Forecast start
+   * @param {Date} end - Forecast end (exclusive)
+   * @returns {Array} - Cash flow entries
+   */
+  projectCreditCards(creditCards, start, end) {
+    return creditCards
+      .filter(card => card.outstandingBalance > 0)
+      .flatMap(card =>
+        this.payDown(card.outstandingBalance, card.interestRate, card.dueDate, start, end,
+          balance => creditCardService.calculateMinimumPayment(card, balance))
+          .map(row => ({ type: 'creditCard', id: card._id, name: card.cardName, date: row.date, amount: row.payment }))
+      );
+  }
+
+  /**
+   * Pay a balance down monthly from its next due date
+   * @param {number} balance - Starting balance
+   * @param {number} interestRate - Annual rate (percentage)
+   * @param {Date} dueDate - Due date (rolled forward to the forecast start)
+   * @param {Date} start - Forecast start
+   * @param {Date} end - Forecast end (exclusive)
+   * @param {Function} paymentFor - Payment for a balance
+   * @returns {Array} - { date, payment } per month until the balance is paid or the forecast ends
+   */
+  payDown(balance, interestRate, dueDate, start, end, paymentFor) {
+    const rows = [];
+    const dates = this.occurrencesInRange(dueDate || start, 'monthly', start, end);
+
+    for (const date of dates) {
+      if (balance <= 0) {
+        break;
+      }
+      const interest = round(balance * ((interestRate || 0) / 100 / 12));
+      const payment = round(Math.min(paymentFor(balance), balance + interest));
+      balance = round(balance + interest - payment);
+      rows.push({ date, payment });
+    }
+    return rows;
+  }
+
+  /**
+   * Opening cash balance from liquid assets
+   * @param {Array} assets - Asset records
+   * @returns {number} - Total value of liquid assets
+   */
+  getLiquidBalance(assets) {
+    return round(assets
+      .filter(asset => LIQUID_ASSET_TYPES.includes(asset.assetsType))
+      .reduce((total, asset) => total + (asset.currentValue || 0), 0));
+  }
+
+  /**
+   * Group cash flow entries by record
+   * @param {Array} entries - Cash flow entries of one month
+   * @returns {Array} - { type, id, name, occurrences, amount }
+   */
+  groupEntries(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = `${entry.type}:${entry.id}`;
+      const group = groups.get(key) || { type: entry.type, id: entry.id, name: entry.name, occurrences: 0, amount: 0 };
+      group.occurrences++;
+      group.amount = round(group.amount + entry.amount);
+      groups.set(key, group);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Forecast cash flow and the running balance of liquid assets
+   * @param {Object} data - { income, expenses, liabilities, creditCards, assets }
+   * @param {Object} [options] - Forecast options
+   * @param {number} [options.months] - Number of months (default 12)
+   * @param {number} [options.startingBalance] - Opening balance (defaults to liquid assets)
+   * @param {Date} [options.now] - Forecast start
+   * @returns {Object} - Monthly inflows, outflows and balances with a summary
+   */
+  buildForecast(data, { months = 12, startingBalance, now = new Date() } = {}) {
+    const periods = this.buildPeriods(months, now);
+    const start = periods[0].start;
+    const end = periods[periods.length - 1].end;
+
+    const entries = [
+      ...this.projectIncome(data.income || [], start, end),
+      ...this.projectLiabilities(data.liabilities || [], start, end),
+      ...this.projectCreditCards(data.creditCards || [], start, end),
+      ...this.projectExpenses(data.expenses || [], start, end),
+    ];
+
+    const openingBalance = startingBalance ?? this.getLiquidBalance(data.assets || []);
+    let balance = openingBalance;
+
+    const forecast = periods.map(({ period, start: periodStart, end: periodEnd }) => {
+      const inMonth = entries.filter(entry => entry.date >= periodStart && entry.date < periodEnd);
+      const sum = (type) => round(inMonth.filter(entry => entry.type === type).reduce((total, entry) => total + entry.amount, 0));
+
+      const inflows = sum('income');
+      const outflows = {
+        liabilities: sum('liability'),
+        creditCards: sum('creditCard'),
+        expenses: sum('expense'),
+      };
+      outflows.total = round(outflows.liabilities + outflows.creditCards + outflows.expenses);
+
+      const opening = balance;
+      balance = round(balance + inflows - outflows.total);
+
+      return {
+        period,
+        startDate: periodStart,
+        endDate: periodEnd,
+        openingBalance: opening,
+        inflows,
+        outflows,
+        netCashFlow: round(inflows - outflows.total),
+        closingBalance: balance,
+        negative: balance < 0,
+        items: this.groupEntries(inMonth),
+      };
+    });
+
+    const lowest = forecast.reduce((min, month) => (month.closingBalance < min.closingBalance ? month : min), forecast[0]);
+    const negativeMonths = forecast.filter(month => month.negative).map(month => month.period);
+
+    return {
+      months,
+      startDate: start,
+      endDate: end,
+      openingBalance,
+      summary: {
+        totalInflows: round(forecast.reduce((total, month) => total + month.inflows, 0)),
+        totalOutflows: round(forecast.reduce((total, month) => total + month.outflows.total, 0)),
+        closingBalance: balance,
+        lowestBalance: lowest.closingBalance,
+        lowestBalancePeriod: lowest.period,
+        negativeMonths,
+        firstNegativeMonth: negativeMonths[0] || null,
+      },
+      forecast,
+    };
+  }
+}
+
+module.exports = new ForecastService();
+module.exports.LIQUID_ASSET_TYPES = LIQUID_ASSET_TYPES;
+module.exports.MAX_FORECAST_MONTHS = MAX_FORECAST_MONTHS;
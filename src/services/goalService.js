@@ -0,0 +1,149 @@
+/**
+ * Goal Service
+ *
+ * Calculates goal progress from linked assets: percent complete, the monthly
+ * contribution needed to reach the target by the target date (taking each
+ * asset's interest rate into account) and whether the goal is on track.
+ * Pure calculations: callers load the goals and assets.
+ */
+
+class GoalService {
+  /**
+   * Whole months from one date until another (0 if already passed)
+   * @param {Date} from - Start date
+   * @param {Date} to - End date
+   * @returns {number} - Number of months
+   */
+  monthsUntil(from, to) {
+    const months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+    return Math.max(0, to.getDate() < from.getDate() ? months - 1 : months);
+  }
+
+  /**
+   * Monthly growth rate for contributions, weighted by the linked assets' values
+   * Falls back to the plain average when the linked assets have no value yet.
+   * @param {Array} assets - Linked assets
+   * @returns {number} - Monthly rate as a fraction
+   */
+  contributionRate(assets) {
+    if (assets.length === 0) {
+      return 0;
+    }
+
+    const totalValue = assets.reduce((total, asset) => total + (asset.currentValue || 0), 0);
+    const annualRate = totalValue > 0
+      ? assets.reduce((total, asset) => total + (asset.interestRate || 0) * (asset.currentValue || 0), 0) / totalValue
+      : assets.reduce((total, asset) => total + (asset.interestRate || 0), 0) / assets.length;
+
+    return annualRate / 100 / 12;
+  }
+
+  /**
+   * Value of the linked assets at the target date, each growing at its own rate
+   * @param {Array} assets - Linked assets
+   * @param {number} months - Months until the target date
+   * @returns {number} - Future value
+   */
+  futureValueOfAssets(assets, months) {
+    return assets.reduce((total, asset) => {
+      const monthlyRate = (asset.interestRate || 0) / 100 / 12;
+      return total + (asset.currentValue || 0) * Math.pow(1 + monthlyRate, months);
+    }, 0);
+  }
+
+  /**
+   * Future value of a monthly contribution
+   * @param {number} payment - Monthly contribution
+   * @param {number} monthlyRate - Monthly rate as a fraction
+   * @param {number} months - Number of contributions
+   * @returns {number} - Future value
+   */
+  futureValueOfContributions(payment, monthlyRate, months) {
+    if (monthlyRate === 0) {
+      return payment * months;
+    }
+    return payment * (Math.pow(1 + monthlyRate, months) - 1) / monthlyRate;
+  }
+
+  /**
+   * Calculate the progress of a goal
+   * @param {Object} goal - Goal record
+   * @param {Array} assets - Assets records (only the goal's linked assets are used)
+   * @param {Date} [now] - Reference date
+   * @returns {Object} - Progress, required contribution and on-track flag
+   */
+  getProgress(goal, assets, now = new Date()) {
+    const linkedIds = (goal.linkedAssets || []).map(id => (id._id || id).toString());
+    const linkedAssets = assets.filter(asset => linkedIds.includes(asset._id.toString()));
+
+    const currentAmount = linkedAssets.reduce((total, asset) => total + (asset.currentValue || 0), 0);
+    const targetDate = new Date(goal.targetDate);
+    const monthsRemaining = this.monthsUntil(now, targetDate);
+    const monthlyRate = this.contributionRate(linkedAssets);
+
+    const projectedWithoutContributions = this.futureValueOfAssets(linkedAssets, monthsRemaining);
+    const shortfall = Math.max(0, goal.targetAmount - projectedWithoutContributions);
+
+    let requiredMonthlyContribution = 0;
+    if (currentAmount < goal.targetAmount) {
+      requiredMonthlyContribution = monthsRemaining > 0
+        ? shortfall / this.futureValueOfContributions(1, monthlyRate, monthsRemaining)
+        : goal.targetAmount - currentAmount;
+    }
+
+    const plannedContribution = goal.monthlyContribution || 0;
+    const projectedAmount = projectedWithoutContributions +
+      this.futureValueOfContributions(plannedContribution, monthlyRate, monthsRemaining);
+
+    const achieved = currentAmount >= goal.targetAmount;
+    let status = 'on_track';
+    if (achieved) {
+      status = 'achieved';
+    } else if (monthsRemaining === 0) {
+      status = 'overdue';
+    } else if (projectedAmount < goal.targetAmount) {
+      status = 'behind';
+    }
+
+    return {
+      goalId: goal._id,
+      name: goal.name,
+      goalType: goal.goalType,
+      targetAmount: goal.targetAmount,
+      targetDate,
+      currentAmount: Math.round(currentAmount * 100) / 100,
+      remainingAmount: Math.round(Math.max(0, goal.targetAmount - currentAmount) * 100) / 100,
+      percentComplete: goal.targetAmount > 0
+        ? Math.min(100, Math.round((currentAmount / goal.targetAmount) * 1000) / 10)
+        : 100,
+      monthsRemaining,
+      expectedAnnualReturn: Math.round(monthlyRate * 12 * 10000) / 100,
+      requiredMonthlyContribution: Math.round(requiredMonthlyContribution * 100) / 100,
+      monthlyContribution: plannedContribution,
+      projectedAmount: Math.round(projectedAmount * 100) / 100,
+      onTrack: status === 'on_track' || status === 'achieved',
+      status,
+      linkedAssets: linkedAssets.map(asset => ({
+        _id: asset._id,
+        assetsName: asset.assetsName,
+        currentValue: asset.currentValue,
+        interestRate: asset.interestRate || 0,
+      })),
+    };
+  }
+
+  /**
+   * Calculate the progress of several goals
+   * @param {Array} goals - Goal records
+   * @param {Array} assets - Assets records
+   * @param {Date} [now] - Reference date
+   * @returns {Array} - Goal progress entries
+   */
+  getProgressForGoals(goals, assets, now = new Date()) {
+    return goals
+      .filter(goal => goal.isActive !== false)
+      .map(goal => this.getProgress(goal, assets, now));
+  }
+}
+
+module.exports = new GoalService();
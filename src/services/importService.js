@@ -0,0 +1,339 @@
+const Income = require('../models/Income');
+const Assets = require('../models/Assets');
+const Liability = require('../models/Liability');
+const CreditCard = require('../models/CreditCard');
+const valuationService = require('./valuationService');
+const { parseCsv } = require('../utils/csv.util');
+
+/**
+ * Import Service
+ *
+ * Bulk imports income, assets, liabilities and credit cards from CSV files.
+ * Columns are mapped to model fields (explicitly or by matching header names),
+ * every row is checked with the model's own Mongoose validators and compared
+ * with the user's existing records to find duplicates. A file is imported all
+ * or nothing: no record is written while any row is invalid, and records
+ * written before a failed insert are removed again.
+ */
+
+// Most rows accepted in one file
+const MAX_IMPORT_ROWS = 5000;
+
+// Fields set by the server (or by OFX imports), never read from a file
+const SYSTEM_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'household', 'createdBy',
+  'importId', 'linkedAccountKey', 'linkedAccountMask', 'balanceAsOf',
+];
+
+/**
+ * Resources that can be imported, keyed by their URL name
+ * - scope: API key / advisor scope resource
+ * - event: webhook event prefix
+ * - duplicateKey: fields identifying the same record
+ * @constant {Object}
+ */
+const IMPORT_RESOURCES = {
+  income: {
+    model: Income,
+    scope: 'income',
+    event: 'income',
+    duplicateKey: ['incomeSource', 'amount', 'dateReceived'],
+  },
+  assets: {
+    model: Assets,
+    scope: 'assets',
+    event: 'asset',
+    duplicateKey: ['assetsName', 'assetsType'],
+  },
+  liabilities: {
+    model: Liability,
+    scope: 'liabilities',
+    event: 'liability',
+    duplicateKey: ['liabilityName', 'type'],
+  },
+  'credit-cards': {
+    model: CreditCard,
+    scope: 'creditCards',
+    event: 'creditCard',
+    duplicateKey: ['bankName', 'cardName'],
+  },
+};
+
+/**
+ * Normalize a column or field name for automatic mapping ("Date Received" matches dateReceived)
+ * @param {string} name - Column or field name
+ * @returns {string} - Lowercase letters and digits
+ */
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Comparable form of a duplicate key value (case-insensitive text, calendar day of dates)
+ * @param {*} value - Field value
+ * @returns {string} - Key part
+ */
+const keyPart = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'string') {
+    return value.trim().toLowerCase();
+  }
+  return String(value ?? '');
+};
+
+/**
+ * Filter of the records where imported records are written: the household's records,
+ * or the user's personal records (not shared with a household)
+ * @param {Object} ownership - createdBy and household of new records
+ * @returns {Object} - Mongo filter
+ */
+const targetScope = (ownership) => (ownership.household
+  ? { household: ownership.household }
+  : { createdBy: ownership.createdBy, household: null });
+
+class ImportService {
+  /**
+   * Look up an importable resource by its URL name
+   * @param {string} name - Resource name, e.g. "credit-cards"
+   * @returns {Object|null} - Resource definition (see IMPORT_RESOURCES)
+   */
+  getResource(name) {
+    return Object.prototype.hasOwnProperty.call(IMPORT_RESOURCES, name) ? IMPORT_RESOURCES[name] : null;
+  }
+
+  /**
+   * Fields of a resource that can be mapped to CSV columns
+   * @param {Object} resource - Resource definition
+   * @returns {Array} - [{ field, type, required }]
+   */
+  getFields(resource) {
+    const { schema } = resource.model;
+    const required = schema.requiredPaths();
+
+    return Object.keys(schema.paths)
+      .filter(field => !SYSTEM_FIELDS.includes(field))
+      .map(field => ({
+        field,
+        type: schema.path(field).instance,
+        required: required.includes(field),
+      }));
+  }
+
+  /**
+   * Build the column mapping of a file
+   *
+   * Fields missing from the explicit mapping are matched to a column with the
+   * same name, ignoring case, spaces and punctuation.
+   *
+   * @param {Object} resource - Resource definition
+   * @param {Array} headers - Column names of the file
+   * @param {Object} [mapping] - Explicit mapping { field: column }
+   * @returns {Object} - { mapping, unmappedColumns, errors }
+   */
+  buildMapping(resource, headers, mapping = {}) {
+    const fields = this.getFields(resource);
+    const fieldNames = fields.map(({ field }) => field);
+    const errors = [];
+    const result = {};
+
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (!fieldNames.includes(field)) {
+        errors.push(`Unknown field "${field}"; fields are: ${fieldNames.join(', ')}`);
+      } else if (column !== null && column !== '' && !headers.includes(column)) {
+        errors.push(`Column "${column}" mapped to ${field} is not in the file`);
+      } else if (column) {
+        result[field] = column;
+      }
+    });
+
+    fields.forEach(({ field }) => {
+      if (mapping[field] === undefined) {
+        const column = headers.find(header => normalizeName(header) === normalizeName(field));
+        if (column) {
+          result[field] = column;
+        }
+      }
+    });
+
+    const missing = fields.filter(({ field, required }) => required && !result[field]).map(({ field }) => field);
+    if (missing.length > 0) {
+      errors.push(`No column is mapped to the required field(s): ${missing.join(', ')}`);
+    }
+
+    const mappedColumns = Object.values(result);
+    return {
+      mapping: result,
+      unmappedColumns: headers.filter(header => !mappedColumns.includes(header)),
+      errors,
+    };
+  }
+
+  /**
+   * Build and validate the record of every row with the model's validators
+   * @param {Object} resource - Resource definition
+   * @param {Array} records - Rows keyed by column name
+   * @param {Object} mapping - Column mapping { field: column }
+   * @param {Object} defaults - { ownership, currency } applied to every record
+   * @returns {Promise<Array>} - [{ row, status, errors, values, doc }]
+   */
+  async validateRows(resource, records, mapping, { ownership, currency }) {
+    const rows = [];
+
+    for (const [index, record] of records.entries()) {
+      // Empty cells are left out so schema defaults apply
+      const values = {};
+      Object.entries(mapping).forEach(([field, column]) => {
+        if (record[column] !== undefined && record[column] !== '') {
+          values[field] = record[column];
+        }
+      });
+
+      const doc = new resource.model({
+        ...values,
+        ...ownership,
+        currency: values.currency || currency,
+      });
+
+      let errors = [];
+      try {
+        await doc.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error;
+        }
+        errors = Object.values(error.errors).map(err => (err.name === 'CastError'
+          ? `${err.path}: "${err.value}" is not a valid ${err.kind.toLowerCase()}`
+          : err.message));
+      }
+
+      rows.push({ row: index + 1, status: errors.length > 0 ? 'invalid' : 'valid', errors, values, doc });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Flag valid rows matching an existing record where the rows are imported, or an
+   * earlier row of the file
+   * @param {Object} resource - Resource definition
+   * @param {Array} rows - Rows from validateRows() (updated in place)
+   * @param {Object} ownership - createdBy and household of new records
+   * @returns {Promise<void>}
+   */
+  async markDuplicates(resource, rows, ownership) {
+    const keyOf = (get) => resource.duplicateKey.map(field => keyPart(get(field))).join('|');
+
+    const existing = await resource.model.find(targetScope(ownership)).select(resource.duplicateKey.join(' ')).lean();
+    const seen = new Map(existing.map(record => [keyOf(field => record[field]), 'existing']));
+
+    rows.filter(row => row.status === 'valid').forEach(row => {
+      const key = keyOf(field => row.doc.get(field));
+      if (seen.has(key)) {
+        row.duplicateOf = seen.get(key);
+      } else {
+        seen.set(key, row.row);
+      }
+    });
+  }
+
+  /**
+   * Check a CSV file and, unless it is a dry run, import it (all or nothing)
+   *
+   * @param {Object} resource - Resource definition
+   * @param {string} text - CSV text with a header row
+   * @param {Object} options - Import options
+   * @param {Object} [options.mapping] - Explicit column mapping { field: column }
+   * @param {Object} options.ownership - createdBy and household of new records (duplicates are
+   *   looked for among the records already there)
+   * @param {string} options.currency - Currency of rows without one
+   * @param {boolean} [options.dryRun] - Only report what would be imported
+   * @param {boolean} [options.skipDuplicates] - Leave duplicate rows out (default true)
+   * @returns {Promise<Object>} - { errors } when the file cannot be read or mapped, otherwise
+   *   { columns, mapping, unmappedColumns, summary, rows, imported } (imported is null for
+   *   dry runs and files with invalid rows)
+   */
+  async importCsv(resource, text, { mapping, ownership, currency, dryRun = false, skipDuplicates = true }) {
+    const { headers, records } = parseCsv(text);
+
+    if (headers.length === 0 || records.length === 0) {
+      return { errors: ['The file has no rows to import (a header row is required)'] };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { errors: [`At most ${MAX_IMPORT_ROWS} rows can be imported at once`] };
+    }
+
+    const columns = this.buildMapping(resource, headers, mapping);
+    if (columns.errors.length > 0) {
+      return { errors: columns.errors };
+    }
+
+    const rows = await this.validateRows(resource, records, columns.mapping, { ownership, currency });
+    await this.markDuplicates(resource, rows, ownership);
+
+    rows.forEach(row => {
+      if (row.duplicateOf && skipDuplicates) {
+        row.status = 'duplicate';
+      }
+    });
+
+    const toImport = rows.filter(row => row.status === 'valid');
+    const summary = {
+      total: rows.length,
+      valid: toImport.length,
+      invalid: rows.filter(row => row.status === 'invalid').length,
+      duplicates: rows.filter(row => row.duplicateOf).length,
+      skipped: rows.filter(row => row.status === 'duplicate').length,
+    };
+
+    const imported = dryRun || summary.invalid > 0
+      ? null
+      : await this.insertAll(resource, toImport.map(row => row.doc), ownership.createdBy);
+
+    return {
+      columns: headers,
+      mapping: columns.mapping,
+      unmappedColumns: columns.unmappedColumns,
+      summary,
+      rows: rows.map(({ row, status, errors, values, duplicateOf }) => ({
+        row,
+        status,
+        errors,
+        ...(duplicateOf ? { duplicateOf } : {}),
+        values,
+      })),
+      imported,
+    };
+  }
+
+  /**
+   * Insert validated records; on failure the records already written are removed
+   * @param {Object} resource - Resource definition
+   * @param {Array} docs - Validated documents
+   * @param {string} userId - User importing the records
+   * @returns {Promise<Array>} - Inserted records
+   */
+  async insertAll(resource, docs, userId) {
+    if (docs.length === 0) {
+      return [];
+    }
+
+    const ids = docs.map(doc => doc._id);
+    try {
+      const inserted = await resource.model.insertMany(docs, { ordered: true });
+      if (resource.model === Assets) {
+        await valuationService.recordInitialValuations(inserted, userId);
+      }
+      return inserted;
+    } catch (error) {
+      await resource.model.deleteMany({ _id: { $in: ids } });
+      if (resource.model === Assets) {
+        await valuationService.deleteForAssets(ids);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ImportService();
+module.exports.IMPORT_RESOURCES = IMPORT_RESOURCES;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
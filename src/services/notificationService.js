@@ -0,0 +1,412 @@
+const Notification = require('../models/Notification');
+const NotificationRule = require('../models/NotificationRule');
+const User = require('../models/User');
+const calendarService = require('./calendarService');
+const dataAggregationService = require('./dataAggregationService');
+const inAppTransport = require('./transports/inAppTransport');
+const smtpTransport = require('./transports/smtpTransport');
+const webhookTransport = require('./transports/webhookTransport');
+const logger = require('../utils/logger');
+const { formatMoney } = require('../utils/currency.util');
+
+/**
+ * Notification Service
+ *
+ * Checks notification rules against a user's records and writes every
+ * notification to the outbox (Notification) before anything is sent. The
+ * outbox is then delivered by the transport of each channel; failed attempts
+ * are retried with exponential backoff until MAX_ATTEMPTS. Transports are
+ * objects with an async `send(notification)` and can be replaced with
+ * registerTransport() (e.g. to point a channel at a local stand-in).
+ */
+
+// Delivery attempts before a notification is marked as failed
+const MAX_ATTEMPTS = 5;
+
+// Delay before the first retry; doubled after every failed attempt
+const RETRY_BASE_MS = 60 * 1000;
+
+// Notifications delivered per outbox run
+const DELIVERY_BATCH_SIZE = 100;
+
+// Level conditions notify when they start to hold, not on every check
+const LEVEL_RULE_TYPES = ['credit_utilization', 'negative_net_worth'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar date as "YYYY-MM-DD"
+ * @param {Date} date - Date
+ * @returns {string} - Date label
+ */
+const dayLabel = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Days from one date to another, by calendar day
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} - Whole days
+ */
+const daysBetween = (from, to) => Math.round(
+  (new Date(to.getFullYear(), to.getMonth(), to.getDate()) - new Date(from.getFullYear(), from.getMonth(), from.getDate())) / MS_PER_DAY
+);
+
+class NotificationService {
+  constructor() {
+    this.transports = {
+      in_app: inAppTransport,
+      email: smtpTransport,
+      webhook: webhookTransport,
+    };
+    this.checkTimer = null;
+    this.deliveryTimer = null;
+    this.delivering = false;
+  }
+
+  /**
+   * Replace the transport of a channel
+   * @param {string} channel - in_app, email or webhook
+   * @param {Object} transport - Object with an async send(notification) that rejects on failure
+   */
+  registerTransport(channel, transport) {
+    this.transports[channel] = transport;
+  }
+
+  /**
+   * Delay before the next attempt after a failed one
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Milliseconds (1, 2, 4, 8... minutes)
+   */
+  getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  }
+
+  /**
+   * Check one rule against a user's financial data
+   * @param {Object} rule - Notification rule
+   * @param {Object} context - { metrics, liabilities, creditCards } (metrics in the base currency,
+   *   liabilities and credit cards in their own currency)
+   * @param {Date} [now] - Reference date
+   * @returns {Object} - { conditionActive, events } where events are { title, message, data, dedupeKey }
+   */
+  evaluateRule(rule, { metrics, liabilities = [], creditCards = [] }, now = new Date()) {
+    const money = (amount) => formatMoney(amount, metrics.baseCurrency);
+    const threshold = rule.threshold;
+
+    switch (rule.type) {
+      case 'due_date': {
+        const to = new Date(now.getTime() + threshold * MS_PER_DAY);
+        const payments = calendarService
+          .getPayments(calendarService.collectBills(liabilities, creditCards), { from: now, to, now })
+          .filter(payment => payment.status !== 'overdue');
+
+        return {
+          conditionActive: payments.length > 0,
+          events: payments.map(payment => {
+            const days = daysBetween(now, payment.date);
+            const when = days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`;
+            const label = payment.type === 'creditCard' ? 'minimum payment' : 'payment';
+            const amount = formatMoney(payment.amount, payment.currency);
+            return {
+              title: `${payment.name} payment due ${when}`,
+              message: `The ${label} of ${amount} for ${payment.name} (${payment.payee}) is due on ${dayLabel(payment.date)}. ` +
+                `Outstanding balance: ${formatMoney(payment.balance, payment.currency)}.`,
+              data: {
+                recordType: payment.type,
+                recordId: payment.id,
+                dueDate: payment.date,
+                amount: payment.amount,
+                balance: payment.balance,
+                currency: payment.currency,
+              },
+              dedupeKey: `due_date:${payment.type}:${payment.id}:${dayLabel(payment.date)}`,
+            };
+          }),
+        };
+      }
+
+      case 'credit_utilization': {
+        const utilization = Math.round(metrics.creditUtilization * 10) / 10;
+        const conditionActive = utilization > threshold;
+        return {
+          conditionActive,
+          events: conditionActive && !rule.conditionActive ? [{
+            title: `Credit utilization is above ${threshold}%`,
+            message: `Your credit utilization is ${utilization}% (${money(metrics.totalCreditCardDebt)} of ` +
+              `${money(metrics.totalCreditCardDebt + metrics.totalAvailableCredit)} in credit limits), above your ${threshold}% alert.`,
+            data: { utilization, threshold },
+            dedupeKey: `credit_utilization:${rule._id}:${dayLabel(now)}`,
+          }] : [],
+        };
+      }
+
+      case 'negative_net_worth': {
+        const conditionActive = metrics.netWorth < threshold;
+        return {
+          conditionActive,
+          events: conditionActive && !rule.conditionActive ? [{
+            title: threshold === 0 ? 'Net worth is negative' : `Net worth is below ${money(threshold)}`,
+            message: `Your net worth is ${money(metrics.netWorth)}: assets of ${money(metrics.totalAssets)} against ` +
+              `${money(metrics.totalLiabilities + metrics.totalCreditCardDebt)} of debt.`,
+            data: { netWorth: metrics.netWorth, threshold },
+            dedupeKey: `negative_net_worth:${rule._id}:${dayLabel(now)}`,
+          }] : [],
+        };
+      }
+
+      case 'budget_overspend': {
+        const overspent = (metrics.budgetStatus || []).filter(budget => budget.limit > 0 && budget.percentUsed >= threshold);
+        return {
+          conditionActive: overspent.length > 0,
+          events: overspent.map(budget => ({
+            title: `${budget.name} budget is at ${budget.percentUsed}%`,
+            message: `You have spent ${money(budget.spent)} of your ${money(budget.limit)} ${budget.period} ` +
+              `${budget.name} budget (${budget.percentUsed}%).`,
+            data: {
+              budgetId: budget.budgetId,
+              category: budget.category,
+              spent: budget.spent,
+              limit: budget.limit,
+              percentUsed: budget.percentUsed,
+              periodStart: budget.periodStart,
+            },
+            // Once per budget period and threshold
+            dedupeKey: `budget_overspend:${budget.budgetId}:${dayLabel(budget.periodStart)}:${threshold}`,
+          })),
+        };
+      }
+
+      default:
+        return { conditionActive: false, events: [] };
+    }
+  }
+
+  /**
+   * Write the notifications of an event to the outbox, one per channel of the rule
+   *
+   * A notification whose dedupe key already exists for the channel is skipped.
+   *
+   * @param {Object} rule - Notification rule
+   * @param {Object} user - Rule owner (for the default email recipient)
+   * @param {Object} event - { title, message, data, dedupeKey }
+   * @returns {Promise<number>} - Notifications created
+   */
+  async enqueue(rule, user, event) {
+    let created = 0;
+
+    for (const channel of rule.channels) {
+      const recipient = {
+        email: rule.email || user.email,
+        webhook: rule.webhookUrl,
+      }[channel];
+
+      const result = await Notification.updateOne(
+        { createdBy: user._id, channel, dedupeKey: event.dedupeKey },
+        {
+          $setOnInsert: {
+            rule: rule._id,
+            type: rule.type,
+            recipient,
+            title: event.title,
+            message: event.message,
+            data: event.data,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date(),
+          },
+        },
+        { upsert: true, runValidators: true }
+      );
+      created += result.upsertedCount;
+    }
+
+    return created;
+  }
+
+  /**
+   * Check the active rules of a user and queue the resulting notifications
+   * @param {string} userId - User ID
+   * @param {Date} [now] - Reference date
+   * @returns {Promise<Object>} - { rules, created }
+   */
+  async checkUser(userId, now = new Date()) {
+    const rules = await NotificationRule.find({ createdBy: userId, isActive: true });
+    if (rules.length === 0) {
+      return { rules: 0, created: 0 };
+    }
+
+    const [user, dataResult] = await Promise.all([
+      User.findById(userId).select('email'),
+      dataAggregationService.getFinancialDataForScope({ userId }),
+    ]);
+    if (!user) {
+      return { rules: 0, created: 0 };
+    }
+    if (!dataResult.success) {
+      throw new Error(dataResult.error);
+    }
+
+    // Due dates are reported in each record's own currency
+    const context = {
+      metrics: dataResult.data,
+      liabilities: dataResult.rawData.liabilities,
+      creditCards: dataResult.rawData.creditCards,
+    };
+
+    let created = 0;
+    for (const rule of rules) {
+      const { conditionActive, events } = this.evaluateRule(rule, context, now);
+
+      let ruleCreated = 0;
+      for (const event of events) {
+        ruleCreated += await this.enqueue(rule, user, event);
+      }
+      created += ruleCreated;
+
+      rule.conditionActive = LEVEL_RULE_TYPES.includes(rule.type) ? conditionActive : false;
+      if (ruleCreated > 0) {
+        rule.lastTriggeredAt = now;
+      }
+      if (rule.isModified()) {
+        await rule.save();
+      }
+    }
+
+    return { rules: rules.length, created };
+  }
+
+  /**
+   * Check the rules of every user with active rules
+   * @returns {Promise<Object>} - { users, created, failed }
+   */
+  async checkAllUsers() {
+    const userIds = await NotificationRule.distinct('createdBy', { isActive: true });
+    let created = 0;
+    let failed = 0;
+
+    for (const userId of userIds) {
+      try {
+        created += (await this.checkUser(userId)).created;
+      } catch (error) {
+        failed++;
+        logger.error('Notification rule check failed', { userId, error: error.message });
+      }
+    }
+
+    logger.info('Notification rules checked', { users: userIds.length, created, failed });
+    return { users: userIds.length, created, failed };
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   * @param {Object} notification - Notification document
+   * @param {Date} [now] - Attempt time
+   * @returns {Promise<string>} - Resulting status (sent, pending for a retry, or failed)
+   */
+  async deliver(notification, now = new Date()) {
+    notification.attempts += 1;
+
+    try {
+      const transport = this.transports[notification.channel];
+      if (!transport) {
+        throw new Error(`No transport for the ${notification.channel} channel`);
+      }
+      await transport.send(notification);
+
+      notification.status = 'sent';
+      notification.sentAt = now;
+      notification.lastError = undefined;
+    } catch (error) {
+      notification.lastError = error.message;
+      if (notification.attempts >= MAX_ATTEMPTS) {
+        notification.status = 'failed';
+        logger.warn('Notification delivery failed', { id: notification._id, channel: notification.channel, error: error.message });
+      } else {
+        notification.nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(notification.attempts));
+      }
+    }
+
+    await notification.save();
+    return notification.status;
+  }
+
+  /**
+   * Deliver the pending notifications that are due
+   * @param {Date} [now] - Reference date
+   * @returns {Promise<Object>} - { sent, retrying, failed }
+   */
+  async processOutbox(now = new Date()) {
+    const result = { sent: 0, retrying: 0, failed: 0 };
+
+    // One run at a time, so a notification is never sent twice
+    if (this.delivering) {
+      return result;
+    }
+    this.delivering = true;
+
+    try {
+      const due = await Notification.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort('nextAttemptAt')
+        .limit(DELIVERY_BATCH_SIZE);
+
+      for (const notification of due) {
+        const status = await this.deliver(notification, now);
+        result[status === 'pending' ? 'retrying' : status]++;
+      }
+    } finally {
+      this.delivering = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Start checking rules and delivering the outbox
+   *
+   * Rules are checked every NOTIFICATION_CHECK_INTERVAL_HOURS hours (default 1)
+   * and the outbox delivered every NOTIFICATION_DELIVERY_INTERVAL_SECONDS
+   * seconds (default 60); 0 disables either. The timers do not keep the
+   * process alive.
+   */
+  startScheduler() {
+    const hours = parseFloat(process.env.NOTIFICATION_CHECK_INTERVAL_HOURS ?? '1');
+    const seconds = parseFloat(process.env.NOTIFICATION_DELIVERY_INTERVAL_SECONDS ?? '60');
+
+    if (!this.checkTimer && hours > 0) {
+      this.checkTimer = setInterval(() => {
+        this.checkAllUsers().catch(error => {
+          logger.error('Scheduled notification checks failed', { error: error.message });
+        });
+      }, hours * 60 * 60 * 1000);
+      this.checkTimer.unref();
+      logger.info(`Notification rules checked every ${hours} hours`);
+    }
+
+    if (!this.deliveryTimer && seconds > 0) {
+      this.deliveryTimer = setInterval(() => {
+        this.processOutbox().catch(error => {
+          logger.error('Notification delivery failed', { error: error.message });
+        });
+      }, seconds * 1000);
+      this.deliveryTimer.unref();
+      logger.info(`Notification outbox delivered every ${seconds} seconds`);
+    }
+  }
+
+  /**
+   * Stop checking rules and delivering the outbox
+   */
+  stopScheduler() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    if (this.deliveryTimer) {
+      clearInterval(this.deliveryTimer);
+      this.deliveryTimer = null;
+    }
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
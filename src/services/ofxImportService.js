@@ -0,0 +1,422 @@
+const mongoose = require('mongoose');
+const Income = require('../models/Income');
+const Assets = require('../models/Assets');
+const AssetValuation = require('../models/AssetValuation');
+const CreditCard = require('../models/CreditCard');
+const valuationService = require('./valuationService');
+const { hashToken } = require('../utils/helpers');
+
+/**
+ * OFX Import Service
+ *
+ * Imports parsed OFX/QFX statements (see utils/ofx.util.js). Bank accounts are
+ * kept as savings assets and credit card accounts as credit cards: an account
+ * is matched to the record it was linked to by an earlier import (or to the
+ * record chosen by the user), and a record is created for a new account. The
+ * statement's ledger balance becomes the asset's value (as a dated valuation)
+ * or the card's outstanding balance, and deposits of bank accounts become
+ * one-time income. Transactions are identified by their FITID, so importing
+ * the same (or an overlapping) statement again adds nothing twice.
+ *
+ * Imports do not use transactions (a standalone MongoDB has none): every write
+ * is paired with an undo step, and a failed import undoes what it already wrote.
+ */
+
+// Days between the statement end and the due date of a card created by an import
+// (the CreditCard gracePeriodDays default)
+const DEFAULT_GRACE_PERIOD_DAYS = 21;
+
+// Income source of deposits without a payee name or memo
+const DEFAULT_INCOME_SOURCE = 'Deposit';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Messages of a Mongoose validation error
+ * @param {Error} error - Error thrown by validate()
+ * @returns {Array} - Messages
+ */
+const validationMessages = (error) => {
+  if (error.name !== 'ValidationError') {
+    throw error;
+  }
+  return Object.values(error.errors).map(err => err.message);
+};
+
+class OfxImportService {
+  /**
+   * Key identifying an account across imports (stored hashed, never the account number)
+   * @param {Object} account - Parsed account
+   * @returns {string} - SHA-256 hex digest
+   */
+  getAccountKey(account) {
+    return hashToken(`${account.type}:${account.bankId || ''}:${account.accountId}`);
+  }
+
+  /**
+   * Masked account number for display
+   * @param {string} accountId - Account number
+   * @returns {string} - e.g. "••••4321"
+   */
+  maskAccountId(accountId) {
+    return `••••${String(accountId).slice(-4)}`;
+  }
+
+  /**
+   * Find the record an account is imported into
+   * @param {Object} account - Parsed account (with its key)
+   * @param {Object} options - { scope, links }
+   * @returns {Promise<Object>} - { record, linked } (record is null for a new account,
+   *   linked tells whether the record was chosen in `links`) or { error }
+   */
+  async findRecord(account, { scope, links }) {
+    const Model = account.type === 'bank' ? Assets : CreditCard;
+    const recordId = links[account.accountId];
+
+    if (recordId !== undefined) {
+      const record = mongoose.isValidObjectId(recordId)
+        ? await Model.findOne({ _id: recordId, ...scope })
+        : null;
+      if (!record) {
+        const kind = account.type === 'bank' ? 'asset' : 'credit card';
+        return { error: `Account ${account.mask}: ${kind} ${recordId} not found` };
+      }
+      return { record, linked: true };
+    }
+
+    const record = await Model.findOne({ linkedAccountKey: account.key, ...scope });
+    return { record, linked: false };
+  }
+
+  /**
+   * Build the record of a new account
+   * @param {Object} account - Parsed account
+   * @param {Object} defaults - { ownership, currency }
+   * @returns {Object} - Unsaved Assets or CreditCard document
+   */
+  buildRecord(account, { ownership, currency }) {
+    const common = {
+      ...ownership,
+      currency: account.currency || currency,
+      linkedAccountKey: account.key,
+      linkedAccountMask: account.mask,
+    };
+    const institution = account.institution || 'Bank';
+
+    if (account.type === 'bank') {
+      const type = account.accountType.charAt(0) + account.accountType.slice(1).toLowerCase();
+      return new Assets({
+        ...common,
+        assetsName: `${institution} ${type} ${account.mask}`.slice(0, 100),
+        assetsType: 'savings',
+        currentValue: Math.max(0, account.balance ?? 0),
+      });
+    }
+
+    const owed = this.getAmountOwed(account) ?? 0;
+    const statementEnd = account.periodEnd || account.balanceAsOf || new Date();
+    return new CreditCard({
+      ...common,
+      bankName: institution.slice(0, 100),
+      cardName: `Card ${account.mask}`,
+      creditLimit: account.availableBalance === null ? owed : round(owed + Math.max(0, account.availableBalance)),
+      outstandingBalance: owed,
+      interestRate: 0,
+      dueDate: new Date(statementEnd.getTime() + DEFAULT_GRACE_PERIOD_DAYS * MS_PER_DAY),
+      balanceAsOf: account.balanceAsOf,
+    });
+  }
+
+  /**
+   * Amount owed on a credit card account (OFX reports it as a negative balance)
+   * @param {Object} account - Parsed credit card account
+   * @returns {number|null} - Amount owed, or null without a balance
+   */
+  getAmountOwed(account) {
+    return account.balance === null ? null : round(Math.max(0, -account.balance));
+  }
+
+  /**
+   * Build the income records of an account's deposits that were not imported yet
+   * (by the importing user, matching the unique createdBy/importId index)
+   * @param {Object} account - Parsed bank account
+   * @param {Object} options - { ownership, currency }
+   * @returns {Promise<Object>} - { docs, summary }
+   */
+  async buildIncome(account, { ownership, currency }) {
+    const summary = { total: account.transactions.length, credits: 0, imported: 0, alreadyImported: 0, skipped: 0, errors: [] };
+    const credits = account.transactions.filter(transaction => transaction.amount > 0);
+    summary.credits = credits.length;
+
+    const importIds = credits.map(transaction => `${account.key}:${transaction.fitId}`);
+    const existing = new Set(
+      (await Income.find({ importId: { $in: importIds }, createdBy: ownership.createdBy }).select('importId').lean())
+        .map(income => income.importId)
+    );
+
+    const docs = [];
+    for (const transaction of credits) {
+      const importId = `${account.key}:${transaction.fitId}`;
+
+      // Transactions without a FITID cannot be told apart from later imports
+      if (!transaction.fitId || !transaction.postedAt) {
+        summary.skipped++;
+        continue;
+      }
+      if (existing.has(importId)) {
+        summary.alreadyImported++;
+        continue;
+      }
+      existing.add(importId);
+
+      const doc = new Income({
+        ...ownership,
+        incomeSource: (transaction.name || transaction.memo || DEFAULT_INCOME_SOURCE).slice(0, 100),
+        amount: round(transaction.amount),
+        frequency: 'one-time',
+        dateReceived: transaction.postedAt,
+        currency: account.currency || currency,
+        importId,
+      });
+
+      try {
+        await doc.validate();
+        docs.push(doc);
+      } catch (error) {
+        summary.skipped++;
+        summary.errors.push(`Transaction ${transaction.fitId}: ${validationMessages(error).join(', ')}`);
+      }
+    }
+
+    summary.imported = docs.length;
+    return { docs, summary };
+  }
+
+  /**
+   * Plan the import of one account without writing anything
+   * @param {Object} account - Parsed account (with key and mask)
+   * @param {Object} options - Import options (see importStatements)
+   * @returns {Promise<Object>} - Plan, or { error }
+   */
+  async planAccount(account, options) {
+    const found = await this.findRecord(account, options);
+    if (found.error) {
+      return found;
+    }
+
+    const plan = { account, record: found.record, linked: found.linked, balanceChange: null };
+
+    if (!found.record) {
+      plan.record = this.buildRecord(account, options);
+      plan.isNew = true;
+      try {
+        await plan.record.validate();
+      } catch (error) {
+        return { error: `Account ${account.mask}: ${validationMessages(error).join(', ')}` };
+      }
+    } else if (account.balance !== null) {
+      if (account.type === 'bank') {
+        const valuedAt = account.balanceAsOf || new Date();
+        const recorded = await AssetValuation.exists({ asset: found.record._id, valuedAt });
+        if (!recorded) {
+          plan.balanceChange = { value: Math.max(0, account.balance), valuedAt };
+        }
+      } else if (!found.record.balanceAsOf || !account.balanceAsOf || account.balanceAsOf >= found.record.balanceAsOf) {
+        plan.balanceChange = { value: this.getAmountOwed(account), valuedAt: account.balanceAsOf };
+      }
+    }
+
+    plan.income = account.type === 'bank'
+      ? await this.buildIncome(account, options)
+      : { docs: [], summary: { total: account.transactions.length, credits: 0, imported: 0, alreadyImported: 0, skipped: 0, errors: [] } };
+
+    return plan;
+  }
+
+  /**
+   * Insert the income of deposits
+   *
+   * Deposits imported meanwhile by a concurrent import are rejected by the unique
+   * createdBy/importId index and left out; on any other error nothing is kept.
+   *
+   * @param {Array} docs - Validated income documents
+   * @returns {Promise<Array>} - Inserted income records
+   */
+  async insertIncome(docs) {
+    try {
+      return await Income.insertMany(docs, { ordered: false });
+    } catch (error) {
+      // Mongoose copies the driver's write errors, keeping their code under err
+      if (error.writeErrors && error.writeErrors.every(writeError => (writeError.err || writeError).code === 11000)) {
+        return error.insertedDocs || [];
+      }
+      await Income.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the plan of one account
+   * @param {Object} plan - Plan from planAccount()
+   * @param {string} userId - User importing the statement
+   * @param {Array} undo - Undo steps (async functions) of the writes, added as they are made
+   * @returns {Promise<Array>} - Webhook events { event, records }
+   */
+  async applyPlan(plan, userId, undo) {
+    const { account, record } = plan;
+    const events = [];
+    const prefix = account.type === 'bank' ? 'asset' : 'creditCard';
+
+    if (plan.isNew) {
+      await record.save();
+      undo.push(async () => {
+        await record.deleteOne();
+        if (account.type === 'bank') {
+          await valuationService.deleteForAssets([record._id]);
+        }
+      });
+      if (account.type === 'bank') {
+        await valuationService.recordInitialValuation(
+          record,
+          { valuedAt: account.balanceAsOf || undefined, source: 'statement', notes: 'Imported from OFX' },
+          userId
+        );
+      }
+      events.push({ event: `${prefix}.created`, records: [record] });
+    } else if (plan.balanceChange || plan.linked) {
+      if (plan.linked) {
+        const { linkedAccountKey, linkedAccountMask } = record;
+        record.linkedAccountKey = account.key;
+        record.linkedAccountMask = account.mask;
+        await record.save();
+        undo.push(async () => {
+          record.set({ linkedAccountKey, linkedAccountMask });
+          await record.save();
+        });
+      }
+      if (plan.balanceChange && account.type === 'bank') {
+        const valuation = await valuationService.recordValuation(
+          record,
+          { ...plan.balanceChange, source: 'statement', notes: 'Imported from OFX' },
+          userId
+        );
+        undo.push(async () => {
+          await valuation.deleteOne();
+          await valuationService.syncCurrentValue(record);
+        });
+      } else if (plan.balanceChange) {
+        const { outstandingBalance, balanceAsOf } = record;
+        record.outstandingBalance = plan.balanceChange.value;
+        record.balanceAsOf = plan.balanceChange.valuedAt;
+        await record.save();
+        undo.push(async () => {
+          record.set({ outstandingBalance, balanceAsOf });
+          await record.save();
+        });
+      }
+      events.push({ event: `${prefix}.updated`, records: [record] });
+    }
+
+    if (plan.income.docs.length > 0) {
+      const income = await this.insertIncome(plan.income.docs);
+      undo.push(() => Income.deleteMany({ _id: { $in: income.map(doc => doc._id) } }));
+
+      const { summary } = plan.income;
+      summary.alreadyImported += summary.imported - income.length;
+      summary.imported = income.length;
+      if (income.length > 0) {
+        events.push({ event: 'income.created', records: income });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Import the accounts of an OFX file
+   *
+   * Every account is checked (records to link, new records and deposits are
+   * validated) before anything is written, so a file with an unusable account
+   * changes nothing. When a write fails, the writes already made are undone.
+   *
+   * @param {Array} accounts - Accounts from parseOfx()
+   * @param {Object} options - Import options
+   * @param {Object} options.scope - Filter of the records the user may write (see recordScope)
+   * @param {Object} options.ownership - createdBy and household of new records
+   * @param {string} options.currency - Currency of statements without one
+   * @param {Object} [options.links] - Records chosen for accounts { accountId: recordId }
+   * @param {boolean} [options.dryRun] - Only report what would be imported
+   * @returns {Promise<Object>} - { errors } or { accounts, events }
+   */
+  async importStatements(accounts, { scope, ownership, currency, links = {}, dryRun = false }) {
+    if (accounts.length === 0) {
+      return { errors: ['The file has no bank or credit card statements'] };
+    }
+
+    const errors = [];
+    const plans = [];
+    for (const parsed of accounts) {
+      if (!parsed.accountId) {
+        errors.push(`A ${parsed.type === 'bank' ? 'bank' : 'credit card'} statement has no account number (ACCTID)`);
+        continue;
+      }
+
+      const account = { ...parsed, key: this.getAccountKey(parsed), mask: this.maskAccountId(parsed.accountId) };
+      const plan = await this.planAccount(account, { scope, ownership, currency, links });
+      if (plan.error) {
+        errors.push(plan.error);
+      } else {
+        plans.push(plan);
+      }
+    }
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const events = [];
+    if (!dryRun) {
+      const undo = [];
+      try {
+        for (const plan of plans) {
+          events.push(...await this.applyPlan(plan, ownership.createdBy, undo));
+        }
+      } catch (error) {
+        for (const step of undo.reverse()) {
+          await step();
+        }
+        throw error;
+      }
+    }
+
+    return {
+      accounts: plans.map(({ account, record, isNew, linked, balanceChange, income }) => ({
+        type: account.type,
+        accountType: account.accountType,
+        account: account.mask,
+        currency: account.currency,
+        period: { from: account.periodStart, to: account.periodEnd },
+        balance: account.balance,
+        balanceAsOf: account.balanceAsOf,
+        record: {
+          type: account.type === 'bank' ? 'asset' : 'creditCard',
+          id: isNew && dryRun ? null : record._id,
+          name: account.type === 'bank' ? record.assetsName : `${record.bankName} ${record.cardName}`,
+          action: isNew ? 'new' : (linked ? 'linked' : 'matched'),
+        },
+        balanceUpdated: Boolean(isNew || balanceChange),
+        transactions: income.summary,
+      })),
+      events,
+    };
+  }
+}
+
+module.exports = new OfxImportService();
@@ -0,0 +1,297 @@
+const amortizationService = require('./amortizationService');
+const creditCardService = require('./creditCardService');
+const { DEFAULT_CURRENCY, formatMoney } = require('../utils/currency.util');
+
+/**
+ * Refinance Service
+ *
+ * Compares keeping a debt as it is with moving it to a balance transfer offer
+ * (promotional APR for a number of months, transfer fee, APR after the promo)
+ * or refinancing it into a new loan (rate, term, closing costs). Both options
+ * are simulated month by month; the cost of an option is its interest plus
+ * fees. Amounts stay in the debt's own currency. Pure calculations.
+ */
+
+const OFFER_TYPES = ['balance-transfer', 'refinance'];
+
+// Upper bound on simulation length (50 years)
+const MAX_MONTHS = 600;
+
+/**
+ * Round a number to cents
+ * @param {number} value - Amount
+ * @returns {number} - Rounded amount
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check that a value is a number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} - True if the value is a finite number in range
+ */
+const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+class RefinanceService {
+  /**
+   * Describe a credit card or liability as a debt to analyze
+   * @param {Object} record - CreditCard or Liability record
+   * @param {string} debtType - creditCard or liability
+   * @returns {Object} - { debtType, debtId, name, currency, balance, interestRate, monthlyPayment }
+   */
+  describeDebt(record, debtType) {
+    if (debtType === 'creditCard') {
+      return {
+        debtType,
+        debtId: record._id,
+        name: record.cardName,
+        currency: record.currency || DEFAULT_CURRENCY,
+        balance: record.outstandingBalance,
+        interestRate: record.interestRate || 0,
+        monthlyPayment: creditCardService.calculateMinimumPayment(record),
+      };
+    }
+
+    const payment = amortizationService.validateTerms(record) ? null : amortizationService.getPayment(record);
+    return {
+      debtType,
+      debtId: record._id,
+      name: record.liabilityName,
+      currency: record.currency || DEFAULT_CURRENCY,
+      balance: record.outstandingAmount,
+      interestRate: record.interestRate || 0,
+      monthlyPayment: payment === null ? null : round((payment * amortizationService.getPeriodsPerYear(record)) / 12),
+    };
+  }
+
+  /**
+   * Normalize offer numbers and check them
+   * @param {Object} offer - Offer from the request body
+   * @returns {Object} - { offer, error } with numeric fields and defaults applied
+   */
+  parseOffer(offer = {}) {
+    const number = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+
+    if (!OFFER_TYPES.includes(offer.type)) {
+      return { error: `offer.type must be one of: ${OFFER_TYPES.join(', ')}` };
+    }
+
+    if (offer.type === 'balance-transfer') {
+      const parsed = {
+        type: offer.type,
+        promoApr: number(offer.promoApr, 0),
+        promoMonths: number(offer.promoMonths),
+        transferFeePercent: number(offer.transferFeePercent, 0),
+        transferFee: number(offer.transferFee),
+        postPromoApr: number(offer.postPromoApr),
+      };
+
+      if (!inRange(parsed.promoApr, 0, 100) || !inRange(parsed.postPromoApr, 0, 100)) {
+        return { error: 'offer.promoApr and offer.postPromoApr must be between 0 and 100' };
+      }
+      if (!Number.isInteger(parsed.promoMonths) || !inRange(parsed.promoMonths, 0, 60)) {
+        return { error: 'offer.promoMonths must be a whole number between 0 and 60' };
+      }
+      if (!inRange(parsed.transferFeePercent, 0, 100)) {
+        return { error: 'offer.transferFeePercent must be between 0 and 100' };
+      }
+      if (parsed.transferFee !== undefined && !inRange(parsed.transferFee, 0, Infinity)) {
+        return { error: 'offer.transferFee must be a non-negative number' };
+      }
+      return { offer: parsed };
+    }
+
+    const parsed = {
+      type: offer.type,
+      interestRate: number(offer.interestRate),
+      termMonths: number(offer.termMonths),
+      closingCosts: number(offer.closingCosts, 0),
+    };
+
+    if (!inRange(parsed.interestRate, 0, 100)) {
+      return { error: 'offer.interestRate must be between 0 and 100' };
+    }
+    if (!Number.isInteger(parsed.termMonths) || !inRange(parsed.termMonths, 1, MAX_MONTHS)) {
+      return { error: `offer.termMonths must be a whole number between 1 and ${MAX_MONTHS}` };
+    }
+    if (!inRange(parsed.closingCosts, 0, Infinity)) {
+      return { error: 'offer.closingCosts must be a non-negative number' };
+    }
+    return { offer: parsed };
+  }
+
+  /**
+   * Pay down a balance with a fixed monthly payment
+   * @param {number} balance - Starting balance
+   * @param {number} payment - Monthly payment
+   * @param {Function} aprForMonth - Annual rate (percentage) for a month number
+   * @returns {Object} - { months, paidOff, totalInterest, totalPaid, cumulativeInterest, balances }
+   */
+  simulate(balance, payment, aprForMonth) {
+    let remaining = balance;
+    let totalInterest = 0;
+    let totalPaid = 0;
+    const cumulativeInterest = [];
+    const balances = [];
+
+    for (let month = 1; month <= MAX_MONTHS && remaining > 0; month++) {
+      const interest = round(remaining * (aprForMonth(month) / 100 / 12));
+      remaining = round(remaining + interest);
+
+      const paid = Math.min(payment, remaining);
+      remaining = round(remaining - paid);
+
+      totalInterest += interest;
+      totalPaid += paid;
+      cumulativeInterest.push(round(totalInterest));
+      balances.push(remaining);
+    }
+
+    return {
+      months: balances.length,
+      paidOff: remaining <= 0,
+      totalInterest: round(totalInterest),
+      totalPaid: round(totalPaid),
+      cumulativeInterest,
+      balances,
+    };
+  }
+
+  /**
+   * Summarize a simulated option
+   * @param {Object} result - Result of simulate()
+   * @param {number} fees - Fees counted as cost of the option
+   * @param {number} upfront - Fees paid in cash (not through the balance)
+   * @param {Date} now - Reference date
+   * @returns {Object} - Months, payoff date, interest, fees, total cost and total paid
+   */
+  summarize(result, fees, upfront, now) {
+    return {
+      months: result.months,
+      payoffDate: result.paidOff ? new Date(now.getFullYear(), now.getMonth() + result.months, 1) : null,
+      paidOff: result.paidOff,
+      totalInterest: result.totalInterest,
+      fees: round(fees),
+      totalCost: round(result.totalInterest + fees),
+      totalPaid: round(result.totalPaid + upfront),
+    };
+  }
+
+  /**
+   * First month in which the offer's cumulative cost is at or below the current one
+   * @param {Array} currentCosts - Cumulative cost of keeping the debt per month
+   * @param {Array} offerCosts - Cumulative cost of the offer per month
+   * @returns {number|null} - Break-even month, or null when the offer never catches up
+   */
+  findBreakEvenMonth(currentCosts, offerCosts) {
+    const months = Math.max(currentCosts.length, offerCosts.length);
+    const costAt = (costs, month) => costs[Math.min(month, costs.length) - 1] ?? 0;
+
+    for (let month = 1; month <= months; month++) {
+      if (costAt(offerCosts, month) <= costAt(currentCosts, month)) {
+        return month;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Analyze moving a debt to a balance transfer or refinance offer
+   * @param {Object} debt - Debt from describeDebt()
+   * @param {Object} offer - Offer from parseOffer()
+   * @param {number} monthlyPayment - Payment for the current debt and a balance transfer
+   * @param {Date} [now] - Reference date (payments start next month)
+   * @returns {Object} - Both options, savings, break-even month and a recommendation
+   */
+  analyze(debt, offer, monthlyPayment, now = new Date()) {
+    const currentResult = this.simulate(debt.balance, monthlyPayment, () => debt.interestRate);
+    const current = { monthlyPayment, ...this.summarize(currentResult, 0, 0, now) };
+
+    let offerResult;
+    let fees;
+    let upfront = 0;
+    let offerPayment = monthlyPayment;
+    const details = {};
+
+    if (offer.type === 'balance-transfer') {
+      fees = round(offer.transferFee ?? debt.balance * (offer.transferFeePercent / 100));
+      offerResult = this.simulate(debt.balance + fees, monthlyPayment,
+        month => (month <= offer.promoMonths ? offer.promoApr : offer.postPromoApr));
+      details.transferredBalance = round(debt.balance + fees);
+      details.balanceAtPromoEnd = offer.promoMonths > 0 ? offerResult.balances[offer.promoMonths - 1] ?? 0 : details.transferredBalance;
+    } else {
+      fees = offer.closingCosts;
+      upfront = offer.closingCosts;
+      offerPayment = Math.ceil(round(amortizationService.levelPayment(debt.balance, offer.interestRate / 100 / 12, offer.termMonths) * 100)) / 100;
+      offerResult = this.simulate(debt.balance, offerPayment, () => offer.interestRate);
+    }
+
+    const offerSummary = { ...offer, ...details, monthlyPayment: offerPayment, ...this.summarize(offerResult, fees, upfront, now) };
+    const savings = round(current.totalCost - offerSummary.totalCost);
+    const breakEvenMonth = this.findBreakEvenMonth(
+      currentResult.cumulativeInterest,
+      offerResult.cumulativeInterest.map(interest => round(interest + fees))
+    );
+
+    return {
+      source: {
+        debtType: debt.debtType,
+        debtId: debt.debtId,
+        name: debt.name,
+        currency: debt.currency,
+        balance: debt.balance,
+        interestRate: debt.interestRate,
+      },
+      current,
+      offer: offerSummary,
+      savings,
+      breakEvenMonth,
+      recommendation: this.recommend(current, offerSummary, savings, breakEvenMonth, debt.currency),
+    };
+  }
+
+  /**
+   * Recommend whether to take the offer
+   * @param {Object} current - Summary of keeping the debt
+   * @param {Object} offer - Summary of the offer
+   * @param {number} savings - Current total cost minus offer total cost
+   * @param {number|null} breakEvenMonth - Break-even month
+   * @param {string} [currency] - Currency of the amounts
+   * @returns {Object} - { action: switch|stay, reason }
+   */
+  recommend(current, offer, savings, breakEvenMonth, currency = DEFAULT_CURRENCY) {
+    const money = (amount) => formatMoney(amount, currency);
+    const label = offer.type === 'balance-transfer' ? 'the balance transfer' : 'refinancing';
+
+    if (!current.paidOff && offer.paidOff) {
+      return {
+        action: 'switch',
+        reason: `The current payment does not pay the debt off within 50 years; ${label} pays it off in ${offer.months} months`,
+      };
+    }
+    if (!offer.paidOff || savings <= 0) {
+      return {
+        action: 'stay',
+        reason: savings <= 0
+          ? `${label.charAt(0).toUpperCase() + label.slice(1)} costs ${money(Math.abs(savings))} more in interest and fees`
+          : `The payment does not pay off ${label} within 50 years`,
+      };
+    }
+
+    let reason = `${label.charAt(0).toUpperCase() + label.slice(1)} saves ${money(savings)} in interest and fees`;
+    if (breakEvenMonth) {
+      reason += ` and breaks even in month ${breakEvenMonth}`;
+    }
+    if (offer.type === 'balance-transfer' && offer.balanceAtPromoEnd > 0) {
+      reason += `; ${money(offer.balanceAtPromoEnd)} remains when the promo ends and is charged ${offer.postPromoApr}% APR`;
+    }
+    if (offer.type === 'refinance' && offer.monthlyPayment > current.monthlyPayment) {
+      reason += `; the monthly payment rises to ${money(offer.monthlyPayment)}`;
+    }
+    return { action: 'switch', reason };
+  }
+}
+
+module.exports = new RefinanceService();
+module.exports.OFFER_TYPES = OFFER_TYPES;
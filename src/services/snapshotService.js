@@ -0,0 +1,334 @@
+const NetWorthSnapshot = require('../models/NetWorthSnapshot');
+const User = require('../models/User');
+const Household = require('../models/Household');
+const dataAggregationService = require('./dataAggregationService');
+const logger = require('../utils/logger');
+const { DEFAULT_CURRENCY } = require('../utils/currency.util');
+
+/**
+ * Snapshot Service
+ *
+ * Captures net worth snapshots from the aggregated financial metrics (on demand
+ * or on a schedule) and turns them into a time series with changes between
+ * periods for the history endpoint and the recommendation prompts.
+ */
+
+// Supported time series intervals
+const HISTORY_INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Fields compared between consecutive points of the time series
+const TRACKED_FIELDS = [
+  'netWorth',
+  'totalAssets',
+  'totalLiabilities',
+  'totalCreditCardDebt',
+  'monthlyIncome',
+  'monthlyExpenses',
+  'creditUtilization',
+  'debtToIncomeRatio',
+  'savingsRate',
+];
+
+// Amount fields that also get a percent change (ratios only get the difference)
+const PERCENT_FIELDS = ['netWorth', 'totalAssets', 'totalLiabilities', 'totalCreditCardDebt'];
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Percent change between two values (null when the previous value is 0)
+ * @param {number} previous - Previous value
+ * @param {number} current - Current value
+ * @returns {number|null} - Percent change
+ */
+const percentChange = (previous, current) => {
+  if (!previous) {
+    return null;
+  }
+  return round(((current - previous) / Math.abs(previous)) * 100);
+};
+
+class SnapshotService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Mongo filter for the snapshots of an aggregation scope
+   * @param {Object} scope - { userId, householdId, memberId } as built by financialScope()
+   * @returns {Object} - Mongo filter
+   */
+  scopeFilter({ userId, householdId = null, memberId = null }) {
+    if (householdId) {
+      return { household: householdId, member: memberId || null };
+    }
+    return { createdBy: userId, household: null };
+  }
+
+  /**
+   * Build the snapshot fields from aggregated financial metrics
+   * @param {Object} metrics - Output of DataAggregationService.calculateFinancialMetrics
+   * @returns {Object} - Snapshot fields
+   */
+  buildSnapshot(metrics) {
+    const totals = (breakdown, field) => Object.fromEntries(
+      Object.entries(breakdown || {}).map(([key, entry]) => [key, round(entry[field] || 0)])
+    );
+
+    return {
+      currency: metrics.baseCurrency || DEFAULT_CURRENCY,
+      totalAssets: round(metrics.totalAssets || 0),
+      totalLiabilities: round(metrics.totalLiabilities || 0),
+      totalCreditCardDebt: round(metrics.totalCreditCardDebt || 0),
+      totalAvailableCredit: round(metrics.totalAvailableCredit || 0),
+      netWorth: round(metrics.netWorth || 0),
+      monthlyIncome: round(metrics.monthlyIncome || 0),
+      monthlyExpenses: round(metrics.monthlyExpenses || 0),
+      monthlySavings: round(metrics.monthlySavings || 0),
+      creditUtilization: round(metrics.creditUtilization || 0),
+      debtToIncomeRatio: round(metrics.debtToIncomeRatio || 0),
+      savingsRate: round(metrics.savingsRate || 0),
+      breakdowns: {
+        assets: totals(metrics.assetBreakdown, 'totalValue'),
+        liabilities: totals(metrics.liabilityBreakdown, 'totalAmount'),
+        income: totals(metrics.incomeBreakdown, 'totalAmount'),
+        expenses: totals(metrics.expenseBreakdown, 'monthlyAmount'),
+      },
+    };
+  }
+
+  /**
+   * Capture a snapshot of the current financial metrics of a scope
+   * @param {Object} scope - { userId, householdId, memberId } as built by financialScope()
+   * @param {string} [source] - "manual" or "scheduled"
+   * @returns {Promise<Object>} - Saved snapshot
+   */
+  async takeSnapshot(scope, source = 'manual') {
+    const dataResult = await dataAggregationService.getFinancialDataForScope(scope);
+
+    if (!dataResult.success) {
+      throw new Error(`Failed to fetch financial data: ${dataResult.error}`);
+    }
+
+    return NetWorthSnapshot.create({
+      ...this.buildSnapshot(dataResult.data),
+      source,
+      household: scope.householdId || null,
+      member: scope.householdId ? scope.memberId || null : null,
+      createdBy: scope.userId || null,
+    });
+  }
+
+  /**
+   * Start of the interval period containing a date
+   * @param {Date} date - Date
+   * @param {string} interval - day, week, month, quarter or year
+   * @returns {Date} - Period start
+   */
+  getPeriodStart(date, interval) {
+    const d = new Date(date);
+    switch (interval) {
+      case 'day':
+        return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+      case 'week': {
+        // Weeks start on Monday
+        const offset = (d.getDay() + 6) % 7;
+        return new Date(d.getFullYear(), d.getMonth(), d.getDate() - offset);
+      }
+      case 'quarter':
+        return new Date(d.getFullYear(), Math.floor(d.getMonth() / 3) * 3, 1);
+      case 'year':
+        return new Date(d.getFullYear(), 0, 1);
+      default:
+        return new Date(d.getFullYear(), d.getMonth(), 1);
+    }
+  }
+
+  /**
+   * Turn snapshots into a time series with one point per period
+   *
+   * Each point uses the latest snapshot of its period and carries the change
+   * (and percent change for amounts) since the previous point.
+   *
+   * @param {Array} snapshots - Snapshots sorted by takenAt ascending
+   * @param {string} interval - day, week, month, quarter or year
+   * @returns {Array} - Time series points
+   */
+  buildSeries(snapshots, interval) {
+    const periods = new Map();
+    snapshots.forEach(snapshot => {
+      periods.set(this.getPeriodStart(snapshot.takenAt, interval).getTime(), snapshot);
+    });
+
+    let previous = null;
+    return [...periods.entries()].map(([periodStart, snapshot]) => {
+      const point = {
+        period: new Date(periodStart),
+        takenAt: snapshot.takenAt,
+        snapshotId: snapshot._id,
+      };
+      TRACKED_FIELDS.forEach(field => {
+        point[field] = snapshot[field] || 0;
+      });
+
+      point.change = previous
+        ? Object.fromEntries(TRACKED_FIELDS.map(field => [field, round(point[field] - previous[field])]))
+        : null;
+      point.changePercent = previous
+        ? Object.fromEntries(PERCENT_FIELDS.map(field => [field, percentChange(previous[field], point[field])]))
+        : null;
+
+      previous = point;
+      return point;
+    });
+  }
+
+  /**
+   * Get the net worth time series of a scope
+   * @param {Object} scope - { userId, householdId, memberId } as built by financialScope()
+   * @param {Object} [options] - Range and interval
+   * @param {Date} [options.from] - Range start (default: 12 months ago)
+   * @param {Date} [options.to] - Range end (default: now)
+   * @param {string} [options.interval] - day, week, month (default), quarter or year
+   * @returns {Promise<Object>} - Time series with an overall summary
+   */
+  async getHistory(scope, { from, to, interval = 'month' } = {}) {
+    const end = to || new Date();
+    const start = from || new Date(end.getFullYear() - 1, end.getMonth(), end.getDate());
+
+    const snapshots = await NetWorthSnapshot.find({
+      ...this.scopeFilter(scope),
+      takenAt: { $gte: start, $lte: end },
+    })
+      .sort('takenAt')
+      .lean();
+
+    const points = this.buildSeries(snapshots, interval);
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      interval,
+      from: start,
+      to: end,
+      count: points.length,
+      summary: first
+        ? {
+          startNetWorth: first.netWorth,
+          endNetWorth: last.netWorth,
+          change: round(last.netWorth - first.netWorth),
+          changePercent: percentChange(first.netWorth, last.netWorth),
+        }
+        : null,
+      points,
+    };
+  }
+
+  /**
+   * Get the monthly net worth trend of the last months (for recommendation prompts)
+   * @param {Object} scope - { userId, householdId, memberId } as built by financialScope()
+   * @param {number} [months] - Number of months to include
+   * @returns {Promise<Array>} - Monthly time series points
+   */
+  async getRecentTrend(scope, months = 6) {
+    const now = new Date();
+    const from = new Date(now.getFullYear(), now.getMonth() - months, 1);
+    const history = await this.getHistory(scope, { from, to: now, interval: 'month' });
+    return history.points;
+  }
+
+  /**
+   * Capture scheduled snapshots for every user and household with financial records
+   * @returns {Promise<Object>} - Number of snapshots taken and failed
+   */
+  async takeScheduledSnapshots() {
+    const [users, households] = await Promise.all([
+      User.find({}).select('_id').lean(),
+      Household.find({}).select('_id members').lean(),
+    ]);
+
+    const scopes = [
+      ...users.map(user => ({ userId: user._id })),
+      ...households.map(household => ({
+        userId: household.members.find(member => member.role === 'owner')?.user || null,
+        householdId: household._id,
+      })),
+    ];
+
+    let taken = 0;
+    let failed = 0;
+
+    // One scope at a time to keep the load on the database low
+    for (const scope of scopes) {
+      try {
+        const dataResult = await dataAggregationService.getFinancialDataForScope(scope);
+        if (!dataResult.success) {
+          throw new Error(dataResult.error);
+        }
+
+        // Skip scopes without any financial records
+        const hasRecords = Object.values(dataResult.rawData).some(records => records.length > 0);
+        if (!hasRecords) {
+          continue;
+        }
+
+        await NetWorthSnapshot.create({
+          ...this.buildSnapshot(dataResult.data),
+          source: 'scheduled',
+          household: scope.householdId || null,
+          createdBy: scope.userId,
+        });
+        taken++;
+      } catch (error) {
+        failed++;
+        logger.error('Scheduled net worth snapshot failed', {
+          userId: scope.userId,
+          householdId: scope.householdId,
+          error: error.message,
+        });
+      }
+    }
+
+    logger.info('Scheduled net worth snapshots completed', { taken, failed });
+    return { taken, failed };
+  }
+
+  /**
+   * Start taking scheduled snapshots
+   *
+   * Runs every NET_WORTH_SNAPSHOT_INTERVAL_HOURS hours (default 24, 0 disables).
+   * The timer does not keep the process alive.
+   */
+  startScheduler() {
+    const hours = parseFloat(process.env.NET_WORTH_SNAPSHOT_INTERVAL_HOURS ?? '24');
+    if (this.timer || !(hours > 0)) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.takeScheduledSnapshots().catch(error => {
+        logger.error('Scheduled net worth snapshots failed', { error: error.message });
+      });
+    }, hours * 60 * 60 * 1000);
+    this.timer.unref();
+
+    logger.info(`Net worth snapshots scheduled every ${hours} hours`);
+  }
+
+  /**
+   * Stop taking scheduled snapshots
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new SnapshotService();
+module.exports.HISTORY_INTERVALS = HISTORY_INTERVALS;
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { generateToken, REFRESH_TOKEN_TTL_MS } = require('../config/jwt');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Token Service
+ *
+ * Issues access/refresh token pairs, rotates refresh tokens and revokes sessions.
+ * Refresh tokens are opaque random strings; only their hashes are persisted.
+ */
+
+class TokenService {
+  /**
+   * Issue a new access token and refresh token for a user
+   * @param {Object} user - User document
+   * @param {Object} [context] - Request context
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client user agent
+   * @param {string} [context.family] - Existing token family (on rotation)
+   * @returns {Promise<Object>} - { accessToken, refreshToken, refreshTokenHash, refreshTokenExpiresAt }
+   */
+  async issueTokens(user, context = {}) {
+    const refreshToken = generateSecureToken();
+    const refreshTokenHash = hashToken(refreshToken);
+    const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    await RefreshToken.create({
+      user: user._id,
+      tokenHash: refreshTokenHash,
+      family: context.family || crypto.randomUUID(),
+      expiresAt: refreshTokenExpiresAt,
+      createdByIp: context.ip,
+      userAgent: context.userAgent,
+    });
+
+    return {
+      accessToken: generateToken(user._id, user.tokenVersion),
+      refreshToken,
+      refreshTokenHash,
+      refreshTokenExpiresAt,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   *
+   * The presented token is revoked and replaced by a new one in the same family.
+   * If an already-rotated token is presented, it is treated as stolen and every
+   * session of its owner is revoked. Tokens revoked by logout (or by killing every
+   * session) are only rejected.
+   *
+   * @param {string} refreshToken - Plain refresh token from the client
+   * @param {Object} [context] - Request context (ip, userAgent)
+   * @returns {Promise<Object>} - { success, user, tokens } or { success: false, code, message }
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+    if (!stored) {
+      return {
+        success: false,
+        code: 'REFRESH_TOKEN_INVALID',
+        message: 'Invalid refresh token. Please login again.',
+      };
+    }
+
+    if (stored.revokedAt && ['logout', 'revoked'].includes(stored.revokedReason)) {
+      return this.revokedResult();
+    }
+
+    // Tokens revoked before revokedReason existed are treated as rotated
+    if (stored.revokedAt) {
+      logger.warn('Refresh token reuse detected, revoking all sessions', {
+        userId: stored.user.toString(),
+        family: stored.family,
+      });
+      await this.revokeAllForUser(stored.user);
+
+      return {
+        success: false,
+        code: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token has already been used. All sessions have been revoked, please login again.',
+      };
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      return {
+        success: false,
+        code: 'REFRESH_TOKEN_EXPIRED',
+        message: 'Refresh token expired. Please login again.',
+      };
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user || !user.isActive) {
+      await this.revokeFamily(stored.family, 'revoked');
+      return {
+        success: false,
+        code: 'REFRESH_TOKEN_INVALID',
+        message: 'User not found or inactive.',
+      };
+    }
+
+    const tokens = await this.issueTokens(user, { ...context, family: stored.family });
+
+    // Only the first concurrent rotation wins; a second one counts as reuse
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'rotated', replacedByHash: tokens.refreshTokenHash }
+    );
+
+    if (!rotated) {
+      // Logged out while rotating: also revoke the token that was just issued
+      const current = await RefreshToken.findById(stored._id);
+      if (current && ['logout', 'revoked'].includes(current.revokedReason)) {
+        await this.revokeFamily(stored.family, current.revokedReason);
+        return this.revokedResult();
+      }
+
+      await this.revokeAllForUser(stored.user);
+      return {
+        success: false,
+        code: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token has already been used. All sessions have been revoked, please login again.',
+      };
+    }
+
+    return { success: true, user, tokens };
+  }
+
+  /**
+   * Result of presenting a refresh token revoked by logout or by killing every session
+   * @returns {Object} - { success: false, code, message }
+   */
+  revokedResult() {
+    return {
+      success: false,
+      code: 'REFRESH_TOKEN_REVOKED',
+      message: 'Refresh token has been revoked. Please login again.',
+    };
+  }
+
+  /**
+   * Revoke every active token in the family of the given refresh token (logout)
+   * @param {string} refreshToken - Plain refresh token from the client
+   * @param {string} [userId] - Only revoke if the token belongs to this user
+   * @returns {Promise<boolean>} - True if a matching token was found
+   */
+  async revokeByToken(refreshToken, userId) {
+    const query = { tokenHash: hashToken(refreshToken) };
+    if (userId) {
+      query.user = userId;
+    }
+
+    const stored = await RefreshToken.findOne(query);
+    if (!stored) {
+      return false;
+    }
+
+    await this.revokeFamily(stored.family, 'logout');
+    return true;
+  }
+
+  /**
+   * Revoke all active tokens of a token family
+   * @param {string} family - Token family identifier
+   * @param {string} reason - Revoked reason ('logout' or 'revoked')
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  async revokeFamily(family, reason) {
+    const result = await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Kill every session of a user
+   *
+   * Revokes all refresh tokens and bumps the user's token version so access
+   * tokens issued before now are rejected by the protect middleware.
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async revokeAllForUser(userId) {
+    await Promise.all([
+      RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'revoked' }),
+      User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }),
+    ]);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,16 @@
+/**
+ * In-App Transport
+ *
+ * The stored notification is the user's inbox entry (GET /api/notifications),
+ * so delivery has nothing to send and always succeeds.
+ */
+class InAppTransport {
+  /**
+   * Deliver a notification to the in-app inbox
+   * @param {Object} notification - Notification document
+   * @returns {Promise<void>}
+   */
+  async send() {}
+}
+
+module.exports = new InAppTransport();
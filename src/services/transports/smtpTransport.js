@@ -0,0 +1,185 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * SMTP Transport
+ *
+ * Sends a notification as a plain-text email through the SMTP server in
+ * SMTP_HOST / SMTP_PORT (e.g. a local Mailpit or MailHog on port 1025, or a
+ * relay with SMTP_SECURE=true for implicit TLS on port 465). AUTH PLAIN is
+ * used when SMTP_USER is set. Any unexpected reply fails the attempt, so the
+ * outbox retries it later.
+ */
+
+// Milliseconds of inactivity before the connection is abandoned
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * SMTP settings from the environment
+ * @returns {Object} - { host, port, secure, user, pass, from, timeout }
+ */
+const getConfig = () => {
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 25),
+    secure,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || 'notifications@localhost',
+    timeout: parseInt(process.env.SMTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+  };
+};
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} - Header-safe value
+ */
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+/**
+ * Build the message (headers and dot-stuffed body, CRLF line endings)
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string} - Message for the DATA command, without the terminating dot
+ */
+const buildMessage = ({ from, to, subject, text }) => {
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+};
+
+/**
+ * Open a connection and read SMTP replies
+ * @param {Object} config - SMTP settings
+ * @returns {Promise<Object>} - { read(), write(line), close() } once connected
+ */
+const connect = (config) => new Promise((resolve, reject) => {
+  const socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve: done, reject: fail } = waiting.shift();
+      if (replies.length > 0) {
+        done(replies.shift());
+      } else {
+        fail(failure);
+      }
+    }
+  };
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(config.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (line.length < 4 || line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3)), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  });
+
+  socket.on('error', (error) => {
+    failure = error;
+    settle();
+    reject(error);
+  });
+
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    settle();
+  });
+
+  socket.once(config.secure ? 'secureConnect' : 'connect', () => resolve({
+    read: () => new Promise((done, fail) => {
+      waiting.push({ resolve: done, reject: fail });
+      settle();
+    }),
+    write: (line) => socket.write(`${line}\r\n`),
+    close: () => socket.end(),
+  }));
+});
+
+class SmtpTransport {
+  /**
+   * Send a notification by email to its recipient
+   * @param {Object} notification - Notification document
+   * @returns {Promise<void>} - Rejects when the server does not accept the message
+   */
+  async send(notification) {
+    const config = getConfig();
+    if (!config.host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    const connection = await connect(config);
+
+    // Send a command (or nothing, for the greeting) and expect one of the reply codes
+    const step = async (command, expected) => {
+      if (command !== null) {
+        connection.write(command);
+      }
+      const reply = await connection.read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP server replied: ${reply.text}`);
+      }
+      return reply;
+    };
+
+    try {
+      await step(null, [220]);
+      await step(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+      if (config.user) {
+        const credentials = Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64');
+        await step(`AUTH PLAIN ${credentials}`, [235]);
+      }
+      await step(`MAIL FROM:<${config.from}>`, [250]);
+      await step(`RCPT TO:<${notification.recipient}>`, [250, 251]);
+      await step('DATA', [354]);
+      await step(`${buildMessage({
+        from: config.from,
+        to: notification.recipient,
+        subject: notification.title,
+        text: notification.message,
+      })}\r\n.`, [250]);
+      await step('QUIT', [221]).catch(() => {});
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+module.exports = new SmtpTransport();
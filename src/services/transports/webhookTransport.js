@@ -0,0 +1,53 @@
+const { checkPublicUrl } = require('../../utils/url.util');
+
+/**
+ * Webhook Transport
+ *
+ * POSTs a notification as JSON to the rule's webhook URL. The host must
+ * resolve to a public address (OUTBOUND_ALLOWED_HOSTS admits local test
+ * receivers) and redirects are not followed. Any status other than 2xx, a
+ * network error or a timeout fails the attempt, so the outbox retries it later.
+ */
+
+// Milliseconds to wait for the endpoint to answer
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class WebhookTransport {
+  /**
+   * POST a notification to its recipient URL
+   * @param {Object} notification - Notification document
+   * @returns {Promise<void>} - Rejects when the endpoint does not accept it
+   */
+  async send(notification) {
+    const timeout = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    const urlProblem = await checkPublicUrl(notification.recipient);
+    if (urlProblem) {
+      throw new Error(urlProblem);
+    }
+
+    const response = await fetch(notification.recipient, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'financial-manager-notifications',
+      },
+      body: JSON.stringify({
+        id: notification._id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        createdAt: notification.createdAt,
+      }),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = new WebhookTransport();
@@ -0,0 +1,190 @@
+const Assets = require('../models/Assets');
+const AssetValuation = require('../models/AssetValuation');
+
+/**
+ * Valuation Service
+ *
+ * Records dated asset valuations, keeps `Assets.currentValue` in sync with the
+ * most recent one and computes gain/loss and annualized growth from the
+ * valuation series compared with the asset's declared interest rate.
+ */
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Shortest series (in days) for which an annualized growth rate is reported
+const MIN_ANNUALIZED_DAYS = 30;
+
+/**
+ * Round a number to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+class ValuationService {
+  /**
+   * Record the first valuation of a newly created asset
+   * @param {Object} asset - Asset document
+   * @param {Object} [details] - { valuedAt, source, notes }
+   * @param {string} [userId] - User recording the valuation
+   * @returns {Promise<Object>} - Saved valuation
+   */
+  recordInitialValuation(asset, details = {}, userId = null) {
+    return AssetValuation.create({
+      asset: asset._id,
+      value: asset.currentValue,
+      valuedAt: details.valuedAt || asset.createdAt || new Date(),
+      source: details.source,
+      notes: details.notes,
+      createdBy: userId,
+    });
+  }
+
+  /**
+   * Record the first valuation of several newly created assets (bulk import)
+   * @param {Array} assets - Asset documents
+   * @param {string} [userId] - User recording the valuations
+   * @returns {Promise<Array>} - Saved valuations
+   */
+  recordInitialValuations(assets, userId = null) {
+    return AssetValuation.insertMany(assets.map(asset => ({
+      asset: asset._id,
+      value: asset.currentValue,
+      valuedAt: asset.createdAt || new Date(),
+      notes: 'Imported',
+      createdBy: userId,
+    })));
+  }
+
+  /**
+   * Record the value an asset had before valuations were tracked
+   *
+   * Assets created before valuation history existed have no entries yet; their
+   * current value is kept as a valuation dated at the asset's creation.
+   *
+   * @param {Object} asset - Asset document
+   * @returns {Promise<void>}
+   */
+  async ensureBaseline(asset) {
+    const exists = await AssetValuation.exists({ asset: asset._id });
+    if (!exists && asset.currentValue !== undefined) {
+      await AssetValuation.create({
+        asset: asset._id,
+        value: asset.currentValue,
+        valuedAt: asset.createdAt || new Date(),
+        notes: 'Value before valuation history was tracked',
+        createdBy: asset.createdBy,
+      });
+    }
+  }
+
+  /**
+   * Record a (possibly back-dated) valuation and update the asset's current value
+   * @param {Object} asset - Asset document
+   * @param {Object} valuation - Unsaved AssetValuation document or { value, valuedAt, source, notes }
+   * @param {string} [userId] - User recording the valuation
+   * @returns {Promise<Object>} - Saved valuation
+   */
+  async recordValuation(asset, valuation, userId = null) {
+    await this.ensureBaseline(asset);
+
+    const doc = valuation instanceof AssetValuation
+      ? valuation
+      : new AssetValuation({ ...valuation, asset: asset._id, createdBy: userId });
+    await doc.save();
+
+    await this.syncCurrentValue(asset);
+    return doc;
+  }
+
+  /**
+   * Set the asset's current value to its most recent valuation
+   * @param {Object} asset - Asset document (currentValue is updated in place)
+   * @returns {Promise<void>}
+   */
+  async syncCurrentValue(asset) {
+    const latest = await AssetValuation.findOne({ asset: asset._id }).sort('-valuedAt -createdAt');
+
+    if (latest && latest.value !== asset.currentValue) {
+      await Assets.updateOne({ _id: asset._id }, { currentValue: latest.value });
+      asset.currentValue = latest.value;
+    }
+  }
+
+  /**
+   * Get the valuation series of an asset, oldest first
+   *
+   * Assets without recorded valuations return their current value as a single entry.
+   *
+   * @param {Object} asset - Asset document
+   * @returns {Promise<Array>} - Valuations
+   */
+  async getValuations(asset) {
+    const valuations = await AssetValuation.find({ asset: asset._id }).sort('valuedAt createdAt').lean();
+
+    if (valuations.length === 0) {
+      return [{
+        asset: asset._id,
+        value: asset.currentValue,
+        valuedAt: asset.createdAt,
+        source: 'manual',
+      }];
+    }
+    return valuations;
+  }
+
+  /**
+   * Calculate gain/loss and annualized growth from a valuation series
+   *
+   * Annualized growth is the compound annual growth rate between the first and
+   * the latest valuation; it is null for series shorter than 30 days or starting
+   * at 0. The expected value grows the first valuation at the asset's interest rate.
+   *
+   * @param {Object} asset - Asset record (interestRate is used)
+   * @param {Array} valuations - Valuations sorted oldest first
+   * @returns {Object} - Performance of the asset
+   */
+  getPerformance(asset, valuations) {
+    if (valuations.length === 0) {
+      return null;
+    }
+
+    const first = valuations[0];
+    const latest = valuations[valuations.length - 1];
+    const elapsed = new Date(latest.valuedAt) - new Date(first.valuedAt);
+    const years = elapsed / MS_PER_YEAR;
+    const expectedAnnualRate = asset.interestRate || 0;
+
+    const gainLoss = latest.value - first.value;
+    const annualizedGrowth = first.value > 0 && elapsed >= MIN_ANNUALIZED_DAYS * 24 * 60 * 60 * 1000
+      ? (Math.pow(latest.value / first.value, 1 / years) - 1) * 100
+      : null;
+    const expectedValue = first.value * Math.pow(1 + expectedAnnualRate / 100, years);
+
+    return {
+      startValue: first.value,
+      startDate: first.valuedAt,
+      currentValue: latest.value,
+      currentDate: latest.valuedAt,
+      years: round(years),
+      gainLoss: round(gainLoss),
+      gainLossPercent: first.value > 0 ? round((gainLoss / first.value) * 100) : null,
+      annualizedGrowth: annualizedGrowth === null ? null : round(annualizedGrowth),
+      expectedAnnualRate,
+      expectedValue: round(expectedValue),
+      differenceFromExpected: round(latest.value - expectedValue),
+      annualizedVsExpected: annualizedGrowth === null ? null : round(annualizedGrowth - expectedAnnualRate),
+    };
+  }
+
+  /**
+   * Delete the valuations of one or more assets
+   * @param {Array} assetIds - Asset IDs
+   * @returns {Promise<Object>} - Delete result
+   */
+  deleteForAssets(assetIds) {
+    return AssetValuation.deleteMany({ asset: { $in: assetIds } });
+  }
+}
+
+module.exports = new ValuationService();
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { checkPublicUrl } = require('../utils/url.util');
+
+/**
+ * Webhook Service
+ *
+ * Sends record events to the webhook endpoints users register. emit() writes
+ * one delivery per subscribed endpoint before returning, then sends them in
+ * the background; failed deliveries are retried with exponential backoff
+ * until MAX_ATTEMPTS. Every request carries an HMAC-SHA256 signature of the
+ * timestamp and raw body, keyed with the endpoint's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC of "<t>.<body>">
+ *
+ * Endpoint hosts are resolved before every attempt and must be public
+ * addresses (see utils/url.util.js). Only the response status is recorded.
+ */
+
+// Delivery attempts before a delivery is marked as failed
+const MAX_ATTEMPTS = 6;
+
+// Delay before the first retry; doubled after every failed attempt
+const RETRY_BASE_MS = 60 * 1000;
+
+// Deliveries sent per background run
+const DELIVERY_BATCH_SIZE = 100;
+
+// Milliseconds to wait for an endpoint to answer
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Event sent by the "send test event" route (not subscribable)
+const TEST_EVENT = 'webhook.test';
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.delivering = false;
+  }
+
+  /**
+   * Sign a payload for an endpoint
+   * @param {string} secret - Endpoint secret
+   * @param {number} timestamp - Unix time in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Signature header value "t=<timestamp>,v1=<hex>"
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Delay before the next attempt after a failed one
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Milliseconds (1, 2, 4, 8, 16 minutes)
+   */
+  getRetryDelay(attempts) {
+    return RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  }
+
+  /**
+   * Record an event for the subscribed endpoints of some users and send it in the background
+   *
+   * Never throws: a failure to record an event is logged and must not fail
+   * the request that caused it.
+   *
+   * @param {string} event - Event name, e.g. "income.created"
+   * @param {Array} userIds - Users whose endpoints receive the event
+   * @param {Object|Array} records - Record (or records, one event each) sent as `data`
+   * @returns {Promise<number>} - Deliveries created
+   */
+  async emit(event, userIds, records) {
+    try {
+      const items = (Array.isArray(records) ? records : [records])
+        .map(record => (record && typeof record.toJSON === 'function' ? record.toJSON() : record));
+      if (items.length === 0) {
+        return 0;
+      }
+
+      const endpoints = await WebhookEndpoint.find({
+        createdBy: { $in: userIds },
+        isActive: true,
+        events: { $in: [event, '*'] },
+      }).lean();
+      if (endpoints.length === 0) {
+        return 0;
+      }
+
+      const deliveries = items.flatMap(data => {
+        const eventId = `evt_${crypto.randomUUID()}`;
+        const payload = JSON.parse(JSON.stringify({ id: eventId, event, createdAt: new Date(), data }));
+        return endpoints.map(endpoint => ({ endpoint: endpoint._id, eventId, event, payload, createdBy: endpoint.createdBy }));
+      });
+
+      await WebhookDelivery.insertMany(deliveries);
+
+      setImmediate(() => {
+        this.processPending().catch(error => {
+          logger.error('Webhook delivery failed', { error: error.message });
+        });
+      });
+
+      return deliveries.length;
+    } catch (error) {
+      logger.error('Recording webhook event failed', { event, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   * @param {Object} delivery - Delivery document
+   * @param {Object} endpoint - Endpoint with its secret
+   * @param {Object} [options] - Attempt options
+   * @param {boolean} [options.retry] - Schedule a retry on failure (default true)
+   * @returns {Promise<Object>} - The updated delivery
+   */
+  async deliver(delivery, endpoint, { retry = true } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const now = new Date();
+    delivery.attempts += 1;
+
+    try {
+      // The host may resolve to another address than when the endpoint was registered
+      const urlProblem = await checkPublicUrl(endpoint.url);
+      if (urlProblem) {
+        throw new Error(urlProblem);
+      }
+
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'financial-manager-webhooks',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Signature': this.sign(endpoint.secret, Math.floor(now.getTime() / 1000), body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+
+      delivery.responseStatus = response.status;
+      await response.body?.cancel().catch(() => {});
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = undefined;
+    } catch (error) {
+      delivery.lastError = error.message;
+      if (!retry || delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+      } else {
+        delivery.nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(delivery.attempts));
+      }
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+    await delivery.save();
+
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { lastDeliveryAt: now, lastDeliveryStatus: delivery.status === 'succeeded' ? 'succeeded' : 'failed' }
+    );
+
+    return delivery;
+  }
+
+  /**
+   * Send the pending deliveries that are due
+   *
+   * Deliveries of deleted or deactivated endpoints are marked as failed.
+   *
+   * @param {Date} [now] - Reference date
+   * @returns {Promise<Object>} - { succeeded, retrying, failed }
+   */
+  async processPending(now = new Date()) {
+    const result = { succeeded: 0, retrying: 0, failed: 0 };
+
+    // One run at a time, so a delivery is never sent twice
+    if (this.delivering) {
+      return result;
+    }
+    this.delivering = true;
+
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort('nextAttemptAt')
+        .limit(DELIVERY_BATCH_SIZE);
+
+      const endpointIds = [...new Set(due.map(delivery => delivery.endpoint.toString()))];
+      const endpoints = new Map(
+        (await WebhookEndpoint.find({ _id: { $in: endpointIds }, isActive: true }).select('+secret'))
+          .map(endpoint => [endpoint._id.toString(), endpoint])
+      );
+
+      for (const delivery of due) {
+        const endpoint = endpoints.get(delivery.endpoint.toString());
+        if (!endpoint) {
+          delivery.status = 'failed';
+          delivery.lastError = 'Endpoint was deleted or deactivated';
+          await delivery.save();
+          result.failed++;
+          continue;
+        }
+
+        const { status } = await this.deliver(delivery, endpoint);
+        result[status === 'pending' ? 'retrying' : status]++;
+      }
+    } finally {
+      this.delivering = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a test event to an endpoint right away (one attempt, no retries)
+   * @param {Object} endpoint - Endpoint with its secret
+   * @returns {Promise<Object>} - The delivery with its outcome
+   */
+  async sendTestEvent(endpoint) {
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const delivery = await WebhookDelivery.create({
+      endpoint: endpoint._id,
+      eventId,
+      event: TEST_EVENT,
+      payload: {
+        id: eventId,
+        event: TEST_EVENT,
+        createdAt: new Date(),
+        data: { message: 'This is a test event', endpoint: endpoint._id },
+      },
+      createdBy: endpoint.createdBy,
+    });
+
+    return this.deliver(delivery, endpoint, { retry: false });
+  }
+
+  /**
+   * Start retrying pending deliveries
+   *
+   * Runs every WEBHOOK_RETRY_INTERVAL_SECONDS seconds (default 30, 0 disables).
+   * The timer does not keep the process alive.
+   */
+  startScheduler() {
+    const seconds = parseFloat(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS ?? '30');
+    if (this.timer || !(seconds > 0)) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processPending().catch(error => {
+        logger.error('Webhook delivery failed', { error: error.message });
+      });
+    }, seconds * 1000);
+    this.timer.unref();
+
+    logger.info(`Webhook retries checked every ${seconds} seconds`);
+  }
+
+  /**
+   * Stop retrying pending deliveries
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.TEST_EVENT = TEST_EVENT;
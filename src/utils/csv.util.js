@@ -0,0 +1,124 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 parser and writer for CSV files: comma separated, double
+ * quotes around fields containing commas, quotes or line breaks ("" escapes
+ * a quote), CRLF or LF line endings.
+ *
+ * @module utils/csv
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * @function parseCsvRows
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>} Rows (blank lines skipped)
+ */
+exports.parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the trimmed header names
+ *
+ * @function parseCsv
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records } where records are objects of trimmed string values
+ *
+ * @example
+ * parseCsv('from,to,rate\nEUR,USD,1.08');
+ * // { headers: ['from', 'to', 'rate'], records: [{ from: 'EUR', to: 'USD', rate: '1.08' }] }
+ */
+exports.parseCsv = (text) => {
+  const [headerRow = [], ...rows] = exports.parseCsvRows(String(text || '').replace(/^﻿/, ''));
+  const headers = headerRow.map(header => header.trim());
+
+  const records = rows.map(fields => headers.reduce((record, header, index) => {
+    record[header] = (fields[index] ?? '').trim();
+    return record;
+  }, {}));
+
+  return { headers, records };
+};
+
+/**
+ * Format one CSV field
+ *
+ * Dates are written as ISO 8601, objects as JSON. Text starting with =, +, -
+ * or @ is prefixed with a quote so spreadsheets do not run it as a formula.
+ *
+ * @function formatCsvField
+ * @param {*} value - Field value
+ * @returns {string} CSV field (quoted when needed)
+ */
+exports.formatCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as a CSV line (with CRLF line ending)
+ *
+ * @function formatCsvRow
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ *
+ * @example
+ * formatCsvRow(['Salary', 4000, 'a "b"']); // 'Salary,4000,"a ""b"""\r\n'
+ */
+exports.formatCsvRow = (values) => `${values.map(exports.formatCsvField).join(',')}\r\n`;
@@ -0,0 +1,58 @@
+/**
+ * Currency Utilities
+ *
+ * Currency codes and amount formatting shared by models, services and prompts.
+ * Amounts are stored as plain numbers next to an ISO 4217 currency code.
+ *
+ * @module utils/currency
+ */
+
+/**
+ * Currency of records and users created before currencies were tracked
+ * @constant {string}
+ */
+exports.DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Shape of an ISO 4217 currency code ("USD", "EUR", "LKR")
+ * @constant {RegExp}
+ */
+exports.CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Check that a value is a three-letter currency code
+ *
+ * @function isCurrencyCode
+ * @param {*} value - Value to check
+ * @returns {boolean} True for codes such as "USD"
+ */
+exports.isCurrencyCode = (value) => typeof value === 'string' && exports.CURRENCY_PATTERN.test(value);
+
+/**
+ * Format an amount with its currency
+ *
+ * Uses the currency symbol where one exists ("$1,250", "€80.5") and the code
+ * otherwise ("LKR 15,000"). Up to two decimals, none for whole amounts.
+ *
+ * @function formatMoney
+ * @param {number|string} amount - Amount
+ * @param {string} [currency] - Currency code (defaults to DEFAULT_CURRENCY)
+ * @returns {string} Formatted amount
+ *
+ * @example
+ * formatMoney(-1200, 'EUR'); // "-€1,200"
+ */
+exports.formatMoney = (amount, currency = exports.DEFAULT_CURRENCY) => {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || exports.DEFAULT_CURRENCY,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    }).format(value);
+  } catch (error) {
+    return `${currency} ${value.toLocaleString()}`;
+  }
+};
+
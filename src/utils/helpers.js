@@ -7,6 +7,8 @@
  * @module utils/helpers
  */
 
+const crypto = require('crypto');
+
 /**
  * Format standardized success response
  * 
@@ -202,3 +204,37 @@ exports.getPaginationMeta = (page, limit, total) => {
     hasPrevPage: page > 1,
   };
 };
+
+/**
+ * Generate a cryptographically secure random token
+ * 
+ * Creates a random hex string using crypto.randomBytes(). Safe for secrets such as
+ * refresh tokens and API keys (unlike generateRandomString).
+ * 
+ * @function generateSecureToken
+ * @param {number} [bytes=40] - Number of random bytes (hex output is twice as long)
+ * @returns {string} Random hex string
+ * 
+ * @example
+ * generateSecureToken(); // Returns: '9f86d081884c7d65...' (80 chars)
+ */
+exports.generateSecureToken = (bytes = 40) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a secret token for storage
+ * 
+ * Produces a SHA-256 hex digest so tokens can be looked up without storing them in plain text.
+ * Tokens are high-entropy random values, so a fast unsalted hash is sufficient (unlike passwords).
+ * 
+ * @function hashToken
+ * @param {string} token - Plain token value
+ * @returns {string} SHA-256 hex digest
+ * 
+ * @example
+ * hashToken('abc'); // Returns: 'ba7816bf8f01cfea...'
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
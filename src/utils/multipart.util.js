@@ -0,0 +1,113 @@
+/**
+ * Multipart Utilities
+ *
+ * Minimal multipart/form-data parser for small uploads that are read into
+ * memory as a Buffer (e.g. with `express.raw`): text fields are returned as
+ * strings and file parts with their content as a Buffer.
+ *
+ * @module utils/multipart
+ */
+
+/**
+ * Read the boundary of a multipart/form-data Content-Type header
+ *
+ * @function getBoundary
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Boundary, or null when the header is not multipart/form-data
+ */
+exports.getBoundary = (contentType = '') => {
+  if (!/^multipart\/form-data\b/i.test(contentType)) {
+    return null;
+  }
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+};
+
+/**
+ * Parse the headers of one part
+ * @param {string} text - Header block of the part
+ * @returns {Object} { name, filename, contentType }
+ */
+const parsePartHeaders = (text) => {
+  const headers = {};
+  text.split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  const disposition = headers['content-disposition'] || '';
+  const name = disposition.match(/\bname="([^"]*)"/i);
+  const filename = disposition.match(/\bfilename="([^"]*)"/i);
+
+  return {
+    name: name ? name[1] : null,
+    filename: filename ? filename[1] : null,
+    contentType: headers['content-type'] || null,
+  };
+};
+
+/**
+ * Parse a multipart/form-data body
+ *
+ * @function parseMultipart
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header (carries the boundary)
+ * @returns {Object} { fields, files } where fields maps names to strings and
+ *   files are { name, filename, contentType, content } objects
+ * @throws {Error} When the header has no boundary or the body is not valid multipart
+ *
+ * @example
+ * const { fields, files } = parseMultipart(req.body, req.headers['content-type']);
+ * const csv = files[0].content.toString('utf8');
+ */
+exports.parseMultipart = (body, contentType) => {
+  const boundary = exports.getBoundary(contentType);
+  if (!boundary) {
+    throw new Error('Multipart boundary is missing');
+  }
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) {
+    throw new Error('Multipart body is malformed');
+  }
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+
+    // "--" after the delimiter closes the body
+    if (body.subarray(partStart, partStart + 2).toString() === '--') {
+      break;
+    }
+
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) {
+      throw new Error('Multipart body is malformed');
+    }
+
+    // Each part is "\r\n<headers>\r\n\r\n<content>\r\n"
+    const part = body.subarray(partStart + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+      throw new Error('Multipart body is malformed');
+    }
+
+    const { name, filename, contentType: partType } = parsePartHeaders(part.subarray(0, headerEnd).toString('utf8'));
+    const content = part.subarray(headerEnd + 4);
+
+    if (filename !== null) {
+      files.push({ name, filename, contentType: partType, content });
+    } else if (name) {
+      fields[name] = content.toString('utf8');
+    }
+
+    start = end;
+  }
+
+  return { fields, files };
+};
@@ -0,0 +1,227 @@
+/**
+ * OFX Utilities
+ *
+ * Parser for OFX/QFX bank statement files, in both the SGML format of OFX 1.x
+ * (leaf elements without closing tags, "KEY:VALUE" header lines) and the XML
+ * format of OFX 2.x. Only the parts needed to import statements are read:
+ * bank and credit card accounts, their ledger and available balances and
+ * their transactions.
+ *
+ * @module utils/ofx
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Decode the XML/SGML character entities of a value
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+const decodeEntities = (value) => value.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Decode an uploaded OFX file
+ *
+ * OFX 1.x files usually declare a Windows-1252 / Latin-1 charset in their
+ * header; other files are read as UTF-8.
+ *
+ * @function decodeOfx
+ * @param {Buffer|string} data - File content
+ * @returns {string} File text
+ */
+exports.decodeOfx = (data) => {
+  if (typeof data === 'string') {
+    return data;
+  }
+  const head = data.subarray(0, 500).toString('latin1');
+  const latin1 = /CHARSET:\s*(1252|ISO-?8859-?1)/i.test(head) || /encoding="(windows-1252|iso-8859-1)"/i.test(head);
+  return data.toString(latin1 ? 'latin1' : 'utf8');
+};
+
+/**
+ * Parse the element tree of an OFX document
+ *
+ * An element followed by text is a leaf (its closing tag is optional in SGML);
+ * other elements are aggregates closed by their closing tag.
+ *
+ * @function parseOfxTree
+ * @param {string} text - OFX file text
+ * @returns {Object} Root node { name, value, children }
+ * @throws {Error} When the text has no <OFX> element
+ */
+exports.parseOfxTree = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('The file is not an OFX/QFX file (no <OFX> element found)');
+  }
+
+  const body = text.slice(start);
+  const root = { name: 'ROOT', value: null, children: [] };
+  const stack = [root];
+  const tokenPattern = /<(\/?)([A-Za-z0-9._]+)[^>]*>([^<]*)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(body)) !== null) {
+    const [, closing, rawName, rawText] = match;
+    const name = rawName.toUpperCase();
+
+    if (closing) {
+      // Closing tags of leaves (XML) are not on the stack and are skipped
+      const index = stack.map(node => node.name).lastIndexOf(name);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const value = rawText.trim();
+    const node = { name, value: value === '' ? null : decodeEntities(value), children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (node.value === null) {
+      stack.push(node);
+    }
+  }
+
+  return root;
+};
+
+/**
+ * Find the descendants of a node with a name (depth first)
+ * @param {Object} node - Node to search
+ * @param {string} name - Element name
+ * @returns {Array} Matching nodes (not searched below a match)
+ */
+const findAll = (node, name) => node.children.flatMap(child => (child.name === name ? [child] : findAll(child, name)));
+
+/**
+ * First descendant of a node with a name
+ * @param {Object} node - Node to search
+ * @param {string} name - Element name
+ * @returns {Object|null} Node
+ */
+const find = (node, name) => findAll(node, name)[0] || null;
+
+/**
+ * Text of the first descendant of a node with a name
+ * @param {Object} node - Node to search
+ * @param {string} name - Element name
+ * @returns {string|null} Value
+ */
+const textOf = (node, name) => (node ? find(node, name)?.value ?? null : null);
+
+/**
+ * Read an OFX amount ("1234.56", "-1,234.56", "1234,56" or "1.234,56")
+ * @param {string|null} value - Amount text
+ * @returns {number|null} Amount, or null when missing or invalid
+ */
+const parseAmount = (value) => {
+  if (value === null) {
+    return null;
+  }
+  // A comma before the last one or two digits is a decimal comma
+  const normalized = /,\d{1,2}$/.test(value)
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+  const amount = Number(normalized);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Read an OFX date-time
+ *
+ * Format YYYYMMDD[HHMMSS[.XXX]][[+|-]offset[:TZ]]; the offset defaults to GMT.
+ *
+ * @function parseOfxDate
+ * @param {string|null} value - Date text, e.g. "20261015120000.000[-5:EST]"
+ * @returns {Date|null} Date, or null when missing or invalid
+ *
+ * @example
+ * parseOfxDate('20261015'); // 2026-10-15T00:00:00.000Z
+ * parseOfxDate('20261015090000[-5:EST]'); // 2026-10-15T14:00:00.000Z
+ */
+exports.parseOfxDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = '0', minutes = '0', seconds = '0', offset = '0'] = match;
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds) - parseFloat(offset) * 60 * 60 * 1000;
+  const date = new Date(time);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read the transactions of a statement
+ * @param {Object} statement - STMTRS or CCSTMTRS node
+ * @returns {Array} Transactions
+ */
+const readTransactions = (statement) => findAll(statement, 'STMTTRN').map(transaction => ({
+  fitId: textOf(transaction, 'FITID'),
+  type: textOf(transaction, 'TRNTYPE'),
+  postedAt: exports.parseOfxDate(textOf(transaction, 'DTPOSTED')),
+  amount: parseAmount(textOf(transaction, 'TRNAMT')),
+  name: textOf(transaction, 'NAME') || textOf(transaction, 'PAYEE'),
+  memo: textOf(transaction, 'MEMO'),
+}));
+
+/**
+ * Read one statement
+ * @param {Object} statement - STMTRS or CCSTMTRS node
+ * @param {string} type - "bank" or "creditcard"
+ * @param {string|null} institution - Name of the financial institution
+ * @returns {Object} Account statement
+ */
+const readStatement = (statement, type, institution) => {
+  const account = find(statement, type === 'bank' ? 'BANKACCTFROM' : 'CCACCTFROM');
+  const ledger = find(statement, 'LEDGERBAL');
+  const available = find(statement, 'AVAILBAL');
+  const transactionList = find(statement, 'BANKTRANLIST');
+
+  return {
+    type,
+    institution,
+    bankId: textOf(account, 'BANKID'),
+    accountId: textOf(account, 'ACCTID'),
+    accountType: textOf(account, 'ACCTTYPE') || (type === 'bank' ? 'CHECKING' : 'CREDITLINE'),
+    currency: textOf(statement, 'CURDEF'),
+    periodStart: exports.parseOfxDate(textOf(transactionList, 'DTSTART')),
+    periodEnd: exports.parseOfxDate(textOf(transactionList, 'DTEND')),
+    balance: parseAmount(textOf(ledger, 'BALAMT')),
+    balanceAsOf: exports.parseOfxDate(textOf(ledger, 'DTASOF')),
+    availableBalance: parseAmount(textOf(available, 'BALAMT')),
+    transactions: readTransactions(statement),
+  };
+};
+
+/**
+ * Parse the bank and credit card statements of an OFX/QFX file
+ *
+ * @function parseOfx
+ * @param {Buffer|string} data - File content
+ * @returns {Object} { accounts } where each account is { type ("bank" or "creditcard"),
+ *   institution, bankId, accountId, accountType, currency, periodStart, periodEnd,
+ *   balance, balanceAsOf, availableBalance, transactions: [{ fitId, type, postedAt,
+ *   amount, name, memo }] }; amounts keep the OFX sign (credits positive)
+ * @throws {Error} When the file is not OFX
+ *
+ * @example
+ * const { accounts } = parseOfx(fs.readFileSync('statement.qfx'));
+ */
+exports.parseOfx = (data) => {
+  const root = exports.parseOfxTree(exports.decodeOfx(data));
+  const institution = textOf(find(root, 'FI'), 'ORG');
+
+  return {
+    accounts: [
+      ...findAll(root, 'STMTRS').map(statement => readStatement(statement, 'bank', institution)),
+      ...findAll(root, 'CCSTMTRS').map(statement => readStatement(statement, 'creditcard', institution)),
+    ],
+  };
+};
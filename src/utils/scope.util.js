@@ -0,0 +1,123 @@
+/**
+ * Record Scope Utilities
+ *
+ * Translate the authenticated user and optional household context of a request
+ * (set by the `protect` and `householdContext` middleware) into Mongo filters and
+ * aggregation scopes, so every controller applies the same ownership rules.
+ *
+ * @module utils/scope
+ */
+
+/**
+ * Build the filter limiting reads to the records the request may see
+ *
+ * - Personal scope: records created by the user, including those shared with a household
+ * - Household scope: records shared with the household
+ * - Household member scope: household records created by that member
+ *
+ * Used directly by calculations sent as POST (payoff plans, refinance analyses)
+ * that only read records; recordScope() applies the same filter to GET requests.
+ *
+ * @function readScope
+ * @param {Object} req - Express request object
+ * @returns {Object} Mongo filter to merge into queries
+ *
+ * @example
+ * const liabilities = await Liability.find(readScope(req));
+ */
+exports.readScope = (req) => {
+  if (!req.household) {
+    return { createdBy: req.user._id };
+  }
+
+  const scope = { household: req.household._id };
+  if (req.householdMember) {
+    scope.createdBy = req.householdMember;
+  }
+  return scope;
+};
+
+/**
+ * Build the filter limiting queries to the records the request may access
+ *
+ * - Personal scope: records created by the user (writes only reach records not shared
+ *   with a household, so household records are always edited under household roles)
+ * - Household scope: records shared with the household
+ * - Household member scope: household records created by that member
+ *
+ * @function recordScope
+ * @param {Object} req - Express request object
+ * @returns {Object} Mongo filter to merge into queries
+ *
+ * @example
+ * const income = await Income.findOne({ _id: req.params.id, ...recordScope(req) });
+ */
+exports.recordScope = (req) => {
+  const scope = exports.readScope(req);
+  if (!req.household && !['GET', 'HEAD'].includes(req.method)) {
+    scope.household = null;
+  }
+  return scope;
+};
+
+/**
+ * Ownership fields for a record created by the request
+ *
+ * @function ownershipFields
+ * @param {Object} req - Express request object
+ * @returns {Object} createdBy and household values to set on new records
+ */
+exports.ownershipFields = (req) => ({
+  createdBy: req.user._id,
+  household: req.household ? req.household._id : null,
+});
+
+/**
+ * Aggregation scope for DataAggregationService ("me", "my household" or a single member)
+ *
+ * @function financialScope
+ * @param {Object} req - Express request object
+ * @returns {Object} { userId, householdId, memberId }
+ */
+exports.financialScope = (req) => ({
+  userId: req.user._id,
+  householdId: req.household ? req.household._id : null,
+  memberId: req.householdMember || null,
+});
+
+/**
+ * Cache partition for the request's aggregation scope
+ *
+ * Always starts with the user ID so per-user cache invalidation keeps working.
+ *
+ * @function cachePartition
+ * @param {Object} req - Express request object
+ * @returns {string} Partition such as "<userId>" or "<userId>:h<householdId>:m<memberId>"
+ */
+exports.cachePartition = (req) => {
+  let partition = req.user._id.toString();
+  if (req.household) {
+    partition += `:h${req.household._id}`;
+  }
+  if (req.householdMember) {
+    partition += `:m${req.householdMember}`;
+  }
+  return partition;
+};
+
+/**
+ * Users whose webhooks receive the events of a request
+ *
+ * Household records are visible to every member, so their changes go to all
+ * members; personal records only to the user.
+ *
+ * @function eventRecipients
+ * @param {Object} req - Express request object
+ * @returns {Array} User IDs
+ */
+exports.eventRecipients = (req) => {
+  if (!req.household) {
+    return [req.user._id];
+  }
+  return req.household.members.map(member => member.user._id || member.user);
+};
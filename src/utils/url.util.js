@@ -0,0 +1,116 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * URL Utilities
+ *
+ * Checks of user-supplied URLs the server sends requests to (webhook
+ * endpoints, the webhook notification channel). Only public addresses are
+ * accepted, so users cannot make the server reach loopback, private-network
+ * or cloud metadata addresses.
+ *
+ * @module utils/url
+ */
+
+// Loopback, private, link-local, unique-local and other non-public ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Hosts allowed even though they resolve to a non-public address
+ * (OUTBOUND_ALLOWED_HOSTS, comma-separated, e.g. "localhost,127.0.0.1" for local test receivers)
+ * @returns {string[]} Lowercase host names
+ */
+const getAllowedHosts = () => (process.env.OUTBOUND_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ *
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges.
+ *
+ * @function isPrivateAddress
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for addresses the server must not send requests to
+ *
+ * @example
+ * isPrivateAddress('169.254.169.254'); // Returns: true
+ * isPrivateAddress('93.184.216.34');   // Returns: false
+ */
+exports.isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check that a URL is an http(s) URL whose host resolves only to public addresses
+ *
+ * Hosts listed in OUTBOUND_ALLOWED_HOSTS are accepted without a lookup.
+ *
+ * @function checkPublicUrl
+ * @param {string} url - URL to check
+ * @returns {Promise<string|null>} Problem with the URL, or null when it may be requested
+ *
+ * @example
+ * await checkPublicUrl('http://169.254.169.254/latest/meta-data');
+ * // Returns: 'URL host 169.254.169.254 is not a public address'
+ */
+exports.checkPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'URL must be an http(s) URL';
+  }
+
+  // IPv6 hosts are written in brackets
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (getAllowedHosts().includes(host)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `URL host ${host} could not be resolved`;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => exports.isPrivateAddress(address))) {
+    return `URL host ${host} is not a public address`;
+  }
+  return null;
+};
+
+/**
+ * Mongoose validator rejecting URLs that are not public (see checkPublicUrl)
+ *
+ * @function publicUrlValidator
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>} Resolves true, or rejects with the problem as message
+ *
+ * @example
+ * url: { type: String, validate: { validator: publicUrlValidator } }
+ */
+exports.publicUrlValidator = async (url) => {
+  const problem = await exports.checkPublicUrl(url);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
@@ -0,0 +1,173 @@
+const { createZip } = require('./zip.util');
+
+/**
+ * XLSX Utilities
+ *
+ * Minimal Office Open XML spreadsheet writer: one worksheet per table, a bold
+ * header row, numbers and booleans as typed cells, dates as date cells (UTC)
+ * and everything else as inline strings.
+ *
+ * @module utils/xlsx
+ */
+
+// Days between the spreadsheet epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cell styles (indexes into cellXfs of styles.xml)
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+// Package parts of every workbook
+const CONTENT_TYPES = (sheetCount) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+  + Array.from({ length: sheetCount }, (_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+  + '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="3">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '</cellXfs>'
+  + '</styleSheet>';
+
+/**
+ * Escape text for XML (and drop characters XML cannot contain)
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Column letters of a zero-based column index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * XML of one cell (empty for null values)
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference, e.g. "B2"
+ * @param {number} [style] - Style index
+ * @returns {string} Cell XML
+ */
+const cellXml = (value, ref, style = 0) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${value.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS}</v></c>`;
+  }
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * XML of one worksheet
+ * @param {Array} columns - Header names
+ * @param {Array} rows - Rows of cell values
+ * @returns {string} Worksheet XML
+ */
+const sheetXml = (columns, rows) => {
+  const rowXml = (values, rowIndex, style) => `<row r="${rowIndex}">`
+    + values.map((value, i) => cellXml(value, `${columnName(i)}${rowIndex}`, style)).join('')
+    + '</row>';
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>'
+    + '<sheetData>'
+    + rowXml(columns, 1, STYLE_HEADER)
+    + rows.map((values, i) => rowXml(values, i + 2)).join('')
+    + '</sheetData>'
+    + '</worksheet>';
+};
+
+/**
+ * Valid, unique worksheet names (at most 31 characters, no []:*?/\)
+ * @param {Array} names - Requested names
+ * @returns {Array} Sheet names
+ */
+const sheetNames = (names) => {
+  const used = new Set();
+  return names.map((requested, i) => {
+    let name = String(requested).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${i + 1}`;
+    if (used.has(name.toLowerCase())) {
+      name = `${name.slice(0, 27)} (${i + 1})`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
+
+/**
+ * Build an XLSX workbook
+ *
+ * @function createXlsx
+ * @param {Array} sheets - Worksheets { name, columns, rows } where rows are arrays of cell values
+ * @returns {Buffer} XLSX file
+ *
+ * @example
+ * const file = createXlsx([{ name: 'Income', columns: ['incomeSource', 'amount'], rows: [['Salary', 4000]] }]);
+ */
+exports.createXlsx = (sheets) => {
+  const names = sheetNames(sheets.map(sheet => sheet.name));
+
+  const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets>'
+    + names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+    + '</sheets>'
+    + '</workbook>';
+
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+    + `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: CONTENT_TYPES(sheets.length) },
+    { name: '_rels/.rels', content: ROOT_RELS },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: STYLES },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet.columns, sheet.rows) })),
+  ]);
+};
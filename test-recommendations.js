@@ -2,12 +2,14 @@
  * Test Script for AWS Bedrock Recommendation System
  * 
  * This script tests all recommendation endpoints to ensure they work correctly
- * Run with: node test-recommendations.js
+ * Run with: AUTH_TOKEN=<jwt> node test-recommendations.js
+ * (get a token from POST /api/auth/login - recommendations are per user)
  */
 
 const http = require('http');
 
 const BASE_URL = 'http://localhost:3000';
+const AUTH_TOKEN = process.env.AUTH_TOKEN;
 const ENDPOINTS = [
   '/api/recommendations',
   '/api/recommendations/general',
@@ -25,7 +27,8 @@ const ENDPOINTS = [
  */
 function makeRequest(url) {
   return new Promise((resolve, reject) => {
-    const req = http.get(url, (res) => {
+    const headers = AUTH_TOKEN ? { Authorization: `Bearer ${AUTH_TOKEN}` } : {};
+    const req = http.get(url, { headers }, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../../src/models/ApiKey');
+const User = require('../../src/models/User');
+
+process.env.RATE_LIMIT_MAX_REQUESTS = '2';
+const { apiLimiter, apiKeyLimiter } = require('../../src/config/rateLimiter');
+const { protect } = require('../../src/middleware/auth');
+const { hashToken } = require('../../src/utils/helpers');
+
+/**
+ * Start an app on a free port and return its base URL
+ */
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+test('apiLimiter keys on the IP, not on the X-API-Key header', async () => {
+  const app = express();
+  app.use(apiLimiter);
+  app.get('/', (req, res) => res.json({ success: true }));
+  const { server, url } = await listen(app);
+
+  try {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const res = await fetch(url, { headers: { 'X-API-Key': `made-up-key-${i}` } });
+      statuses.push(res.status);
+    }
+    assert.deepStrictEqual(statuses, [200, 200, 429]);
+  } finally {
+    server.close();
+  }
+});
+
+test('apiKeyLimiter keys on the authenticated API key', async () => {
+  const app = express();
+  // Stands in for protect: the key ID is only known once the key is verified
+  app.use((req, res, next) => {
+    if (req.get('x-key-id')) {
+      req.apiKey = { _id: req.get('x-key-id') };
+    }
+    next();
+  });
+  app.use(apiKeyLimiter);
+  app.get('/', (req, res) => res.json({ success: true }));
+  const { server, url } = await listen(app);
+
+  try {
+    const statuses = [];
+    for (const keyId of ['a', 'a', 'a', 'b']) {
+      const res = await fetch(url, { headers: { 'X-Key-Id': keyId } });
+      statuses.push(res.status);
+    }
+    assert.deepStrictEqual(statuses, [200, 200, 429, 200]);
+
+    // Requests without an API key are left to apiLimiter
+    const sessions = [];
+    for (let i = 0; i < 3; i++) {
+      sessions.push((await fetch(url)).status);
+    }
+    assert.deepStrictEqual(sessions, [200, 200, 200]);
+  } finally {
+    server.close();
+  }
+});
+
+test('requests with a verified API key do not use up the IP limit', async (t) => {
+  const users = ['valid-key-1', 'valid-key-2', 'valid-key-3'].map(key => ({
+    key,
+    keyId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+  }));
+  t.mock.method(ApiKey, 'findOne', async ({ keyHash }) => {
+    const user = users.find(({ key }) => hashToken(key) === keyHash);
+    return user ? { _id: user.keyId, createdBy: user.userId, isActive: true } : null;
+  });
+  t.mock.method(ApiKey, 'updateOne', async () => ({}));
+  t.mock.method(User, 'findById', async (id) => ({ _id: id, isActive: true }));
+
+  // The first test used up the limit of this IP
+  await apiLimiter.resetKey('127.0.0.1');
+
+  const app = express();
+  app.use(apiLimiter);
+  app.get('/', protect, (req, res) => res.json({ success: true }));
+  const { server, url } = await listen(app);
+  const get = async (key) => (await fetch(url, { headers: { 'X-API-Key': key } })).status;
+
+  try {
+    // Three keys behind one IP each get their own limit of 2
+    const statuses = [];
+    for (const { key } of users) {
+      statuses.push(await get(key), await get(key));
+    }
+    assert.deepStrictEqual(statuses, [200, 200, 200, 200, 200, 200]);
+    assert.strictEqual(await get('valid-key-1'), 429);
+
+    // Made-up keys still count against the IP
+    assert.deepStrictEqual([await get('made-up-key'), await get('made-up-key'), await get('made-up-key')], [401, 401, 429]);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Liability = require('../../src/models/Liability');
+const CreditCard = require('../../src/models/CreditCard');
+const {
+  createCalendarFeed,
+  deleteCalendarFeed,
+  getCalendarFeed,
+} = require('../../src/controllers/calendar.controller');
+
+const mockResponse = () => {
+  const res = { headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Keep one user in memory and serve the User/Liability/CreditCard queries of the feed endpoints
+ */
+const mockUser = (t) => {
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Alex', isActive: true, calendarFeedTokenHash: null };
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    if (filter._id.equals(user._id)) {
+      Object.assign(user, update);
+    }
+    return { acknowledged: true };
+  });
+  t.mock.method(User, 'findOne', async ({ calendarFeedTokenHash, isActive }) => (
+    user.calendarFeedTokenHash && user.calendarFeedTokenHash === calendarFeedTokenHash && user.isActive === isActive
+      ? user
+      : null
+  ));
+  t.mock.method(Liability, 'find', () => ({
+    lean: async () => [{
+      _id: new mongoose.Types.ObjectId(),
+      liabilityName: 'Car loan',
+      outstandingAmount: 5000,
+      interestRate: 6,
+      dueDate: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000),
+    }],
+  }));
+  t.mock.method(CreditCard, 'find', () => ({ lean: async () => [] }));
+  return user;
+};
+
+const request = (user, extra = {}) => ({
+  user,
+  protocol: 'https',
+  get: (name) => (name.toLowerCase() === 'host' ? 'api.example.com' : undefined),
+  ...extra,
+});
+
+/**
+ * Create a feed and return its secret token
+ */
+const createFeed = async (user) => {
+  const res = mockResponse();
+  await createCalendarFeed(request(user), res);
+  assert.strictEqual(res.statusCode, 201);
+  return res.body.data.url.match(/\/feed\/([0-9a-f]+)\.ics$/)[1];
+};
+
+const fetchFeed = async (user, token) => {
+  const res = mockResponse();
+  await getCalendarFeed(request(user, { params: { token } }), res);
+  return res;
+};
+
+test('creating a calendar feed returns a URL the feed is served from', async (t) => {
+  const user = mockUser(t);
+
+  const token = await createFeed(user);
+  const res = await fetchFeed(user, token);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.headers['Content-Type'], /^text\/calendar/);
+  assert.match(res.body, /SUMMARY:Car loan payment/);
+  assert.notStrictEqual(user.calendarFeedTokenHash, token, 'only the hash of the token is stored');
+});
+
+test('regenerating the calendar feed stops the previous URL from working', async (t) => {
+  const user = mockUser(t);
+
+  const oldToken = await createFeed(user);
+  const newToken = await createFeed(user);
+
+  assert.notStrictEqual(newToken, oldToken);
+  assert.strictEqual((await fetchFeed(user, oldToken)).statusCode, 404);
+  assert.strictEqual((await fetchFeed(user, newToken)).statusCode, 200);
+});
+
+test('deleting the calendar feed disables its URL', async (t) => {
+  const user = mockUser(t);
+  const token = await createFeed(user);
+
+  const res = mockResponse();
+  await deleteCalendarFeed(request(user), res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual((await fetchFeed(user, token)).statusCode, 404);
+});
+
+test('the calendar feed of a deactivated user is not served', async (t) => {
+  const user = mockUser(t);
+  const token = await createFeed(user);
+  user.isActive = false;
+
+  assert.strictEqual((await fetchFeed(user, token)).statusCode, 404);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Expense = require('../../src/models/Expense');
+const CreditCard = require('../../src/models/CreditCard');
+const { createExpense, updateExpense } = require('../../src/controllers/expense.controller');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), baseCurrency: 'EUR' };
+
+test('createExpense stores the expense for the user in their base currency', async (t) => {
+  const create = t.mock.method(Expense, 'create', async (body) => body);
+  const res = mockResponse();
+  const body = { description: 'Rent', amount: 1200, category: 'housing', createdBy: new mongoose.Types.ObjectId() };
+
+  await createExpense({ method: 'POST', user, body }, res);
+
+  assert.strictEqual(res.statusCode, 201);
+  const [stored] = create.mock.calls[0].arguments;
+  assert.strictEqual(stored.createdBy, user._id);
+  assert.strictEqual(stored.household, null);
+  assert.strictEqual(stored.currency, 'EUR');
+});
+
+test('linking a credit card makes the expense a credit card payment', async (t) => {
+  const cardId = new mongoose.Types.ObjectId();
+  const exists = t.mock.method(CreditCard, 'exists', async () => ({ _id: cardId }));
+  const create = t.mock.method(Expense, 'create', async (body) => body);
+  const res = mockResponse();
+
+  await createExpense({ method: 'POST', user, body: { description: 'Dinner', amount: 60, creditCard: cardId } }, res);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(exists.mock.calls[0].arguments[0], { _id: cardId, createdBy: user._id });
+  assert.strictEqual(create.mock.calls[0].arguments[0].paymentMethod, 'credit-card');
+});
+
+test('an expense cannot be linked to a card outside the user scope', async (t) => {
+  t.mock.method(CreditCard, 'exists', async () => null);
+  const create = t.mock.method(Expense, 'create', async (body) => body);
+  const res = mockResponse();
+
+  await createExpense({ method: 'POST', user, body: { description: 'Dinner', amount: 60, creditCard: new mongoose.Types.ObjectId() } }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, 'Credit card not found');
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('paying another way unlinks the credit card', async (t) => {
+  const exists = t.mock.method(CreditCard, 'exists', async () => null);
+  const findOneAndUpdate = t.mock.method(Expense, 'findOneAndUpdate', async (filter, update) => update);
+  const res = mockResponse();
+  const req = {
+    method: 'PUT',
+    user,
+    params: { id: new mongoose.Types.ObjectId().toString() },
+    body: { paymentMethod: 'cash', creditCard: new mongoose.Types.ObjectId() },
+  };
+
+  await updateExpense(req, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(exists.mock.callCount(), 0);
+  assert.strictEqual(findOneAndUpdate.mock.calls[0].arguments[1].creditCard, null);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Income = require('../../src/models/Income');
+const exportService = require('../../src/services/exportService');
+const { exportData } = require('../../src/controllers/export.controller');
+
+/**
+ * Response double collecting what is written to a download
+ */
+const mockResponse = () => {
+  const chunks = [];
+  const res = { headers: {}, headersSent: false };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (headers) => {
+    Object.assign(res.headers, headers);
+    res.headersSent = true;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.write = (chunk) => {
+    chunks.push(Buffer.from(chunk));
+    return true;
+  };
+  res.end = (chunk) => {
+    if (chunk) {
+      chunks.push(Buffer.from(chunk));
+    }
+    res.body = Buffer.concat(chunks);
+    return res;
+  };
+  res.destroy = (error) => {
+    res.destroyedWith = error;
+  };
+  return res;
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+const request = (query, resources) => ({
+  method: 'GET',
+  user,
+  query,
+  exportResources: exportService.parseResources(resources),
+});
+
+/**
+ * Serve getCursor from income documents
+ */
+const mockIncome = (t) => {
+  const docs = [
+    new Income({ incomeSource: 'Salary', amount: 4000, frequency: 'monthly', dateReceived: new Date('2026-01-31'), createdBy: user._id }),
+    new Income({ incomeSource: 'Bonus, Q1', amount: 500, frequency: 'one-time', dateReceived: new Date('2026-02-15'), createdBy: user._id }),
+  ];
+  return t.mock.method(exportService, 'getCursor', async function* cursor() {
+    yield* docs;
+  });
+};
+
+test('a JSON export streams every requested resource as one document', async (t) => {
+  mockIncome(t);
+  t.mock.method(exportService, 'getSummary', async () => ({ baseCurrency: 'USD', summary: { netWorth: 1000 } }));
+  const res = mockResponse();
+
+  await exportData(request({ format: 'json', from: '2026-01-01', to: '2026-03-31' }, 'income,summary'), res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.headers['Content-Disposition'], /^attachment; filename="financial-export-\d{4}-\d{2}-\d{2}\.json"$/);
+  const body = JSON.parse(res.body.toString());
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.from, '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(body.to, '2026-03-31T23:59:59.999Z');
+  assert.deepStrictEqual(body.data.income.map(income => income.incomeSource), ['Salary', 'Bonus, Q1']);
+  assert.deepStrictEqual(body.data.summary, { baseCurrency: 'USD', summary: { netWorth: 1000 } });
+});
+
+test('a CSV export of one resource streams a header row and one row per record', async (t) => {
+  const getCursor = mockIncome(t);
+  const res = mockResponse();
+
+  await exportData(request({ format: 'csv', from: '2026-01-01' }, 'income'), res);
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  const lines = res.body.toString().split('\r\n');
+  const columns = lines[0].split(',');
+  assert.deepStrictEqual(columns, exportService.getColumns('income'));
+  assert.strictEqual(lines.length, 4);
+  assert.ok(lines[2].includes('"Bonus, Q1"'));
+
+  const [name, scope, range] = getCursor.mock.calls[0].arguments;
+  assert.strictEqual(name, 'income');
+  assert.deepStrictEqual(scope, { createdBy: user._id });
+  assert.deepStrictEqual(range, { from: new Date('2026-01-01'), to: undefined });
+});
+
+test('a CSV export of several resources is a ZIP with one file each', async (t) => {
+  mockIncome(t);
+  t.mock.method(exportService, 'getSummary', async () => ({
+    generatedAt: new Date(),
+    baseCurrency: 'USD',
+    summary: {},
+    breakdowns: {},
+    goals: [],
+    netWorthHistory: { points: [] },
+  }));
+  const res = mockResponse();
+
+  await exportData(request({}, 'income,summary'), res);
+
+  assert.strictEqual(res.headers['Content-Type'], 'application/zip');
+  assert.strictEqual(res.body.readUInt32LE(0), 0x04034b50);
+  assert.ok(res.body.includes('income.csv'));
+  assert.ok(res.body.includes('summary.csv'));
+});
+
+test('an export rejects invalid dates and formats', async () => {
+  const invalid = [
+    [{ from: 'not-a-date' }, 'from and to must be valid dates'],
+    [{ from: '2026-03-01', to: '2026-02-01' }, 'from must be before to'],
+    [{ format: 'pdf' }, 'format must be one of: csv, xlsx, json'],
+  ];
+
+  for (const [query, message] of invalid) {
+    const res = mockResponse();
+    await exportData(request(query, 'income'), res);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, message);
+  }
+});
+
+test('a failure after the download started cuts the response short', async (t) => {
+  t.mock.method(exportService, 'getCursor', async function* cursor() {
+    yield new Income({ incomeSource: 'Salary', amount: 4000, frequency: 'monthly', createdBy: user._id });
+    throw new Error('cursor closed');
+  });
+  const res = mockResponse();
+
+  await exportData(request({ format: 'json' }, 'income'), res);
+
+  assert.strictEqual(res.destroyedWith.message, 'cursor closed');
+  assert.strictEqual(res.body, undefined);
+});
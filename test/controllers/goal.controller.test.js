@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Goal = require('../../src/models/Goal');
+const Assets = require('../../src/models/Assets');
+const currencyService = require('../../src/services/currencyService');
+const { createGoal, getGoalProgress } = require('../../src/controllers/goal.controller');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+test('goal progress converts linked assets to the base currency', async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const assets = [
+    { _id: new mongoose.Types.ObjectId(), assetsName: 'LKR savings', currentValue: 300000, currency: 'LKR', interestRate: 0 },
+    { _id: new mongoose.Types.ObjectId(), assetsName: 'CHF savings', currentValue: 500, currency: 'CHF', interestRate: 0 },
+  ];
+  const goal = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Emergency fund',
+    targetAmount: 2000,
+    targetDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+    linkedAssets: assets.map(asset => asset._id),
+    household: null,
+    createdBy: user._id,
+  };
+  t.mock.method(Goal, 'findOne', async () => goal);
+  t.mock.method(Assets, 'find', () => ({ lean: async () => assets }));
+  t.mock.method(currencyService, 'getConverter', async () => currencyService.createConverter('USD', [
+    { from: 'USD', to: 'LKR', rate: 300, effectiveDate: new Date('2026-01-01') },
+  ]));
+  const res = mockResponse();
+
+  await getGoalProgress({ params: { id: goal._id.toString() }, user, method: 'GET' }, res);
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.data.currentAmount, 1000);
+  assert.deepStrictEqual(res.body.data.currencyConversion.missingRates, ['CHF']);
+});
+
+test('a goal cannot link assets outside the user scope', async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const assetIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const countDocuments = t.mock.method(Assets, 'countDocuments', async () => 1);
+  const create = t.mock.method(Goal, 'create', async (body) => body);
+  const res = mockResponse();
+
+  await createGoal({
+    method: 'POST',
+    user,
+    body: { name: 'House deposit', targetAmount: 50000, targetDate: '2030-01-01', linkedAssets: assetIds },
+  }, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.strictEqual(res.body.message, 'One or more linked assets were not found');
+  assert.deepStrictEqual(countDocuments.mock.calls[0].arguments[0], {
+    _id: { $in: assetIds.map(String) },
+    createdBy: user._id,
+  });
+  assert.strictEqual(create.mock.callCount(), 0);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Household = require('../../src/models/Household');
+const { householdContext, readOnly } = require('../../src/middleware/household');
+
+/**
+ * Minimal Express request/response doubles
+ */
+const mockRequest = ({ headers = {}, query = {}, ...rest } = {}) => ({
+  method: 'GET',
+  headers,
+  query,
+  get: (name) => headers[name.toLowerCase()],
+  ...rest,
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+test('householdContext rejects advisors sending X-Household-Id', async (t) => {
+  const findOne = t.mock.method(Household, 'findOne', async () => {
+    throw new Error('household must not be looked up');
+  });
+  const req = mockRequest({
+    headers: { 'x-household-id': new mongoose.Types.ObjectId().toString() },
+    user: { _id: new mongoose.Types.ObjectId() },
+    advisor: { _id: new mongoose.Types.ObjectId() },
+  });
+  const res = mockResponse();
+  let called = false;
+
+  await householdContext(req, res, () => { called = true; });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'ADVISOR_HOUSEHOLD');
+  assert.strictEqual(called, false);
+  assert.strictEqual(findOne.mock.callCount(), 0);
+  assert.strictEqual(req.household, undefined);
+});
+
+test('householdContext rejects advisors sending a member', async () => {
+  const req = mockRequest({
+    query: { member: new mongoose.Types.ObjectId().toString() },
+    user: { _id: new mongoose.Types.ObjectId() },
+    advisor: { _id: new mongoose.Types.ObjectId() },
+  });
+  const res = mockResponse();
+
+  await householdContext(req, res, () => {});
+
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('householdContext keeps advisors without a household in the client scope', async () => {
+  const req = mockRequest({
+    user: { _id: new mongoose.Types.ObjectId() },
+    advisor: { _id: new mongoose.Types.ObjectId() },
+  });
+  const res = mockResponse();
+  let called = false;
+
+  await householdContext(req, res, () => { called = true; });
+
+  assert.strictEqual(called, true);
+  assert.strictEqual(res.statusCode, undefined);
+});
+
+/**
+ * A household in which the given user is a viewer
+ */
+const viewerHousehold = (userId) => new Household({
+  name: 'Family',
+  members: [{ user: userId, role: 'viewer' }],
+});
+
+test('householdContext rejects household viewers on writes', async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const household = viewerHousehold(user._id);
+  t.mock.method(Household, 'findOne', async () => household);
+  const req = mockRequest({ method: 'POST', headers: { 'x-household-id': household._id.toString() }, user });
+  const res = mockResponse();
+
+  await householdContext(req, res, () => {});
+
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('householdContext lets household viewers use read-only POST routes', async (t) => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const household = viewerHousehold(user._id);
+  t.mock.method(Household, 'findOne', async () => household);
+  const req = mockRequest({ method: 'POST', headers: { 'x-household-id': household._id.toString() }, user });
+  const res = mockResponse();
+  let called = false;
+
+  readOnly(req, res, () => {});
+  await householdContext(req, res, () => { called = true; });
+
+  assert.strictEqual(called, true);
+  assert.strictEqual(res.statusCode, undefined);
+  assert.strictEqual(req.householdRole, 'viewer');
+});
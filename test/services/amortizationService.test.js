@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const amortizationService = require('../../src/services/amortizationService');
+
+const day = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const loan = {
+  outstandingAmount: 1200,
+  originalPrincipal: 1200,
+  interestRate: 0,
+  termMonths: 12,
+  paymentFrequency: 'monthly',
+  dueDate: new Date(2026, 0, 31),
+};
+
+test('a loan due on the 31st pays on the last day of shorter months', () => {
+  const { schedule } = amortizationService.buildSchedule(loan, { now: new Date(2026, 0, 1) });
+
+  assert.deepStrictEqual(schedule.map(row => day(row.date)), [
+    '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31', '2026-06-30',
+    '2026-07-31', '2026-08-31', '2026-09-30', '2026-10-31', '2026-11-30', '2026-12-31',
+  ]);
+});
+
+test('a schedule starting after the due date keeps the due day', () => {
+  const { firstPaymentDate, schedule } = amortizationService.buildSchedule(loan, { now: new Date(2026, 2, 1) });
+
+  assert.strictEqual(day(firstPaymentDate), '2026-03-31');
+  assert.strictEqual(day(schedule[1].date), '2026-04-30');
+  assert.strictEqual(day(schedule[2].date), '2026-05-31');
+});
+
+const carLoan = {
+  outstandingAmount: 10000,
+  originalPrincipal: 10000,
+  interestRate: 6,
+  termMonths: 12,
+  paymentFrequency: 'monthly',
+  dueDate: new Date(2026, 0, 1),
+};
+
+test('the level payment is rounded up and the last payment clears the balance', () => {
+  const result = amortizationService.buildSchedule(carLoan, { now: new Date(2026, 0, 1) });
+
+  assert.strictEqual(result.payment, 860.67);
+  assert.strictEqual(result.numberOfPayments, 12);
+  assert.deepStrictEqual(result.schedule[0], {
+    period: 1, date: new Date(2026, 0, 1), payment: 860.67, interest: 50, principal: 810.67, balance: 9189.33,
+  });
+  assert.strictEqual(result.schedule[11].payment, 860.59);
+  assert.strictEqual(result.schedule[11].balance, 0);
+  assert.strictEqual(result.paidOff, true);
+  assert.strictEqual(result.totalInterest, 327.96);
+  assert.strictEqual(result.totalPaid, 10327.96);
+});
+
+test('extra monthly payments shorten the schedule and save interest', () => {
+  const impact = amortizationService.getExtraPaymentImpact(carLoan, 1000, new Date(2026, 0, 1));
+
+  assert.strictEqual(impact.numberOfPayments, 6);
+  assert.strictEqual(impact.monthsSaved, 6);
+  assert.strictEqual(impact.interestSaved, 164.67);
+  assert.deepStrictEqual(impact.payoffDate, new Date(2026, 5, 1));
+  // The monthly amount is spread over weekly payments
+  assert.strictEqual(amortizationService.getExtraPaymentImpact({ ...carLoan, paymentFrequency: 'weekly' }, 100, new Date(2026, 0, 1)).extraPaymentPerPeriod, 23.08);
+});
+
+test('validateTerms requires a payment that covers the interest', () => {
+  assert.match(amortizationService.validateTerms({ outstandingAmount: 1000 }), /Set scheduledPayment or termMonths/);
+  assert.match(
+    amortizationService.validateTerms({ outstandingAmount: 10000, interestRate: 12, scheduledPayment: 100 }),
+    /does not cover the interest of 100 per period/
+  );
+  assert.strictEqual(amortizationService.validateTerms(carLoan), null);
+});
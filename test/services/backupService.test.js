@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Household = require('../../src/models/Household');
+const User = require('../../src/models/User');
+const cacheService = require('../../src/services/cacheService');
+const backupService = require('../../src/services/backupService');
+const { BACKUP_COLLECTIONS } = require('../../src/services/backupService');
+
+/**
+ * Check a stored record against the filters the backup service uses
+ */
+const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition === null) {
+    return record[field] == null;
+  }
+  if (condition && condition.$in) {
+    return condition.$in.map(String).includes(String(record[field]));
+  }
+  if (condition && '$ne' in condition) {
+    return record[field] != null;
+  }
+  return String(record[field]) === String(condition);
+});
+
+/**
+ * Stand in for the backed-up collections: records kept in memory per collection.
+ * Income enforces the unique createdBy/importId index.
+ */
+const mockStore = (t) => {
+  const store = Object.fromEntries(Object.keys(BACKUP_COLLECTIONS).map(name => [name, []]));
+
+  Object.entries(BACKUP_COLLECTIONS).forEach(([name, { model }]) => {
+    t.mock.method(model, 'find', (filter = {}) => {
+      const found = () => store[name].filter(record => matches(record, filter));
+      const query = {
+        select: () => query,
+        sort: () => query,
+        lean: async () => found().map(record => ({ ...record })),
+        distinct: async (field) => found().map(record => record[field]),
+      };
+      return query;
+    });
+    t.mock.method(model, 'insertMany', async (docs) => {
+      for (const doc of docs) {
+        const record = doc.toObject();
+        if (name === 'income' && typeof record.importId === 'string' && store.income.some(other =>
+          String(other.createdBy) === String(record.createdBy) && other.importId === record.importId)) {
+          const error = new Error('E11000 duplicate key error collection: income index: createdBy_1_importId_1');
+          error.code = 11000;
+          throw error;
+        }
+        store[name].push(record);
+      }
+      return docs;
+    });
+    t.mock.method(model, 'deleteMany', async (filter) => {
+      store[name] = store[name].filter(record => !matches(record, filter));
+    });
+    t.mock.method(model, 'updateMany', async (filter, update) => {
+      store[name].filter(record => matches(record, filter))
+        .forEach(record => Object.keys(update.$unset || {}).forEach(field => delete record[field]));
+    });
+    t.mock.method(model, 'bulkWrite', async (operations) => {
+      operations.forEach(({ updateOne }) => {
+        store[name].filter(record => matches(record, updateOne.filter))
+          .forEach(record => Object.assign(record, updateOne.update.$set));
+      });
+    });
+  });
+  t.mock.method(Household, 'find', async () => []);
+  t.mock.method(User, 'updateOne', async () => ({}));
+  t.mock.method(cacheService, 'invalidateUser', () => {});
+
+  return store;
+};
+
+/**
+ * Recompute the checksum of an archive edited by a test
+ */
+const reseal = (archive) => {
+  archive.checksum.value = crypto.createHash('sha256')
+    .update(JSON.stringify({ account: archive.account, collections: archive.collections }))
+    .digest('hex');
+  return archive;
+};
+
+const buildUser = () => ({ _id: new mongoose.Types.ObjectId(), baseCurrency: 'USD' });
+
+/**
+ * Stored income record (plain, as MongoDB returns it)
+ */
+const incomeRecord = (user, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  incomeSource: 'Deposit',
+  amount: 250,
+  frequency: 'one-time',
+  dateReceived: new Date('2026-09-01'),
+  currency: 'USD',
+  household: null,
+  createdBy: user._id,
+  ...fields,
+});
+
+test('replace restores imported income although the replaced records hold its importId', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  store.income.push(incomeRecord(user, { importId: 'acct:FIT1' }), incomeRecord(user, { incomeSource: 'Salary' }));
+  const archive = await backupService.createBackup(user);
+
+  const result = await backupService.restore(archive, { user, mode: 'replace' });
+
+  assert.deepStrictEqual(result.collections.income, { restored: 2, skipped: 0, removed: 2 });
+  assert.strictEqual(store.income.length, 2);
+  assert.deepStrictEqual(store.income.map(income => income.importId), ['acct:FIT1', undefined]);
+  assert.ok(store.income.every(income => !archive.collections.income.some(record => record._id === String(income._id))));
+});
+
+test('a failed replace gives the replaced records their importId back', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  store.income.push(incomeRecord(user, { importId: 'acct:FIT1' }));
+  const archive = await backupService.createBackup(user);
+  t.mock.method(BACKUP_COLLECTIONS.expenses.model, 'insertMany', async () => {
+    throw new Error('write failed');
+  });
+  archive.collections.expenses = [{
+    _id: new mongoose.Types.ObjectId().toString(), amount: 12, category: 'dining', date: '2026-09-02', frequency: 'one-time',
+  }];
+  reseal(archive);
+
+  await assert.rejects(backupService.restore(archive, { user, mode: 'replace' }), /write failed/);
+
+  assert.strictEqual(store.income.length, 1);
+  assert.strictEqual(store.income[0].importId, 'acct:FIT1');
+});
+
+test('merge skips income whose deposit the account imported again', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  store.income.push(incomeRecord(user, { importId: 'acct:FIT1' }));
+  const archive = await backupService.createBackup(user);
+  store.income = [incomeRecord(user, { importId: 'acct:FIT1' })];
+
+  const result = await backupService.restore(archive, { user, mode: 'merge' });
+
+  assert.deepStrictEqual(result.collections.income, { restored: 0, skipped: 1, removed: 0 });
+  assert.strictEqual(store.income.length, 1);
+});
+
+/**
+ * Stored asset, credit card, statement and goal linked to each other
+ */
+const linkedRecords = (user) => {
+  const asset = {
+    _id: new mongoose.Types.ObjectId(), assetsName: 'Savings', assetsType: 'savings', currentValue: 5000,
+    currency: 'USD', household: null, createdBy: user._id,
+  };
+  const card = {
+    _id: new mongoose.Types.ObjectId(), bankName: 'Bank', cardName: 'Visa', creditLimit: 1000, outstandingBalance: 200,
+    interestRate: 20, dueDate: new Date('2026-10-25'), currency: 'USD', household: null, createdBy: user._id,
+  };
+  const statement = {
+    _id: new mongoose.Types.ObjectId(), card: card._id, statementDate: new Date('2026-09-30'), statementBalance: 200,
+    minimumPayment: 25, dueDate: new Date('2026-10-25'), createdBy: user._id,
+  };
+  const goal = {
+    _id: new mongoose.Types.ObjectId(), name: 'Emergency fund', targetAmount: 10000, targetDate: new Date('2027-12-31'),
+    linkedAssets: [asset._id], household: null, createdBy: user._id,
+  };
+  return { asset, card, statement, goal };
+};
+
+test('restored records get new IDs and their references follow them', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  const { asset, card, statement, goal } = linkedRecords(user);
+  store.assets.push(asset);
+  store.creditCards.push(card);
+  store.creditCardStatements.push(statement);
+  store.goals.push(goal);
+  const archive = await backupService.createBackup(user);
+  const target = buildUser();
+
+  const result = await backupService.restore(archive, { user: target, mode: 'merge' });
+
+  assert.deepStrictEqual(result.collections.creditCardStatements, { restored: 1, skipped: 0, removed: 0 });
+  const [restoredCard] = store.creditCards.filter(record => String(record.createdBy) === String(target._id));
+  const [restoredAsset] = store.assets.filter(record => String(record.createdBy) === String(target._id));
+  const [restoredStatement] = store.creditCardStatements.filter(record => String(record.createdBy) === String(target._id));
+  const [restoredGoal] = store.goals.filter(record => String(record.createdBy) === String(target._id));
+  assert.notStrictEqual(String(restoredCard._id), String(card._id));
+  assert.strictEqual(String(restoredStatement.card), String(restoredCard._id));
+  assert.deepStrictEqual(restoredGoal.linkedAssets.map(String), [String(restoredAsset._id)]);
+});
+
+test('merge skips records the account already has', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  const { asset, goal } = linkedRecords(user);
+  store.assets.push(asset);
+  store.goals.push(goal);
+  const archive = await backupService.createBackup(user);
+  store.goals = [];
+
+  const result = await backupService.restore(archive, { user, mode: 'merge' });
+
+  assert.deepStrictEqual(result.collections.assets, { restored: 0, skipped: 1, removed: 0 });
+  assert.deepStrictEqual(result.collections.goals, { restored: 1, skipped: 0, removed: 0 });
+  assert.strictEqual(store.assets.length, 1);
+  // The restored goal links the asset that was kept
+  assert.deepStrictEqual(store.goals[0].linkedAssets.map(String), [String(asset._id)]);
+});
+
+test('archives with another schema version or a wrong checksum are rejected', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  store.income.push(incomeRecord(user));
+  const archive = await backupService.createBackup(user);
+
+  const edited = structuredClone(archive);
+  edited.collections.income[0].amount = 1000000;
+  const newer = { ...structuredClone(archive), schemaVersion: archive.schemaVersion + 1 };
+
+  assert.match((await backupService.restore(edited, { user, mode: 'merge' })).errors[0], /checksum does not match/);
+  assert.match((await backupService.restore(newer, { user, mode: 'merge' })).errors[0], /schema version/);
+  assert.strictEqual(store.income.length, 1);
+});
+
+test('a failed insert removes the records already restored', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  const { asset, card, statement } = linkedRecords(user);
+  store.income.push(incomeRecord(user));
+  store.assets.push(asset);
+  store.creditCards.push(card);
+  store.creditCardStatements.push(statement);
+  const archive = await backupService.createBackup(user);
+  t.mock.method(BACKUP_COLLECTIONS.creditCardStatements.model, 'insertMany', async () => {
+    throw new Error('write failed');
+  });
+  const target = buildUser();
+
+  await assert.rejects(backupService.restore(archive, { user: target, mode: 'merge' }), /write failed/);
+
+  const restored = Object.values(store).flat().filter(record => String(record.createdBy) === String(target._id));
+  assert.deepStrictEqual(restored, []);
+  assert.strictEqual(store.income.length + store.assets.length + store.creditCards.length, 3);
+});
+
+test('records referencing a required record missing from the backup are rejected', async (t) => {
+  const store = mockStore(t);
+  const user = buildUser();
+  const { card, statement } = linkedRecords(user);
+  store.creditCards.push(card);
+  store.creditCardStatements.push(statement);
+  const archive = await backupService.createBackup(user);
+  archive.collections.creditCards = [];
+  reseal(archive);
+
+  const result = await backupService.restore(archive, { user, mode: 'replace' });
+
+  assert.deepStrictEqual(result.errors, ['creditCardStatements[0]: card references a creditCards record missing from the backup']);
+  assert.strictEqual(store.creditCards.length, 1);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const budgetService = require('../../src/services/budgetService');
+
+const day = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+test('monthly occurrences of the 31st clamp to the month end without drifting', () => {
+  const anchor = new Date(2026, 0, 31);
+  const dates = [0, 1, 2, 3, 4].map(n => day(budgetService.occurrence(anchor, 'monthly', n)));
+
+  assert.deepStrictEqual(dates, ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+});
+
+test('quarterly and yearly occurrences clamp to the month end', () => {
+  assert.strictEqual(day(budgetService.occurrence(new Date(2025, 10, 30), 'quarterly', 1)), '2026-02-28');
+  assert.strictEqual(day(budgetService.occurrence(new Date(2024, 1, 29), 'yearly', 1)), '2025-02-28');
+  assert.strictEqual(day(budgetService.occurrence(new Date(2024, 1, 29), 'yearly', 4)), '2028-02-29');
+});
+
+test('day-based frequencies step by days', () => {
+  assert.strictEqual(day(budgetService.occurrence(new Date(2026, 0, 31), 'bi-weekly', 2)), '2026-02-28');
+});
+
+test('amountInRange counts a month-end expense once in every month', () => {
+  const expense = { amount: 100, frequency: 'monthly', date: new Date(2026, 0, 31) };
+
+  [1, 2, 3, 10].forEach(month => {
+    const { start, end } = budgetService.getPeriodBounds('monthly', new Date(2026, month, 15));
+    assert.strictEqual(budgetService.amountInRange(expense, start, end), 100, `month ${month + 1}`);
+  });
+});
+
+test('amountInRange counts an old daily expense in the current period', () => {
+  const expense = { amount: 5, frequency: 'daily', date: new Date(2016, 0, 1) };
+  const { start, end } = budgetService.getPeriodBounds('monthly', new Date(2026, 9, 15));
+
+  assert.strictEqual(budgetService.amountInRange(expense, start, end), 5 * 31);
+});
+
+test('amountInRange counts an old weekly expense in the current period', () => {
+  // 1 January 2001 was a Monday; October 2026 has four Mondays
+  const expense = { amount: 20, frequency: 'weekly', date: new Date(2001, 0, 1) };
+  const { start, end } = budgetService.getPeriodBounds('monthly', new Date(2026, 9, 15));
+
+  assert.strictEqual(budgetService.amountInRange(expense, start, end), 80);
+});
+
+test('firstOccurrenceFrom lands on the first occurrence in the range', () => {
+  const anchor = new Date(2006, 0, 31);
+  const start = new Date(2026, 9, 1);
+  const n = budgetService.firstOccurrenceFrom(anchor, 'monthly', start);
+
+  assert.strictEqual(day(budgetService.occurrence(anchor, 'monthly', n)), '2026-10-31');
+  assert.strictEqual(day(budgetService.occurrence(anchor, 'monthly', n - 1)), '2026-09-30');
+});
+
+const groceries = (overrides = {}) => ({
+  _id: 'groceries',
+  category: 'groceries',
+  limit: 500,
+  period: 'monthly',
+  rollover: 'none',
+  createdAt: new Date(2026, 0, 1),
+  ...overrides,
+});
+
+test('getStatus projects the recurring expenses still due and the one-time spending pace', () => {
+  const now = new Date(2026, 3, 16);
+  const expenses = [
+    { category: 'groceries', amount: 200, frequency: 'one-time', date: new Date(2026, 3, 2) },
+    { category: 'groceries', amount: 150, frequency: 'monthly', date: new Date(2026, 0, 20) },
+    { category: 'dining', amount: 900, frequency: 'one-time', date: new Date(2026, 3, 3) },
+  ];
+
+  const status = budgetService.getStatus(groceries(), expenses, now);
+
+  assert.strictEqual(status.spent, 200);
+  assert.strictEqual(status.remaining, 300);
+  assert.strictEqual(status.percentUsed, 40);
+  assert.strictEqual(status.percentElapsed, 50);
+  // 150 still due on the 20th plus 200 spent in half of the month
+  assert.strictEqual(status.projected, 550);
+  assert.strictEqual(status.status, 'at_risk');
+
+  expenses.push({ category: 'groceries', amount: 350, frequency: 'one-time', date: new Date(2026, 3, 10) });
+  assert.strictEqual(budgetService.getStatus(groceries(), expenses, now).status, 'exceeded');
+  assert.strictEqual(budgetService.getStatus(groceries({ limit: 2000 }), expenses, now).status, 'on_track');
+});
+
+test('rollover carries the previous period into the limit', () => {
+  const now = new Date(2026, 3, 16);
+  const underspent = [{ category: 'groceries', amount: 300, frequency: 'one-time', date: new Date(2026, 2, 5) }];
+  const overspent = [{ category: 'groceries', amount: 600, frequency: 'one-time', date: new Date(2026, 2, 5) }];
+
+  assert.strictEqual(budgetService.getStatus(groceries(), underspent, now).limit, 500);
+  assert.strictEqual(budgetService.getStatus(groceries({ rollover: 'unspent' }), underspent, now).limit, 700);
+  assert.strictEqual(budgetService.getStatus(groceries({ rollover: 'unspent' }), overspent, now).limit, 500);
+  assert.strictEqual(budgetService.getStatus(groceries({ rollover: 'full' }), overspent, now).limit, 400);
+  // The budget did not exist in March yet
+  assert.strictEqual(budgetService.getStatus(groceries({ rollover: 'full', createdAt: new Date(2026, 3, 1) }), overspent, now).rollover, 0);
+});
+
+test('getStatuses uses calendar quarters and skips inactive budgets', () => {
+  const statuses = budgetService.getStatuses([
+    groceries({ period: 'quarterly' }),
+    groceries({ _id: 'old', isActive: false }),
+  ], [], new Date(2026, 4, 20));
+
+  assert.deepStrictEqual(statuses.map(status => status.budgetId), ['groceries']);
+  assert.deepStrictEqual(statuses[0].periodStart, new Date(2026, 3, 1));
+  assert.deepStrictEqual(statuses[0].periodEnd, new Date(2026, 6, 1));
+});
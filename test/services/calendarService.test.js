@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const calendarService = require('../../src/services/calendarService');
+
+const now = new Date(2026, 2, 10, 9, 30);
+
+const bill = (overrides = {}) => ({
+  type: 'creditCard',
+  id: 'card1',
+  name: 'Visa',
+  payee: 'First Bank',
+  dueDate: new Date(2026, 2, 15),
+  frequency: 'monthly',
+  amount: 50,
+  balance: 1500,
+  currency: 'USD',
+  ...overrides,
+});
+
+test('getPayments repeats a due date monthly within the range', () => {
+  const payments = calendarService.getPayments([bill()], { from: new Date(2026, 2, 1), to: new Date(2026, 4, 31), now });
+
+  assert.deepStrictEqual(payments.map(payment => payment.date), [
+    new Date(2026, 2, 15),
+    new Date(2026, 3, 15),
+    new Date(2026, 4, 15),
+  ]);
+  assert.ok(payments.every(payment => payment.status === 'upcoming'));
+});
+
+test('getPayments lists a past due date once as overdue before the projected payments', () => {
+  const payments = calendarService.getPayments(
+    [bill({ dueDate: new Date(2026, 1, 10) })],
+    { from: new Date(2026, 2, 1), to: new Date(2026, 3, 30), now }
+  );
+
+  assert.deepStrictEqual(payments.map(payment => [payment.status, payment.date]), [
+    ['overdue', new Date(2026, 1, 10)],
+    ['due_today', new Date(2026, 2, 10)],
+    ['upcoming', new Date(2026, 3, 10)],
+  ]);
+  assert.deepStrictEqual(calendarService.summarize(payments), { count: 3, overdue: 1, totals: { USD: 150 } });
+});
+
+test('getPayments does not report overdue payments for a range in the future', () => {
+  const payments = calendarService.getPayments(
+    [bill({ dueDate: new Date(2026, 1, 10) })],
+    { from: new Date(2026, 5, 1), to: new Date(2026, 5, 30), now }
+  );
+
+  assert.deepStrictEqual(payments.map(payment => payment.status), ['upcoming']);
+});
+
+test('buildIcs gives every payment a stable UID and escapes text values', () => {
+  const payments = calendarService.getPayments(
+    [bill({ name: 'Visa; travel, rewards' })],
+    { from: now, to: new Date(2026, 2, 31), now }
+  );
+
+  const first = calendarService.buildIcs(payments, { now });
+  const second = calendarService.buildIcs(payments, { now: new Date(2026, 2, 11) });
+  const uid = (ics) => ics.match(/^UID:(.*)$/m)[1];
+
+  assert.strictEqual(uid(first), 'creditCard-card1-20260315@financial-manager');
+  assert.strictEqual(uid(second), uid(first));
+  assert.match(first, /SUMMARY:Visa\\; travel\\, rewards minimum payment/);
+  assert.match(first, /DTSTART;VALUE=DATE:20260315\r\nDTEND;VALUE=DATE:20260316\r\n/);
+  assert.ok(first.split('\r\n').every(line => Buffer.byteLength(line) <= 75), 'lines are folded at 75 octets');
+});
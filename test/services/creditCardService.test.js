@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const CreditCard = require('../../src/models/CreditCard');
+const CreditCardPayment = require('../../src/models/CreditCardPayment');
+const CreditCardStatement = require('../../src/models/CreditCardStatement');
+const creditCardService = require('../../src/services/creditCardService');
+
+/**
+ * Stand in for the credit card collection: one stored balance updated the way MongoDB would
+ */
+const mockCardStore = (t, card) => {
+  const store = { outstandingBalance: card.outstandingBalance };
+
+  t.mock.method(CreditCard, 'findOneAndUpdate', async () => {
+    const previous = { ...store };
+    store.outstandingBalance = Math.max(0, store.outstandingBalance - t.currentPayment.amount);
+    return previous;
+  });
+  t.mock.method(CreditCard, 'updateOne', async (filter, update) => {
+    store.outstandingBalance += update.$inc.outstandingBalance;
+  });
+  return store;
+};
+
+const buildCard = (outstandingBalance) => new CreditCard({
+  bankName: 'Bank',
+  cardName: 'Visa',
+  creditLimit: 1000,
+  outstandingBalance,
+  createdBy: new mongoose.Types.ObjectId(),
+});
+
+test('deleting an overpayment restores the balance it was recorded against', async (t) => {
+  const card = buildCard(100);
+  const store = mockCardStore(t, card);
+  const payment = new CreditCardPayment({ card: card._id, amount: 150 });
+  t.currentPayment = payment;
+  t.mock.method(payment, 'save', async () => payment);
+  t.mock.method(payment, 'deleteOne', async () => {});
+
+  await creditCardService.recordPayment(card, payment);
+
+  assert.strictEqual(payment.appliedAmount, 100);
+  assert.strictEqual(card.outstandingBalance, 0);
+  assert.strictEqual(store.outstandingBalance, 0);
+
+  await creditCardService.deletePayment(card, payment);
+
+  assert.strictEqual(card.outstandingBalance, 100);
+  assert.strictEqual(store.outstandingBalance, 100);
+});
+
+test('a payment below the balance is applied in full', async (t) => {
+  const card = buildCard(250.5);
+  const store = mockCardStore(t, card);
+  const payment = new CreditCardPayment({ card: card._id, amount: 50.25 });
+  t.currentPayment = payment;
+  t.mock.method(payment, 'save', async () => payment);
+  t.mock.method(payment, 'deleteOne', async () => {});
+
+  await creditCardService.recordPayment(card, payment);
+  assert.strictEqual(payment.appliedAmount, 50.25);
+  assert.strictEqual(card.outstandingBalance, 200.25);
+
+  await creditCardService.deletePayment(card, payment);
+  assert.strictEqual(card.outstandingBalance, 250.5);
+  assert.strictEqual(store.outstandingBalance, 250.5);
+});
+
+test('recordPayment puts the balance back when the payment cannot be saved', async (t) => {
+  const card = buildCard(100);
+  const store = mockCardStore(t, card);
+  const payment = new CreditCardPayment({ card: card._id, amount: 40 });
+  t.currentPayment = payment;
+  t.mock.method(payment, 'save', async () => {
+    throw new Error('write failed');
+  });
+
+  await assert.rejects(creditCardService.recordPayment(card, payment), /write failed/);
+  assert.strictEqual(store.outstandingBalance, 100);
+  assert.strictEqual(card.outstandingBalance, 100);
+});
+
+test('the minimum payment is a share of the balance plus interest, with a floor', () => {
+  const card = { interestRate: 18, minimumPaymentPercent: 1, minimumPaymentFloor: 25 };
+
+  assert.strictEqual(creditCardService.calculateMinimumPayment({ ...card, outstandingBalance: 2000 }), 50);
+  assert.strictEqual(creditCardService.calculateMinimumPayment({ ...card, outstandingBalance: 500 }), 25);
+  // Never more than the balance with interest
+  assert.strictEqual(creditCardService.calculateMinimumPayment({ ...card, outstandingBalance: 10 }), 10.15);
+});
+
+test('the last statement date is clamped to short months', () => {
+  const card = { statementDay: 31 };
+
+  assert.deepStrictEqual(creditCardService.getLastStatementDate(card, new Date(2026, 2, 15)), new Date(2026, 1, 28));
+  assert.deepStrictEqual(creditCardService.getLastStatementDate(card, new Date(2026, 2, 31, 12)), new Date(2026, 2, 31));
+  assert.deepStrictEqual(creditCardService.getLastStatementDate({ statementDay: 20 }, new Date(2026, 0, 5)), new Date(2025, 11, 20));
+});
+
+test('statements are paid in full, minimum only or missed once the due date has passed', () => {
+  const statement = {
+    statementDate: new Date(2026, 0, 5),
+    statementBalance: 800,
+    minimumPayment: 40,
+    dueDate: new Date(2026, 0, 26),
+  };
+  const afterDue = new Date(2026, 0, 27);
+  const paid = (...amounts) => amounts.map(([amount, paidAt]) => ({ amount, paidAt }));
+  const status = (payments, now = afterDue) => creditCardService.getStatementStatus(statement, payments, now).status;
+
+  assert.strictEqual(status(paid([500, new Date(2026, 0, 10)], [300, new Date(2026, 0, 26, 22)])), 'paid_in_full');
+  assert.strictEqual(status(paid([40, new Date(2026, 0, 20)])), 'minimum_only');
+  assert.strictEqual(status(paid([39, new Date(2026, 0, 20)])), 'missed');
+  // Payments before the statement or after the due date do not count
+  assert.strictEqual(status(paid([800, new Date(2026, 0, 4)], [800, new Date(2026, 0, 27)])), 'missed');
+  assert.strictEqual(status([], new Date(2026, 0, 20)), 'open');
+});
+
+test('the payment history counts statements per outcome in the card currency', () => {
+  const cardId = new mongoose.Types.ObjectId();
+  const card = {
+    _id: cardId,
+    cardName: 'Visa',
+    creditLimit: 1000,
+    outstandingBalance: 1100,
+    currency: 'EUR',
+  };
+  const statement = (month, statementBalance) => ({
+    card: cardId,
+    statementDate: new Date(2026, month, 5),
+    statementBalance,
+    minimumPayment: 40,
+    dueDate: new Date(2026, month, 26),
+  });
+  const statements = [statement(0, 500), statement(1, 700), statement(2, 900), statement(3, 1000)];
+  const payments = [
+    { card: cardId, amount: 500, paidAt: new Date(2026, 0, 20) },
+    { card: cardId, amount: 40, paidAt: new Date(2026, 1, 20) },
+    { card: new mongoose.Types.ObjectId(), amount: 900, paidAt: new Date(2026, 2, 20) },
+  ];
+
+  const history = creditCardService.getPaymentHistory(card, statements, payments, new Date(2026, 3, 10));
+
+  assert.strictEqual(history.currency, 'EUR');
+  assert.strictEqual(history.statements, 4);
+  assert.strictEqual(history.paidInFull, 1);
+  assert.strictEqual(history.minimumOnly, 1);
+  assert.strictEqual(history.missed, 1);
+  assert.strictEqual(history.latestStatement.status, 'open');
+  assert.strictEqual(history.isOverLimit, true);
+  assert.strictEqual(history.overLimitAmount, 100);
+});
+
+test('closeDueStatements closes each cycle once and rolls the due date forward', async (t) => {
+  const closedCard = buildCard(600);
+  Object.assign(closedCard, { statementDay: 5, gracePeriodDays: 21, createdAt: new Date(2025, 0, 1), dueDate: new Date(2026, 1, 26) });
+  const openCard = buildCard(400);
+  Object.assign(openCard, { statementDay: 5, gracePeriodDays: 21, createdAt: new Date(2025, 0, 1), dueDate: new Date(2026, 1, 26) });
+  const newCard = buildCard(100);
+  Object.assign(newCard, { statementDay: 5, createdAt: new Date(2026, 2, 6) });
+
+  t.mock.method(CreditCard, 'find', async () => [closedCard, openCard, newCard]);
+  t.mock.method(CreditCardStatement, 'exists', async ({ card }) => card.equals(closedCard._id));
+  const saved = [];
+  t.mock.method(CreditCardStatement.prototype, 'save', async function save() {
+    saved.push(this);
+    return this;
+  });
+  const updateOne = t.mock.method(CreditCard, 'updateOne', async () => ({}));
+
+  const result = await creditCardService.closeDueStatements(new Date(2026, 2, 10));
+
+  assert.deepStrictEqual(result, { closed: 1, failed: 0 });
+  assert.strictEqual(saved.length, 1);
+  assert.ok(saved[0].card.equals(openCard._id));
+  assert.deepStrictEqual(saved[0].statementDate, new Date(2026, 2, 5));
+  assert.strictEqual(saved[0].statementBalance, 400);
+  assert.strictEqual(saved[0].source, 'automatic');
+  assert.deepStrictEqual(openCard.dueDate, saved[0].dueDate);
+  assert.deepStrictEqual([openCard.dueDate.getMonth(), openCard.dueDate.getDate()], [2, 26]);
+  assert.strictEqual(updateOne.mock.callCount(), 1);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExchangeRate = require('../../src/models/ExchangeRate');
+const currencyService = require('../../src/services/currencyService');
+const dataAggregationService = require('../../src/services/dataAggregationService');
+
+const rates = [{ from: 'EUR', to: 'USD', rate: 1.1, effectiveDate: new Date('2026-01-01') }];
+
+test('convertFinancialData converts expense amounts and keeps the original', () => {
+  const converter = currencyService.createConverter('USD', rates);
+  const expenses = [
+    { _id: 'rent', amount: 1000, currency: 'EUR' },
+    { _id: 'coffee', amount: 50, currency: 'USD' },
+    { _id: 'ski-pass', amount: 300, currency: 'CHF' },
+  ];
+
+  const converted = currencyService.convertFinancialData({ expenses }, converter);
+
+  assert.deepStrictEqual(converted.expenses.map(expense => expense.amount), [1100, 50]);
+  assert.deepStrictEqual(converted.expenses[0].original, { currency: 'EUR', amount: 1000 });
+  assert.deepStrictEqual(converted.currencyConversion.missingRates, ['CHF']);
+});
+
+test('monthly expenses total mixed-currency expenses in the base currency', () => {
+  const converter = currencyService.createConverter('USD', rates);
+  const expenses = [
+    { amount: 1000, currency: 'EUR', frequency: 'monthly', category: 'housing', date: new Date('2026-01-01') },
+    { amount: 400, currency: 'USD', frequency: 'monthly', category: 'groceries', date: new Date('2026-01-01') },
+  ];
+
+  const converted = currencyService.convertFinancialData({ expenses }, converter);
+
+  assert.strictEqual(dataAggregationService.calculateMonthlyExpenses(converted.expenses), 1500);
+});
+
+test('getRate uses the latest rate in effect, inverse rates and one pivot currency', () => {
+  const converter = currencyService.createConverter('USD', [
+    { from: 'EUR', to: 'USD', rate: 1.1, effectiveDate: new Date('2026-01-01') },
+    { from: 'EUR', to: 'USD', rate: 1.2, effectiveDate: new Date('2026-06-01') },
+    { from: 'GBP', to: 'EUR', rate: 1.25, effectiveDate: new Date('2026-01-01') },
+  ]);
+
+  assert.strictEqual(converter.getRate('EUR', 'USD', new Date('2026-03-01')), 1.1);
+  assert.strictEqual(converter.getRate('EUR', 'USD', new Date('2026-07-01')), 1.2);
+  assert.strictEqual(converter.getRate('USD', 'EUR', new Date('2026-07-01')), 1 / 1.2);
+  assert.strictEqual(converter.getRate('GBP', 'USD', new Date('2026-03-01')), 1.25 * 1.1);
+  assert.strictEqual(converter.getRate('EUR', 'USD', new Date('2025-12-31')), null);
+  assert.strictEqual(converter.convert(100, 'GBP', new Date('2026-03-01')), 137.5);
+  assert.strictEqual(converter.convert(100, undefined, new Date('2026-03-01')), 100);
+});
+
+test('importRates stores nothing when a row is invalid', async (t) => {
+  const insertMany = t.mock.method(ExchangeRate, 'insertMany', async (docs) => docs);
+  const rows = currencyService.parseRatesCsv('from,to,rate,effectiveDate\neur,usd,1.1,2026-01-01\nUSD,USD,1,\nGBP,XX,-2,not a date\n');
+
+  const result = await currencyService.importRates('user1', rows);
+
+  assert.deepStrictEqual(result.errors, [
+    'Row 2: from and to currencies must differ',
+    'Row 3: from and to must be three-letter currency codes; rate must be a positive number; effectiveDate must be a valid date',
+  ]);
+  assert.strictEqual(insertMany.mock.callCount(), 0);
+
+  const { rates } = await currencyService.importRates('user1', rows.slice(0, 1));
+  assert.deepStrictEqual(rates, [
+    { from: 'EUR', to: 'USD', rate: 1.1, effectiveDate: new Date('2026-01-01'), source: 'import', createdBy: 'user1' },
+  ]);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const dataAggregationService = require('../../src/services/dataAggregationService');
+const currencyService = require('../../src/services/currencyService');
+
+const now = new Date('2026-03-15T12:00:00Z');
+
+test('calculateMonthlyExpenses counts recurring expenses at their monthly equivalent', () => {
+  const expenses = [
+    { amount: 1200, frequency: 'monthly', date: new Date('2025-01-01') },
+    { amount: 300, frequency: 'quarterly', date: new Date('2025-01-01') },
+    { amount: 2400, frequency: 'yearly', date: new Date('2025-01-01') },
+  ];
+
+  assert.strictEqual(dataAggregationService.calculateMonthlyExpenses(expenses, now), 1200 + 100 + 200);
+});
+
+test('calculateMonthlyExpenses averages recent one-time expenses over three months', () => {
+  const expenses = [
+    { amount: 300, frequency: 'one-time', date: new Date('2026-03-01') },
+    { amount: 600, date: new Date('2026-01-20') },
+    // Older than three months, or in the future
+    { amount: 900, frequency: 'one-time', date: new Date('2025-11-01') },
+    { amount: 900, frequency: 'one-time', date: new Date('2026-04-01') },
+  ];
+
+  assert.strictEqual(dataAggregationService.calculateMonthlyExpenses(expenses, now), 300);
+});
+
+test('categorizeExpenses reports the monthly amount and share of each category', () => {
+  const expenses = [
+    { category: 'housing', amount: 1500, frequency: 'monthly' },
+    { category: 'groceries', amount: 100, frequency: 'weekly' },
+    { amount: 67, frequency: 'monthly' },
+  ];
+  const monthlyExpenses = dataAggregationService.calculateMonthlyExpenses(expenses);
+
+  const breakdown = dataAggregationService.categorizeExpenses(expenses, monthlyExpenses);
+
+  assert.deepStrictEqual(Object.keys(breakdown), ['housing', 'groceries', 'other']);
+  assert.strictEqual(breakdown.housing.monthlyAmount, 1500);
+  assert.strictEqual(breakdown.groceries.monthlyAmount, 433);
+  assert.strictEqual(breakdown.housing.percentage, 75);
+  assert.strictEqual(breakdown.other.count, 1);
+});
+
+test('savings and the savings rate come from real spending', () => {
+  const metrics = dataAggregationService.calculateFinancialMetrics({
+    assets: [],
+    income: [{ incomeSource: 'Salary', amount: 5000, frequency: 'monthly' }],
+    expenses: [{ category: 'housing', amount: 2000, frequency: 'monthly' }],
+    liabilities: [],
+    creditCards: [],
+  });
+
+  assert.strictEqual(metrics.monthlyExpenses, 2000);
+  assert.strictEqual(metrics.monthlySavings, 3000);
+  assert.strictEqual(metrics.savingsRate, 60);
+  assert.strictEqual(metrics.expenseBreakdown.housing.percentage, 100);
+});
+
+test('getUserFinancialData only reads the records of the user', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  const filters = {};
+  Object.entries(dataAggregationService.models).forEach(([name, model]) => {
+    t.mock.method(model, 'find', (filter) => {
+      filters[name] = filter;
+      const records = name === 'Expense' ? [{ category: 'dining', amount: 90, frequency: 'monthly', currency: 'USD' }] : [];
+      return { lean: async () => records };
+    });
+  });
+  t.mock.method(currencyService, 'getConverter', async () => currencyService.createConverter('USD', []));
+
+  const result = await dataAggregationService.getUserFinancialData(userId);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(filters.Expense, { createdBy: userId });
+  assert.deepStrictEqual(filters.Income, { createdBy: userId });
+  assert.deepStrictEqual(filters.Budget, { createdBy: userId, isActive: true });
+  assert.strictEqual(result.data.monthlyExpenses, 90);
+});
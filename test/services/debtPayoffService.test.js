@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const debtPayoffService = require('../../src/services/debtPayoffService');
+
+const now = new Date(2026, 0, 15);
+
+const debt = (debtId, balance, interestRate, minimumPayment) => ({
+  debtId,
+  debtType: 'liability',
+  name: `Debt ${debtId}`,
+  balance,
+  interestRate,
+  minimumPayment,
+});
+
+const debts = [
+  debt('car', 8000, 6, 200),
+  debt('card', 3000, 22, 90),
+  debt('store', 600, 15, 30),
+];
+
+test('orderDebts sorts by rate for avalanche and by balance for snowball', () => {
+  const ids = (strategy, order) => debtPayoffService.orderDebts(debts, strategy, order).map(entry => entry.debtId);
+
+  assert.deepStrictEqual(ids('avalanche'), ['card', 'store', 'car']);
+  assert.deepStrictEqual(ids('snowball'), ['store', 'card', 'car']);
+  // Listed debts first, the rest in avalanche order
+  assert.deepStrictEqual(ids('custom', ['car']), ['car', 'card', 'store']);
+});
+
+test('validatePlanRequest rejects budgets below the minimum payments and unknown debts', () => {
+  const validate = (options) => debtPayoffService.validatePlanRequest(debts, { strategy: 'avalanche', monthlyBudget: 500, ...options });
+
+  assert.strictEqual(validate({}), null);
+  assert.strictEqual(validate({ monthlyBudget: 300 }), 'monthlyBudget of 300 does not cover the minimum payments of 320');
+  assert.strictEqual(validate({ monthlyBudget: -1 }), 'monthlyBudget must be a positive number');
+  assert.strictEqual(validate({ strategy: 'fastest' }), 'strategy must be one of: avalanche, snowball, custom');
+  assert.strictEqual(validate({ strategy: 'custom', order: [] }), 'order must list debt IDs for the custom strategy');
+  assert.strictEqual(validate({ strategy: 'custom', order: ['boat'] }), 'Debt boat not found');
+});
+
+test('simulate rolls the payment of a paid-off debt over to the next one', () => {
+  const plan = debtPayoffService.simulate([debt('b', 500, 0, 50), debt('a', 1000, 0, 100)], 300, now);
+
+  assert.strictEqual(plan.months, 5);
+  assert.strictEqual(plan.paidOff, true);
+  assert.strictEqual(plan.totalInterest, 0);
+  assert.strictEqual(plan.totalPaid, 1500);
+  assert.deepStrictEqual(plan.debts.map(entry => [entry.debtId, entry.payoffMonth]), [['b', 3], ['a', 5]]);
+  assert.deepStrictEqual(plan.schedule[0].payments.map(entry => entry.payment), [200, 100]);
+  assert.deepStrictEqual(plan.schedule[3].payments.map(entry => entry.payment), [300]);
+  // Plans start the month after the reference date
+  assert.deepStrictEqual(plan.debtFreeDate, new Date(2026, 5, 1));
+});
+
+test('simulate accrues monthly interest before payments', () => {
+  const plan = debtPayoffService.simulate([debt('card', 1200, 12, 100)], 100, now);
+
+  assert.strictEqual(plan.schedule[0].totalInterest, 12);
+  assert.strictEqual(plan.schedule[0].remainingBalance, 1112);
+  assert.strictEqual(plan.totalPaid, Math.round((1200 + plan.totalInterest) * 100) / 100);
+});
+
+test('createPlan compares strategies and avalanche never pays more interest', () => {
+  const plan = debtPayoffService.createPlan(debts, { monthlyBudget: 600, strategy: 'snowball', currency: 'EUR', now });
+  const [avalanche, snowball] = plan.comparison;
+
+  assert.strictEqual(plan.currency, 'EUR');
+  assert.strictEqual(plan.minimumPayments, 320);
+  assert.strictEqual(plan.totalDebt, 11600);
+  assert.deepStrictEqual(plan.comparison.map(entry => entry.strategy), ['avalanche', 'snowball']);
+  assert.strictEqual(snowball.totalInterest, plan.totalInterest);
+  assert.strictEqual(snowball.interestDifference, 0);
+  assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+  assert.ok(avalanche.interestDifference <= 0);
+});
+
+test('createPlan is deterministic', () => {
+  const first = debtPayoffService.createPlan(debts, { monthlyBudget: 600, now });
+  const second = debtPayoffService.createPlan(debts, { monthlyBudget: 600, now });
+
+  assert.deepStrictEqual(first, second);
+});
+
+test('a budget that only covers interest is reported as not paid off', () => {
+  const plan = debtPayoffService.simulate([debt('loan', 10000, 12, 100)], 100, now);
+
+  assert.strictEqual(plan.paidOff, false);
+  assert.strictEqual(plan.debtFreeDate, null);
+  assert.strictEqual(plan.months, 600);
+});
+
+test('liabilities without loan terms pay 1% of the balance plus interest', () => {
+  assert.strictEqual(debtPayoffService.liabilityMinimumPayment({ outstandingAmount: 5000, interestRate: 12 }), 100);
+});
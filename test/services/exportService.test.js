@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Income = require('../../src/models/Income');
+const CreditCard = require('../../src/models/CreditCard');
+const exportService = require('../../src/services/exportService');
+
+test('parseResources defaults to every resource and the summary', () => {
+  assert.deepStrictEqual(exportService.parseResources(undefined).resources, [
+    'income', 'expenses', 'budgets', 'goals', 'assets', 'liabilities', 'creditCards', 'summary',
+  ]);
+  assert.deepStrictEqual(exportService.parseResources('income, summary,income').resources, ['income', 'summary']);
+  assert.match(exportService.parseResources('income,passwords').error, /comma-separated list/);
+});
+
+test('getScopes asks for read access to every exported resource', () => {
+  assert.deepStrictEqual(exportService.getScopes(['income', 'summary']), [
+    'income:read', 'recommendations:read', 'summary:read',
+  ]);
+});
+
+test('getColumns lists schema fields and virtuals but no internal fields', () => {
+  const columns = exportService.getColumns('creditCards');
+
+  assert.strictEqual(columns[0], '_id');
+  assert.ok(columns.includes('outstandingBalance'));
+  assert.ok(columns.includes('availableCredit'));
+  assert.ok(!columns.includes('__v'));
+  assert.ok(!columns.includes('id'));
+});
+
+test('toRow writes IDs as text and numeric virtuals as numbers', () => {
+  const card = new CreditCard({
+    cardName: 'Visa',
+    bankName: 'First Bank',
+    creditLimit: 5000,
+    outstandingBalance: 1250,
+    interestRate: 19.9,
+    dueDate: new Date('2026-03-15'),
+    createdBy: new mongoose.Types.ObjectId(),
+  });
+  const columns = exportService.getColumns('creditCards');
+
+  const row = exportService.toRow('creditCards', card.toJSON(), columns);
+  const value = (column) => row[columns.indexOf(column)];
+
+  assert.strictEqual(value('_id'), card._id.toString());
+  assert.strictEqual(value('createdBy'), card.createdBy.toString());
+  assert.strictEqual(value('availableCredit'), 3750);
+  assert.strictEqual(value('utilizationRate'), 25);
+});
+
+test('getCursor filters the resource date field by the range', (t) => {
+  const calls = {};
+  t.mock.method(Income, 'find', (query) => {
+    calls.query = query;
+    return {
+      sort: (sort) => {
+        calls.sort = sort;
+        return { cursor: () => 'cursor' };
+      },
+    };
+  });
+  const userId = new mongoose.Types.ObjectId();
+  const from = new Date('2026-01-01');
+  const to = new Date('2026-01-31T23:59:59.999Z');
+
+  assert.strictEqual(exportService.getCursor('income', { createdBy: userId }, { from, to }), 'cursor');
+  assert.deepStrictEqual(calls.query, { createdBy: userId, dateReceived: { $gte: from, $lte: to } });
+  assert.deepStrictEqual(calls.sort, { dateReceived: 1, _id: 1 });
+});
+
+test('getSummaryTable flattens the summary into section, item, metric and value rows', () => {
+  const summary = {
+    generatedAt: new Date('2026-03-01'),
+    baseCurrency: 'USD',
+    summary: { netWorth: 12345.678, savingsRate: 20 },
+    breakdowns: { assets: { savings: { total: 5000, count: 2 } }, income: {}, expenses: {}, liabilities: {} },
+    goals: [{ name: 'Holiday', percentComplete: 40 }],
+    netWorthHistory: { points: [{ period: new Date('2026-02-01'), netWorth: 12000 }] },
+  };
+
+  const { columns, rows } = exportService.getSummaryTable(summary);
+
+  assert.deepStrictEqual(columns, ['section', 'item', 'metric', 'value']);
+  assert.deepStrictEqual(rows, [
+    ['summary', '', 'baseCurrency', 'USD'],
+    ['summary', '', 'generatedAt', summary.generatedAt],
+    ['summary', '', 'netWorth', 12345.68],
+    ['summary', '', 'savingsRate', 20],
+    ['assets', 'savings', 'total', 5000],
+    ['assets', 'savings', 'count', 2],
+    ['goals', 'Holiday', 'percentComplete', 40],
+    ['netWorthHistory', '2026-02-01', 'netWorth', 12000],
+  ]);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const forecastService = require('../../src/services/forecastService');
+
+const now = new Date(2026, 0, 15);
+
+test('occurrencesInRange projects recurring records from an old anchor', () => {
+  const dates = forecastService.occurrencesInRange(new Date(2024, 0, 5), 'bi-weekly', new Date(2026, 0, 1), new Date(2026, 1, 1));
+
+  assert.deepStrictEqual(dates, [new Date(2026, 0, 2), new Date(2026, 0, 16), new Date(2026, 0, 30)]);
+});
+
+test('occurrencesInRange keeps month ends and one-time dates in range only', () => {
+  assert.deepStrictEqual(
+    forecastService.occurrencesInRange(new Date(2025, 9, 31), 'monthly', new Date(2026, 0, 1), new Date(2026, 3, 1)),
+    [new Date(2026, 0, 31), new Date(2026, 1, 28), new Date(2026, 2, 31)]
+  );
+  assert.deepStrictEqual(forecastService.occurrencesInRange(new Date(2026, 1, 10), 'one-time', now, new Date(2026, 3, 1)), [new Date(2026, 1, 10)]);
+  assert.deepStrictEqual(forecastService.occurrencesInRange(new Date(2026, 0, 10), 'one-time', now, new Date(2026, 3, 1)), []);
+  assert.deepStrictEqual(forecastService.occurrencesInRange('not a date', 'monthly', now, new Date(2026, 3, 1)), []);
+});
+
+test('buildForecast runs the balance of liquid assets through monthly cash flow', () => {
+  const forecast = forecastService.buildForecast({
+    income: [{ _id: 'salary', incomeSource: 'Salary', amount: 3000, frequency: 'monthly', dateReceived: new Date(2025, 11, 1) }],
+    expenses: [{ _id: 'rent', category: 'housing', amount: 1500, frequency: 'monthly', date: new Date(2025, 11, 20) }],
+    assets: [
+      { assetsType: 'savings', currentValue: 1000 },
+      { assetsType: 'property', currentValue: 250000 },
+    ],
+  }, { months: 3, now });
+
+  assert.strictEqual(forecast.openingBalance, 1000);
+  assert.deepStrictEqual(forecast.forecast.map(month => month.period), ['2026-01', '2026-02', '2026-03']);
+  // January starts on the 15th, after the salary of the 1st
+  assert.deepStrictEqual(forecast.forecast.map(month => month.inflows), [0, 3000, 3000]);
+  assert.deepStrictEqual(forecast.forecast.map(month => month.outflows.expenses), [1500, 1500, 1500]);
+  assert.deepStrictEqual(forecast.forecast.map(month => month.closingBalance), [-500, 1000, 2500]);
+  assert.deepStrictEqual(forecast.summary.negativeMonths, ['2026-01']);
+  assert.strictEqual(forecast.summary.firstNegativeMonth, '2026-01');
+  assert.strictEqual(forecast.summary.lowestBalance, -500);
+  assert.deepStrictEqual(forecast.forecast[1].items, [
+    { type: 'income', id: 'salary', name: 'Salary', occurrences: 1, amount: 3000 },
+    { type: 'expense', id: 'rent', name: 'housing', occurrences: 1, amount: 1500 },
+  ]);
+});
+
+test('card minimum payments stop once the balance is paid off', () => {
+  const entries = forecastService.projectCreditCards([{
+    _id: 'card',
+    cardName: 'Visa',
+    outstandingBalance: 60,
+    interestRate: 0,
+    minimumPaymentPercent: 1,
+    minimumPaymentFloor: 25,
+    dueDate: new Date(2026, 0, 20),
+  }], now, new Date(2026, 6, 1));
+
+  assert.deepStrictEqual(entries.map(entry => [entry.date, entry.amount]), [
+    [new Date(2026, 0, 20), 25],
+    [new Date(2026, 1, 20), 25],
+    [new Date(2026, 2, 20), 10],
+  ]);
+});
+
+test('a starting balance overrides the liquid assets', () => {
+  const forecast = forecastService.buildForecast({ assets: [{ assetsType: 'savings', currentValue: 1000 }] }, { months: 1, startingBalance: 50, now });
+
+  assert.strictEqual(forecast.openingBalance, 50);
+  assert.strictEqual(forecast.summary.closingBalance, 50);
+  assert.strictEqual(forecast.summary.firstNegativeMonth, null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const goalService = require('../../src/services/goalService');
+
+const now = new Date(2026, 0, 15);
+
+const asset = (id, currentValue, interestRate = 0) => ({ _id: id, assetsName: `Asset ${id}`, currentValue, interestRate });
+
+const goal = (overrides = {}) => ({
+  _id: 'goal1',
+  name: 'Emergency fund',
+  goalType: 'emergency_fund',
+  targetAmount: 12000,
+  targetDate: new Date(2027, 0, 15),
+  linkedAssets: ['a1'],
+  monthlyContribution: 500,
+  ...overrides,
+});
+
+test('monthsUntil counts whole months and never goes below zero', () => {
+  assert.strictEqual(goalService.monthsUntil(now, new Date(2027, 0, 15)), 12);
+  assert.strictEqual(goalService.monthsUntil(now, new Date(2027, 0, 14)), 11);
+  assert.strictEqual(goalService.monthsUntil(now, new Date(2025, 0, 1)), 0);
+});
+
+test('getProgress only counts the linked assets', () => {
+  const progress = goalService.getProgress(goal(), [asset('a1', 6000), asset('a2', 50000)], now);
+
+  assert.strictEqual(progress.currentAmount, 6000);
+  assert.strictEqual(progress.remainingAmount, 6000);
+  assert.strictEqual(progress.percentComplete, 50);
+  assert.deepStrictEqual(progress.linkedAssets.map(linked => linked._id), ['a1']);
+});
+
+test('without interest the required contribution spreads the shortfall evenly', () => {
+  const progress = goalService.getProgress(goal(), [asset('a1', 6000)], now);
+
+  assert.strictEqual(progress.monthsRemaining, 12);
+  assert.strictEqual(progress.requiredMonthlyContribution, 500);
+  assert.strictEqual(progress.projectedAmount, 12000);
+  assert.strictEqual(progress.status, 'on_track');
+  assert.strictEqual(progress.onTrack, true);
+});
+
+test('interest on the linked assets lowers the required contribution', () => {
+  const progress = goalService.getProgress(goal(), [asset('a1', 0, 12)], now);
+
+  // 12000 / ((1.01^12 - 1) / 0.01)
+  assert.strictEqual(progress.requiredMonthlyContribution, 946.19);
+  assert.strictEqual(progress.expectedAnnualReturn, 12);
+});
+
+test('getProgress reports goals that are behind, overdue or achieved', () => {
+  const status = (overrides, value) => goalService.getProgress(goal(overrides), [asset('a1', value)], now).status;
+
+  assert.strictEqual(status({ monthlyContribution: 400 }, 6000), 'behind');
+  assert.strictEqual(status({ targetDate: new Date(2026, 0, 1) }, 6000), 'overdue');
+  assert.strictEqual(status({ targetDate: new Date(2026, 0, 1) }, 12500), 'achieved');
+});
+
+test('getProgressForGoals skips inactive goals', () => {
+  const progress = goalService.getProgressForGoals([goal(), goal({ _id: 'goal2', isActive: false })], [asset('a1', 6000)], now);
+
+  assert.deepStrictEqual(progress.map(entry => entry.goalId), ['goal1']);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Income = require('../../src/models/Income');
+const importService = require('../../src/services/importService');
+
+const CSV = [
+  'incomeSource,amount,frequency,dateReceived',
+  'Salary,5000,monthly,2026-09-30',
+  'Bonus,1000,one-time,2026-09-15',
+].join('\n');
+
+/**
+ * Stand in for Income.find: returns the stored records and remembers the filter
+ */
+const mockIncomeFind = (t, records) => {
+  const calls = [];
+  t.mock.method(Income, 'find', (filter) => {
+    calls.push(filter);
+    return { select: () => ({ lean: async () => records }) };
+  });
+  return calls;
+};
+
+test('household imports look for duplicates among the household records', async (t) => {
+  const household = new mongoose.Types.ObjectId();
+  const ownership = { createdBy: new mongoose.Types.ObjectId(), household };
+  const calls = mockIncomeFind(t, [{ incomeSource: 'Salary', amount: 5000, dateReceived: new Date('2026-09-30') }]);
+
+  const result = await importService.importCsv(importService.getResource('income'), CSV, {
+    ownership, currency: 'USD', dryRun: true,
+  });
+
+  assert.deepStrictEqual(calls, [{ household }]);
+  assert.deepStrictEqual(result.rows.map(row => row.status), ['duplicate', 'valid']);
+});
+
+test('personal imports look for duplicates among the personal records', async (t) => {
+  const ownership = { createdBy: new mongoose.Types.ObjectId(), household: null };
+  const calls = mockIncomeFind(t, []);
+
+  const result = await importService.importCsv(importService.getResource('income'), CSV, {
+    ownership, currency: 'USD', dryRun: true,
+  });
+
+  assert.deepStrictEqual(calls, [{ createdBy: ownership.createdBy, household: null }]);
+  assert.strictEqual(result.summary.valid, 2);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Notification = require('../../src/models/Notification');
+const notificationService = require('../../src/services/notificationService');
+
+const { MAX_ATTEMPTS } = notificationService;
+const MINUTE = 60 * 1000;
+
+/**
+ * Serve Notification.find from an in-memory outbox and make save() a no-op
+ */
+const mockOutbox = (t, notifications) => {
+  t.mock.method(Notification, 'find', ({ status, nextAttemptAt }) => {
+    const due = notifications
+      .filter(notification => notification.status === status && notification.nextAttemptAt <= nextAttemptAt.$lte)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    return { sort: () => ({ limit: async (count) => due.slice(0, count) }) };
+  });
+  return t.mock.method(Notification.prototype, 'save', async function save() {
+    return this;
+  });
+};
+
+/**
+ * Point a channel at a test transport for the duration of a test
+ */
+const useTransport = (t, channel, send) => {
+  const original = notificationService.transports[channel];
+  notificationService.registerTransport(channel, { send });
+  t.after(() => notificationService.registerTransport(channel, original));
+};
+
+const pendingNotification = (now, overrides = {}) => new Notification({
+  type: 'due_date',
+  channel: 'webhook',
+  recipient: 'https://hooks.example.com/finance',
+  title: 'Visa payment due in 3 days',
+  message: 'The minimum payment of $50.00 for Visa is due.',
+  dedupeKey: 'due_date:creditCard:1:2026-03-15',
+  status: 'pending',
+  attempts: 0,
+  nextAttemptAt: now,
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides,
+});
+
+test('processOutbox marks delivered notifications as sent', async (t) => {
+  const now = new Date('2026-03-12T09:00:00Z');
+  const notification = pendingNotification(now);
+  mockOutbox(t, [notification]);
+  const send = t.mock.fn(async () => {});
+  useTransport(t, 'webhook', send);
+
+  const result = await notificationService.processOutbox(now);
+
+  assert.deepStrictEqual(result, { sent: 1, retrying: 0, failed: 0 });
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.strictEqual(notification.status, 'sent');
+  assert.deepStrictEqual(notification.sentAt, now);
+});
+
+test('processOutbox retries failed deliveries with exponential backoff', async (t) => {
+  let now = new Date('2026-03-12T09:00:00Z');
+  const notification = pendingNotification(now);
+  mockOutbox(t, [notification]);
+  const send = t.mock.fn(async () => {
+    throw new Error('Webhook responded with HTTP 503');
+  });
+  useTransport(t, 'webhook', send);
+
+  const delays = [];
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    assert.deepStrictEqual(await notificationService.processOutbox(now), { sent: 0, retrying: 1, failed: 0 });
+    assert.strictEqual(notification.status, 'pending');
+    assert.strictEqual(notification.attempts, attempt);
+    delays.push((notification.nextAttemptAt - now) / MINUTE);
+
+    // Not retried before the backoff has passed
+    assert.deepStrictEqual(await notificationService.processOutbox(new Date(notification.nextAttemptAt - 1)), { sent: 0, retrying: 0, failed: 0 });
+    now = notification.nextAttemptAt;
+  }
+
+  assert.deepStrictEqual(delays, [1, 2, 4, 8]);
+  assert.deepStrictEqual(await notificationService.processOutbox(now), { sent: 0, retrying: 0, failed: 1 });
+  assert.strictEqual(notification.status, 'failed');
+  assert.strictEqual(notification.attempts, MAX_ATTEMPTS);
+  assert.strictEqual(notification.lastError, 'Webhook responded with HTTP 503');
+  assert.strictEqual(send.mock.callCount(), MAX_ATTEMPTS);
+
+  // Failed notifications are not picked up again
+  assert.deepStrictEqual(await notificationService.processOutbox(new Date(now.getTime() + 60 * MINUTE)), { sent: 0, retrying: 0, failed: 0 });
+});
+
+test('a retry that succeeds clears the last error', async (t) => {
+  const now = new Date('2026-03-12T09:00:00Z');
+  const notification = pendingNotification(now);
+  mockOutbox(t, [notification]);
+  let calls = 0;
+  useTransport(t, 'webhook', async () => {
+    calls++;
+    if (calls === 1) {
+      throw new Error('connect ECONNREFUSED');
+    }
+  });
+
+  await notificationService.processOutbox(now);
+  await notificationService.processOutbox(notification.nextAttemptAt);
+
+  assert.strictEqual(notification.status, 'sent');
+  assert.strictEqual(notification.attempts, 2);
+  assert.strictEqual(notification.lastError, undefined);
+});
+
+test('overlapping outbox runs do not send a notification twice', async (t) => {
+  const now = new Date('2026-03-12T09:00:00Z');
+  const notification = pendingNotification(now);
+  mockOutbox(t, [notification]);
+  const send = t.mock.fn(() => new Promise(resolve => setTimeout(resolve, 10)));
+  useTransport(t, 'webhook', send);
+
+  const [first, second] = await Promise.all([
+    notificationService.processOutbox(now),
+    notificationService.processOutbox(now),
+  ]);
+
+  assert.deepStrictEqual(first, { sent: 1, retrying: 0, failed: 0 });
+  assert.deepStrictEqual(second, { sent: 0, retrying: 0, failed: 0 });
+  assert.strictEqual(send.mock.callCount(), 1);
+});
+
+test('enqueue writes one outbox entry per channel keyed on the dedupe key', async (t) => {
+  const updateOne = t.mock.method(Notification, 'updateOne', async () => ({ upsertedCount: 1 }));
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'alex@example.com' };
+  const rule = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'due_date',
+    channels: ['in_app', 'email'],
+  };
+  const event = { title: 'Visa payment due', message: 'Due soon', data: {}, dedupeKey: 'due_date:creditCard:1:2026-03-15' };
+
+  assert.strictEqual(await notificationService.enqueue(rule, user, event), 2);
+
+  const [inApp, email] = updateOne.mock.calls.map(call => call.arguments);
+  assert.deepStrictEqual(inApp[0], { createdBy: user._id, channel: 'in_app', dedupeKey: event.dedupeKey });
+  assert.strictEqual(email[1].$setOnInsert.recipient, 'alex@example.com');
+  assert.strictEqual(email[2].upsert, true);
+});
+
+test('level rules only notify when their condition starts to hold', () => {
+  const metrics = {
+    baseCurrency: 'USD',
+    creditUtilization: 45,
+    totalCreditCardDebt: 4500,
+    totalAvailableCredit: 5500,
+  };
+  const rule = { _id: 'rule1', type: 'credit_utilization', threshold: 30, conditionActive: false };
+
+  const first = notificationService.evaluateRule(rule, { metrics });
+  assert.strictEqual(first.conditionActive, true);
+  assert.strictEqual(first.events.length, 1);
+  assert.match(first.events[0].title, /above 30%/);
+
+  const again = notificationService.evaluateRule({ ...rule, conditionActive: true }, { metrics });
+  assert.strictEqual(again.conditionActive, true);
+  assert.strictEqual(again.events.length, 0);
+});
+
+test('due date rules report each upcoming payment with its own dedupe key', () => {
+  const now = new Date(2026, 2, 12, 9);
+  const rule = { _id: 'rule1', type: 'due_date', threshold: 7 };
+  const creditCards = [{
+    _id: 'card1',
+    cardName: 'Visa',
+    bankName: 'First Bank',
+    outstandingBalance: 1500,
+    creditLimit: 5000,
+    minimumPayment: 50,
+    dueDate: new Date(2026, 2, 15),
+    currency: 'USD',
+  }];
+
+  const { events } = notificationService.evaluateRule(rule, { metrics: { baseCurrency: 'USD' }, creditCards }, now);
+
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].title, 'Visa payment due in 3 days');
+  assert.strictEqual(events[0].dedupeKey, 'due_date:creditCard:card1:2026-03-15');
+});
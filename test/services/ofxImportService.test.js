@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Income = require('../../src/models/Income');
+const ofxImportService = require('../../src/services/ofxImportService');
+
+/**
+ * Credit card record double whose save() can be made to fail
+ */
+const mockCard = (t, { failSave = false } = {}) => {
+  const card = {
+    _id: new mongoose.Types.ObjectId(),
+    outstandingBalance: 100,
+    set: (values) => Object.assign(card, values),
+  };
+  card.save = t.mock.fn(async () => {
+    if (failSave) {
+      throw new Error('write failed');
+    }
+    return card;
+  });
+  card.deleteOne = t.mock.fn(async () => {});
+  return card;
+};
+
+const emptyIncome = () => ({ docs: [], summary: { imported: 0, alreadyImported: 0 } });
+
+const cardPlan = (record, extra) => ({
+  account: { type: 'creditCard', accountId: new mongoose.Types.ObjectId().toString() },
+  record,
+  income: emptyIncome(),
+  ...extra,
+});
+
+test('a failed import undoes the accounts already written', async (t) => {
+  const created = mockCard(t);
+  const updated = mockCard(t, { failSave: true });
+  const plans = [
+    cardPlan(created, { isNew: true }),
+    cardPlan(updated, { balanceChange: { value: 250, valuedAt: new Date('2026-10-01') } }),
+  ];
+  t.mock.method(ofxImportService, 'planAccount', async () => plans.shift());
+
+  await assert.rejects(
+    ofxImportService.importStatements(
+      [{ type: 'creditCard', accountId: '1111' }, { type: 'creditCard', accountId: '2222' }],
+      { scope: {}, ownership: { createdBy: new mongoose.Types.ObjectId() }, currency: 'USD' }
+    ),
+    /write failed/
+  );
+
+  assert.strictEqual(created.deleteOne.mock.callCount(), 1);
+});
+
+test('deposits imported meanwhile by another import are skipped', async (t) => {
+  const docs = [new Income({ amount: 10 }), new Income({ amount: 20 })];
+  t.mock.method(Income, 'insertMany', async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.writeErrors = [{ err: { code: 11000, index: 1 }, index: 1 }];
+    error.insertedDocs = [docs[0]];
+    throw error;
+  });
+  const plan = { account: { type: 'bank' }, record: mockCard(t), income: { docs, summary: { imported: 2, alreadyImported: 0 } } };
+
+  const events = await ofxImportService.applyPlan(plan, new mongoose.Types.ObjectId(), []);
+
+  assert.deepStrictEqual(events, [{ event: 'income.created', records: [docs[0]] }]);
+  assert.deepStrictEqual(plan.income.summary, { imported: 1, alreadyImported: 1 });
+});
+
+test('deposits are removed again when inserting them fails', async (t) => {
+  const docs = [new Income({ amount: 10 })];
+  t.mock.method(Income, 'insertMany', async () => {
+    throw new Error('connection lost');
+  });
+  const deleteMany = t.mock.method(Income, 'deleteMany', async () => ({ deletedCount: 0 }));
+  const plan = { account: { type: 'bank' }, record: mockCard(t), income: { docs, summary: { imported: 1, alreadyImported: 0 } } };
+
+  await assert.rejects(ofxImportService.applyPlan(plan, new mongoose.Types.ObjectId(), []), /connection lost/);
+
+  assert.deepStrictEqual(deleteMany.mock.calls[0].arguments[0], { _id: { $in: [docs[0]._id] } });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const refinanceService = require('../../src/services/refinanceService');
+
+const now = new Date(2026, 0, 15);
+
+const cardDebt = (balance, interestRate) => ({
+  debtType: 'creditCard',
+  debtId: 'card1',
+  name: 'Visa',
+  currency: 'USD',
+  balance,
+  interestRate,
+});
+
+test('parseOffer applies defaults and rejects out-of-range values', () => {
+  assert.deepStrictEqual(refinanceService.parseOffer({ type: 'balance-transfer', promoMonths: '12', postPromoApr: '19.9' }).offer, {
+    type: 'balance-transfer',
+    promoApr: 0,
+    promoMonths: 12,
+    transferFeePercent: 0,
+    transferFee: undefined,
+    postPromoApr: 19.9,
+  });
+  assert.deepStrictEqual(refinanceService.parseOffer({ type: 'refinance', interestRate: 7, termMonths: 36 }).offer, {
+    type: 'refinance',
+    interestRate: 7,
+    termMonths: 36,
+    closingCosts: 0,
+  });
+
+  const error = (offer) => refinanceService.parseOffer(offer).error;
+  assert.strictEqual(error({ type: 'loan' }), 'offer.type must be one of: balance-transfer, refinance');
+  assert.strictEqual(error({ type: 'balance-transfer', promoMonths: 12 }), 'offer.promoApr and offer.postPromoApr must be between 0 and 100');
+  assert.strictEqual(error({ type: 'balance-transfer', promoMonths: 6.5, postPromoApr: 20 }), 'offer.promoMonths must be a whole number between 0 and 60');
+  assert.strictEqual(error({ type: 'refinance', interestRate: 7, termMonths: 0 }), 'offer.termMonths must be a whole number between 1 and 600');
+  assert.strictEqual(error({ type: 'refinance', interestRate: 7, termMonths: 36, closingCosts: -1 }), 'offer.closingCosts must be a non-negative number');
+});
+
+test('a balance transfer paid off during the promo only costs its fee', () => {
+  const { offer } = refinanceService.parseOffer({ type: 'balance-transfer', promoMonths: 12, transferFeePercent: 3, postPromoApr: 24 });
+
+  const analysis = refinanceService.analyze(cardDebt(5000, 24), offer, 500, now);
+
+  assert.strictEqual(analysis.offer.transferredBalance, 5150);
+  assert.strictEqual(analysis.offer.months, 11);
+  assert.strictEqual(analysis.offer.totalInterest, 0);
+  assert.strictEqual(analysis.offer.totalCost, 150);
+  assert.strictEqual(analysis.offer.balanceAtPromoEnd, 0);
+  assert.strictEqual(analysis.savings, Math.round((analysis.current.totalInterest - 150) * 100) / 100);
+  // 100 interest in month 1, 192 by month 2 against the 150 fee
+  assert.strictEqual(analysis.breakEvenMonth, 2);
+  assert.strictEqual(analysis.recommendation.action, 'switch');
+  assert.match(analysis.recommendation.reason, /^The balance transfer saves \$[\d,.]+ in interest and fees and breaks even in month 2$/);
+});
+
+test('a refinance at a higher total cost is not recommended', () => {
+  const { offer } = refinanceService.parseOffer({ type: 'refinance', interestRate: 9, termMonths: 60, closingCosts: 500 });
+
+  const analysis = refinanceService.analyze(cardDebt(10000, 8), offer, 400, now);
+
+  assert.strictEqual(analysis.offer.fees, 500);
+  // Closing costs are paid in cash on top of the payments
+  assert.strictEqual(analysis.offer.totalPaid, Math.round((10000 + analysis.offer.totalInterest + 500) * 100) / 100);
+  assert.ok(analysis.savings < 0);
+  assert.strictEqual(analysis.breakEvenMonth, null);
+  assert.strictEqual(analysis.recommendation.action, 'stay');
+  assert.match(analysis.recommendation.reason, /^Refinancing costs \$[\d,.]+ more in interest and fees$/);
+});
+
+test('an offer is recommended when the current payment never pays the debt off', () => {
+  const { offer } = refinanceService.parseOffer({ type: 'balance-transfer', promoMonths: 12, transferFeePercent: 3, postPromoApr: 10 });
+
+  const analysis = refinanceService.analyze(cardDebt(10000, 24), offer, 200, now);
+
+  assert.strictEqual(analysis.current.paidOff, false);
+  assert.strictEqual(analysis.current.payoffDate, null);
+  assert.strictEqual(analysis.offer.paidOff, true);
+  assert.strictEqual(analysis.recommendation.action, 'switch');
+  assert.match(analysis.recommendation.reason, /^The current payment does not pay the debt off within 50 years/);
+});
+
+test('findBreakEvenMonth keeps the last cumulative cost of an option that is paid off', () => {
+  assert.strictEqual(refinanceService.findBreakEvenMonth([10, 20, 30], [25, 26]), 3);
+  assert.strictEqual(refinanceService.findBreakEvenMonth([10, 20], [25, 30, 35]), null);
+});
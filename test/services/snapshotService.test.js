@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const NetWorthSnapshot = require('../../src/models/NetWorthSnapshot');
+const dataAggregationService = require('../../src/services/dataAggregationService');
+const snapshotService = require('../../src/services/snapshotService');
+
+const snapshot = (id, takenAt, netWorth, extra = {}) => ({
+  _id: id,
+  takenAt,
+  netWorth,
+  totalAssets: netWorth,
+  totalLiabilities: 0,
+  ...extra,
+});
+
+test('buildSnapshot rounds the metrics and keeps the breakdown totals', () => {
+  const fields = snapshotService.buildSnapshot({
+    baseCurrency: 'EUR',
+    totalAssets: 10000.456,
+    netWorth: 8000.004,
+    savingsRate: 33.333,
+    assetBreakdown: { savings: { totalValue: 10000.456, assets: [{}] } },
+    expenseBreakdown: { housing: { monthlyAmount: 1200, expenses: [{}] } },
+  });
+
+  assert.strictEqual(fields.currency, 'EUR');
+  assert.strictEqual(fields.totalAssets, 10000.46);
+  assert.strictEqual(fields.netWorth, 8000);
+  assert.strictEqual(fields.savingsRate, 33.33);
+  assert.strictEqual(fields.totalLiabilities, 0);
+  assert.deepStrictEqual(fields.breakdowns, {
+    assets: { savings: 10000.46 },
+    liabilities: {},
+    income: {},
+    expenses: { housing: 1200 },
+  });
+});
+
+test('getPeriodStart finds the start of each interval', () => {
+  // Thursday
+  const date = new Date(2026, 4, 14, 15, 30);
+
+  assert.deepStrictEqual(snapshotService.getPeriodStart(date, 'day'), new Date(2026, 4, 14));
+  assert.deepStrictEqual(snapshotService.getPeriodStart(date, 'week'), new Date(2026, 4, 11));
+  assert.deepStrictEqual(snapshotService.getPeriodStart(date, 'month'), new Date(2026, 4, 1));
+  assert.deepStrictEqual(snapshotService.getPeriodStart(date, 'quarter'), new Date(2026, 3, 1));
+  assert.deepStrictEqual(snapshotService.getPeriodStart(date, 'year'), new Date(2026, 0, 1));
+});
+
+test('buildSeries keeps the latest snapshot per period with changes since the previous point', () => {
+  const points = snapshotService.buildSeries([
+    snapshot('s1', new Date(2026, 0, 5), 1000),
+    snapshot('s2', new Date(2026, 0, 28), 1200),
+    snapshot('s3', new Date(2026, 1, 10), 900),
+  ], 'month');
+
+  assert.deepStrictEqual(points.map(point => [point.period, point.snapshotId]), [
+    [new Date(2026, 0, 1), 's2'],
+    [new Date(2026, 1, 1), 's3'],
+  ]);
+  assert.strictEqual(points[0].change, null);
+  assert.strictEqual(points[1].change.netWorth, -300);
+  assert.strictEqual(points[1].changePercent.netWorth, -25);
+  // No percent change from a zero value
+  assert.strictEqual(points[1].changePercent.totalLiabilities, null);
+});
+
+test('getHistory reads the snapshots of the scope and summarizes the change', async (t) => {
+  const find = t.mock.method(NetWorthSnapshot, 'find', () => ({
+    sort: () => ({
+      lean: async () => [snapshot('s1', new Date(2026, 0, 5), -500), snapshot('s2', new Date(2026, 2, 5), 500)],
+    }),
+  }));
+  const from = new Date(2026, 0, 1);
+  const to = new Date(2026, 2, 31);
+
+  const history = await snapshotService.getHistory({ userId: 'u1' }, { from, to });
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], {
+    createdBy: 'u1',
+    household: null,
+    takenAt: { $gte: from, $lte: to },
+  });
+  assert.strictEqual(history.count, 2);
+  assert.deepStrictEqual(history.summary, { startNetWorth: -500, endNetWorth: 500, change: 1000, changePercent: 200 });
+});
+
+test('household snapshots are kept apart from personal and member snapshots', () => {
+  assert.deepStrictEqual(snapshotService.scopeFilter({ userId: 'u1', householdId: 'h1' }), { household: 'h1', member: null });
+  assert.deepStrictEqual(snapshotService.scopeFilter({ userId: 'u1', householdId: 'h1', memberId: 'u2' }), { household: 'h1', member: 'u2' });
+});
+
+test('takeSnapshot stores the current metrics of the scope', async (t) => {
+  t.mock.method(dataAggregationService, 'getFinancialDataForScope', async () => ({
+    success: true,
+    data: { baseCurrency: 'USD', totalAssets: 5000, netWorth: 4000 },
+  }));
+  const create = t.mock.method(NetWorthSnapshot, 'create', async (fields) => fields);
+
+  const saved = await snapshotService.takeSnapshot({ userId: 'u1', householdId: null }, 'scheduled');
+
+  assert.strictEqual(create.mock.callCount(), 1);
+  assert.strictEqual(saved.netWorth, 4000);
+  assert.strictEqual(saved.source, 'scheduled');
+  assert.strictEqual(saved.createdBy, 'u1');
+  assert.strictEqual(saved.household, null);
+  assert.strictEqual(saved.member, null);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const RefreshToken = require('../../src/models/RefreshToken');
+const User = require('../../src/models/User');
+const tokenService = require('../../src/services/tokenService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Stand in for the refresh token collection: tokens kept in memory and matched the way
+ * the service queries them
+ */
+const mockTokenStore = (t, user) => {
+  const tokens = [];
+  const matches = (token, filter) => Object.entries(filter).every(([key, value]) => (
+    value === null ? token[key] == null : String(token[key]) === String(value)
+  ));
+
+  t.mock.method(RefreshToken, 'create', async (doc) => {
+    const token = { _id: new mongoose.Types.ObjectId(), ...doc };
+    tokens.push(token);
+    return token;
+  });
+  t.mock.method(RefreshToken, 'findOne', async (filter) => tokens.find(token => matches(token, filter)) || null);
+  t.mock.method(RefreshToken, 'findById', async (id) => tokens.find(token => String(token._id) === String(id)) || null);
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const token = tokens.find(candidate => matches(candidate, filter));
+    const previous = token && { ...token };
+    if (token) Object.assign(token, update);
+    return previous || null;
+  });
+  t.mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    const matched = tokens.filter(token => matches(token, filter));
+    matched.forEach(token => Object.assign(token, update));
+    return { modifiedCount: matched.length };
+  });
+  t.mock.method(User, 'findById', async () => user);
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    user.tokenVersion += update.$inc.tokenVersion;
+  });
+  return tokens;
+};
+
+const buildUser = () => ({ _id: new mongoose.Types.ObjectId(), isActive: true, tokenVersion: 0 });
+
+test('replaying a logged out refresh token is rejected without revoking other sessions', async (t) => {
+  const user = buildUser();
+  const tokens = mockTokenStore(t, user);
+  const phone = await tokenService.issueTokens(user);
+  const laptop = await tokenService.issueTokens(user);
+
+  await tokenService.revokeByToken(phone.refreshToken);
+  const result = await tokenService.rotateRefreshToken(phone.refreshToken);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.code, 'REFRESH_TOKEN_REVOKED');
+  assert.strictEqual(user.tokenVersion, 0);
+  assert.strictEqual(tokens.find(token => token.tokenHash === laptop.refreshTokenHash).revokedAt, undefined);
+});
+
+test('replaying a rotated refresh token revokes every session', async (t) => {
+  const user = buildUser();
+  const tokens = mockTokenStore(t, user);
+  const phone = await tokenService.issueTokens(user);
+  const laptop = await tokenService.issueTokens(user);
+
+  const rotated = await tokenService.rotateRefreshToken(phone.refreshToken);
+  const result = await tokenService.rotateRefreshToken(phone.refreshToken);
+
+  assert.strictEqual(rotated.success, true);
+  assert.strictEqual(result.code, 'REFRESH_TOKEN_REUSED');
+  assert.strictEqual(user.tokenVersion, 1);
+  assert.strictEqual(tokens.find(token => token.tokenHash === laptop.refreshTokenHash).revokedReason, 'revoked');
+});
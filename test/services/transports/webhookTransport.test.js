@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const webhookTransport = require('../../../src/services/transports/webhookTransport');
+
+const notification = (recipient) => ({ _id: 'n1', type: 'due_date', title: 'Card due', message: 'Visa is due', recipient });
+
+test('the webhook channel does not send to private addresses', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 200 }));
+
+  await assert.rejects(webhookTransport.send(notification('http://10.0.0.5/hooks')), /not a public address/);
+
+  assert.strictEqual(fetch.mock.callCount(), 0);
+});
+
+test('the webhook channel does not follow redirects', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(null, { status: 302, headers: { Location: 'http://127.0.0.1/' } }));
+
+  await assert.rejects(webhookTransport.send(notification('https://93.184.216.34/hooks')), /HTTP 302/);
+
+  assert.strictEqual(fetch.mock.calls[0].arguments[1].redirect, 'manual');
+});
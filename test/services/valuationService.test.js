@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Assets = require('../../src/models/Assets');
+const AssetValuation = require('../../src/models/AssetValuation');
+const valuationService = require('../../src/services/valuationService');
+
+/**
+ * Keep the valuations of the tests in memory
+ */
+const mockValuations = (t, valuations = []) => {
+  t.mock.method(AssetValuation, 'exists', async ({ asset }) => valuations.some(valuation => valuation.asset.equals(asset)));
+  t.mock.method(AssetValuation, 'create', async (fields) => {
+    valuations.push(fields);
+    return fields;
+  });
+  t.mock.method(AssetValuation.prototype, 'save', async function save() {
+    valuations.push(this);
+    return this;
+  });
+  t.mock.method(AssetValuation, 'findOne', ({ asset }) => ({
+    sort: async () => valuations
+      .filter(valuation => valuation.asset.equals(asset))
+      .sort((a, b) => b.valuedAt - a.valuedAt)[0] || null,
+  }));
+  const updateOne = t.mock.method(Assets, 'updateOne', async () => ({}));
+  return { valuations, updateOne };
+};
+
+const legacyAsset = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  currentValue: 10000,
+  createdAt: new Date('2024-01-01'),
+  createdBy: new mongoose.Types.ObjectId(),
+});
+
+test('recordValuation keeps the value of an asset created before valuations were tracked', async (t) => {
+  const { valuations, updateOne } = mockValuations(t);
+  const asset = legacyAsset();
+
+  await valuationService.recordValuation(asset, { value: 12000, valuedAt: new Date('2025-01-01') });
+
+  assert.deepStrictEqual(valuations.map(valuation => [valuation.value, valuation.valuedAt]), [
+    [10000, new Date('2024-01-01')],
+    [12000, new Date('2025-01-01')],
+  ]);
+  assert.strictEqual(asset.currentValue, 12000);
+  assert.deepStrictEqual(updateOne.mock.calls[0].arguments, [{ _id: asset._id }, { currentValue: 12000 }]);
+});
+
+test('a back-dated valuation does not replace the current value', async (t) => {
+  const asset = legacyAsset();
+  const { valuations, updateOne } = mockValuations(t, [
+    { asset: asset._id, value: 10000, valuedAt: new Date('2024-01-01') },
+  ]);
+
+  await valuationService.recordValuation(asset, { value: 8000, valuedAt: new Date('2023-06-01') });
+
+  assert.strictEqual(valuations.length, 2);
+  assert.strictEqual(asset.currentValue, 10000);
+  assert.strictEqual(updateOne.mock.callCount(), 0);
+});
+
+test('getPerformance compares annualized growth with the declared interest rate', () => {
+  const performance = valuationService.getPerformance({ interestRate: 5 }, [
+    { value: 10000, valuedAt: new Date('2024-01-01T00:00:00Z') },
+    { value: 10500, valuedAt: new Date('2024-07-01T00:00:00Z') },
+    { value: 12100, valuedAt: new Date('2026-01-01T00:00:00Z') },
+  ]);
+
+  assert.strictEqual(performance.startValue, 10000);
+  assert.strictEqual(performance.currentValue, 12100);
+  assert.strictEqual(performance.gainLoss, 2100);
+  assert.strictEqual(performance.gainLossPercent, 21);
+  assert.strictEqual(performance.years, 2);
+  // 1.21 over two years is 10% a year
+  assert.ok(Math.abs(performance.annualizedGrowth - 10) < 0.05);
+  assert.ok(Math.abs(performance.expectedValue - 11025) < 5);
+  assert.ok(Math.abs(performance.annualizedVsExpected - 5) < 0.05);
+});
+
+test('getPerformance leaves out annualized growth for short series and zero start values', () => {
+  const short = valuationService.getPerformance({ interestRate: 5 }, [
+    { value: 1000, valuedAt: new Date('2026-01-01') },
+    { value: 1100, valuedAt: new Date('2026-01-20') },
+  ]);
+  const fromZero = valuationService.getPerformance({}, [
+    { value: 0, valuedAt: new Date('2024-01-01') },
+    { value: 500, valuedAt: new Date('2026-01-01') },
+  ]);
+
+  assert.strictEqual(short.annualizedGrowth, null);
+  assert.strictEqual(short.gainLoss, 100);
+  assert.strictEqual(fromZero.annualizedGrowth, null);
+  assert.strictEqual(fromZero.gainLossPercent, null);
+  assert.strictEqual(valuationService.getPerformance({}, []), null);
+});
+
+test('getValuations falls back to the current value for assets without valuations', async (t) => {
+  t.mock.method(AssetValuation, 'find', () => ({ sort: () => ({ lean: async () => [] }) }));
+  const asset = legacyAsset();
+
+  assert.deepStrictEqual(await valuationService.getValuations(asset), [{
+    asset: asset._id,
+    value: 10000,
+    valuedAt: asset.createdAt,
+    source: 'manual',
+  }]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../../src/models/WebhookEndpoint');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const webhookService = require('../../src/services/webhookService');
+
+/**
+ * Unsaved delivery of a test event to an endpoint
+ */
+const buildDelivery = (t, endpoint) => {
+  const delivery = new WebhookDelivery({
+    endpoint: endpoint._id,
+    eventId: 'evt_test',
+    event: 'income.created',
+    payload: { id: 'evt_test', event: 'income.created', data: { amount: 10 } },
+    createdBy: endpoint.createdBy,
+  });
+  t.mock.method(delivery, 'save', async () => delivery);
+  return delivery;
+};
+
+const buildEndpoint = (url) => ({
+  _id: new mongoose.Types.ObjectId(),
+  url,
+  secret: 'whsec_test',
+  createdBy: new mongoose.Types.ObjectId(),
+});
+
+test('deliveries to private addresses fail without a request', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('secret'));
+  t.mock.method(WebhookEndpoint, 'updateOne', async () => ({}));
+  const endpoint = buildEndpoint('http://169.254.169.254/latest/meta-data/');
+
+  const delivery = await webhookService.deliver(buildDelivery(t, endpoint), endpoint, { retry: false });
+
+  assert.strictEqual(fetch.mock.callCount(), 0);
+  assert.strictEqual(delivery.status, 'failed');
+  assert.match(delivery.lastError, /not a public address/);
+});
+
+test('deliveries record the response status but not the body', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('internal details', { status: 500 }));
+  t.mock.method(WebhookEndpoint, 'updateOne', async () => ({}));
+  const endpoint = buildEndpoint('https://93.184.216.34/hooks');
+
+  const delivery = await webhookService.deliver(buildDelivery(t, endpoint), endpoint, { retry: false });
+
+  assert.strictEqual(fetch.mock.calls[0].arguments[1].redirect, 'manual');
+  assert.strictEqual(delivery.responseStatus, 500);
+  assert.strictEqual(delivery.toJSON().responseBody, undefined);
+  assert.doesNotMatch(JSON.stringify(delivery.toJSON()), /internal details/);
+});
+
+test('successful deliveries are signed over the timestamp and raw body', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('ok'));
+  const updateOne = t.mock.method(WebhookEndpoint, 'updateOne', async () => ({}));
+  const endpoint = buildEndpoint('https://93.184.216.34/hooks');
+
+  const delivery = await webhookService.deliver(buildDelivery(t, endpoint), endpoint);
+
+  const { headers, body } = fetch.mock.calls[0].arguments[1];
+  const [, timestamp] = headers['X-Webhook-Signature'].match(/^t=(\d+),v1=[0-9a-f]{64}$/);
+  assert.strictEqual(headers['X-Webhook-Signature'], `t=${timestamp},v1=${crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex')}`);
+  assert.strictEqual(headers['X-Webhook-Event'], 'income.created');
+  assert.deepStrictEqual(JSON.parse(body), { id: 'evt_test', event: 'income.created', data: { amount: 10 } });
+  assert.strictEqual(delivery.status, 'succeeded');
+  assert.strictEqual(updateOne.mock.calls[0].arguments[1].lastDeliveryStatus, 'succeeded');
+});
+
+test('failed deliveries are retried with backoff until the last attempt', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 503 }));
+  t.mock.method(WebhookEndpoint, 'updateOne', async () => ({}));
+  const endpoint = buildEndpoint('https://93.184.216.34/hooks');
+  const delivery = buildDelivery(t, endpoint);
+
+  const before = Date.now();
+  await webhookService.deliver(delivery, endpoint);
+  assert.strictEqual(delivery.status, 'pending');
+  assert.strictEqual(delivery.lastError, 'Endpoint responded with HTTP 503');
+  assert.ok(delivery.nextAttemptAt - before >= 60 * 1000 && delivery.nextAttemptAt - before < 61 * 1000);
+  assert.strictEqual(webhookService.getRetryDelay(4), 8 * 60 * 1000);
+
+  delivery.attempts = 5;
+  await webhookService.deliver(delivery, endpoint);
+  assert.strictEqual(delivery.attempts, 6);
+  assert.strictEqual(delivery.status, 'failed');
+});
+
+test('emit records one delivery per record and subscribed endpoint', async (t) => {
+  const endpoints = [buildEndpoint('https://93.184.216.34/a'), buildEndpoint('https://93.184.216.34/b')];
+  const find = t.mock.method(WebhookEndpoint, 'find', () => ({ lean: async () => endpoints }));
+  const insertMany = t.mock.method(WebhookDelivery, 'insertMany', async (docs) => docs);
+  const processPending = t.mock.method(webhookService, 'processPending', async () => ({}));
+
+  const count = await webhookService.emit('income.created', ['user1'], [{ amount: 1 }, { amount: 2 }]);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(count, 4);
+  assert.strictEqual(processPending.mock.callCount(), 1, 'deliveries are sent in the background');
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0].events, { $in: ['income.created', '*'] });
+  const deliveries = insertMany.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(deliveries.map(delivery => [delivery.endpoint, delivery.payload.data.amount]), [
+    [endpoints[0]._id, 1], [endpoints[1]._id, 1], [endpoints[0]._id, 2], [endpoints[1]._id, 2],
+  ]);
+  assert.strictEqual(deliveries[0].eventId, deliveries[1].eventId);
+  assert.notStrictEqual(deliveries[0].eventId, deliveries[2].eventId);
+});
+
+test('emit does not throw when recording the event fails', async (t) => {
+  t.mock.method(WebhookEndpoint, 'find', () => ({ lean: async () => { throw new Error('connection lost'); } }));
+
+  assert.strictEqual(await webhookService.emit('income.created', ['user1'], { amount: 1 }), 0);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatCsvField, formatCsvRow, parseCsvRows } = require('../../src/utils/csv.util');
+
+test('formatCsvField quotes fields with commas, quotes and line breaks', () => {
+  assert.strictEqual(formatCsvField('Salary'), 'Salary');
+  assert.strictEqual(formatCsvField('Rent, March'), '"Rent, March"');
+  assert.strictEqual(formatCsvField('a "b"'), '"a ""b"""');
+  assert.strictEqual(formatCsvField('line 1\nline 2'), '"line 1\nline 2"');
+});
+
+test('formatCsvField writes dates as ISO 8601, objects as JSON and empty values as nothing', () => {
+  assert.strictEqual(formatCsvField(new Date('2026-03-15T00:00:00Z')), '2026-03-15T00:00:00.000Z');
+  assert.strictEqual(formatCsvField({ frequency: 'monthly' }), '"{""frequency"":""monthly""}"');
+  assert.strictEqual(formatCsvField(null), '');
+  assert.strictEqual(formatCsvField(undefined), '');
+  assert.strictEqual(formatCsvField(0), '0');
+  assert.strictEqual(formatCsvField(false), 'false');
+});
+
+test('formatCsvField stops spreadsheets from running text as a formula', () => {
+  assert.strictEqual(formatCsvField('=HYPERLINK("http://evil.example")'), '"\'=HYPERLINK(""http://evil.example"")"');
+  assert.strictEqual(formatCsvField('+1'), "'+1");
+  assert.strictEqual(formatCsvField('@SUM(A1)'), "'@SUM(A1)");
+  // Numbers are not text, so negative amounts stay numbers
+  assert.strictEqual(formatCsvField(-25), '-25');
+});
+
+test('formatCsvRow output parses back to the same fields', () => {
+  const values = ['Groceries, weekly', 'say "hi"', 'multi\nline', '', '42.5'];
+
+  assert.deepStrictEqual(parseCsvRows(formatCsvRow(values) + formatCsvRow(values)), [values, values]);
+});
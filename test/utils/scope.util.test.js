@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { recordScope, readScope } = require('../../src/utils/scope.util');
+
+test('recordScope limits personal writes to records not shared with a household', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  assert.deepStrictEqual(recordScope({ method: 'GET', user }), { createdBy: user._id });
+  assert.deepStrictEqual(recordScope({ method: 'POST', user }), { createdBy: user._id, household: null });
+});
+
+test('readScope includes household-shared records for POST calculations', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  assert.deepStrictEqual(readScope({ method: 'POST', user }), { createdBy: user._id });
+});
+
+test('readScope narrows a household to a member', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const household = { _id: new mongoose.Types.ObjectId() };
+  const member = new mongoose.Types.ObjectId();
+
+  assert.deepStrictEqual(
+    readScope({ method: 'POST', user, household, householdMember: member }),
+    { household: household._id, createdBy: member }
+  );
+});
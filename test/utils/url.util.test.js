@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPrivateAddress, checkPublicUrl } = require('../../src/utils/url.util');
+
+test('isPrivateAddress flags loopback, private, link-local and unique-local addresses', () => {
+  ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']
+    .forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+  ['93.184.216.34', '8.8.8.8', '2606:4700::1111']
+    .forEach(address => assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+test('checkPublicUrl rejects cloud metadata and local services', async () => {
+  assert.match(await checkPublicUrl('http://169.254.169.254/latest/meta-data/'), /not a public address/);
+  assert.match(await checkPublicUrl('http://localhost:27017'), /not a public address/);
+  assert.match(await checkPublicUrl('http://[::1]:8080/'), /not a public address/);
+  assert.match(await checkPublicUrl('file:///etc/passwd'), /http\(s\) URL/);
+  assert.strictEqual(await checkPublicUrl('https://93.184.216.34/hooks'), null);
+});
+
+test('checkPublicUrl accepts hosts listed in OUTBOUND_ALLOWED_HOSTS', async (t) => {
+  const previous = process.env.OUTBOUND_ALLOWED_HOSTS;
+  process.env.OUTBOUND_ALLOWED_HOSTS = 'localhost, 127.0.0.1';
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.OUTBOUND_ALLOWED_HOSTS;
+    } else {
+      process.env.OUTBOUND_ALLOWED_HOSTS = previous;
+    }
+  });
+
+  assert.strictEqual(await checkPublicUrl('http://localhost:4000/hooks'), null);
+  assert.strictEqual(await checkPublicUrl('http://127.0.0.1:4000/hooks'), null);
+  assert.match(await checkPublicUrl('http://10.0.0.5/hooks'), /not a public address/);
+});
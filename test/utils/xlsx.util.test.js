@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createXlsx } = require('../../src/utils/xlsx.util');
+
+/**
+ * Files of an XLSX package by name (walks the local file headers)
+ */
+const readPackage = (file) => {
+  const files = {};
+  let offset = 0;
+  while (file.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = file.readUInt32LE(offset + 18);
+    const nameLength = file.readUInt16LE(offset + 26);
+    const dataStart = offset + 30 + nameLength + file.readUInt16LE(offset + 28);
+    const name = file.toString('utf8', offset + 30, offset + 30 + nameLength);
+    files[name] = zlib.inflateRawSync(file.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    offset = dataStart + compressedSize;
+  }
+  return files;
+};
+
+test('createXlsx writes one worksheet per table', () => {
+  const files = readPackage(createXlsx([
+    { name: 'income', columns: ['incomeSource'], rows: [['Salary']] },
+    { name: 'summary', columns: ['metric'], rows: [['netWorth']] },
+  ]));
+
+  assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet2.xml'));
+  assert.match(files['xl/workbook.xml'], /<sheet name="income" sheetId="1" r:id="rId1"\/><sheet name="summary" sheetId="2" r:id="rId2"\/>/);
+  assert.match(files['xl/_rels/workbook.xml.rels'], /Target="worksheets\/sheet2.xml"/);
+});
+
+test('createXlsx keeps numbers, booleans and dates as typed cells and escapes text', () => {
+  const files = readPackage(createXlsx([{
+    name: 'income',
+    columns: ['incomeSource', 'amount', 'isRecurring', 'dateReceived', 'notes'],
+    rows: [['Salary <net> & bonus', 4000.5, true, new Date('2026-01-01T00:00:00Z'), null]],
+  }]));
+  const sheet = files['xl/worksheets/sheet1.xml'];
+
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Salary &lt;net&gt; &amp; bonus<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>4000.5<\/v><\/c>/);
+  assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+  // Excel serial date of 2026-01-01
+  assert.match(sheet, /<c r="D2" s="\d+"><v>46023<\/v><\/c>/);
+  assert.ok(!sheet.includes('r="E2"'), 'empty values are left out');
+});
+
+test('createXlsx makes sheet names valid and unique', () => {
+  const files = readPackage(createXlsx([
+    { name: 'Income/Expenses [2026]', columns: ['a'], rows: [] },
+    { name: 'income/expenses [2026]', columns: ['a'], rows: [] },
+  ]));
+
+  const names = [...files['xl/workbook.xml'].matchAll(/<sheet name="([^"]*)"/g)].map(match => match[1]);
+  assert.deepStrictEqual(names, ['Income Expenses  2026', 'income expenses  2026 (2)']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createZip } = require('../../src/utils/zip.util');
+
+/**
+ * Read the entries of a ZIP archive through its central directory
+ */
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  assert.strictEqual(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(zip.readUInt32LE(position), 0x02014b50);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const offset = zip.readUInt32LE(position + 42);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50);
+    const compressedSize = zip.readUInt32LE(offset + 18);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+    assert.strictEqual(content.length, zip.readUInt32LE(offset + 22));
+
+    entries.push({ name, content: content.toString('utf8'), crc: zip.readUInt32LE(offset + 14) });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+test('createZip archives every entry so it can be read back', () => {
+  const zip = createZip([
+    { name: 'income.csv', content: 'incomeSource,amount\r\nSalary,4000\r\n' },
+    { name: 'résumé/notes.txt', content: Buffer.from('über') },
+  ]);
+
+  assert.deepStrictEqual(readZip(zip).map(({ name, content }) => ({ name, content })), [
+    { name: 'income.csv', content: 'incomeSource,amount\r\nSalary,4000\r\n' },
+    { name: 'résumé/notes.txt', content: 'über' },
+  ]);
+});
+
+test('createZip stores the CRC-32 of each entry', () => {
+  const [entry] = readZip(createZip([{ name: 'hello.txt', content: 'hello' }]));
+
+  assert.strictEqual(entry.crc, 0x3610a686);
+});
+
+test('createZip stores the modification time in MS-DOS format', () => {
+  const zip = createZip([{ name: 'a.txt', content: 'a' }], new Date(2026, 2, 15, 14, 30, 10));
+
+  assert.strictEqual(zip.readUInt16LE(10), (14 << 11) | (30 << 5) | 5);
+  assert.strictEqual(zip.readUInt16LE(12), ((2026 - 1980) << 9) | (3 << 5) | 15);
+});